@@ -0,0 +1,68 @@
+const { buildFilter } = require('../utils/shipmentQuery');
+const {
+  parsePeriod,
+  parseRankLimit,
+  statusCounts,
+  onTimeRate,
+  laneTransitTimes,
+  topDelayedLanes,
+  dailyThroughput
+} = require('../utils/shipmentAnalytics');
+
+// --- Helper: answer with an analytics query; bad parameters throw an InvalidQueryError (400) ---
+const respond = async (res, compute) => {
+  res.json(await compute());
+};
+
+// --- Helper: optional ?graceMinutes= override ---
+const parseGraceMinutes = (value) => {
+  const minutes = Number(value);
+  return value !== undefined && Number.isFinite(minutes) && minutes >= 0 ? minutes : undefined;
+};
+
+// @desc    Number of shipments per status
+// @route   GET /api/analytics/status-counts?<shipment list filters>
+// @access  Private (admin, dispatcher)
+exports.getStatusCounts = (req, res) => respond(res, () => statusCounts(buildFilter(req.query)));
+
+// @desc    On-time delivery rate against the promised date
+// @route   GET /api/analytics/on-time?from=&to=&graceMinutes=&<shipment list filters>
+// @access  Private (admin, dispatcher)
+exports.getOnTimeRate = (req, res) => respond(res, () => onTimeRate(
+  buildFilter(req.query),
+  parsePeriod(req.query),
+  { graceMinutes: parseGraceMinutes(req.query.graceMinutes) }
+));
+
+// @desc    Average transit time per origin-destination lane
+// @route   GET /api/analytics/lanes/transit-times?from=&to=&limit=&minShipments=&<shipment list filters>
+// @access  Private (admin, dispatcher)
+exports.getLaneTransitTimes = (req, res) => respond(res, async () => {
+  const period = parsePeriod(req.query);
+  const lanes = await laneTransitTimes(buildFilter(req.query), period, {
+    limit: parseRankLimit(req.query.limit),
+    minShipments: Math.max(1, parseInt(req.query.minShipments, 10) || 1)
+  });
+  return { ...period, lanes };
+});
+
+// @desc    Lanes with the most late deliveries and currently delayed shipments
+// @route   GET /api/analytics/lanes/delayed?from=&to=&limit=&graceMinutes=&<shipment list filters>
+// @access  Private (admin, dispatcher)
+exports.getDelayedLanes = (req, res) => respond(res, async () => {
+  const period = parsePeriod(req.query);
+  const lanes = await topDelayedLanes(buildFilter(req.query), period, {
+    limit: parseRankLimit(req.query.limit),
+    graceMinutes: parseGraceMinutes(req.query.graceMinutes)
+  });
+  return { ...period, lanes };
+});
+
+// @desc    Shipments created and delivered per day
+// @route   GET /api/analytics/throughput?from=&to=&timezone=&<shipment list filters>
+// @access  Private (admin, dispatcher)
+exports.getThroughput = (req, res) => respond(res, () => dailyThroughput(
+  buildFilter(req.query),
+  parsePeriod(req.query),
+  { timezone: req.query.timezone ? String(req.query.timezone) : undefined }
+));
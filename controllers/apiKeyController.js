@@ -0,0 +1,88 @@
+const ApiKey = require('../models/ApiKey');
+const { MANAGEABLE_ROLES, canManageRole } = require('../utils/roles');
+const { ApiError } = require('../utils/apiError');
+const { requireActiveOrganization } = require('../utils/tenantContext');
+
+// @desc    List API keys of the caller's organization (without the keys themselves)
+// @route   GET /api/api-keys
+// @access  Private (admin, dispatcher)
+exports.getApiKeys = async (req, res) => {
+  const filter = req.auth.role === 'dispatcher' ? { role: { $in: MANAGEABLE_ROLES.dispatcher } } : {};
+  const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+  res.json(apiKeys);
+};
+
+// @desc    Create an API key. The plain key is only returned in this response.
+// @route   POST /api/api-keys
+// @access  Private (admin; dispatcher for driver/customer keys)
+exports.createApiKey = async (req, res) => {
+  const { name, role, organization, assignedTrackingIds, expiresAt } = req.body || {};
+
+  if (!canManageRole(req.auth.role, role || 'driver')) {
+    throw ApiError.forbidden(`You cannot create ${role} API keys`);
+  }
+
+  await requireActiveOrganization(organization);
+
+  const key = ApiKey.generateKey();
+  // The key belongs to the caller's organization; platform admins acting for none name one in `organization`
+  const apiKey = await ApiKey.create({
+    name,
+    role,
+    organization,
+    assignedTrackingIds,
+    expiresAt,
+    prefix: key.slice(0, 12),
+    keyHash: ApiKey.hashKey(key),
+    createdBy: req.auth.type === 'user' ? req.auth.id : undefined
+  });
+
+  console.log(`API key created: ${apiKey.prefix}... (${apiKey.role})`);
+  res.status(201).json({ ...apiKey.toJSON(), key });
+};
+
+// @desc    Update an API key's name or assigned shipments
+// @route   PATCH /api/api-keys/:id
+// @access  Private (admin; dispatcher for driver/customer keys)
+exports.updateApiKey = async (req, res) => {
+  const updates = req.body || {};
+  const allowedFields = ['name', 'assignedTrackingIds', 'expiresAt'];
+
+  const rejected = Object.keys(updates).filter(f => !allowedFields.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.unknownFields(rejected, allowedFields);
+  }
+
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) {
+    throw ApiError.notFound('API key not found');
+  }
+  if (!canManageRole(req.auth.role, apiKey.role)) {
+    throw ApiError.forbidden('You cannot manage this API key');
+  }
+
+  Object.keys(updates).forEach(field => { apiKey[field] = updates[field]; });
+  await apiKey.save();
+
+  res.json(apiKey);
+};
+
+// @desc    Revoke an API key (it stays listed for reference)
+// @route   DELETE /api/api-keys/:id
+// @access  Private (admin; dispatcher for driver/customer keys)
+exports.revokeApiKey = async (req, res) => {
+  const apiKey = await ApiKey.findById(req.params.id);
+  if (!apiKey) {
+    throw ApiError.notFound('API key not found');
+  }
+  if (!canManageRole(req.auth.role, apiKey.role)) {
+    throw ApiError.forbidden('You cannot manage this API key');
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    console.log(`API key revoked: ${apiKey.prefix}...`);
+  }
+  res.json(apiKey);
+};
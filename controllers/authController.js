@@ -0,0 +1,41 @@
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { signToken } = require('../middleware/auth');
+const { ApiError } = require('../utils/apiError');
+
+// @desc    Log in with email and password, returns a JWT
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res) => {
+  const { email, password } = req.body || {};
+
+  if (!email || !password) {
+    throw ApiError.badRequest('Email and password are required', {
+      details: [['email', email], ['password', password]]
+        .filter(([, value]) => !value)
+        .map(([path]) => ({ in: 'body', path, code: 'required', msg: 'is required' }))
+    });
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+password');
+
+  // Same answer for unknown email and wrong password
+  if (!user || !user.active || !(await user.checkPassword(String(password)))) {
+    throw new ApiError(401, 'Invalid email or password', { code: 'INVALID_CREDENTIALS' });
+  }
+  if (user.organization && !(await Organization.exists({ _id: user.organization, active: true }))) {
+    throw ApiError.forbidden('Your organization is deactivated');
+  }
+
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  res.json({ token: signToken(user), user });
+};
+
+// @desc    Get the authenticated user or API key
+// @route   GET /api/auth/me
+// @access  Private (any role)
+exports.getMe = async (req, res) => {
+  res.json(req.auth);
+};
@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const Shipment = require('../models/Shipment');
+const { STATUSES, isTerminal } = require('../utils/shipmentStatus');
+const { createBookingRecord } = require('../utils/bookingService');
+const { rollUpBooking } = require('../utils/bookingRollup');
+const { containerNumberCondition } = require('../utils/iso6346');
+const { InvalidQueryError } = require('../utils/shipmentQuery');
+const { auditContext } = require('../utils/auditTrail');
+const { ApiError } = require('../utils/apiError');
+
+// Shipment fields shown for each leg when a booking is fetched
+const LEG_SHIPMENT_FIELDS = 'trackingId containerId status currentLocation estimatedETA actualDeliveryDate';
+
+const UPDATABLE_FIELDS = ['reference', 'notes'];
+const LEG_UPDATABLE_FIELDS = ['carrier', 'plannedDeparture', 'plannedArrival', 'actualDeparture', 'actualArrival'];
+
+// --- Helper: find a booking by MongoDB _id or bookingNumber ---
+const findBooking = (id) => (mongoose.Types.ObjectId.isValid(id)
+  ? Booking.findById(id)
+  : Booking.findOne({ bookingNumber: id }));
+
+// @desc    List bookings, newest first
+// @route   GET /api/bookings?status=&containerId=&reference=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getBookings = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const filter = {};
+  if (req.query.status) {
+    if (!STATUSES.includes(req.query.status)) {
+      throw new InvalidQueryError(`Unknown status: ${req.query.status}`, 'status');
+    }
+    filter.status = req.query.status;
+  }
+  if (req.query.containerId) filter.containers = containerNumberCondition(req.query.containerId);
+  if (req.query.reference) filter.reference = String(req.query.reference).trim();
+
+  const [total, bookings] = await Promise.all([
+    Booking.countDocuments(filter),
+    Booking.find(filter, '-legs.routeGeometry')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ total, page, limit, bookings });
+};
+
+// @desc    Create a booking with its legs; creates one shipment per container and leg
+// @route   POST /api/bookings
+// @access  Private (admin, dispatcher)
+exports.createBooking = async (req, res) => {
+  // Bad input throws a BookingInputError or ShipmentInputError
+  const booking = await createBookingRecord(req.body, { audit: auditContext(req) });
+  await booking.populate('legs.shipments', LEG_SHIPMENT_FIELDS);
+  const warnings = booking.$locals.warnings || [];
+  res.status(201).json(warnings.length > 0 ? { ...booking.toJSON(), warnings } : booking);
+};
+
+// @desc    Get a booking with its legs and their shipments
+// @route   GET /api/bookings/:id
+// @access  Private (admin, dispatcher)
+exports.getBookingById = async (req, res) => {
+  const booking = await findBooking(req.params.id).populate('legs.shipments', LEG_SHIPMENT_FIELDS);
+  if (!booking) {
+    throw ApiError.notFound('Booking not found');
+  }
+  res.json(booking);
+};
+
+// @desc    Update a booking's reference or notes
+// @route   PATCH /api/bookings/:id
+// @access  Private (admin, dispatcher)
+exports.updateBooking = async (req, res) => {
+  const updates = req.body || {};
+
+  const rejected = Object.keys(updates).filter(f => !UPDATABLE_FIELDS.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.unknownFields(rejected, UPDATABLE_FIELDS);
+  }
+
+  const booking = await findBooking(req.params.id);
+  if (!booking) {
+    throw ApiError.notFound('Booking not found');
+  }
+
+  Object.keys(updates).forEach(field => { booking[field] = updates[field]; });
+  await booking.save();
+
+  res.json(booking);
+};
+
+// @desc    Update a leg's carrier or planned/actual times
+// @route   PATCH /api/bookings/:id/legs/:sequence
+// @access  Private (admin, dispatcher)
+exports.updateBookingLeg = async (req, res) => {
+  const updates = req.body || {};
+
+  const rejected = Object.keys(updates).filter(f => !LEG_UPDATABLE_FIELDS.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.unknownFields(rejected, LEG_UPDATABLE_FIELDS);
+  }
+
+  const booking = await findBooking(req.params.id);
+  if (!booking) {
+    throw ApiError.notFound('Booking not found');
+  }
+  const leg = booking.legs.find(l => l.sequence === Number(req.params.sequence));
+  if (!leg) {
+    throw ApiError.notFound(`Booking ${booking.bookingNumber} has no leg ${req.params.sequence}`);
+  }
+
+  Object.keys(updates).forEach(field => { leg[field] = updates[field]; });
+  await booking.save();
+
+  // Planned times feed the ETA of legs that haven't started
+  const updated = await rollUpBooking(booking._id);
+  res.json(updated);
+};
+
+// @desc    Shipments of a booking, optionally for one container
+// @route   GET /api/bookings/:id/shipments?containerId=
+// @access  Private (admin, dispatcher)
+exports.getBookingShipments = async (req, res) => {
+  const booking = await findBooking(req.params.id);
+  if (!booking) {
+    throw ApiError.notFound('Booking not found');
+  }
+
+  const filter = { booking: booking._id };
+  if (req.query.containerId) filter.containerId = containerNumberCondition(req.query.containerId);
+
+  const shipments = await Shipment.find(filter).sort({ bookingLeg: 1, containerId: 1 });
+  res.json({ bookingId: booking._id, bookingNumber: booking.bookingNumber, count: shipments.length, shipments });
+};
+
+// @desc    Cancel a booking: cancels every shipment that isn't delivered or cancelled yet
+// @route   POST /api/bookings/:id/cancel
+// @access  Private (admin, dispatcher)
+exports.cancelBooking = async (req, res) => {
+  const { reason } = req.body || {};
+
+  const booking = await findBooking(req.params.id);
+  if (!booking) {
+    throw ApiError.notFound('Booking not found');
+  }
+  if (isTerminal(booking.status)) {
+    throw ApiError.conflict(`Booking is already ${booking.status}`);
+  }
+
+  console.log(`Cancelling booking ${booking.bookingNumber}`);
+
+  const cancellationReason = typeof reason === 'string' && reason.trim() ? reason.trim() : undefined;
+  const shipments = await Shipment.find({ booking: booking._id });
+  for (const shipment of shipments.filter(s => !isTerminal(s.status))) {
+    shipment.status = 'Cancelled';
+    shipment.cancelledAt = new Date();
+    shipment.cancellationReason = cancellationReason || `Booking ${booking.bookingNumber} cancelled`;
+    shipment.$locals.audit = auditContext(req, 'cancel');
+    await shipment.save();
+  }
+
+  booking.cancellationReason = cancellationReason;
+  await booking.save();
+
+  // Legs that were already delivered stay delivered; the rest roll up to Cancelled
+  const updated = await rollUpBooking(booking._id);
+  res.json(updated);
+};
@@ -0,0 +1,200 @@
+const Container = require('../models/Container');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const { isTerminal } = require('../utils/shipmentStatus');
+const { InvalidQueryError } = require('../utils/shipmentQuery');
+const { ApiError } = require('../utils/apiError');
+const {
+  SIZE_TYPES,
+  normalizeContainerNumber,
+  parseContainerNumber,
+  resolveSizeTypeCode
+} = require('../utils/iso6346');
+
+const UPDATABLE_FIELDS = ['sizeType', 'owner', 'tareWeightKg', 'maxGrossWeightKg', 'notes', 'active'];
+
+// Shipment fields shown in a container's history
+const HISTORY_FIELDS = 'trackingId status origin destination currentLocation estimatedETA actualDeliveryDate booking bookingLeg createdAt';
+
+// --- Helper: apply a size/type given as ISO code or operational name ("40HC") ---
+const applySizeType = (container, sizeType) => {
+  if (sizeType === null || sizeType === '') {
+    container.sizeTypeCode = undefined;
+    return;
+  }
+  const code = resolveSizeTypeCode(sizeType);
+  if (!code) {
+    const msg = `Unknown size/type "${sizeType}". Use an ISO code or one of: ${Object.values(SIZE_TYPES).map(t => t.name).join(', ')}`;
+    throw ApiError.badRequest(msg, { details: [{ in: 'body', path: 'sizeType', code: 'enum', msg }] });
+  }
+  container.sizeTypeCode = code;
+};
+
+// @desc    List registered containers
+// @route   GET /api/containers?ownerCode=&sizeType=&active=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getContainers = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const filter = {};
+  if (req.query.ownerCode) filter.ownerCode = String(req.query.ownerCode).trim().toUpperCase();
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+  if (req.query.sizeType) {
+    const code = resolveSizeTypeCode(req.query.sizeType);
+    if (!code) {
+      throw new InvalidQueryError(`Unknown size/type "${req.query.sizeType}"`, 'sizeType');
+    }
+    filter.sizeTypeCode = code;
+  }
+
+  const [total, containers] = await Promise.all([
+    Container.countDocuments(filter),
+    Container.find(filter)
+      .sort({ containerNumber: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ total, page, limit, containers });
+};
+
+// @desc    Check and normalise a container number without registering it
+// @route   GET /api/containers/validate/:containerNumber
+// @access  Private (admin, dispatcher)
+exports.validateContainerNumber = (req, res) => {
+  res.json({ input: req.params.containerNumber, ...parseContainerNumber(req.params.containerNumber) });
+};
+
+// @desc    Register a container
+// @route   POST /api/containers
+// @access  Private (admin, dispatcher)
+exports.createContainer = async (req, res) => {
+  const { containerNumber, sizeType, owner, tareWeightKg, maxGrossWeightKg, notes } = req.body || {};
+
+  const parsed = parseContainerNumber(containerNumber);
+  if (!parsed.valid) {
+    const msg = `Invalid container number "${containerNumber}": ${parsed.error}`;
+    throw ApiError.badRequest(msg, { details: [{ in: 'body', path: 'containerNumber', code: 'invalid', msg }] });
+  }
+
+  // A concurrent registration that gets past this check fails on the unique index (409 DUPLICATE)
+  if (await Container.exists({ containerNumber: parsed.containerNumber })) {
+    throw ApiError.conflict(`Container ${parsed.containerNumber} is already registered`, { code: 'DUPLICATE' });
+  }
+
+  const container = new Container({ containerNumber: parsed.containerNumber, owner, tareWeightKg, maxGrossWeightKg, notes });
+  if (sizeType !== undefined) applySizeType(container, sizeType);
+  await container.save();
+
+  console.log(`Container registered: ${container.containerNumber}`);
+  res.status(201).json(container);
+};
+
+// @desc    Get a container with its current shipment, if any
+// @route   GET /api/containers/:containerNumber
+// @access  Private (admin, dispatcher)
+exports.getContainer = async (req, res) => {
+  const containerNumber = normalizeContainerNumber(req.params.containerNumber);
+
+  const container = await Container.findOne({ containerNumber });
+  if (!container) {
+    throw ApiError.notFound('Container not found');
+  }
+
+  const [currentShipment, shipmentCount] = await Promise.all([
+    Shipment.findOne({ containerId: containerNumber, status: { $nin: ['Delivered', 'Cancelled'] } }, HISTORY_FIELDS)
+      .sort({ createdAt: 1 }), // The earliest open one; later booking legs are still ahead
+    Shipment.countDocuments({ containerId: containerNumber })
+  ]);
+
+  res.json({ ...container.toJSON(), currentShipment, shipmentCount });
+};
+
+// @desc    Update a container's size/type, owner or other details
+// @route   PATCH /api/containers/:containerNumber
+// @access  Private (admin, dispatcher)
+exports.updateContainer = async (req, res) => {
+  const updates = req.body || {};
+  const containerNumber = normalizeContainerNumber(req.params.containerNumber);
+
+  const rejected = Object.keys(updates).filter(f => !UPDATABLE_FIELDS.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.unknownFields(rejected, UPDATABLE_FIELDS);
+  }
+
+  const container = await Container.findOne({ containerNumber });
+  if (!container) {
+    throw ApiError.notFound('Container not found');
+  }
+
+  if ('sizeType' in updates) applySizeType(container, updates.sizeType);
+  Object.keys(updates).filter(f => f !== 'sizeType').forEach(field => { container[field] = updates[field]; });
+  await container.save();
+
+  res.json(container);
+};
+
+// @desc    Every shipment of a container, newest first, split into current and past
+// @route   GET /api/containers/:containerNumber/shipments?page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getContainerShipments = async (req, res) => {
+  const containerNumber = normalizeContainerNumber(req.params.containerNumber);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const filter = { containerId: containerNumber };
+  const [total, shipments] = await Promise.all([
+    Shipment.countDocuments(filter),
+    Shipment.find(filter, HISTORY_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    containerNumber,
+    total,
+    page,
+    limit,
+    current: shipments.filter(s => !isTerminal(s.status)),
+    past: shipments.filter(s => isTerminal(s.status))
+  });
+};
+
+// @desc    Tracking events of a container across all its shipments, newest first
+// @route   GET /api/containers/:containerNumber/events?from=&to=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getContainerEvents = async (req, res) => {
+  const containerNumber = normalizeContainerNumber(req.params.containerNumber);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const timestampFilter = {};
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (req.query[param]) {
+      const date = new Date(req.query[param]);
+      if (isNaN(date.getTime())) {
+        throw new InvalidQueryError(`Invalid "${param}" date`, param);
+      }
+      timestampFilter[operator] = date;
+    }
+  }
+
+  const shipmentIds = await Shipment.find({ containerId: containerNumber }).distinct('_id');
+
+  const filter = { shipment: { $in: shipmentIds } };
+  if (Object.keys(timestampFilter).length > 0) {
+    filter.timestamp = timestampFilter;
+  }
+
+  const [total, events] = await Promise.all([
+    TrackingEvent.countDocuments(filter),
+    TrackingEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ containerNumber, total, page, limit, events });
+};
@@ -0,0 +1,88 @@
+const ShipmentException = require('../models/ShipmentException');
+const { EXCEPTION_TYPES } = require('../utils/exceptionRules');
+const { scanShipments } = require('../utils/exceptionScheduler');
+const { InvalidQueryError } = require('../utils/shipmentQuery');
+const { ApiError } = require('../utils/apiError');
+
+const EXCEPTION_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// @desc    List shipment exceptions, newest first (unresolved ones by default)
+// @route   GET /api/exceptions?status=open,acknowledged&type=&trackingId=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getExceptions = async (req, res) => {
+  const statuses = String(req.query.status || 'open,acknowledged').split(',').map(s => s.trim()).filter(Boolean);
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const invalidStatus = statuses.find(s => !EXCEPTION_STATUSES.includes(s));
+  if (invalidStatus) {
+    throw new InvalidQueryError(`Invalid status "${invalidStatus}"`, 'status', { allowed: EXCEPTION_STATUSES });
+  }
+  if (req.query.type && !EXCEPTION_TYPES.includes(req.query.type)) {
+    throw new InvalidQueryError(`Invalid type "${req.query.type}"`, 'type', { allowed: EXCEPTION_TYPES });
+  }
+
+  const filter = { status: { $in: statuses } };
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.trackingId) filter.trackingId = String(req.query.trackingId);
+
+  const [total, exceptions] = await Promise.all([
+    ShipmentException.countDocuments(filter),
+    ShipmentException.find(filter)
+      .sort({ detectedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ total, page, limit, exceptions });
+};
+
+// @desc    Get a single exception
+// @route   GET /api/exceptions/:id
+// @access  Private (admin, dispatcher)
+exports.getExceptionById = async (req, res) => {
+  const exception = await ShipmentException.findById(req.params.id);
+  if (!exception) {
+    throw ApiError.notFound('Exception not found');
+  }
+  res.json(exception);
+};
+
+// @desc    Acknowledge an open exception (someone is handling it)
+// @route   POST /api/exceptions/:id/acknowledge
+// @access  Private (admin, dispatcher)
+exports.acknowledgeException = async (req, res) => {
+  const { note } = req.body || {};
+
+  const exception = await ShipmentException.findById(req.params.id);
+  if (!exception) {
+    throw ApiError.notFound('Exception not found');
+  }
+  if (exception.status === 'resolved') {
+    throw ApiError.conflict('Exception is already resolved');
+  }
+
+  if (exception.status === 'open') {
+    exception.status = 'acknowledged';
+    exception.acknowledgedAt = new Date();
+    exception.acknowledgedBy = { type: req.auth.type, id: req.auth.id, name: req.auth.name };
+  }
+  if (note !== undefined) {
+    exception.acknowledgementNote = note;
+  }
+  await exception.save();
+
+  console.log(`Exception ${exception._id} (${exception.trackingId}, ${exception.type}) acknowledged by ${req.auth.name}`);
+  res.json(exception);
+};
+
+// @desc    Run an exception scan now instead of waiting for the scheduler
+// @route   POST /api/exceptions/scan
+// @access  Private (admin)
+exports.runExceptionScan = async (req, res) => {
+  const summary = await scanShipments();
+  if (!summary) {
+    throw ApiError.conflict('A scan is already running');
+  }
+  res.json(summary);
+};
@@ -0,0 +1,115 @@
+const Organization = require('../models/Organization');
+const Shipment = require('../models/Shipment');
+const Booking = require('../models/Booking');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { withoutTenant, forgetOrganization } = require('../utils/tenantContext');
+const { ApiError } = require('../utils/apiError');
+
+// Organizations (tenants) are managed by platform admins: admins that belong to
+// no organization. Request bodies and query parameters are checked by the route
+// schemas (utils/schemas/organizationSchemas.js) before these handlers run.
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// --- Helper: find an organization by MongoDB _id or slug, 404 if there is none ---
+const requireOrganization = async (id) => {
+  const organization = await Organization.findOne(OBJECT_ID_PATTERN.test(id) ? { _id: id } : { slug: String(id).toLowerCase() });
+  if (!organization) {
+    throw ApiError.notFound('Organization not found');
+  }
+  return organization;
+};
+
+// --- Helper: set fields from a request body; settings are merged value by value ---
+// null removes a setting, so the server-wide default applies again
+const applyFields = (organization, body) => {
+  const { settings, ...fields } = body;
+  Object.entries(fields).forEach(([field, value]) => { organization[field] = value; });
+  Object.entries(settings || {}).forEach(([group, values]) => {
+    Object.entries(values).forEach(([key, value]) => organization.set(`settings.${group}.${key}`, value ?? undefined));
+  });
+};
+
+// @desc    List organizations, by name
+// @route   GET /api/organizations?active=&page=&limit=
+// @access  Private (platform admin)
+exports.getOrganizations = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const filter = {};
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const [total, organizations] = await Promise.all([
+    Organization.countDocuments(filter),
+    Organization.find(filter)
+      .sort({ name: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ total, page, limit, organizations });
+};
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Private (platform admin)
+exports.createOrganization = async (req, res) => {
+  const organization = new Organization();
+  applyFields(organization, req.body);
+  await organization.save(); // A slug that is already taken fails on the unique index (409 DUPLICATE)
+
+  console.log(`Organization created: ${organization.name} (${organization.slug})`);
+  res.status(201).json(organization);
+};
+
+// @desc    Get an organization by ID or slug
+// @route   GET /api/organizations/:id
+// @access  Private (platform admin)
+exports.getOrganization = async (req, res) => {
+  res.json(await requireOrganization(req.params.id));
+};
+
+// @desc    Update an organization; a new tracking ID prefix applies to new shipments only
+// @route   PATCH /api/organizations/:id
+// @access  Private (platform admin)
+exports.updateOrganization = async (req, res) => {
+  const organization = await requireOrganization(req.params.id);
+
+  applyFields(organization, req.body);
+  await organization.save();
+  forgetOrganization(organization._id); // Background jobs pick up the new settings
+
+  if (req.body.active === false) {
+    console.log(`Organization deactivated: ${organization.name} (${organization.slug})`);
+  }
+  res.json(organization);
+};
+
+// @desc    Delete an organization that has no shipments, bookings or accounts left
+// @route   DELETE /api/organizations/:id
+// @access  Private (platform admin)
+exports.deleteOrganization = async (req, res) => {
+  const organization = await requireOrganization(req.params.id);
+
+  // Across the tenant scope: what the organization still owns
+  const filter = { organization: organization._id };
+  const [shipments, bookings, users, apiKeys] = await withoutTenant(() => Promise.all([
+    Shipment.countDocuments(filter),
+    Booking.countDocuments(filter),
+    User.countDocuments(filter),
+    ApiKey.countDocuments(filter)
+  ]));
+  if (shipments + bookings + users + apiKeys > 0) {
+    throw ApiError.conflict('Organization still has data; deactivate it instead', {
+      counts: { shipments, bookings, users, apiKeys }
+    });
+  }
+
+  await organization.deleteOne();
+  forgetOrganization(organization._id);
+
+  console.log(`Organization deleted: ${organization.name} (${organization.slug})`);
+  res.json({ msg: 'Organization deleted', organizationId: organization._id });
+};
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Place = require('../models/Place');
+const { searchPlaces } = require('../utils/gazetteer');
+const { normalizeUnlocode } = require('../utils/placeNames');
+const { ApiError } = require('../utils/apiError');
+
+// Request bodies and query parameters are checked by the route schemas
+// (utils/schemas/placeSchemas.js) before these handlers run.
+
+// --- Helper: find a place by MongoDB _id or UN/LOCODE ---
+const findPlace = (id) => {
+  if (mongoose.Types.ObjectId.isValid(id)) {
+    return Place.findById(id);
+  }
+  const unlocode = normalizeUnlocode(id);
+  return unlocode ? Place.findOne({ unlocode }) : null;
+};
+
+// --- Helper: 409 if another place already has the UN/LOCODE ---
+// A concurrent write that gets past this check fails on the unique index (409 DUPLICATE)
+const checkUnlocodeFree = async (unlocode, excludeId) => {
+  const code = normalizeUnlocode(unlocode);
+  if (!code) return;
+  const filter = { unlocode: code };
+  if (excludeId) filter._id = { $ne: excludeId };
+  const existing = await Place.findOne(filter, 'name');
+  if (existing) {
+    throw ApiError.conflict(`UN/LOCODE ${code} is already used by ${existing.name}`, { code: 'DUPLICATE' });
+  }
+};
+
+// @desc    List places in the gazetteer, by name
+// @route   GET /api/places?type=&country=&active=&page=&limit=
+// @access  Private (admin, dispatcher, driver)
+exports.getPlaces = async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  const filter = {};
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.country) filter.country = String(req.query.country).trim().toUpperCase();
+  if (req.query.active !== undefined) filter.active = req.query.active === 'true';
+
+  const [total, places] = await Promise.all([
+    Place.countDocuments(filter),
+    Place.find(filter)
+      .sort({ name: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ total, page, limit, places });
+};
+
+// @desc    Fuzzy lookup of places by name, alias or UN/LOCODE, best match first
+// @route   GET /api/places/lookup?q=&type=&country=&minScore=&limit=
+// @access  Private (admin, dispatcher, driver)
+exports.lookupPlaces = async (req, res) => {
+  const matches = await searchPlaces(req.query.q, {
+    type: req.query.type,
+    country: req.query.country,
+    minScore: req.query.minScore !== undefined ? Number(req.query.minScore) : undefined,
+    limit: req.query.limit !== undefined ? Number(req.query.limit) : undefined
+  });
+
+  res.json({ query: req.query.q, count: matches.length, matches });
+};
+
+// @desc    Get a place by ID or UN/LOCODE
+// @route   GET /api/places/:id
+// @access  Private (admin, dispatcher, driver)
+exports.getPlace = async (req, res) => {
+  const place = await findPlace(req.params.id);
+  if (!place) {
+    throw ApiError.notFound('Place not found');
+  }
+  res.json(place);
+};
+
+// @desc    Add a place to the gazetteer
+// @route   POST /api/places
+// @access  Private (admin, dispatcher)
+exports.createPlace = async (req, res) => {
+  await checkUnlocodeFree(req.body.unlocode);
+
+  const place = await Place.create(req.body);
+
+  console.log(`Place added to the gazetteer: ${place.name}${place.unlocode ? ` (${place.unlocode})` : ''}`);
+  res.status(201).json(place);
+};
+
+// @desc    Update a place; shipments resolved to it keep their names and coordinates
+// @route   PATCH /api/places/:id
+// @access  Private (admin, dispatcher)
+exports.updatePlace = async (req, res) => {
+  const place = await findPlace(req.params.id);
+  if (!place) {
+    throw ApiError.notFound('Place not found');
+  }
+
+  if (req.body.unlocode) {
+    await checkUnlocodeFree(req.body.unlocode, place._id);
+  }
+  // null clears the UN/LOCODE or country
+  Object.entries(req.body).forEach(([field, value]) => { place[field] = value ?? undefined; });
+  await place.save();
+
+  res.json(place);
+};
+
+// @desc    Remove a place from the gazetteer; shipments resolved to it keep their names and coordinates
+// @route   DELETE /api/places/:id
+// @access  Private (admin)
+exports.deletePlace = async (req, res) => {
+  const place = await findPlace(req.params.id);
+  if (!place) {
+    throw ApiError.notFound('Place not found');
+  }
+
+  await place.deleteOne();
+
+  console.log(`Place removed from the gazetteer: ${place.name}`);
+  res.json({ msg: 'Place deleted', placeId: place._id });
+};
@@ -1,260 +1,447 @@
+const mongoose = require('mongoose');
 const Shipment = require('../models/Shipment');
-const { getRouteGeometryFromOSRM } = require('../utils/routingService'); // Import the routing helper
-
-// @desc    Get all shipments
-// @route   GET /api/shipments
-// @access  Public
+const TrackingEvent = require('../models/TrackingEvent');
+const ShipmentAudit = require('../models/ShipmentAudit');
+const ShipmentException = require('../models/ShipmentException');
+const SensorReading = require('../models/SensorReading');
+const SensorBreach = require('../models/SensorBreach');
+const {
+  recordTrackingEvent,
+  buildRouteGeometry,
+  createShipmentRecord,
+  checkContainer,
+  registerContainer
+} = require('../utils/shipmentService');
+const { isTerminal } = require('../utils/shipmentStatus');
+const { evaluateGeofences } = require('../utils/geofence');
+const { tenantSettings } = require('../utils/tenantContext');
+const findShipment = require('../utils/findShipment');
+const { ingestLocationBatch, LOCATION_MAX_FUTURE_SKEW_MS } = require('../utils/locationIngest');
+const { auditContext, recordDeletion } = require('../utils/auditTrail');
+const { ApiError } = require('../utils/apiError');
+const { setETag, checkIfMatch } = require('../utils/preconditions');
+const { findShipmentPage } = require('../utils/shipmentQuery');
+const { resolveLocation, resolveLocations } = require('../utils/gazetteer');
+const { recordReadings } = require('../utils/sensorTelemetry');
+const { METRIC_NAMES } = require('../utils/sensorRules');
+const { removeDocuments } = require('../utils/shipmentDocuments');
+
+// Request bodies and query parameters are checked by the route schemas
+// (utils/schemas/shipmentSchemas.js) before these handlers run. Errors are
+// thrown and answered by middleware/errorHandler.js.
+
+// @desc    List shipments with filtering, sorting and cursor pagination
+// @route   GET /api/shipments?status=&containerId=&origin=&destination=&createdFrom=&createdTo=&etaFrom=&etaTo=&q=&sort=&fields=&limit=&cursor=
+// @access  Private (admin, dispatcher)
 exports.getAllShipments = async (req, res) => {
-  try {
-    // Fetch all shipments, sort by creation date descending
-    const shipments = await Shipment.find().sort({ createdAt: -1 });
-    res.json(shipments);
-  } catch (err) {
-    console.error("Error fetching all shipments:", err.message);
-    res.status(500).send('Server Error');
-  }
+  // Malformed filters throw an InvalidQueryError (400)
+  res.json(await findShipmentPage(req.query));
 };
 
 // @desc    Get single shipment by ID (MongoDB _id) or trackingId
 // @route   GET /api/shipments/:id
-// @access  Public
+// @access  Private (admin, dispatcher; assigned driver, customer)
 exports.getShipmentById = async (req, res) => {
-  try {
-    let shipment = await Shipment.findById(req.params.id);
-
-    // If not found by _id, try finding by trackingId as a fallback
-    if (!shipment) {
-        shipment = await Shipment.findOne({ trackingId: req.params.id });
-    }
+  const shipment = await findShipment(req.params.id);
 
-    if (!shipment) {
-      return res.status(404).json({ msg: 'Shipment not found' });
-    }
-    res.json(shipment);
-  } catch (err) {
-    console.error(`Error fetching shipment ${req.params.id}:`, err.message);
-    // Handle invalid MongoDB ObjectId format
-    if (err.kind === 'ObjectId') {
-      // Try searching by trackingId again just in case the format was misleading
-       const shipmentByTrackingId = await Shipment.findOne({ trackingId: req.params.id });
-        if (shipmentByTrackingId) {
-            return res.json(shipmentByTrackingId);
-        }
-       return res.status(404).json({ msg: 'Shipment not found (invalid ID format)' });
-    }
-    res.status(500).send('Server Error');
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
   }
+  setETag(res, shipment); // Also answers If-None-Match with 304
+  res.json(shipment);
 };
 
 // @desc    Create a new shipment and calculate its route
 // @route   POST /api/shipments
-// @access  Public (or Private if auth added)
+// @access  Private (admin, dispatcher)
 exports.createShipment = async (req, res) => {
-  // Destructure expected fields from request body
-  const {
-    containerId,
-    origin, // Expecting { name, latitude?, longitude? }
-    destination, // Expecting { name, latitude?, longitude? }
-    route: intermediateRoutePoints, // Optional array of intermediate waypoints
-    status,
-    notes
-  } = req.body;
-
-  try {
-    // --- Basic Validation ---
-    if (!containerId || !origin?.name || !destination?.name) {
-        return res.status(400).json({ msg: 'Missing required fields: containerId, origin name, destination name' });
-    }
-    // Check for necessary coordinates for routing (can be made optional later if needed)
-    const hasOriginCoords = typeof origin?.latitude === 'number' && typeof origin?.longitude === 'number';
-    const hasDestCoords = typeof destination?.latitude === 'number' && typeof destination?.longitude === 'number';
-
-    if (!hasOriginCoords || !hasDestCoords) {
-         // Decide if this is a hard error or just a warning preventing detailed route calculation
-         console.warn(`Shipment creation for ${containerId} is missing coordinates for origin or destination. Detailed route cannot be calculated.`);
-         // Allow creation but without detailed route? Or return error?
-         // For now, allow creation, detailed route will be null.
-        // return res.status(400).json({ msg: 'Origin and Destination must have valid latitude and longitude for route calculation.' });
-    }
-    // --- End Validation ---
-
-
-    // --- Prepare Waypoints for Routing Service ---
-    // Only include points that have valid coordinates
-    const waypointsForRouting = [
-        origin,
-        ...(intermediateRoutePoints || []).filter(p => p && typeof p.latitude === 'number' && typeof p.longitude === 'number'), // Filter valid intermediates
-        destination
-    ].filter(p => p && typeof p.latitude === 'number' && typeof p.longitude === 'number'); // Ensure all points used for routing are valid
-
-
-    // --- Call Routing Service (OSRM) ---
-    let detailedGeometry = null;
-    if (waypointsForRouting.length >= 2) {
-        console.log(`Attempting to get detailed route for ${waypointsForRouting.length} waypoints.`);
-        detailedGeometry = await getRouteGeometryFromOSRM(waypointsForRouting);
-        if (!detailedGeometry) {
-            console.warn(`Could not retrieve detailed route geometry for shipment ${containerId}. Proceeding without it.`);
-        } else {
-            console.log(`Successfully retrieved detailed route geometry for shipment ${containerId}.`);
-        }
-    } else {
-        console.warn(`Not enough valid waypoints with coordinates (${waypointsForRouting.length}) to calculate route for shipment ${containerId}.`);
-    }
-    // --- End Routing Service Call ---
-
-
-    // --- Create New Shipment Instance ---
-    const newShipment = new Shipment({
-      containerId,
-      origin,
-      destination,
-      // Pass intermediate points to pre-save hook for inclusion in basic 'route' array
-      route: intermediateRoutePoints || [],
-      status,
-      notes,
-      // Add the fetched detailed geometry (will be null if routing failed)
-      detailedRouteGeometry: detailedGeometry,
-      // trackingId, currentLocation, estimatedETA, and the basic 'route' array
-      // will be handled/refined by the pre-save hook in the model
+  // Container checks, routing, saving and the initial tracking event
+  const shipment = await createShipmentRecord(req.body, { audit: auditContext(req) });
+
+  // Return the newly created shipment document, with container and gazetteer warnings if any
+  const warnings = shipment.$locals.warnings || [];
+  setETag(res, shipment);
+  res.status(201).json(warnings.length > 0 ? { ...shipment.toJSON(), warnings } : shipment);
+};
+
+
+// @desc    Update shipment's current location
+// @route   POST /api/shipments/:id/update-location
+// @access  Private (admin, dispatcher; assigned driver)
+exports.updateShipmentLocation = async (req, res) => {
+  // Expecting new location details in the body (locationName and/or both coordinates)
+  const { locationName, latitude, longitude, source, sensors } = req.body;
+
+  // When the position was taken; defaults to now
+  const now = new Date();
+  const timestamp = req.body.timestamp ? new Date(req.body.timestamp) : now;
+  if (timestamp - now > LOCATION_MAX_FUTURE_SKEW_MS) {
+    throw ApiError.badRequest('timestamp is in the future', {
+      details: [{ in: 'body', path: 'timestamp', code: 'range', msg: 'must not be in the future' }]
     });
+  }
 
-    // --- Save the Shipment (pre-save hook runs here) ---
-    const shipment = await newShipment.save();
+  const shipment = await findShipment(req.params.id);
 
-    console.log(`Shipment created successfully: ${shipment.trackingId}`);
-    // Return the newly created shipment document
-    res.status(201).json(shipment);
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+  checkIfMatch(req, shipment);
 
-  } catch (err) {
-    console.error("Error creating shipment:", err); // Log the full error
-    if (err.name === 'ValidationError') {
-         return res.status(400).json({ msg: 'Validation Error', errors: err.errors });
-    }
-    // Handle unique index violation (e.g., duplicate trackingId if generation wasn't unique)
-    if (err.code === 11000) {
-         // Determine which field caused the error if possible (might need parsing err.message)
-         return res.status(400).json({ msg: 'Error: Duplicate value detected for a unique field (e.g., trackingId).' });
-    }
-    // General server error
-    res.status(500).send('Server Error');
+  // Prevent updates once the shipment is Delivered or Cancelled
+  if (isTerminal(shipment.status)) {
+    throw ApiError.conflict(`Cannot update location for ${shipment.status.toLowerCase()} shipments.`, { code: 'SHIPMENT_CLOSED' });
   }
+
+  // An older position than the stored one arrived late; it must not overwrite the newer one
+  const currentTimestamp = shipment.currentLocation?.timestamp;
+  if (currentTimestamp && timestamp <= currentTimestamp) {
+    throw ApiError.conflict('Location is not newer than the current location', {
+      code: 'STALE_LOCATION',
+      currentTimestamp
+    });
+  }
+
+  // A known place standardises the name, and locates a name-only update (see utils/gazetteer.js)
+  const { location: resolved, warning } = locationName
+    ? await resolveLocation({ name: locationName, latitude, longitude }, 'locationName')
+    : { location: { latitude, longitude } };
+  const hasCoords = typeof resolved.latitude === 'number' && typeof resolved.longitude === 'number';
+  const reported = hasCoords ? { latitude: resolved.latitude, longitude: resolved.longitude } : {};
+
+  // --- Geofences: detect arrivals/departures from the coordinates ---
+  const { geofence, transitions } = evaluateGeofences(shipment, reported, tenantSettings().geofenceRadiusMeters);
+  if (hasCoords) {
+      const stillInside = geofence && shipment.currentGeofence?.name === geofence.name;
+      shipment.currentGeofence = geofence
+          ? { name: geofence.name, kind: geofence.kind, enteredAt: stillInside ? shipment.currentGeofence.enteredAt : timestamp }
+          : undefined;
+  }
+
+  // Coordinate-only updates are named after the geofence they fall in, or the coordinates
+  const name = resolved.name || geofence?.name || `${reported.latitude.toFixed(5)}, ${reported.longitude.toFixed(5)}`;
+
+  console.log(`Updating location for shipment ${shipment.trackingId} to ${name}`);
+
+  // Update current location details
+  shipment.currentLocation = {
+      name,
+      latitude: reported.latitude, // Include coords if valid numbers
+      longitude: reported.longitude,
+      timestamp,
+      place: resolved.place
+  };
+
+  // --- Update status logic (transitions are validated by the pre-save hook) ---
+  // Delivery is detected by the destination geofence: any position inside it, so a
+  // shipment already inside when it was first tracked is delivered too. Matching the
+  // name is only the fallback when either side has no coordinates to compare.
+  const destinationHasCoords = typeof shipment.destination?.latitude === 'number' && typeof shipment.destination?.longitude === 'number';
+  const arrivedAtDestination = hasCoords && destinationHasCoords
+    ? geofence?.kind === 'destination'
+    : !!resolved.name && shipment.destination?.name?.trim().toLowerCase() === resolved.name.trim().toLowerCase();
+
+  if (arrivedAtDestination) {
+      shipment.status = 'Delivered';
+      shipment.actualDeliveryDate = timestamp;
+      console.log(`Shipment status changed to Delivered.`);
+  } else if (shipment.status === 'Pending') {
+      // First movement; a Delayed shipment stays Delayed until set otherwise
+      shipment.status = 'In Transit';
+      console.log(`Shipment status changed to In Transit.`);
+  }
+
+  // The pre-save hook will automatically recalculate ETA when we save
+  shipment.$locals.audit = auditContext(req, 'location');
+  await shipment.save();
+
+  // Keep the previous positions: append to the tracking history,
+  // with departures before and arrivals after the position itself
+  const eventSource = typeof source === 'string' && source.trim() ? source.trim() : 'manual';
+  for (const { type, geofence: fence } of transitions.filter(t => t.type === 'departure')) {
+    await recordTrackingEvent(shipment, eventSource, { type, geofence: fence });
+  }
+  await recordTrackingEvent(shipment, eventSource);
+  for (const { type, geofence: fence } of transitions.filter(t => t.type === 'arrival')) {
+    await recordTrackingEvent(shipment, eventSource, { type, geofence: fence });
+    console.log(`Shipment ${shipment.trackingId} arrived at ${fence.kind} geofence ${fence.name}.`);
+  }
+
+  // Sensor values sent along are a reading taken at the same time (see utils/sensorTelemetry.js)
+  if (sensors) {
+    await recordReadings(shipment, [{ ...sensors, timestamp }], { source: eventSource });
+  }
+
+  // Return the updated shipment, with a gazetteer warning (fuzzy, ambiguous or unmatched name) if any
+  setETag(res, shipment);
+  res.json(warning ? { ...shipment.toJSON(), warnings: [warning] } : shipment);
 };
 
 
-// @desc    Update shipment's current location
-// @route   POST /api/shipments/:id/update-location
-// @access  Public (or Private)
-exports.updateShipmentLocation = async (req, res) => {
-  // Expecting new location details in the body
-  const { locationName, latitude, longitude } = req.body;
+// @desc    Ingest a batch of timestamped GPS fixes for many shipments or devices
+// @route   POST /api/shipments/locations/batch
+// @access  Private (admin, dispatcher, driver; drivers only reach assigned shipments)
+exports.ingestLocations = async (req, res) => {
+  const body = req.body;
+  const fixes = Array.isArray(body) ? body : body.fixes;
+  const source = typeof body.source === 'string' && body.source.trim() ? body.source.trim() : undefined;
+
+  const result = await ingestLocationBatch(fixes, { auth: req.auth, source, audit: auditContext(req, 'location') });
+  res.json(result);
+};
+
+// @desc    Update editable shipment fields (notes, waypoints, status, ...)
+// @route   PATCH /api/shipments/:id
+// @access  Private (admin, dispatcher)
+exports.updateShipment = async (req, res) => {
+  // Only the client-editable fields get past the route schema
+  const updates = req.body;
+  const fields = Object.keys(updates);
 
-  if (!locationName) {
-     return res.status(400).json({ msg: 'Location name is required in the request body' });
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
   }
+  checkIfMatch(req, shipment);
 
-  try {
-    let shipment = await Shipment.findById(req.params.id);
-     if (!shipment) {
-        // Fallback check by trackingId
-        shipment = await Shipment.findOne({ trackingId: req.params.id });
-    }
+  // A booking leg's route is defined by the booking
+  if (shipment.booking && ['origin', 'destination', 'route', 'transportMode'].some(f => f in updates)) {
+    throw ApiError.conflict('Shipment belongs to a booking; its route and mode are set by the booking leg.');
+  }
 
-    if (!shipment) {
-      return res.status(404).json({ msg: 'Shipment not found' });
-    }
+  // Delivered/Cancelled shipments are closed: only notes may still change
+  if (isTerminal(shipment.status) && fields.some(f => f !== 'notes' && !(f === 'status' && updates.status === shipment.status))) {
+    throw ApiError.conflict(`Shipment is ${shipment.status}; only notes can be updated.`, { code: 'SHIPMENT_CLOSED' });
+  }
 
-    // Prevent updates if already delivered
-    if (shipment.status === 'Delivered') {
-         return res.status(400).json({ msg: 'Cannot update location for delivered shipments.' });
-    }
+  // Same container checks as on creation
+  const container = 'containerId' in updates
+    ? await checkContainer(updates.containerId, { excludeShipmentId: shipment._id, booking: shipment.booking })
+    : null;
 
-    console.log(`Updating location for shipment ${shipment.trackingId} to ${locationName}`);
+  // New locations get standard names, and coordinates if given by name only
+  const locations = await resolveLocations(
+    Object.fromEntries(['origin', 'destination', 'route'].filter(f => f in updates).map(f => [f, updates[f]]))
+  );
+  const warnings = [...(container?.warnings || []), ...locations.warnings];
 
-    // Update current location details
-    shipment.currentLocation = {
-        name: locationName,
-        latitude: typeof latitude === 'number' ? latitude : undefined, // Include coords if valid numbers
-        longitude: typeof longitude === 'number' ? longitude : undefined,
-        timestamp: new Date()
-    };
+  console.log(`Updating shipment ${shipment.trackingId}: ${fields.join(', ')}`);
 
-    // Update status logic
-    if (shipment.status === 'Pending') {
-        shipment.status = 'In Transit';
-        console.log(`Shipment status changed to In Transit.`);
-    }
-     // If the new location matches the destination name, mark as Delivered
-    if (shipment.destination?.name === locationName) {
-        shipment.status = 'Delivered';
-        shipment.actualDeliveryDate = new Date();
-        // shipment.estimatedETA = null; // ETA calculation in pre-save will handle this
-        console.log(`Shipment status changed to Delivered.`);
-    } else if (shipment.status !== 'Delayed' && shipment.status !== 'Cancelled') {
-        // If not delivered ensure it is 'In Transit' unless manually set otherwise
-         shipment.status = 'In Transit';
-    }
+  const routeChanged = ['origin', 'destination', 'route', 'transportMode'].some(f => f in updates);
+  if ('transportMode' in updates) shipment.transportMode = updates.transportMode;
+
+  if (routeChanged) {
+    // Intermediate waypoints: as given, or the current route without the old endpoints
+    const oldEndpoints = [shipment.origin?.name, shipment.destination?.name];
+    const intermediatePoints = 'route' in updates
+      ? locations.route
+      : shipment.route.map(loc => loc.toObject()).filter(loc => !oldEndpoints.includes(loc.name));
+
+    const origin = locations.origin || shipment.origin.toObject();
+    const destination = locations.destination || shipment.destination.toObject();
 
-    // The pre-save hook will automatically recalculate ETA when we save
-    await shipment.save();
+    shipment.origin = origin;
+    shipment.destination = destination;
+    shipment.route = intermediatePoints; // Rebuilt into origin -> waypoints -> destination by the pre-save hook
+    shipment.detailedRouteGeometry = await buildRouteGeometry(origin, intermediatePoints, destination, shipment.transportMode, shipment.trackingId);
+  }
 
-    res.json(shipment); // Return the updated shipment
+  if (container) shipment.containerId = container.containerId;
+  if ('notes' in updates) shipment.notes = updates.notes;
+  if ('committedDeliveryDate' in updates) shipment.committedDeliveryDate = updates.committedDeliveryDate;
+  if ('deviceId' in updates) shipment.deviceId = updates.deviceId || undefined; // null or '' detaches the device
+  if ('sensorThresholds' in updates) {
+    // The ranges given replace those of their metric; null removes one, or all of them
+    const ranges = updates.sensorThresholds || Object.fromEntries(METRIC_NAMES.map(metric => [metric, null]));
+    Object.entries(ranges).forEach(([metric, range]) => shipment.set(`sensorThresholds.${metric}`, range ?? undefined));
+  }
 
-  } catch (err) {
-    console.error(`Error updating location for shipment ${req.params.id}:`, err.message);
-     if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Shipment not found (invalid ID format)' });
+  if ('status' in updates && updates.status !== shipment.status) {
+    shipment.status = updates.status;
+    if (updates.status === 'Delivered' && !shipment.actualDeliveryDate) {
+      shipment.actualDeliveryDate = new Date();
     }
-     if (err.name === 'ValidationError') {
-         return res.status(400).json({ msg: 'Validation Error during update', errors: err.errors });
+    if (updates.status === 'Cancelled') {
+      shipment.cancelledAt = new Date();
     }
-    res.status(500).send('Server Error');
   }
+
+  // The pre-save hook validates the status transition (409) and recalculates ETA
+  shipment.$locals.audit = auditContext(req, 'update');
+  await shipment.save();
+
+  if (container?.valid) {
+    await registerContainer(container.containerId);
+  }
+  setETag(res, shipment);
+  res.json(warnings.length > 0 ? { ...shipment.toJSON(), warnings } : shipment);
+};
+
+
+// @desc    Cancel a shipment
+// @route   POST /api/shipments/:id/cancel
+// @access  Private (admin, dispatcher)
+exports.cancelShipment = async (req, res) => {
+  const { reason } = req.body || {};
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+  checkIfMatch(req, shipment);
+
+  console.log(`Cancelling shipment ${shipment.trackingId}`);
+
+  shipment.status = 'Cancelled';
+  shipment.cancelledAt = new Date();
+  if (typeof reason === 'string' && reason.trim()) {
+    shipment.cancellationReason = reason.trim();
+  }
+
+  // Rejected by the pre-save hook if the shipment is already Delivered/Cancelled
+  shipment.$locals.audit = auditContext(req, 'cancel');
+  await shipment.save();
+
+  setETag(res, shipment);
+  res.json(shipment);
+};
+
+
+// @desc    Delete a shipment with its tracking history, exceptions, sensor readings and documents
+// @route   DELETE /api/shipments/:id
+// @access  Private (admin)
+exports.deleteShipment = async (req, res) => {
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+  checkIfMatch(req, shipment);
+
+  await TrackingEvent.deleteMany({ shipment: shipment._id });
+  await ShipmentException.deleteMany({ shipment: shipment._id });
+  await SensorReading.deleteMany({ 'meta.shipment': shipment._id });
+  await SensorBreach.deleteMany({ shipment: shipment._id });
+  await removeDocuments({ shipment: shipment._id }); // With their files
+  await shipment.deleteOne();
+  await recordDeletion([shipment], auditContext(req, 'delete')); // The audit trail itself is kept
+
+  console.log(`Shipment deleted: ${shipment.trackingId}`);
+  res.json({ msg: 'Shipment deleted', shipmentId: shipment._id, trackingId: shipment.trackingId });
 };
 
 
 // @desc    Get calculated ETA for a shipment
 // @route   GET /api/shipments/:id/eta
-// @access  Public
+// @access  Private (admin, dispatcher; assigned driver, customer)
 // NOTE: This endpoint might become less critical if ETA is always updated on save
 // via the pre-save hook. However, it can be useful for forcing a recalculation check.
 exports.getShipmentETA = async (req, res) => {
-    try {
-        let shipment = await Shipment.findById(req.params.id);
-        if (!shipment) {
-            // Fallback check by trackingId
-            shipment = await Shipment.findOne({ trackingId: req.params.id });
-        }
-
-        if (!shipment) {
-           return res.status(404).json({ msg: 'Shipment not found' });
-        }
-
-        // We can either return the stored ETA or force a recalculation here
-        let eta;
-        if (typeof shipment.calculateSimpleETA === 'function') {
-             console.log(`Recalculating ETA on demand for ${shipment.trackingId}`);
-             eta = shipment.calculateSimpleETA();
-             // Optionally, save this recalculated ETA back?
-             // shipment.estimatedETA = eta;
-             // await shipment.save(); // Be cautious about triggering saves in GET requests
-        } else {
-            console.warn(`calculateSimpleETA method not found on shipment ${shipment.trackingId}. Returning stored ETA.`);
-            eta = shipment.estimatedETA; // Fallback to stored value
-        }
-
-
-        res.json({
-            shipmentId: shipment._id,
-            trackingId: shipment.trackingId,
-            estimatedETA: eta // Return the calculated or stored ETA
-        });
-
-    } catch (err) {
-        console.error(`Error getting ETA for shipment ${req.params.id}:`, err.message);
-        if (err.kind === 'ObjectId') {
-            return res.status(404).json({ msg: 'Shipment not found (invalid ID format)' });
-        }
-        res.status(500).send('Server Error');
+    const shipment = await findShipment(req.params.id);
+
+    if (!shipment) {
+       throw ApiError.notFound('Shipment not found');
     }
-};
\ No newline at end of file
+
+    // Recalculate on demand (not saved back: avoid writes in GET requests)
+    console.log(`Recalculating ETA on demand for ${shipment.trackingId}`);
+    const estimate = shipment.calculateETA();
+
+    res.json({
+        shipmentId: shipment._id,
+        trackingId: shipment.trackingId,
+        estimatedETA: estimate.eta,
+        remainingDistanceKm: estimate.remainingDistanceKm,
+        totalDistanceKm: estimate.totalDistanceKm,
+        progressPercent: estimate.progressPercent,
+        speedKmh: estimate.speedKmh,
+        confidence: estimate.confidence,
+        method: estimate.method // 'geometry', 'route', 'legs', 'none', 'delivered' or 'cancelled'
+    });
+};
+
+
+// @desc    Get the audit trail of a shipment, newest first; also works after deletion
+// @route   GET /api/shipments/:id/audit?action=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getShipmentAudit = async (req, res) => {
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 50;
+
+  // A deleted shipment is found through its audit entries instead
+  const shipment = await findShipment(req.params.id, 'trackingId');
+  const subject = shipment
+    ? { shipment: shipment._id, trackingId: shipment.trackingId }
+    : await ShipmentAudit.findOne({
+      $or: [{ trackingId: req.params.id }, ...(mongoose.Types.ObjectId.isValid(req.params.id) ? [{ shipment: req.params.id }] : [])]
+    }, 'shipment trackingId');
+  if (!subject) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const filter = { shipment: subject.shipment };
+  if (req.query.action) filter.action = req.query.action;
+
+  const [total, entries] = await Promise.all([
+    ShipmentAudit.countDocuments(filter),
+    ShipmentAudit.find(filter)
+      .sort({ timestamp: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    shipmentId: subject.shipment,
+    trackingId: subject.trackingId,
+    deleted: !shipment,
+    total,
+    page,
+    limit,
+    entries
+  });
+};
+
+
+// @desc    Get the tracking event history for a shipment
+// @route   GET /api/shipments/:id/events?from=&to=&page=&limit=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getShipmentEvents = async (req, res) => {
+  const { from, to } = req.query;
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 50;
+
+  const timestampFilter = {};
+  if (from) timestampFilter.$gte = new Date(from);
+  if (to) timestampFilter.$lte = new Date(to);
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const filter = { shipment: shipment._id };
+  if (Object.keys(timestampFilter).length > 0) {
+    filter.timestamp = timestampFilter;
+  }
+
+  // Newest first, so page 1 answers "where is it now / where was it recently"
+  const [total, events] = await Promise.all([
+    TrackingEvent.countDocuments(filter),
+    TrackingEvent.find(filter)
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    total,
+    page,
+    limit,
+    events
+  });
+};
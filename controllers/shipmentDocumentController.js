@@ -0,0 +1,193 @@
+const ShipmentDocument = require('../models/ShipmentDocument');
+const findShipment = require('../utils/findShipment');
+const { storeDocument, openDocument, removeDocuments } = require('../utils/shipmentDocuments');
+const { contentDisposition } = require('../utils/documentFiles');
+const { LOCATION_MAX_FUTURE_SKEW_MS } = require('../utils/locationIngest');
+const { haversineKm } = require('../utils/geo');
+const { auditContext } = require('../utils/auditTrail');
+const { setETag, checkIfMatch } = require('../utils/preconditions');
+const { ApiError } = require('../utils/apiError');
+
+// Documents attached to a shipment (bill of lading, invoices, customs papers)
+// and its proof of delivery. Files are uploaded as the raw request body, with
+// their type as Content-Type, and kept in file storage (see utils/fileStorage.js).
+
+// --- Helper: find a shipment, 404 if there is none ---
+const requireShipment = async (id) => {
+  const shipment = await findShipment(id);
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+  return shipment;
+};
+
+// --- Helper: find a document of the shipment, 404 if there is none ---
+const requireDocument = async (shipment, documentId) => {
+  const document = await ShipmentDocument.findOne({ _id: documentId, shipment: shipment._id });
+  if (!document) {
+    throw ApiError.notFound('Document not found');
+  }
+  return document;
+};
+
+// --- Helper: who is acting, as stored on documents and the proof of delivery ---
+const actor = (req) => ({ type: req.auth.type, id: req.auth.id, name: req.auth.name });
+
+// @desc    Attach a document to a shipment
+// @route   POST /api/shipments/:id/documents?type=&filename=&description=
+// @access  Private (admin, dispatcher; assigned driver)
+exports.uploadShipmentDocument = async (req, res) => {
+  const shipment = await requireShipment(req.params.id);
+
+  // Content type and content are checked against the document type (415/400)
+  const document = await storeDocument(shipment, req.body, {
+    type: req.query.type,
+    contentType: String(req.get('Content-Type') || '').split(';')[0].trim().toLowerCase(),
+    filename: req.query.filename,
+    description: req.query.description,
+    uploadedBy: actor(req)
+  });
+
+  console.log(`Document ${document.filename} (${document.type}, ${document.size} bytes) attached to shipment ${shipment.trackingId}`);
+  res.status(201).json(document);
+};
+
+// @desc    List the documents of a shipment, newest first
+// @route   GET /api/shipments/:id/documents?type=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getShipmentDocuments = async (req, res) => {
+  const shipment = await requireShipment(req.params.id);
+
+  const filter = { shipment: shipment._id };
+  if (req.query.type) filter.type = req.query.type;
+  const documents = await ShipmentDocument.find(filter).sort({ createdAt: -1 });
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    total: documents.length,
+    documents
+  });
+};
+
+// @desc    Get the details of a shipment document
+// @route   GET /api/shipments/:id/documents/:documentId
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getShipmentDocument = async (req, res) => {
+  const shipment = await requireShipment(req.params.id);
+  res.json(await requireDocument(shipment, req.params.documentId));
+};
+
+// @desc    Download the file of a shipment document
+// @route   GET /api/shipments/:id/documents/:documentId/content
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.downloadShipmentDocument = async (req, res) => {
+  const shipment = await requireShipment(req.params.id);
+  const document = await requireDocument(shipment, req.params.documentId);
+
+  const stream = await openDocument(document);
+  if (!stream) {
+    console.error(`File of document ${document._id} (${shipment.trackingId}) is missing from storage`);
+    throw ApiError.notFound('Document file not found');
+  }
+
+  res.set({
+    'Content-Type': document.contentType,
+    'Content-Length': String(document.size),
+    'Content-Disposition': contentDisposition(document.filename),
+    'X-Content-Type-Options': 'nosniff' // Never render an upload as anything but its type
+  });
+  stream.on('error', (err) => {
+    console.error(`Download of document ${document._id} failed:`, err.message);
+    res.destroy(err);
+  });
+  stream.pipe(res);
+};
+
+// @desc    Remove a document from a shipment
+// @route   DELETE /api/shipments/:id/documents/:documentId
+// @access  Private (admin, dispatcher)
+exports.deleteShipmentDocument = async (req, res) => {
+  const shipment = await requireShipment(req.params.id);
+  const document = await requireDocument(shipment, req.params.documentId);
+
+  const pod = shipment.proofOfDelivery;
+  if (pod?.signature?.equals(document._id) || pod?.photos?.some(id => id.equals(document._id))) {
+    throw ApiError.conflict('Document is part of the proof of delivery and cannot be removed');
+  }
+
+  await removeDocuments({ _id: document._id });
+
+  console.log(`Document ${document.filename} removed from shipment ${shipment.trackingId}`);
+  res.json({ msg: 'Document deleted', documentId: document._id });
+};
+
+// @desc    Capture the proof of delivery; marks the shipment Delivered if it isn't yet
+// @route   POST /api/shipments/:id/proof-of-delivery
+// @access  Private (admin, dispatcher; assigned driver)
+exports.captureProofOfDelivery = async (req, res) => {
+  const { recipientName, latitude, longitude, signatureDocumentId, photoDocumentIds = [], notes } = req.body;
+
+  const now = new Date();
+  const deliveredAt = req.body.deliveredAt ? new Date(req.body.deliveredAt) : now;
+  if (deliveredAt - now > LOCATION_MAX_FUTURE_SKEW_MS) {
+    throw ApiError.badRequest('deliveredAt is in the future', {
+      details: [{ in: 'body', path: 'deliveredAt', code: 'range', msg: 'must not be in the future' }]
+    });
+  }
+
+  const shipment = await requireShipment(req.params.id);
+  checkIfMatch(req, shipment);
+
+  if (shipment.status === 'Cancelled') {
+    throw ApiError.conflict('Cannot deliver a cancelled shipment.', { code: 'SHIPMENT_CLOSED' });
+  }
+  if (shipment.proofOfDelivery?.capturedAt) {
+    throw ApiError.conflict('Proof of delivery was already captured', { code: 'POD_EXISTS' });
+  }
+
+  // The signature and photos are uploaded to the shipment first, as delivery_signature and delivery_photo documents
+  const wanted = [
+    ...(signatureDocumentId ? [{ id: signatureDocumentId, type: 'delivery_signature', path: 'signatureDocumentId' }] : []),
+    ...photoDocumentIds.map((id, i) => ({ id, type: 'delivery_photo', path: `photoDocumentIds[${i}]` }))
+  ];
+  const documents = await ShipmentDocument.find({ _id: { $in: wanted.map(w => w.id) }, shipment: shipment._id }, 'type');
+  const details = wanted
+    .filter(w => !documents.some(d => d._id.equals(w.id) && d.type === w.type))
+    .map(w => ({ in: 'body', path: w.path, code: 'invalid', msg: `must be a ${w.type} document of this shipment` }));
+  if (details.length > 0) {
+    throw ApiError.badRequest('Proof of delivery refers to unknown documents', { details });
+  }
+
+  const hasCoords = typeof latitude === 'number' && typeof longitude === 'number';
+  const destination = shipment.destination;
+  const destinationHasCoords = typeof destination?.latitude === 'number' && typeof destination?.longitude === 'number';
+
+  shipment.proofOfDelivery = {
+    recipientName,
+    deliveredAt,
+    latitude,
+    longitude,
+    distanceFromDestinationKm: hasCoords && destinationHasCoords
+      ? Math.round(haversineKm([longitude, latitude], [destination.longitude, destination.latitude]) * 100) / 100
+      : undefined,
+    signature: signatureDocumentId,
+    photos: photoDocumentIds.length > 0 ? photoDocumentIds : undefined,
+    notes,
+    capturedBy: actor(req),
+    capturedAt: now
+  };
+
+  // A shipment already delivered by its destination geofence keeps its delivery date
+  if (shipment.status !== 'Delivered') {
+    shipment.status = 'Delivered';
+    shipment.actualDeliveryDate = deliveredAt;
+    console.log(`Shipment ${shipment.trackingId} delivered to ${recipientName}.`);
+  }
+
+  shipment.$locals.audit = auditContext(req, 'delivery');
+  await shipment.save();
+
+  setETag(res, shipment);
+  res.status(201).json(shipment);
+};
@@ -0,0 +1,84 @@
+const Shipment = require('../models/Shipment');
+const {
+  InvalidQueryError,
+  buildFilter,
+  parseProjection,
+  parseLimit,
+  findShipmentPage
+} = require('../utils/shipmentQuery');
+const {
+  regionFromRequest,
+  locatedWithin,
+  routeIntersects,
+  locatedNear
+} = require('../utils/geoQuery');
+
+// Geo searches over the 2dsphere indexes of models/Shipment.js. The list
+// filters (status, origin, ...) and ?fields= apply as in GET /api/shipments.
+
+// @desc    Shipments whose current location is within a radius, nearest first
+// @route   GET /api/shipments/geo/near?latitude=&longitude=&radiusKm=&limit=&fields=&status=&...
+// @access  Private (admin, dispatcher)
+exports.getShipmentsNear = async (req, res) => {
+  if (req.query.q) {
+    throw new InvalidQueryError('"q" cannot be combined with a near search', 'q');
+  }
+  const center = [Number(req.query.longitude), Number(req.query.latitude)];
+  const radiusKm = Number(req.query.radiusKm);
+  const filter = buildFilter(req.query);
+  const projection = parseProjection(req.query.fields, 'currentLocation');
+  const limit = parseLimit(req.query.limit);
+
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: center },
+        key: 'currentLocation.point', // The collection has several 2dsphere indexes
+        distanceField: 'distanceMeters',
+        maxDistance: radiusKm * 1000,
+        query: filter,
+        spherical: true
+      }
+    },
+    { $limit: limit }
+  ];
+  if (projection) {
+    const including = Object.values(projection).some(v => v === 1);
+    pipeline.push({ $project: including ? { ...projection, distanceMeters: 1 } : projection });
+  }
+
+  const [total, results] = await Promise.all([
+    Shipment.countDocuments({ $and: [filter, locatedNear(center, radiusKm)] }),
+    Shipment.aggregate(pipeline)
+  ]);
+
+  const shipments = results.map(({ distanceMeters, ...shipment }) => ({
+    ...shipment,
+    distanceKm: Math.round(distanceMeters) / 1000
+  }));
+
+  res.json({
+    center: { latitude: center[1], longitude: center[0] },
+    radiusKm,
+    total,
+    count: shipments.length,
+    limit,
+    shipments
+  });
+};
+
+// @desc    Shipments whose current location is inside a bounding box or polygon
+// @route   GET /api/shipments/geo/within?bbox=minLon,minLat,maxLon,maxLat&...
+//          POST /api/shipments/geo/within { bbox } or { geometry }
+// @access  Private (admin, dispatcher)
+exports.getShipmentsWithin = async (req, res) => {
+  res.json(await findShipmentPage(req.query, locatedWithin(regionFromRequest(req))));
+};
+
+// @desc    Shipments whose detailed route geometry crosses a bounding box or polygon
+// @route   GET /api/shipments/geo/intersects?bbox=minLon,minLat,maxLon,maxLat&...
+//          POST /api/shipments/geo/intersects { bbox } or { geometry }
+// @access  Private (admin, dispatcher)
+exports.getShipmentsIntersecting = async (req, res) => {
+  res.json(await findShipmentPage(req.query, routeIntersects(regionFromRequest(req))));
+};
@@ -0,0 +1,141 @@
+const SensorReading = require('../models/SensorReading');
+const SensorBreach = require('../models/SensorBreach');
+const findShipment = require('../utils/findShipment');
+const { isTerminal } = require('../utils/shipmentStatus');
+const { recordReadings, summarizeReadings } = require('../utils/sensorTelemetry');
+const { ApiError } = require('../utils/apiError');
+
+// Sensor telemetry of a shipment: readings, breaches of its allowed ranges
+// (sensorThresholds) and summaries (see utils/sensorTelemetry.js).
+
+// --- Helper: { $gte, $lte } of ?from=&to=, or null without either ---
+const timeWindow = ({ from, to }) => {
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) range.$lte = new Date(to);
+  return range;
+};
+
+// @desc    Record sensor readings of a shipment; readings out of range raise breach exceptions
+// @route   POST /api/shipments/:id/readings
+// @access  Private (admin, dispatcher; assigned driver)
+exports.recordShipmentReadings = async (req, res) => {
+  const { readings } = req.body;
+  const source = typeof req.body.source === 'string' && req.body.source.trim() ? req.body.source.trim() : undefined;
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+  if (isTerminal(shipment.status)) {
+    throw ApiError.conflict(`Cannot record readings for ${shipment.status.toLowerCase()} shipments.`, { code: 'SHIPMENT_CLOSED' });
+  }
+
+  const result = await recordReadings(shipment, readings, { source });
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    ...result
+  });
+};
+
+// @desc    Get the sensor readings of a shipment, newest first
+// @route   GET /api/shipments/:id/readings?from=&to=&page=&limit=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getShipmentReadings = async (req, res) => {
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 50;
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const filter = { 'meta.shipment': shipment._id };
+  const timestamp = timeWindow(req.query);
+  if (timestamp) filter.timestamp = timestamp;
+
+  const [total, readings] = await Promise.all([
+    SensorReading.countDocuments(filter),
+    SensorReading.find(filter, '-meta')
+      .sort({ timestamp: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    total,
+    page,
+    limit,
+    readings
+  });
+};
+
+// @desc    Min, max and mean of each sensor metric of a shipment, overall and per hour or day
+// @route   GET /api/shipments/:id/readings/summary?from=&to=&interval=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getReadingsSummary = async (req, res) => {
+  const { from, to, interval } = req.query;
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const summary = await summarizeReadings(shipment, {
+    from: from ? new Date(from) : undefined,
+    to: to ? new Date(to) : undefined,
+    interval
+  });
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    from: from ? new Date(from) : null,
+    to: to ? new Date(to) : null,
+    interval: interval || null,
+    ...summary
+  });
+};
+
+// @desc    Get the periods in which a sensor metric of a shipment was out of range, newest first
+// @route   GET /api/shipments/:id/breaches?metric=&ongoing=&page=&limit=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.getShipmentBreaches = async (req, res) => {
+  const page = Number(req.query.page) || 1;
+  const limit = Number(req.query.limit) || 50;
+
+  const shipment = await findShipment(req.params.id);
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const filter = { shipment: shipment._id };
+  if (req.query.metric) filter.metric = req.query.metric;
+  if (req.query.ongoing !== undefined) filter.endedAt = req.query.ongoing === 'true' ? null : { $ne: null };
+
+  const [total, breaches] = await Promise.all([
+    SensorBreach.countDocuments(filter),
+    SensorBreach.find(filter)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({
+    shipmentId: shipment._id,
+    trackingId: shipment.trackingId,
+    total,
+    page,
+    limit,
+    breaches
+  });
+};
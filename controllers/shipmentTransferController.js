@@ -0,0 +1,178 @@
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const { createShipmentRecord } = require('../utils/shipmentService');
+const { enqueueGeometryBatch, getJob } = require('../utils/geometryBatch');
+const { auditContext } = require('../utils/auditTrail');
+const { ApiError } = require('../utils/apiError');
+const { schemaDetails } = require('../middleware/validate');
+const { shipmentInput } = require('../utils/schemas/shipmentSchemas');
+const { parseCsv, formatCsv, formatCsvRow } = require('../utils/csv');
+const { buildFilter, parseSort } = require('../utils/shipmentQuery');
+const {
+  IMPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  csvRowToShipmentInput,
+  shipmentToCsvRow,
+  shipmentToGeoJSONFeatures
+} = require('../utils/shipmentTransfer');
+
+dotenv.config(); // Load .env variables
+
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+// --- Helper: problems with one import row, as "path: message" strings ---
+const rowErrors = (input, errors) => {
+  if (errors.length > 0) return errors; // CSV cells that didn't parse
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) return ['row must be a shipment object'];
+  // Same rules as POST /api/shipments; CSV dates are checked in their JSON form
+  return schemaDetails(shipmentInput, JSON.parse(JSON.stringify(input))).map(d => `${d.path}: ${d.msg}`);
+};
+
+// --- Helper: turn the request body into rows of createShipment-style input ---
+// CSV (text/csv) or JSON (an array, or { shipments: [...] }); the route schema
+// has already checked which of these it is.
+// Returns [{ row, input, errors }].
+const readImportRows = (req) => {
+  let rows;
+  if (typeof req.body === 'string') {
+    const { headers, rows: csvRows } = parseCsv(req.body);
+    const missing = ['containerId', 'originName', 'destinationName'].filter(h => !headers.includes(h));
+    if (missing.length > 0) {
+      throw ApiError.badRequest(`CSV header is missing columns: ${missing.join(', ')}. Expected columns: ${IMPORT_COLUMNS.join(', ')}`, {
+        details: missing.map(column => ({ in: 'body', path: column, code: 'required', msg: 'CSV column is required' }))
+      });
+    }
+    rows = csvRows.map(({ line, values }) => ({ row: line, ...csvRowToShipmentInput(values) }));
+  } else {
+    const items = Array.isArray(req.body) ? req.body : req.body.shipments;
+    rows = items.map((input, index) => ({ row: index + 1, input, errors: [] }));
+  }
+
+  return rows.map(({ row, input, errors }) => ({ row, input, errors: rowErrors(input, errors) }));
+};
+
+// Flattens a Mongoose ValidationError into "path: message" strings
+const validationMessages = (err) => Object.values(err.errors || {}).map(e => `${e.path}: ${e.message}`);
+
+// @desc    Bulk import shipments from CSV or JSON, with a per-row report
+// @route   POST /api/shipments/import?dryRun=true
+// @access  Private (admin, dispatcher)
+exports.importShipments = async (req, res) => {
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  const rows = readImportRows(req);
+  if (rows.length === 0) {
+    throw ApiError.badRequest('No shipments to import');
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw ApiError.badRequest(`Too many rows (${rows.length}). The limit is ${IMPORT_MAX_ROWS} per import.`);
+  }
+
+  console.log(`Importing ${rows.length} shipments${dryRun ? ' (dry run)' : ''}...`);
+
+  const results = [];
+  const createdIds = [];
+
+  // One at a time, so a bad row never affects the others
+  for (const { row, input, errors } of rows) {
+    if (errors.length > 0) {
+      results.push({ row, status: 'error', containerId: input?.containerId, errors });
+      continue;
+    }
+    try {
+      // Geometry is computed afterwards in a background batch
+      const shipment = await createShipmentRecord(input, { computeGeometry: false, dryRun, audit: auditContext(req) });
+      const warnings = shipment.$locals.warnings?.length > 0 ? shipment.$locals.warnings : undefined;
+      if (dryRun) {
+        results.push({ row, status: 'valid', containerId: shipment.containerId, warnings });
+      } else {
+        createdIds.push(shipment._id);
+        results.push({ row, status: 'created', containerId: shipment.containerId, shipmentId: shipment._id, trackingId: shipment.trackingId, warnings });
+      }
+    } catch (err) {
+      if (err.name === 'ShipmentInputError') {
+        results.push({ row, status: 'error', containerId: input?.containerId, errors: [err.message] });
+      } else if (err.name === 'ValidationError') {
+        results.push({ row, status: 'error', containerId: input?.containerId, errors: validationMessages(err) });
+      } else {
+        throw err;
+      }
+    }
+  }
+
+  const failed = results.filter(r => r.status === 'error').length;
+  const geometryJob = createdIds.length > 0 ? enqueueGeometryBatch(createdIds, { correlationId: req.correlationId }) : null;
+
+  res.json({
+    dryRun,
+    total: rows.length,
+    succeeded: rows.length - failed,
+    failed,
+    geometryJob,
+    results
+  });
+};
+
+// @desc    Progress of a background route geometry batch started by an import
+// @route   GET /api/shipments/import/jobs/:jobId
+// @access  Private (admin, dispatcher)
+exports.getImportJob = (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    throw ApiError.notFound('Job not found (finished jobs are kept for one hour)');
+  }
+  res.json(job);
+};
+
+// @desc    Export shipments matching the list filters as CSV, JSON or GeoJSON
+// @route   GET /api/shipments/export?format=csv|json|geojson&<list filters>&sort=
+// @access  Private (admin, dispatcher)
+exports.exportShipments = async (req, res) => {
+  const format = req.query.format || 'json';
+  const filter = buildFilter(req.query);
+  const sort = parseSort(req.query.sort);
+
+  const date = new Date().toISOString().slice(0, 10);
+  const contentType = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    geojson: 'application/geo+json; charset=utf-8'
+  }[format];
+
+  // Streamed with a cursor so large exports don't have to fit in memory
+  const cursor = Shipment.find(filter).sort({ [sort.field]: sort.direction, _id: sort.direction }).lean().cursor();
+
+  try {
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="shipments-${date}.${format}"`);
+
+    let first = true;
+    if (format === 'csv') {
+      res.write(formatCsv(EXPORT_COLUMNS, [])); // Header row
+    } else if (format === 'json') {
+      res.write('[');
+    } else {
+      res.write('{"type":"FeatureCollection","features":[');
+    }
+
+    for await (const shipment of cursor) {
+      if (format === 'csv') {
+        res.write(formatCsvRow(EXPORT_COLUMNS, shipmentToCsvRow(shipment)));
+        continue;
+      }
+      const items = format === 'json' ? [shipment] : shipmentToGeoJSONFeatures(shipment);
+      for (const item of items) {
+        res.write((first ? '' : ',') + JSON.stringify(item));
+        first = false;
+      }
+    }
+
+    res.end(format === 'csv' ? '' : (format === 'json' ? ']' : ']}'));
+  } catch (err) {
+    if (!res.headersSent) {
+      throw err;
+    }
+    console.error("Error exporting shipments:", err.message);
+    res.destroy(err); // Mid-stream: abort so the client sees an incomplete download
+  }
+};
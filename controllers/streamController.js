@@ -0,0 +1,82 @@
+const findShipment = require('../utils/findShipment');
+const { subscribe, getEventsSince } = require('../utils/shipmentEvents');
+const { InvalidQueryError } = require('../utils/shipmentQuery');
+const { requireTenant } = require('../utils/tenantContext');
+const { ApiError } = require('../utils/apiError');
+
+// Keeps proxies from closing idle connections
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// --- Helper: open a Server-Sent Events stream filtered to some tracking IDs ---
+// `trackingIds` null means all shipments of the caller's organization. Resumes after
+// Last-Event-ID (header) or ?lastEventId= by replaying buffered events first.
+const openStream = (req, res, trackingIds) => {
+  const organizationId = String(requireTenant()._id);
+  const matches = event => event.organizationId === organizationId && (!trackingIds || trackingIds.has(event.trackingId));
+  const send = event => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n'); // Client reconnect delay
+
+  // --- Replay missed events ---
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+  if (!isNaN(lastEventId)) {
+    const { events, complete } = getEventsSince(lastEventId);
+    if (!complete) {
+      // Some events are gone: the client should refetch the shipments it shows
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+    }
+    events.filter(matches).forEach(send);
+  }
+
+  const unsubscribe = subscribe(event => {
+    if (matches(event)) {
+      send(event);
+    }
+  });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    console.log(`Stream client disconnected (${trackingIds ? [...trackingIds].join(', ') : 'all shipments'})`);
+  });
+
+  console.log(`Stream client connected (${trackingIds ? [...trackingIds].join(', ') : 'all shipments'})`);
+};
+
+// @desc    Stream events for all shipments, or for a list of tracking IDs
+// @route   GET /api/stream/shipments?trackingIds=A,B&lastEventId=
+// @access  Private (admin, dispatcher; driver, customer for assigned tracking IDs)
+exports.streamShipments = (req, res) => {
+  const trackingIds = req.query.trackingIds
+    ? new Set(String(req.query.trackingIds).split(',').map(id => id.trim()).filter(Boolean))
+    : null;
+
+  if (trackingIds && trackingIds.size === 0) {
+    throw new InvalidQueryError('trackingIds must list at least one tracking ID', 'trackingIds');
+  }
+
+  openStream(req, res, trackingIds);
+};
+
+// @desc    Stream events for a single shipment (by _id or trackingId)
+// @route   GET /api/stream/shipments/:id?lastEventId=
+// @access  Private (admin, dispatcher; assigned driver, customer)
+exports.streamShipment = async (req, res) => {
+  const shipment = await findShipment(req.params.id, 'trackingId');
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  openStream(req, res, new Set([shipment.trackingId]));
+};
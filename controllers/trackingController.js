@@ -0,0 +1,79 @@
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const { ApiError } = require('../utils/apiError');
+
+dotenv.config(); // Load .env variables
+
+// Decimal places kept for public coordinates (1 decimal ~ 11 km)
+const PUBLIC_LOCATION_PRECISION = process.env.PUBLIC_LOCATION_PRECISION !== undefined
+  ? Number(process.env.PUBLIC_LOCATION_PRECISION)
+  : 1;
+
+// Names generated from raw coordinates for coordinate-only updates ("51.34000, 12.37000")
+const COORDINATE_NAME = /^-?\d+(\.\d+)?,\s*-?\d+(\.\d+)?$/;
+
+const roundCoord = (value) => {
+  if (typeof value !== 'number') return undefined;
+  const factor = 10 ** PUBLIC_LOCATION_PRECISION;
+  return Math.round(value * factor) / factor;
+};
+
+// --- Helper: customer-safe version of the current location ---
+// Coordinates are coarsened; a name made of exact coordinates is replaced.
+const coarsenLocation = (location, geofence) => {
+  if (!location) return null;
+  const latitude = roundCoord(location.latitude);
+  const longitude = roundCoord(location.longitude);
+  let name = geofence?.name || location.name;
+  if (COORDINATE_NAME.test(name || '')) {
+    name = latitude !== undefined && longitude !== undefined ? `${latitude}, ${longitude}` : 'In transit';
+  }
+  return { name, latitude, longitude, timestamp: location.timestamp };
+};
+
+// --- Helper: milestones for the customer view ---
+// Creation, geofence departures/arrivals and the final delivery or cancellation.
+const buildMilestones = (shipment, events) => {
+  const milestones = [{ type: 'created', location: shipment.origin?.name, timestamp: shipment.createdAt }];
+
+  events.forEach(event => {
+    milestones.push({ type: event.type, location: event.geofence?.name, timestamp: event.timestamp });
+  });
+
+  if (shipment.status === 'Delivered') {
+    milestones.push({ type: 'delivered', location: shipment.destination?.name, timestamp: shipment.actualDeliveryDate });
+  }
+  if (shipment.status === 'Cancelled') {
+    milestones.push({ type: 'cancelled', location: null, timestamp: shipment.cancelledAt });
+  }
+  return milestones;
+};
+
+// @desc    Public, customer-safe tracking view of a shipment
+// @route   GET /api/track/:trackingId
+// @access  Public (rate-limited per client)
+exports.trackShipment = async (req, res) => {
+  // Tracking ID only: internal _ids are never accepted here
+  const shipment = await Shipment.findOne({ trackingId: String(req.params.trackingId).trim().toUpperCase() })
+    .select('trackingId status origin.name destination.name currentLocation currentGeofence estimatedETA actualDeliveryDate cancelledAt createdAt');
+
+  if (!shipment) {
+    throw ApiError.notFound('Shipment not found');
+  }
+
+  const events = await TrackingEvent.find({ shipment: shipment._id, type: { $in: ['arrival', 'departure'] } })
+    .sort({ timestamp: 1 })
+    .select('type geofence.name timestamp');
+
+  res.json({
+    trackingId: shipment.trackingId,
+    status: shipment.status,
+    origin: shipment.origin?.name,
+    destination: shipment.destination?.name,
+    currentLocation: coarsenLocation(shipment.currentLocation, shipment.currentGeofence),
+    estimatedETA: shipment.estimatedETA || null,
+    deliveredAt: shipment.actualDeliveryDate || null,
+    milestones: buildMilestones(shipment, events)
+  });
+};
@@ -0,0 +1,82 @@
+const User = require('../models/User');
+const { MANAGEABLE_ROLES, canManageRole } = require('../utils/roles');
+const { ApiError } = require('../utils/apiError');
+const { requireActiveOrganization } = require('../utils/tenantContext');
+
+// @desc    List users of the caller's organization (of all organizations for platform admins)
+// @route   GET /api/users?role=
+// @access  Private (admin, dispatcher)
+exports.getUsers = async (req, res) => {
+  const filter = {};
+  if (req.query.role) filter.role = req.query.role;
+  // Dispatchers only see the accounts they can manage
+  if (req.auth.role === 'dispatcher') {
+    filter.role = MANAGEABLE_ROLES.dispatcher.includes(filter.role) ? filter.role : { $in: MANAGEABLE_ROLES.dispatcher };
+  }
+
+  const users = await User.find(filter).sort({ createdAt: -1 });
+  res.json(users);
+};
+
+// @desc    Create a user
+// @route   POST /api/users
+// @access  Private (admin; dispatcher for driver/customer accounts)
+exports.createUser = async (req, res) => {
+  const { name, email, password, role, organization, assignedTrackingIds } = req.body || {};
+
+  if (!canManageRole(req.auth.role, role || 'customer')) {
+    throw ApiError.forbidden(`You cannot create ${role} accounts`);
+  }
+
+  await requireActiveOrganization(organization);
+
+  // An email that is already taken fails on the unique index (409 DUPLICATE).
+  // The account joins the caller's organization; platform admins acting for none name one in `organization`.
+  const user = await User.create({ name, email, password, role, organization, assignedTrackingIds });
+  console.log(`User created: ${user.email} (${user.role})`);
+  res.status(201).json(user);
+};
+
+// @desc    Update a user (name, role, password, active, assignedTrackingIds)
+// @route   PATCH /api/users/:id
+// @access  Private (admin; dispatcher for driver/customer assignments)
+exports.updateUser = async (req, res) => {
+  const updates = req.body || {};
+  const allowedFields = req.auth.role === 'admin'
+    ? ['name', 'email', 'password', 'role', 'active', 'assignedTrackingIds']
+    : ['assignedTrackingIds'];
+
+  const rejected = Object.keys(updates).filter(f => !allowedFields.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.forbidden(`You cannot update: ${rejected.join(', ')}`, { allowed: allowedFields });
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+  if (!canManageRole(req.auth.role, user.role)) {
+    throw ApiError.forbidden('You cannot manage this user');
+  }
+
+  Object.keys(updates).forEach(field => { user[field] = updates[field]; });
+  await user.save(); // Re-hashes the password if it changed
+
+  res.json(user);
+};
+
+// @desc    Delete a user
+// @route   DELETE /api/users/:id
+// @access  Private (admin)
+exports.deleteUser = async (req, res) => {
+  if (String(req.auth.id) === req.params.id) {
+    throw ApiError.badRequest('You cannot delete your own account');
+  }
+
+  const user = await User.findByIdAndDelete(req.params.id);
+  if (!user) {
+    throw ApiError.notFound('User not found');
+  }
+  console.log(`User deleted: ${user.email}`);
+  res.json({ msg: 'User deleted', userId: user._id });
+};
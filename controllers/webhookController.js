@@ -0,0 +1,149 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { redeliver } = require('../utils/webhookDispatcher');
+const { InvalidQueryError } = require('../utils/shipmentQuery');
+const { ApiError } = require('../utils/apiError');
+
+const UPDATABLE_FIELDS = ['url', 'description', 'events', 'trackingIds', 'active'];
+const DELIVERY_STATUSES = ['pending', 'sending', 'succeeded', 'failed'];
+
+// @desc    List webhook subscriptions (without their secrets)
+// @route   GET /api/webhooks
+// @access  Private (admin, dispatcher)
+exports.getWebhooks = async (req, res) => {
+  const webhooks = await WebhookSubscription.find().sort({ createdAt: -1 });
+  res.json(webhooks);
+};
+
+// @desc    Register a webhook. The signing secret is only returned in this response.
+// @route   POST /api/webhooks
+// @access  Private (admin, dispatcher)
+exports.createWebhook = async (req, res) => {
+  const { url, description, events, trackingIds } = req.body || {};
+
+  const secret = WebhookSubscription.generateSecret();
+  const webhook = await WebhookSubscription.create({
+    url,
+    description,
+    events,
+    trackingIds,
+    secret,
+    createdBy: req.auth.type === 'user' ? req.auth.id : undefined
+  });
+
+  console.log(`Webhook registered: ${webhook.url} (${webhook.events.length > 0 ? webhook.events.join(', ') : 'all events'})`);
+  res.status(201).json({ ...webhook.toJSON(), secret });
+};
+
+// @desc    Get a webhook subscription
+// @route   GET /api/webhooks/:id
+// @access  Private (admin, dispatcher)
+exports.getWebhookById = async (req, res) => {
+  const webhook = await WebhookSubscription.findById(req.params.id);
+  if (!webhook) {
+    throw ApiError.notFound('Webhook not found');
+  }
+  res.json(webhook);
+};
+
+// @desc    Update a webhook's URL, filters or active flag
+// @route   PATCH /api/webhooks/:id
+// @access  Private (admin, dispatcher)
+exports.updateWebhook = async (req, res) => {
+  const updates = req.body || {};
+
+  const rejected = Object.keys(updates).filter(f => !UPDATABLE_FIELDS.includes(f));
+  if (rejected.length > 0) {
+    throw ApiError.unknownFields(rejected, UPDATABLE_FIELDS);
+  }
+
+  const webhook = await WebhookSubscription.findById(req.params.id);
+  if (!webhook) {
+    throw ApiError.notFound('Webhook not found');
+  }
+
+  Object.keys(updates).forEach(field => { webhook[field] = updates[field]; });
+  await webhook.save();
+
+  res.json(webhook);
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (admin, dispatcher)
+exports.deleteWebhook = async (req, res) => {
+  const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+  if (!webhook) {
+    throw ApiError.notFound('Webhook not found');
+  }
+  await WebhookDelivery.deleteMany({ subscription: webhook._id });
+
+  console.log(`Webhook deleted: ${webhook.url}`);
+  res.json({ msg: 'Webhook deleted successfully' });
+};
+
+// @desc    Delivery log of a webhook, newest first (payloads omitted)
+// @route   GET /api/webhooks/:id/deliveries?status=&page=&limit=
+// @access  Private (admin, dispatcher)
+exports.getWebhookDeliveries = async (req, res) => {
+  const { status } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+  if (status && !DELIVERY_STATUSES.includes(status)) {
+    throw new InvalidQueryError(`Invalid status "${status}"`, 'status', { allowed: DELIVERY_STATUSES });
+  }
+
+  const webhook = await WebhookSubscription.findById(req.params.id);
+  if (!webhook) {
+    throw ApiError.notFound('Webhook not found');
+  }
+
+  const filter = { subscription: webhook._id };
+  if (status) {
+    filter.status = status;
+  }
+
+  const [total, deliveries] = await Promise.all([
+    WebhookDelivery.countDocuments(filter),
+    WebhookDelivery.find(filter, '-payload')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+  ]);
+
+  res.json({ webhookId: webhook._id, total, page, limit, deliveries });
+};
+
+// --- Helper: load a delivery that belongs to the webhook in the URL ---
+const findDelivery = (req) => WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: req.params.id });
+
+// @desc    A single delivery, including its payload and every attempt
+// @route   GET /api/webhooks/:id/deliveries/:deliveryId
+// @access  Private (admin, dispatcher)
+exports.getWebhookDelivery = async (req, res) => {
+  const delivery = await findDelivery(req);
+  if (!delivery) {
+    throw ApiError.notFound('Delivery not found');
+  }
+  res.json(delivery);
+};
+
+// @desc    Send a logged delivery again (as a new delivery with the same event ID)
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private (admin, dispatcher)
+exports.redeliverWebhookDelivery = async (req, res) => {
+  const delivery = await findDelivery(req);
+  if (!delivery) {
+    throw ApiError.notFound('Delivery not found');
+  }
+
+  const webhook = await WebhookSubscription.findById(delivery.subscription);
+  if (!webhook?.active) {
+    throw ApiError.conflict('Webhook is inactive. Reactivate it before redelivering.');
+  }
+
+  const copy = await redeliver(delivery);
+  console.log(`Redelivery ${copy._id} queued for delivery ${delivery._id} (${delivery.eventType})`);
+  res.status(202).json(copy);
+};
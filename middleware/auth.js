@@ -0,0 +1,226 @@
+// middleware/auth.js
+// Authentication (JWT or API key) and role-based authorization for the API.
+// Authentication also decides the organization the request acts for (see utils/tenantContext.js).
+const { AsyncResource } = require('async_hooks');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const Shipment = require('../models/Shipment');
+const { ASSIGNMENT_SCOPED_ROLES } = require('../utils/roles');
+const { runAsTenant } = require('../utils/tenantContext');
+const { ApiError } = require('../utils/apiError');
+
+dotenv.config(); // Load .env variables
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+if (!process.env.JWT_SECRET) {
+    console.warn("JWT_SECRET not defined in environment variables. Login and token authentication will fail.");
+}
+
+/**
+ * Signs a JWT for a user.
+ * @param {Object} user - User document
+ * @returns {string}
+ */
+const signToken = (user) => jwt.sign(
+    { sub: String(user._id), role: user.role },
+    process.env.JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+);
+
+// Resolves the caller from an API key; null if the key is unknown or unusable
+const authenticateApiKey = async (key) => {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) });
+    if (!apiKey || !apiKey.isUsable()) {
+        return null;
+    }
+    // Not awaited: a failed usage timestamp must not fail the request
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() })
+        .catch(err => console.warn("Could not record API key usage:", err.message));
+    return {
+        type: 'apiKey',
+        id: apiKey._id,
+        name: apiKey.name,
+        role: apiKey.role,
+        organization: apiKey.organization || null,
+        assignedTrackingIds: apiKey.assignedTrackingIds || []
+    };
+};
+
+// Resolves the caller from a JWT; null if the token is invalid or the user inactive
+const authenticateToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+    // Reload the user so role changes and deactivation apply immediately
+    const user = await User.findById(payload.sub);
+    if (!user || !user.active) {
+        return null;
+    }
+    return {
+        type: 'user',
+        id: user._id,
+        name: user.name,
+        role: user.role,
+        organization: user.organization || null,
+        assignedTrackingIds: user.assignedTrackingIds || []
+    };
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Organization the caller acts for (lean), or null for a platform admin acting for none.
+// Accounts of an organization act for it; platform admins (admins without one) may
+// act for any with `X-Organization-Id: <_id or slug>`.
+const resolveOrganization = async (req, auth) => {
+    const requested = req.get('X-Organization-Id');
+    if (auth.organization) {
+        const organization = await Organization.findById(auth.organization).lean();
+        if (!organization || !organization.active) {
+            throw ApiError.forbidden('Your organization is deactivated');
+        }
+        if (requested && requested !== String(organization._id) && requested.toLowerCase() !== organization.slug) {
+            throw ApiError.forbidden('You can only act for your own organization');
+        }
+        return organization;
+    }
+    if (auth.role !== 'admin') {
+        throw ApiError.forbidden('Your account does not belong to an organization');
+    }
+    if (!requested) {
+        return null;
+    }
+    const organization = await Organization.findOne(OBJECT_ID_PATTERN.test(requested)
+        ? { _id: requested }
+        : { slug: requested.toLowerCase() }).lean();
+    if (!organization) {
+        throw ApiError.badRequest('Unknown organization', {
+            details: [{ in: 'headers', path: 'X-Organization-Id', code: 'invalid', msg: 'must be the _id or slug of an organization' }]
+        });
+    }
+    return organization;
+};
+
+/**
+ * Requires a valid `Authorization: Bearer <jwt>` or `X-API-Key` header and
+ * sets `req.auth` to { type, id, name, role, organization, platform, assignedTrackingIds }.
+ * `organization` is the _id of the organization the request acts for (null for a
+ * platform admin acting for none); `platform` is true for platform admins.
+ * The rest of the request runs as that organization (see utils/tenantContext.js).
+ * @param {Object} [options]
+ * @param {boolean} [options.allowQueryToken] - Also accept ?access_token= (for EventSource, which can't set headers)
+ */
+const authenticate = ({ allowQueryToken = false } = {}) => {
+    const middleware = async (req, res, next) => {
+        const apiKey = req.get('X-API-Key');
+        const header = req.get('Authorization') || '';
+        const bearer = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+        const token = bearer || (allowQueryToken ? req.query.access_token : null);
+
+        if (!apiKey && !token) {
+            throw new ApiError(401, 'Authentication required');
+        }
+        if (token && !process.env.JWT_SECRET) {
+            throw new Error('JWT_SECRET not defined in environment variables.');
+        }
+
+        const auth = apiKey ? await authenticateApiKey(apiKey) : await authenticateToken(String(token));
+        if (!auth) {
+            throw new ApiError(401, 'Invalid or expired credentials', { code: 'INVALID_CREDENTIALS' });
+        }
+        const organization = await resolveOrganization(req, auth);
+        req.auth = { ...auth, organization: organization?._id || null, platform: !auth.organization };
+
+        runAsTenant(organization, () => {
+            // Middleware after this one may resume on request stream events (e.g. a body parser)
+            req.emit = AsyncResource.bind(req.emit.bind(req));
+            next();
+        }, { platform: req.auth.platform });
+    };
+    middleware.authenticates = true; // Secures the routes behind it in the OpenAPI document (utils/openapi.js)
+    return middleware;
+};
+
+/**
+ * Allows only the given roles. Use after authenticate().
+ * The roles stay on the middleware as `roles`, for the OpenAPI document.
+ * @param {...string} roles
+ */
+const authorize = (...roles) => {
+    const middleware = (req, res, next) => {
+        if (!req.auth || !roles.includes(req.auth.role)) {
+            return next(ApiError.forbidden('You do not have permission to perform this action'));
+        }
+        next();
+    };
+    middleware.roles = roles;
+    return middleware;
+};
+
+/**
+ * Allows only platform admins: admins that belong to no organization. Use after authenticate().
+ */
+const authorizePlatform = (req, res, next) => {
+    if (!req.auth?.platform) {
+        return next(ApiError.forbidden('Only platform admins can do this'));
+    }
+    next();
+};
+
+/**
+ * Limits drivers and customers to the shipment in req.params.id being one
+ * of their assigned tracking IDs. Customers must address it by tracking ID;
+ * drivers may also use the MongoDB _id. Other roles pass through.
+ */
+const authorizeShipment = async (req, res, next) => {
+    const { role, assignedTrackingIds } = req.auth || {};
+    if (!ASSIGNMENT_SCOPED_ROLES.includes(role)) {
+        return next();
+    }
+
+    const id = req.params.id;
+    if (assignedTrackingIds.includes(id)) {
+        return next();
+    }
+
+    if (role === 'driver' && mongoose.Types.ObjectId.isValid(id)) {
+        const shipment = await Shipment.findById(id).select('trackingId');
+        if (shipment && assignedTrackingIds.includes(shipment.trackingId)) {
+            return next();
+        }
+    }
+    throw ApiError.forbidden('This shipment is not assigned to you');
+};
+
+/**
+ * Limits drivers and customers to ?trackingIds= that are all assigned to them.
+ * They must always name the tracking IDs; other roles pass through.
+ */
+const authorizeTrackingIds = (req, res, next) => {
+    const { role, assignedTrackingIds } = req.auth || {};
+    if (!ASSIGNMENT_SCOPED_ROLES.includes(role)) {
+        return next();
+    }
+
+    const requested = String(req.query.trackingIds || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (requested.length === 0 || requested.some(id => !assignedTrackingIds.includes(id))) {
+        return next(ApiError.forbidden('Only assigned tracking IDs can be requested'));
+    }
+    next();
+};
+
+module.exports = {
+    signToken,
+    authenticate,
+    authorize,
+    authorizePlatform,
+    authorizeShipment,
+    authorizeTrackingIds
+};
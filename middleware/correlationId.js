@@ -0,0 +1,16 @@
+// middleware/correlationId.js
+// Gives every request a correlation ID: the caller's X-Correlation-Id (or
+// X-Request-Id) if it looks sane, otherwise a new UUID. It is echoed in the
+// response and recorded in the audit trail of everything the request changed.
+const crypto = require('crypto');
+
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const correlationId = (req, res, next) => {
+    const given = req.get('X-Correlation-Id') || req.get('X-Request-Id');
+    req.correlationId = given && CORRELATION_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+    res.set('X-Correlation-Id', req.correlationId);
+    next();
+};
+
+module.exports = { correlationId };
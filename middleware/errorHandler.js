@@ -0,0 +1,129 @@
+// middleware/errorHandler.js
+// Renders every error that reaches Express in the API's one error format:
+//
+//   {
+//     "code": "VALIDATION_FAILED",
+//     "msg": "Request validation failed",
+//     "details": [{ "in": "body", "path": "origin.latitude", "code": "range", "msg": "must be <= 90" }],
+//     "correlationId": "..."
+//   }
+//
+// `details` is only present for field-level problems. Some errors add fields
+// of their own (e.g. `from`, `to` and `allowed` for status transitions).
+const { ApiError, codeForStatus } = require('../utils/apiError');
+
+// Mongoose validator kinds -> detail codes (the same codes as request validation)
+const MONGOOSE_KINDS = {
+    required: 'required',
+    enum: 'enum',
+    min: 'range',
+    max: 'range',
+    minlength: 'length',
+    maxlength: 'length',
+    regexp: 'pattern',
+    ObjectId: 'type',
+    Number: 'type',
+    Date: 'type',
+    Boolean: 'type',
+    String: 'type'
+};
+
+// Mongoose document ValidationError -> 400 with one detail per invalid path
+const fromValidationError = (err) => ApiError.badRequest('Validation failed', {
+    details: Object.values(err.errors).map(e => ({
+        in: 'body',
+        path: e.path,
+        code: MONGOOSE_KINDS[e.kind] || 'invalid',
+        msg: e.message
+    }))
+});
+
+/**
+ * Maps anything thrown or passed to next() onto an ApiError.
+ * Errors that aren't client errors become a 500 with a generic message.
+ * @param {Error} err
+ * @param {Object} [req] - The request, for errors whose answer depends on it
+ * @returns {ApiError}
+ */
+const toApiError = (err, req) => {
+    if (err instanceof ApiError) {
+        return err;
+    }
+    // body-parser
+    if (err.type === 'entity.parse.failed') {
+        return ApiError.badRequest('Request body is not valid JSON', { code: 'INVALID_JSON' });
+    }
+    if (err.type === 'entity.too.large') {
+        return new ApiError(413, `Request body exceeds the ${err.limit} byte limit`);
+    }
+    // Mongoose
+    if (err.name === 'ValidationError' && err.errors) {
+        return fromValidationError(err);
+    }
+    if (err.name === 'CastError') {
+        // A malformed ID in a lookup can't match anything
+        return err.kind === 'ObjectId'
+            ? ApiError.notFound('Not found (invalid ID format)')
+            : ApiError.badRequest(`Invalid value for ${err.path}`, { details: [{ path: err.path, code: 'type', msg: err.message }] });
+    }
+    if (err.name === 'VersionError') {
+        // Optimistic concurrency: the document changed between reading and saving it
+        const message = 'Modified by another request in the meantime; reload and retry';
+        return req?.get('If-Match')
+            ? new ApiError(412, message)
+            : ApiError.conflict(message, { code: 'CONCURRENT_UPDATE' });
+    }
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return ApiError.conflict(`Duplicate value for ${fields.join(', ') || 'a unique field'}`, {
+            code: 'DUPLICATE',
+            details: fields.map(field => ({ in: 'body', path: field, code: 'duplicate', msg: 'already exists' }))
+        });
+    }
+    // Other client errors carry their status (http-errors mark theirs as safe to expose;
+    // an upstream HTTP client's `status` is not ours to pass on)
+    const statusCode = err.statusCode || (err.expose && err.status);
+    if (Number.isInteger(statusCode) && statusCode >= 400 && statusCode < 500) {
+        return new ApiError(statusCode, err.message, { code: typeof err.code === 'string' ? err.code : codeForStatus(statusCode) });
+    }
+    return new ApiError(500, 'Server Error');
+};
+
+/**
+ * Express error middleware; mount after all routes. Express recognises error
+ * middleware by its four arguments, so `next` stays even when unused.
+ */
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        // Mid-stream (exports, SSE): nothing left to do but let Express close the connection
+        return next(err);
+    }
+
+    const apiError = toApiError(err, req);
+    if (apiError.statusCode >= 500) {
+        console.error(`Error handling ${req.method} ${req.originalUrl} [${req.correlationId}]:`, err);
+    }
+
+    // Drop what a handler had prepared for its own response (e.g. an export's file headers)
+    res.removeHeader('Content-Disposition');
+    res.status(apiError.statusCode).type('json').json({
+        code: apiError.code,
+        msg: apiError.message,
+        ...(apiError.details?.length > 0 && { details: apiError.details }),
+        ...apiError.extra,
+        correlationId: req.correlationId
+    });
+};
+
+/**
+ * 404 for unknown API routes; mount after the API routers.
+ */
+const notFound = (req, res, next) => {
+    next(ApiError.notFound(`No route for ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+module.exports = {
+    toApiError,
+    errorHandler,
+    notFound
+};
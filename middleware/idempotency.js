@@ -0,0 +1,135 @@
+// middleware/idempotency.js
+// Safe retries of writes with an `Idempotency-Key` header:
+//
+//   router.post('/', managers, validate(schemas.createShipment), idempotency, createShipment);
+//
+// The first request with a key runs and its successful response is kept for
+// IDEMPOTENCY_KEY_TTL_HOURS. A retry with the same key and the same request gets
+// that response again (with `Idempotent-Replayed: true`) instead of running twice.
+// Failed requests are not kept, so they can be retried with the same key.
+// The key is settled when the handler responds, even if the client has gone away
+// by then. While it runs, the key holds a lease that is renewed; if the process
+// dies, the lease runs out and a retry takes the key over.
+const crypto = require('crypto');
+const dotenv = require('dotenv');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { ApiError } = require('../utils/apiError');
+
+dotenv.config(); // Load .env variables
+
+const IDEMPOTENCY_KEY_TTL_MS = (Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const IDEMPOTENCY_LOCK_MS = (Number(process.env.IDEMPOTENCY_LOCK_SECONDS) || 30) * 1000;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII, no spaces (e.g. a UUID)
+
+// Fingerprint of the request the key was first used for, with the organization it acted for
+// (platform admins choose one per request); file uploads are hashed as they are
+const hashRequest = (req) => crypto.createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${req.auth.organization || ''}\n`)
+    .update(Buffer.isBuffer(req.body) ? req.body : JSON.stringify(req.body ?? null))
+    .digest('hex');
+
+const leaseEnd = () => new Date(Date.now() + IDEMPOTENCY_LOCK_MS);
+
+// Claims the key for this request; returns the existing entry if the key is taken
+const claimKey = async (scope, key, requestHash) => {
+    try {
+        await IdempotencyKey.create({ scope, key, requestHash, lockedUntil: leaseEnd(), expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL_MS) });
+        return null;
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+    }
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (existing && existing.expiresAt <= new Date()) {
+        // Expired but not yet removed by the TTL monitor: the key is free again
+        await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt });
+        return claimKey(scope, key, requestHash);
+    }
+    return existing;
+};
+
+// Takes over a processing entry whose lease ran out (its request died with its process);
+// false if it is still held. Entries without a lease count as run out.
+const takeOverKey = async (existing) => {
+    const now = new Date();
+    const result = await IdempotencyKey.updateOne(
+        { _id: existing._id, state: 'processing', lockedUntil: { $not: { $gt: now } } },
+        { lockedUntil: leaseEnd() }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Express middleware making a write idempotent per caller and Idempotency-Key.
+ * Use after authenticate() and validate(); requests without the header pass through.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!KEY_PATTERN.test(key)) {
+        throw ApiError.badRequest('Invalid Idempotency-Key', {
+            details: [{ in: 'headers', path: 'Idempotency-Key', code: 'format', msg: 'must be 1 to 255 printable ASCII characters without spaces' }]
+        });
+    }
+
+    const scope = `${req.auth.type}:${req.auth.id}`;
+    const requestHash = hashRequest(req);
+    const existing = await claimKey(scope, key, requestHash);
+
+    if (existing) {
+        if (existing.requestHash !== requestHash) {
+            throw new ApiError(422, 'Idempotency-Key was already used for a different request', { code: 'IDEMPOTENCY_KEY_REUSED' });
+        }
+        if (existing.state !== 'completed' && !(await takeOverKey(existing))) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((existing.lockedUntil - Date.now()) / 1000))));
+            throw ApiError.conflict('A request with this Idempotency-Key is still in progress', { code: 'IDEMPOTENCY_KEY_IN_USE' });
+        }
+        if (existing.state === 'completed') {
+            const { statusCode, etag, body } = existing.response;
+            if (etag) res.set('ETag', etag);
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(statusCode).type('json').send(body);
+        }
+    }
+
+    // Hold the lease while the handler runs
+    const renewal = setInterval(() => {
+        IdempotencyKey.updateOne({ scope, key, state: 'processing' }, { lockedUntil: leaseEnd() })
+            .catch(err => console.error(`Could not renew Idempotency-Key for ${req.method} ${req.originalUrl}:`, err.message));
+    }, IDEMPOTENCY_LOCK_MS / 3);
+    renewal.unref();
+
+    // Settled by the handler's response (res.json ends up in res.send with a string), successful
+    // or from the error handler; not by the client going away while the handler still writes
+    let settled = false;
+    const settle = (body) => {
+        if (settled) return;
+        settled = true;
+        clearInterval(renewal);
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300 && typeof body === 'string';
+        const update = succeeded
+            ? IdempotencyKey.updateOne({ scope, key }, {
+                state: 'completed',
+                $unset: { lockedUntil: 1 },
+                response: { statusCode: res.statusCode, etag: res.get('ETag'), body }
+            })
+            : IdempotencyKey.deleteOne({ scope, key, state: 'processing' }); // Free the key for a retry
+        update.catch(err => console.error(`Could not settle Idempotency-Key for ${req.method} ${req.originalUrl}:`, err.message));
+    };
+    const send = res.send;
+    res.send = function(body) {
+        if (body === null || typeof body !== 'object' || Buffer.isBuffer(body)) {
+            settle(body); // Objects come back here as a string, through res.json
+        }
+        return send.call(this, body);
+    };
+    res.once('finish', () => settle()); // Responses that don't go through res.send
+
+    next();
+};
+
+module.exports = {
+    IDEMPOTENCY_KEY_TTL_MS,
+    idempotency
+};
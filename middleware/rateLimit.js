@@ -0,0 +1,19 @@
+// middleware/rateLimit.js
+// Per-client request limits for unauthenticated routes.
+const rateLimit = require('express-rate-limit');
+const dotenv = require('dotenv');
+const { ApiError } = require('../utils/apiError');
+
+dotenv.config(); // Load .env variables
+
+// Public tracking: PUBLIC_TRACKING_RATE_LIMIT requests per window per client IP
+const publicTrackingLimiter = rateLimit({
+    windowMs: Number(process.env.PUBLIC_TRACKING_RATE_WINDOW_MS) || 60 * 1000,
+    limit: Number(process.env.PUBLIC_TRACKING_RATE_LIMIT) || 30,
+    standardHeaders: 'draft-7', // RateLimit-* headers
+    legacyHeaders: false,
+    // Answered by the error handler like every other error (429 RATE_LIMITED)
+    handler: (req, res, next) => next(new ApiError(429, 'Too many tracking requests, please try again later.'))
+});
+
+module.exports = { publicTrackingLimiter };
@@ -0,0 +1,137 @@
+// middleware/validate.js
+// Declarative request validation with JSON Schema (see utils/schemas/).
+//
+//   router.post('/', validate(schemas.createShipment), createShipment);
+//
+// Every problem found is reported at once, as a 400 VALIDATION_FAILED whose
+// `details` name the part of the request (body, query, params) and the field path.
+const Ajv = require('ajv/dist/2020'); // JSON Schema 2020-12, the dialect of OpenAPI 3.1
+const addFormats = require('ajv-formats');
+const { ApiError } = require('../utils/apiError');
+
+const AJV_OPTIONS = {
+    allErrors: true,
+    allowUnionTypes: true, // e.g. { type: ['string', 'null'] }
+    keywords: ['x-message'] // Annotation: message used when an anyOf/oneOf matches no branch
+};
+
+// Bodies are JSON and checked as sent: "12" is not a number
+const bodyValidator = addFormats(new Ajv({ ...AJV_OPTIONS, verbose: true }));
+// Query strings and path parameters are always text; "12" may stand for 12
+const textValidator = addFormats(new Ajv({ ...AJV_OPTIONS, verbose: true, coerceTypes: true }));
+
+// Ajv keywords -> detail codes
+const KEYWORD_CODES = {
+    required: 'required',
+    dependentRequired: 'required',
+    minProperties: 'required',
+    type: 'type',
+    minimum: 'range',
+    maximum: 'range',
+    exclusiveMinimum: 'range',
+    exclusiveMaximum: 'range',
+    enum: 'enum',
+    const: 'enum',
+    format: 'format',
+    additionalProperties: 'unknown_field',
+    minLength: 'length',
+    maxLength: 'length',
+    minItems: 'length',
+    maxItems: 'length',
+    pattern: 'pattern'
+};
+
+// "/route/0/latitude" -> "route[0].latitude"
+const toPath = (instancePath, property) => {
+    const segments = instancePath.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (property !== undefined) segments.push(property);
+    return segments.reduce((path, segment) => (
+        /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+    ), '');
+};
+
+/**
+ * Converts Ajv errors into error response details.
+ * @param {string} location - 'body', 'query' or 'params'
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<{ in: string, path: string, code: string, msg: string }>}
+ */
+const toDetails = (location, errors) => errors
+    // Failures inside anyOf/oneOf branches are summed up by the anyOf/oneOf error itself
+    .filter(e => !/\/(anyOf|oneOf)\/\d+\//.test(e.schemaPath))
+    .map(e => {
+        if (e.keyword === 'required' || e.keyword === 'dependentRequired') {
+            return { in: location, path: toPath(e.instancePath, e.params.missingProperty), code: 'required', msg: 'is required' };
+        }
+        if (e.keyword === 'additionalProperties') {
+            return { in: location, path: toPath(e.instancePath, e.params.additionalProperty), code: 'unknown_field', msg: 'is not allowed' };
+        }
+        if (e.keyword === 'minProperties' && e.params.limit === 1) {
+            return { in: location, path: toPath(e.instancePath), code: 'required', msg: 'must not be empty' };
+        }
+        if (e.keyword === 'enum') {
+            return { in: location, path: toPath(e.instancePath), code: 'enum', msg: `must be one of: ${e.params.allowedValues.join(', ')}` };
+        }
+        return {
+            in: location,
+            path: toPath(e.instancePath),
+            code: KEYWORD_CODES[e.keyword] || 'invalid',
+            msg: (['anyOf', 'oneOf'].includes(e.keyword) && e.parentSchema['x-message']) || e.message
+        };
+    });
+
+/**
+ * Checks data against a schema without a request, e.g. rows of a bulk import.
+ * @param {Object} schema - JSON Schema
+ * @param {*} data
+ * @param {string} [location='body']
+ * @returns {Array<Object>} - Details of every problem; empty if valid
+ */
+const schemaDetails = (schema, data, location = 'body') => {
+    const check = bodyValidator.compile(schema); // Compiled once per schema; Ajv caches by schema
+    return check(data) ? [] : toDetails(location, check.errors);
+};
+
+/**
+ * Express middleware validating parts of the request.
+ * Query and params are validated on a copy and left as they are: Express 5
+ * re-parses req.query on each access, so controllers keep parsing their values.
+ * The schemas stay on the middleware as `schemas`, for the OpenAPI document.
+ * @param {Object} schemas
+ * @param {Object} [schemas.params] - JSON Schema for req.params
+ * @param {Object} [schemas.query] - JSON Schema for req.query
+ * @param {Object} [schemas.body] - JSON Schema for req.body (a missing body is checked, and passed on, as {})
+ * @returns {Function}
+ */
+const validate = (schemas) => {
+    const checks = ['params', 'query', 'body']
+        .filter(location => schemas[location])
+        .map(location => ({
+            location,
+            check: (location === 'body' ? bodyValidator : textValidator).compile(schemas[location])
+        }));
+
+    const middleware = (req, res, next) => {
+        const details = [];
+        if (schemas.body) {
+            req.body = req.body ?? {}; // body-parser leaves it undefined for requests without a body
+        }
+        for (const { location, check } of checks) {
+            const data = location === 'body' ? req.body : { ...req[location] };
+            if (!check(data)) {
+                details.push(...toDetails(location, check.errors));
+            }
+        }
+        if (details.length > 0) {
+            return next(ApiError.badRequest('Request validation failed', { details }));
+        }
+        next();
+    };
+    middleware.schemas = schemas; // Read by the OpenAPI document (utils/openapi.js)
+    return middleware;
+};
+
+module.exports = {
+    validate,
+    schemaDetails
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ROLES } = require('../utils/roles');
+const tenantScope = require('../utils/tenantScope');
+
+// --- API Key Schema ---
+// Long-lived credentials for devices and partner systems, sent as `X-API-Key`.
+// Only a SHA-256 hash of the key is stored; the plain key is shown once on creation.
+const ApiKeySchema = new mongoose.Schema({
+    name: { // What the key is for, e.g. "Truck 42 GPS unit"
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    prefix: { // First characters of the key, to recognise it in lists and logs
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        required: true,
+        default: 'driver'
+    },
+    organization: { // None for platform admins, who manage the organizations (see routes/organizationRoutes.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        immutable: true,
+        required: [function() { return this.role !== 'admin'; }, 'Organization is required for all but admin accounts']
+    },
+    // Shipments a driver device may update or a customer system may view
+    assignedTrackingIds: [{
+        type: String,
+        trim: true
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Hashes a plain API key for storage and lookup.
+ * @param {string} key
+ * @returns {string}
+ */
+ApiKeySchema.statics.hashKey = function(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Generates a new plain API key ("ctk_" + 40 hex characters).
+ * @returns {string}
+ */
+ApiKeySchema.statics.generateKey = function() {
+    return `ctk_${crypto.randomBytes(20).toString('hex')}`;
+};
+
+// --- Instance Method: whether the key can still be used ---
+ApiKeySchema.methods.isUsable = function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+ApiKeySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+// --- Tenant scope: the organization the key belongs to, none for platform admins (see utils/tenantScope.js) ---
+ApiKeySchema.plugin(tenantScope, { accounts: true });
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const LocationSchema = require('./LocationSchema');
+const { STATUSES } = require('../utils/shipmentStatus');
+const { TRANSPORT_MODES } = require('../utils/etaEngine');
+const { randomCode } = require('../utils/randomCode');
+const tenantScope = require('../utils/tenantScope');
+
+// "BKG" + 8 random characters (see utils/randomCode.js)
+const generateBookingNumber = () => `BKG${randomCode(8)}`;
+
+// --- Leg Schema ---
+// One movement of all the booking's containers with a single mode and carrier.
+// Each container is tracked on the leg by its own Shipment document.
+const LegSchema = new mongoose.Schema({
+    sequence: { // 1-based position in the booking
+        type: Number,
+        required: true
+    },
+    mode: {
+        type: String,
+        enum: TRANSPORT_MODES,
+        required: [true, 'Leg mode is required']
+    },
+    carrier: {
+        type: String,
+        trim: true
+    },
+    origin: {
+        type: LocationSchema,
+        required: [true, 'Leg origin is required']
+    },
+    destination: {
+        type: LocationSchema,
+        required: [true, 'Leg destination is required']
+    },
+    waypoints: [LocationSchema],
+    plannedDeparture: { type: Date },
+    plannedArrival: { type: Date },
+    // Actual times are filled in by the roll-up from the leg's shipments,
+    // and can be corrected by hand
+    actualDeparture: { type: Date },
+    actualArrival: { type: Date },
+    estimatedArrival: { type: Date }, // Rolled up
+    status: { // Rolled up from the leg's shipments
+        type: String,
+        enum: STATUSES,
+        default: 'Pending'
+    },
+    routeGeometry: { // GeoJSON LineString, shared by the leg's shipments
+        type: {
+            type: String,
+            enum: ['LineString']
+        },
+        coordinates: {
+            type: [[Number]] // Array of [longitude, latitude] pairs
+        }
+    },
+    shipments: [{ // One per container
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment'
+    }]
+}, {
+    id: false // No duplicate `id` next to `_id` in JSON
+});
+
+// --- Booking Schema ---
+// A consignment of one or more containers moving through ordered legs
+// (e.g. truck -> vessel -> rail). Status and ETA are rolled up from the legs,
+// see utils/bookingRollup.js.
+const BookingSchema = new mongoose.Schema({
+    bookingNumber: {
+        type: String,
+        unique: true,
+        required: true,
+        default: generateBookingNumber
+    },
+    reference: { // Customer's own reference, e.g. a purchase order number
+        type: String,
+        trim: true
+    },
+    containers: {
+        type: [{ type: String, trim: true }],
+        validate: {
+            validator: (containers) => containers.length > 0,
+            message: 'At least one container is required'
+        }
+    },
+    legs: {
+        type: [LegSchema],
+        validate: {
+            validator: (legs) => legs.length > 0,
+            message: 'At least one leg is required'
+        }
+    },
+    status: { // Rolled up from the legs
+        type: String,
+        enum: STATUSES,
+        default: 'Pending'
+    },
+    estimatedETA: { // Rolled up: the last leg's estimated arrival
+        type: Date
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancellationReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    id: false
+});
+
+BookingSchema.index({ containers: 1 });
+BookingSchema.index({ status: 1, createdAt: -1 });
+BookingSchema.index({ reference: 1 });
+
+// Origin and destination of the whole booking
+BookingSchema.virtual('origin').get(function() {
+    return this.legs[0]?.origin;
+});
+BookingSchema.virtual('destination').get(function() {
+    return this.legs[this.legs.length - 1]?.destination;
+});
+BookingSchema.set('toJSON', { virtuals: true });
+
+BookingSchema.statics.generateBookingNumber = generateBookingNumber;
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+BookingSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Booking', BookingSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const { SIZE_TYPES, normalizeContainerNumber, parseContainerNumber } = require('../utils/iso6346');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Container Schema ---
+// Registry of physical containers, keyed by their ISO 6346 number; each organization
+// keeps its own. Shipments refer to a container by the same number in `containerId`.
+const ContainerSchema = new mongoose.Schema({
+    containerNumber: {
+        type: String,
+        required: [true, 'Container number is required'],
+        set: normalizeContainerNumber,
+        validate: {
+            validator: (value) => parseContainerNumber(value).valid,
+            message: (props) => `Invalid container number "${props.value}": ${parseContainerNumber(props.value).error}`
+        }
+    },
+    ownerCode: { // First three letters of the number (BIC code of the owner)
+        type: String
+    },
+    sizeTypeCode: { // ISO size/type code, e.g. 45G1 for a 40' high cube
+        type: String,
+        enum: Object.keys(SIZE_TYPES)
+    },
+    owner: {
+        name: { type: String, trim: true },
+        email: { type: String, trim: true, lowercase: true },
+        phone: { type: String, trim: true }
+    },
+    tareWeightKg: {
+        type: Number,
+        min: 0
+    },
+    maxGrossWeightKg: {
+        type: Number,
+        min: 0
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    active: { // False for containers that were sold, scrapped or lost
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    id: false
+});
+
+ContainerSchema.index({ organization: 1, containerNumber: 1 }, { unique: true });
+ContainerSchema.index({ ownerCode: 1 });
+
+ContainerSchema.pre('validate', function(next) {
+    this.ownerCode = this.containerNumber?.slice(0, 3);
+    next();
+});
+
+// Operational name and details of the size/type code ("40HC", reefer, ...)
+ContainerSchema.virtual('sizeType').get(function() {
+    return this.sizeTypeCode ? SIZE_TYPES[this.sizeTypeCode] : null;
+});
+ContainerSchema.set('toJSON', { virtuals: true });
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+ContainerSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Container', ContainerSchema);
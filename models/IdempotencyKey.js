@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// --- Idempotency Key Schema ---
+// One entry per Idempotency-Key a caller sent on a write (see middleware/idempotency.js):
+// locked while the request runs, then holding the response to replay on retries.
+// Entries expire automatically through the TTL index on expiresAt.
+const IdempotencyKeySchema = new mongoose.Schema({
+    key: { // The Idempotency-Key header as sent
+        type: String,
+        required: true
+    },
+    scope: { // The caller ("user:<id>" or "apiKey:<id>"), so keys of different callers never collide
+        type: String,
+        required: true
+    },
+    requestHash: { // SHA-256 of method, path and body; a retry must send the same request
+        type: String,
+        required: true
+    },
+    state: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    lockedUntil: { // Lease of a processing entry, renewed while the request runs; a retry may take over an expired one
+        type: Date
+    },
+    response: { // Set once completed
+        statusCode: { type: Number },
+        etag: { type: String },
+        body: { type: String } // JSON as it was sent
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+IdempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
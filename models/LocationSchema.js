@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const { toPoint } = require('../utils/geo');
+
+// --- GeoJSON Point, for 2dsphere indexes and geo queries (see utils/geoQuery.js) ---
+const PointSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['Point'],
+        required: true
+    },
+    coordinates: { // [longitude, latitude]
+        type: [Number],
+        required: true
+    }
+}, { _id: false });
+
+// --- Embedded Schema for Location Data ---
+// Shared by Shipment (origin, destination, route, currentLocation) and TrackingEvent
+const LocationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Location name is required'],
+        trim: true
+    },
+    // Add coordinates for map integration (optional but recommended)
+    latitude: {
+        type: Number
+    },
+    longitude: {
+        type: Number
+    },
+    timestamp: { // Optional: timestamp when this location was reached/passed/relevant
+        type: Date
+    },
+    geofenceRadiusMeters: { // Optional: overrides the default geofence radius (see utils/geofence.js)
+        type: Number,
+        min: [1, 'Geofence radius must be positive']
+    },
+    place: { // Gazetteer entry the location was resolved to by name (see utils/gazetteer.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Place'
+    },
+    point: { // Derived from latitude/longitude before validation; never set directly
+        type: PointSchema
+    }
+}, { _id: false }); // Don't create separate _id for embedded locations
+
+// --- Middleware: keep `point` in step with the coordinates ---
+// Only assigned when it differs, so an unchanged location isn't marked as modified
+LocationSchema.pre('validate', function(next) {
+    const point = toPoint(this);
+    const current = this.point?.coordinates;
+    if (!point) {
+        if (this.point) this.point = undefined;
+    } else if (!current || current[0] !== point.coordinates[0] || current[1] !== point.coordinates[1]) {
+        this.point = point;
+    }
+    next();
+});
+
+module.exports = LocationSchema;
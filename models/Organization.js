@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { TRANSPORT_MODES } = require('../utils/etaEngine');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const TRACKING_ID_PREFIX_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+const atLeastOne = (label) => ({ type: Number, min: [1, `${label} must be at least 1`] });
+
+// --- Organization Schema ---
+// A customer company the backend runs for (a tenant). Its shipments and the data
+// around them belong to it and are only seen by its accounts (see utils/tenantScope.js).
+// Settings left unset fall back to the server-wide defaults from .env.
+const OrganizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    slug: { // Short unique handle, e.g. "acme-logistics"; platform admins address the organization by it
+        type: String,
+        required: [true, 'Slug is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [SLUG_PATTERN, 'Slug must be lower-case letters and digits, separated by single dashes']
+    },
+    trackingIdPrefix: { // Start of the tracking IDs of its new shipments (see models/Shipment.js)
+        type: String,
+        uppercase: true,
+        trim: true,
+        default: 'CARGO',
+        match: [TRACKING_ID_PREFIX_PATTERN, 'Tracking ID prefix must be 2 to 10 letters or digits']
+    },
+    settings: {
+        speedsKmh: Object.fromEntries(TRANSPORT_MODES.map(mode => [mode, atLeastOne(`${mode} speed`)])), // Average speeds for ETA (see utils/etaEngine.js)
+        geofenceRadiusMeters: { // Default geofence radius per kind (see utils/geofence.js)
+            origin: atLeastOne('Origin geofence radius'),
+            destination: atLeastOne('Destination geofence radius'),
+            waypoint: atLeastOne('Waypoint geofence radius')
+        }
+    },
+    active: { // Accounts of an inactive organization can't sign in; its data is kept
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Organization', OrganizationSchema);
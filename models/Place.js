@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { PLACE_TYPES, UNLOCODE_PATTERN, normalizePlaceName, normalizeUnlocode, nameTrigrams } = require('../utils/placeNames');
+
+// --- Place Schema ---
+// The gazetteer: known ports, depots, warehouses and other locations with their
+// coordinates, looked up by name, alias or UN/LOCODE (see utils/gazetteer.js).
+// Shipment locations given by name only get their coordinates from here.
+const PlaceSchema = new mongoose.Schema({
+    name: { // Standard name, used for shipment locations resolved to this place
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    unlocode: { // UN/LOCODE, e.g. NLRTM; depots and warehouses often have none
+        type: String,
+        set: (value) => normalizeUnlocode(value) || value,
+        match: [UNLOCODE_PATTERN, 'UN/LOCODE must be a 2-letter country code and 3 letters or digits 2-9']
+    },
+    type: {
+        type: String,
+        enum: PLACE_TYPES,
+        default: 'other'
+    },
+    country: { // ISO 3166 alpha-2; taken from the UN/LOCODE when not given
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166 alpha-2 code']
+    },
+    latitude: {
+        type: Number,
+        required: [true, 'Latitude is required'],
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+        type: Number,
+        required: [true, 'Longitude is required'],
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+    },
+    aliases: [{ // Other names and spellings, e.g. "Port of Rotterdam", "Rotterdam Maasvlakte"
+        type: String,
+        trim: true
+    }],
+    geofenceRadiusMeters: { // Copied to shipment locations resolved to this place (see utils/geofence.js)
+        type: Number,
+        min: [1, 'Geofence radius must be positive']
+    },
+    active: { // Inactive places are kept for existing shipments but no longer matched
+        type: Boolean,
+        default: true
+    },
+    // Derived from name and aliases before validation, for lookups
+    searchNames: { type: [String], select: false },
+    trigrams: { type: [String], select: false }
+}, {
+    timestamps: true
+});
+
+PlaceSchema.index({ unlocode: 1 }, { unique: true, partialFilterExpression: { unlocode: { $type: 'string' } } });
+PlaceSchema.index({ searchNames: 1 });
+PlaceSchema.index({ trigrams: 1 });
+PlaceSchema.index({ name: 1 });
+
+PlaceSchema.pre('validate', function(next) {
+    if (!this.country && this.unlocode) {
+        this.country = this.unlocode.slice(0, 2);
+    }
+    if (this.isNew || this.isModified('name') || this.isModified('aliases')) {
+        const names = [this.name, ...(this.aliases || [])].map(normalizePlaceName).filter(Boolean);
+        this.searchNames = [...new Set(names)];
+        this.trigrams = [...new Set(this.searchNames.flatMap(nameTrigrams))];
+    }
+    next();
+});
+
+PlaceSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.searchNames;
+        delete ret.trigrams;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Place', PlaceSchema);
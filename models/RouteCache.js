@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// --- Route Cache Schema ---
+// Routing results keyed by profile + waypoint set (see utils/routing/routeCache.js).
+// Entries expire automatically through the TTL index on expiresAt.
+const RouteCacheSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    profile: {
+        type: String,
+        required: true
+    },
+    provider: { // Provider that produced the route
+        type: String,
+        required: true
+    },
+    geometry: {
+        type: {
+            type: String,
+            enum: ['LineString']
+        },
+        coordinates: {
+            type: [[Number]] // Array of [longitude, latitude] pairs
+        }
+    },
+    distanceKm: {
+        type: Number
+    },
+    durationHours: {
+        type: Number
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+RouteCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RouteCache', RouteCacheSchema);
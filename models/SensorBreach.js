@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { METRIC_NAMES } = require('../utils/sensorRules');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Sensor Breach Schema ---
+// A period during which one metric of a shipment's readings stayed outside its
+// allowed range (Shipment.sensorThresholds): from the first reading out of range
+// to the first reading back within it. Kept after the shipment's exception is
+// resolved, as the record of the excursion (see utils/sensorTelemetry.js).
+const SensorBreachSchema = new mongoose.Schema({
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment',
+        required: true
+    },
+    trackingId: { // Denormalised for lookups without a join
+        type: String,
+        required: true
+    },
+    metric: {
+        type: String,
+        enum: METRIC_NAMES,
+        required: true
+    },
+    limit: { // Which bound was crossed
+        type: String,
+        enum: ['min', 'max'],
+        required: true
+    },
+    threshold: { // The bound, as configured when the breach started
+        type: Number,
+        required: true
+    },
+    peakValue: { // Furthest reading from the range
+        type: Number,
+        required: true
+    },
+    lastValue: {
+        type: Number,
+        required: true
+    },
+    readings: { // Readings out of range so far
+        type: Number,
+        default: 1
+    },
+    startedAt: { // Timestamp of the first reading out of range
+        type: Date,
+        required: true
+    },
+    lastReadingAt: { // Timestamp of the latest reading out of range
+        type: Date,
+        required: true
+    },
+    endedAt: { // Timestamp of the first reading back in range; unset while the breach lasts
+        type: Date
+    },
+    exception: { // The shipment exception that reported it
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShipmentException'
+    }
+}, {
+    timestamps: true
+});
+
+SensorBreachSchema.index({ shipment: 1, startedAt: -1 });
+SensorBreachSchema.index({ shipment: 1, metric: 1, endedAt: 1 });
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+SensorBreachSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('SensorBreach', SensorBreachSchema);
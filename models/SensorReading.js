@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Sensor Reading Schema ---
+// Temperature, humidity and shock measured on a shipment (see utils/sensorTelemetry.js),
+// stored in a MongoDB time series collection with one series per shipment.
+// Readings are never updated once written; they are only removed together with their shipment.
+const SensorReadingSchema = new mongoose.Schema({
+    timestamp: { // When the values were measured
+        type: Date,
+        required: true
+    },
+    meta: { // Series key
+        shipment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Shipment',
+            required: true
+        },
+        trackingId: { // Denormalised for lookups without a join
+            type: String,
+            required: true
+        }
+    },
+    temperature: { // °C
+        type: Number
+    },
+    humidity: { // Relative humidity, %
+        type: Number,
+        min: [0, 'Humidity must be between 0 and 100'],
+        max: [100, 'Humidity must be between 0 and 100']
+    },
+    shock: { // Peak acceleration since the previous reading, g
+        type: Number,
+        min: [0, 'Shock must not be negative']
+    },
+    source: { // Who or what reported the values (e.g. 'manual', 'reefer', 'logger')
+        type: String,
+        trim: true,
+        default: 'manual'
+    }
+}, {
+    timeseries: { timeField: 'timestamp', metaField: 'meta', granularity: 'minutes' },
+    versionKey: false
+});
+
+// Time-range queries per shipment are the main access pattern
+SensorReadingSchema.index({ 'meta.shipment': 1, timestamp: -1 });
+
+// --- Guard: readings are append-only ---
+const rejectMutation = function(next) {
+    next(new Error('Sensor readings are append-only and cannot be modified'));
+};
+SensorReadingSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectMutation);
+SensorReadingSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Tenant scope: the organization is part of each series' meta (see utils/tenantScope.js) ---
+SensorReadingSchema.plugin(tenantScope, { path: 'meta.organization' });
+
+module.exports = mongoose.model('SensorReading', SensorReadingSchema);
@@ -1,33 +1,30 @@
 const mongoose = require('mongoose');
-
-// --- Helper function for generating a simple tracking ID ---
-// In a real app, you might use a more robust unique ID generator like UUID
+const LocationSchema = require('./LocationSchema');
+const { STATUSES, assertTransition } = require('../utils/shipmentStatus');
+const { TRANSPORT_MODES, estimateETA, recordSpeedSample } = require('../utils/etaEngine');
+const { publish } = require('../utils/shipmentEvents');
+const { randomCode } = require('../utils/randomCode');
+const { snapshot, diffSnapshots, recordAudit } = require('../utils/auditTrail');
+const { cleanLineString } = require('../utils/geo');
+const { invalidRanges } = require('../utils/sensorRules');
+const tenantScope = require('../utils/tenantScope');
+const { currentTenant, tenantSettings } = require('../utils/tenantContext');
+
+// --- Allowed range of one sensor metric; either bound may be left open ---
+const SensorRangeSchema = new mongoose.Schema({
+    min: { type: Number },
+    max: { type: Number }
+}, { _id: false });
+
+// --- Helper function for generating a tracking ID ---
+// The organization's prefix ("CARGO" by default) + 10 random characters from an unambiguous
+// alphabet (see utils/randomCode.js), about 6 x 10^14 combinations, so IDs can't be guessed or enumerated.
+const TRACKING_ID_LENGTH = 10;
 const generateTrackingId = () => {
-    const prefix = "CARGO";
-    const randomNum = Math.floor(100000 + Math.random() * 900000); // 6 random digits
-    return `${prefix}${randomNum}`;
+    const prefix = currentTenant()?.trackingIdPrefix || "CARGO";
+    return `${prefix}${randomCode(TRACKING_ID_LENGTH)}`;
 };
 
-// --- Embedded Schema for Location Data ---
-const LocationSchema = new mongoose.Schema({
-    name: {
-        type: String,
-        required: [true, 'Location name is required'],
-        trim: true
-    },
-    // Add coordinates for map integration (optional but recommended)
-    latitude: {
-        type: Number
-    },
-    longitude: {
-        type: Number
-    },
-    timestamp: { // Optional: timestamp when this location was reached/passed/relevant
-        type: Date
-    }
-}, { _id: false }); // Don't create separate _id for embedded locations
-
-
 // --- Main Shipment Schema ---
 const ShipmentSchema = new mongoose.Schema({
     trackingId: {
@@ -55,12 +52,45 @@ const ShipmentSchema = new mongoose.Schema({
     currentLocation: {
         type: LocationSchema, // Represents the last known location
     },
+    currentGeofence: { // Geofence the last known location is inside, if any (see utils/geofence.js)
+        name: { type: String },
+        kind: { type: String, enum: ['origin', 'waypoint', 'destination'] },
+        enteredAt: { type: Date }
+    },
     estimatedETA: {
         type: Date,
     },
+    committedDeliveryDate: { // Delivery date promised to the customer; an ETA past it raises an exception
+        type: Date,
+    },
+    initialETA: { // First ETA ever calculated; on-time analytics measure against it (see utils/shipmentAnalytics.js)
+        type: Date,
+    },
+    departedAt: { // When the shipment first left Pending; start of its transit time
+        type: Date,
+    },
+    deviceId: { // Telematics device reporting positions in batches (see utils/locationIngest.js)
+        type: String,
+        trim: true
+    },
+    transportMode: { // Selects the average speed used for ETA
+        type: String,
+        enum: TRANSPORT_MODES,
+        default: 'road',
+    },
+    sensorThresholds: { // Allowed ranges of sensor readings; readings outside them are breaches (see utils/sensorTelemetry.js)
+        temperature: { type: SensorRangeSchema }, // °C
+        humidity: { type: SensorRangeSchema }, // %
+        shock: { type: SensorRangeSchema } // g; usually only a max
+    },
+    speedStats: { // Running totals learned from location updates (see utils/etaEngine.js)
+        distanceKm: { type: Number, default: 0 },
+        durationHours: { type: Number, default: 0 },
+        samples: { type: Number, default: 0 }
+    },
     status: {
         type: String,
-        enum: ['Pending', 'In Transit', 'Delayed', 'Delivered', 'Cancelled'],
+        enum: STATUSES,
         default: 'Pending',
     },
 
@@ -73,6 +103,7 @@ const ShipmentSchema = new mongoose.Schema({
         },
         coordinates: {
            type: [[Number]], // Array of [longitude, latitude] pairs
+           default: undefined // No empty line: the 2dsphere index only takes valid GeoJSON
            // required: true
         }
     },
@@ -84,80 +115,125 @@ const ShipmentSchema = new mongoose.Schema({
     notes: {
         type: String,
         trim: true
+    },
+    cancelledAt: {
+        type: Date,
+    },
+    cancellationReason: {
+        type: String,
+        trim: true
+    },
+    proofOfDelivery: { // Captured at handover; signature and photos are shipment documents (see models/ShipmentDocument.js)
+        recipientName: { type: String, trim: true },
+        deliveredAt: { type: Date },
+        latitude: { type: Number },
+        longitude: { type: Number },
+        distanceFromDestinationKm: { type: Number }, // From the delivery coordinates, to check them against
+        signature: { type: mongoose.Schema.Types.ObjectId, ref: 'ShipmentDocument' },
+        photos: {
+            type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShipmentDocument' }],
+            default: undefined
+        },
+        notes: { type: String, trim: true },
+        capturedBy: { // Snapshot of the user or API key that captured it
+            type: { type: String, enum: ['user', 'apiKey'] },
+            id: { type: mongoose.Schema.Types.ObjectId },
+            name: { type: String }
+        },
+        capturedAt: { type: Date }
+    },
+    // Set when the shipment is one container's movement on a leg of a booking (see models/Booking.js)
+    booking: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+    },
+    bookingLeg: { // The leg's sequence number (1-based)
+        type: Number
     }
 }, {
-    timestamps: true // Adds createdAt and updatedAt fields automatically
+    timestamps: true, // Adds createdAt and updatedAt fields automatically
+    // Every save() bumps __v and fails with a VersionError if another save came first,
+    // so concurrent read-modify-save cycles can't overwrite each other (see utils/preconditions.js)
+    optimisticConcurrency: true
 });
 
 
-// --- Instance Method for Simple ETA Calculation ---
-// NOTE: This is a placeholder. Real ETA requires complex logic.
-ShipmentSchema.methods.calculateSimpleETA = function() {
+// --- Indexes for list filtering and sorting (see utils/shipmentQuery.js) ---
+// _id is part of each sort index because it breaks ties for cursor pagination
+ShipmentSchema.index({ createdAt: -1, _id: -1 });
+ShipmentSchema.index({ status: 1, createdAt: -1, _id: -1 });
+ShipmentSchema.index({ containerId: 1 });
+ShipmentSchema.index({ 'origin.name': 1 });
+ShipmentSchema.index({ 'destination.name': 1 });
+ShipmentSchema.index({ estimatedETA: 1, _id: 1 });
+ShipmentSchema.index({ notes: 'text' });
+ShipmentSchema.index({ booking: 1, bookingLeg: 1 });
+ShipmentSchema.index({ deviceId: 1 }, { sparse: true });
+ShipmentSchema.index({ status: 1, actualDeliveryDate: 1 });
+
+// --- Geo indexes for the near/within/intersects searches (see utils/geoQuery.js) ---
+// Locations carry a GeoJSON `point` (see models/LocationSchema.js)
+ShipmentSchema.index({ 'currentLocation.point': '2dsphere' });
+ShipmentSchema.index({ 'route.point': '2dsphere' });
+ShipmentSchema.index({ detailedRouteGeometry: '2dsphere' });
+
+
+// --- Instance Method for ETA Calculation ---
+// Distance/speed based estimate, see utils/etaEngine.js, with the organization's speeds.
+// Returns the full estimate (eta, remaining distance, progress, confidence).
+ShipmentSchema.methods.calculateETA = function(options = {}) {
     // 'this' refers to the document instance
+    return estimateETA(this, { speeds: tenantSettings().speedsKmh, ...options });
+};
 
-    console.log(`Calculating ETA for Shipment ${this.trackingId}, Status: ${this.status}`);
-
-    // Don't calculate if delivered or route is invalid/too short
-    if (this.status === 'Delivered' || !Array.isArray(this.route) || this.route.length < 2) {
-        console.log(`Skipping ETA calculation (Status: ${this.status}, Route points: ${this.route?.length})`);
-        // If delivered, ETA should ideally be null or the actual delivery date? Return null for now.
-        return this.status === 'Delivered' ? null : this.estimatedETA;
-    }
 
-    const now = new Date();
-    // Example: Assume each leg of the journey takes ~2 days
-    const averageTimePerLegMs = 2 * 24 * 60 * 60 * 1000;
-
-    let remainingLegs = 0;
-    let currentFound = false;
-    const currentLocName = this.currentLocation?.name;
-
-    // Find current location index in the planned route
-    if (currentLocName) {
-        for(let i = 0; i < this.route.length; i++) {
-            // Check if route item and its name exist before comparing
-            if (this.route[i]?.name === currentLocName) {
-                currentFound = true;
-                // Legs remaining = total points - 1 (destination index) - current index
-                remainingLegs = this.route.length - 1 - i;
-                console.log(`Current location '${currentLocName}' found at route index ${i}. Remaining legs: ${remainingLegs}`);
-                break;
-            }
-        }
-        // If current location isn't exactly on a route point, estimate based on full route?
-        // Or maybe based on the *last known* point on the route? For simplicity, let's assume full route if not found.
-        if (!currentFound) {
-            remainingLegs = this.route.length - 1; // Default to full route if current unknown on route
-            console.log(`Current location '${currentLocName}' not found on route. Assuming full route legs: ${remainingLegs}`);
+// --- Middleware: Remember the status and position as loaded ---
+// Used for status transition checks, for learning the average speed and for the audit diff
+const rememberLoadedState = function() {
+    this.$locals.auditSnapshot = snapshot(this);
+    this.$locals.originalStatus = this.status;
+    this.$locals.originalLocation = this.currentLocation?.toObject
+        ? this.currentLocation.toObject()
+        : this.currentLocation;
+};
+ShipmentSchema.post('init', rememberLoadedState);
+ShipmentSchema.post('save', rememberLoadedState);
+
+
+// --- Middleware: Keep the route geometry indexable ---
+// Repeated vertices (e.g. from a router) would make the 2dsphere index reject the save
+ShipmentSchema.pre('validate', function(next) {
+    const geometry = this.detailedRouteGeometry;
+    if (geometry?.coordinates?.length > 0) {
+        const cleaned = cleanLineString(geometry);
+        if (!cleaned || cleaned.coordinates.length !== geometry.coordinates.length) {
+            this.detailedRouteGeometry = cleaned;
         }
-    } else {
-         // Assume start from origin if no current location provided yet
-         remainingLegs = this.route.length - 1; // Start from origin
-         console.log(`No current location name provided. Assuming start from origin. Legs: ${remainingLegs}`);
     }
+    next();
+});
 
-    // Ensure remaining legs isn't negative
-    remainingLegs = Math.max(0, remainingLegs);
-
-    if (remainingLegs === 0) {
-        // If at destination or beyond, ETA could be now or already passed
-        console.log("At or past destination according to route. ETA is now.");
-        // If status isn't Delivered yet, maybe it should be? Or set ETA to now.
-        return now;
-    }
 
-    // Calculate final ETA
-    const estimatedDurationMs = remainingLegs * averageTimePerLegMs;
-    const calculatedETA = new Date(now.getTime() + estimatedDurationMs);
-    console.log("Calculated ETA:", calculatedETA.toISOString());
-    return calculatedETA;
-};
+// --- Middleware: Sensor ranges must not be inverted ---
+ShipmentSchema.pre('validate', function(next) {
+    invalidRanges(this.sensorThresholds).forEach(({ path, msg }) => this.invalidate(path, msg));
+    next();
+});
 
 
 // --- Middleware: Runs before saving a document (`.save()`) ---
 ShipmentSchema.pre('save', function(next) { // MUST use 'function' to access 'this' (the document)
     console.log(`Running pre-save hook for Shipment ${this.trackingId || '(new)'}...`);
 
+    // --- Enforce the status state machine (see utils/shipmentStatus.js) ---
+    if (!this.isNew && this.isModified('status') && this.$locals.originalStatus) {
+        try {
+            assertTransition(this.$locals.originalStatus, this.status);
+        } catch (err) {
+            return next(err);
+        }
+    }
+
     let originObj, destObj;
 
     // Ensure origin/destination are plain objects for manipulation
@@ -174,6 +250,10 @@ ShipmentSchema.pre('save', function(next) { // MUST use 'function' to access 'th
         if (originObj && !this.currentLocation) {
              this.currentLocation = { ...originObj, timestamp: new Date() };
              console.log("Set initial currentLocation to origin.");
+             // Starts inside the origin geofence, so leaving it records a departure
+             if (typeof originObj.latitude === 'number' && typeof originObj.longitude === 'number') {
+                 this.currentGeofence = { name: originObj.name, kind: 'origin', enteredAt: this.currentLocation.timestamp };
+             }
         }
         // Add timestamp to origin location in the object used for route building
          if (originObj) {
@@ -241,30 +321,109 @@ ShipmentSchema.pre('save', function(next) { // MUST use 'function' to access 'th
      }
 
 
+    // --- Learn average speed from consecutive location updates ---
+    if (!this.isNew && this.isModified('currentLocation') && this.$locals.originalLocation) {
+        const { distanceKm, durationHours, samples } = this.speedStats || {};
+        const stats = { distanceKm, durationHours, samples };
+        if (recordSpeedSample(stats, this.$locals.originalLocation, this.currentLocation, this.transportMode, tenantSettings().speedsKmh)) {
+            this.speedStats = stats;
+        }
+    }
+
     // --- Update ETA if relevant fields changed ---
-    // Recalculate if new, route changed, destination changed, or current location changed
-    if (this.isNew || this.isModified('route') || this.isModified('destination') || this.isModified('currentLocation')) {
+    // Recalculate if new, or anything the estimate depends on changed
+    const etaInputs = ['route', 'destination', 'currentLocation', 'status', 'transportMode', 'detailedRouteGeometry'];
+    if (this.isNew || etaInputs.some(field => this.isModified(field))) {
         console.log("Recalculating ETA due to changes...");
         try {
-            // Ensure 'calculateSimpleETA' exists before calling
-            if (typeof this.calculateSimpleETA === 'function') {
-                 this.estimatedETA = this.calculateSimpleETA(); // Call the instance method
-            } else {
-                 console.error("ERROR: this.calculateSimpleETA is not a function on the document!");
-                 // Handle this error state appropriately - maybe don't change ETA?
-            }
+            this.estimatedETA = this.calculateETA().eta;
         } catch (e) {
             console.error("Error occurred during ETA calculation:", e);
-            // Decide how to handle: pass error? set ETA to null? Log and continue?
-            // For now, just log it and continue saving without updated ETA
+            // Log and continue saving without updated ETA
         }
     }
 
+    // --- Milestones for analytics: set once, never overwritten ---
+    if (!this.initialETA && this.estimatedETA) {
+        this.initialETA = this.estimatedETA;
+    }
+    if (!this.departedAt && !['Pending', 'Cancelled'].includes(this.status)) {
+        this.departedAt = this.currentLocation?.timestamp || new Date();
+    }
+
+    // --- Remember what changed, for the lifecycle events published after saving ---
+    this.$locals.changes = {
+        created: this.isNew,
+        location: !this.isNew && this.isModified('currentLocation'),
+        status: !this.isNew && this.isModified('status'),
+        eta: !this.isNew && this.isModified('estimatedETA'),
+        previousStatus: this.$locals.originalStatus
+    };
+
+    // --- Field-level diff for the audit trail (see utils/auditTrail.js), written after saving ---
+    this.$locals.auditEntry = {
+        action: this.isNew ? 'create' : 'update',
+        changes: diffSnapshots(this.isNew ? {} : this.$locals.auditSnapshot || {}, snapshot(this))
+    };
+
     console.log("Pre-save hook finished.");
     next(); // Proceed with the save operation
 });
 
 
+// --- Middleware: Publish lifecycle events after saving (see utils/shipmentEvents.js) ---
+ShipmentSchema.post('save', function(doc) {
+    const changes = doc.$locals.changes || {};
+    doc.$locals.changes = null;
+
+    if (changes.created) {
+        publish('shipment.created', doc, {
+            containerId: doc.containerId,
+            status: doc.status,
+            origin: doc.origin,
+            destination: doc.destination,
+            currentLocation: doc.currentLocation,
+            estimatedETA: doc.estimatedETA
+        });
+        return;
+    }
+    if (changes.location) {
+        publish('shipment.location', doc, { currentLocation: doc.currentLocation, currentGeofence: doc.currentGeofence?.name ? doc.currentGeofence : null });
+    }
+    if (changes.status) {
+        publish('shipment.status', doc, { from: changes.previousStatus, to: doc.status, actualDeliveryDate: doc.actualDeliveryDate });
+        if (doc.status === 'Delivered') {
+            publish('shipment.delivered', doc, { actualDeliveryDate: doc.actualDeliveryDate, currentLocation: doc.currentLocation });
+        }
+    }
+    if (changes.eta) {
+        publish('shipment.eta', doc, { estimatedETA: doc.estimatedETA });
+    }
+});
+
+
+// --- Middleware: Write the audit entry for this save ---
+// The caller's context (who, from where) is in $locals.audit; without one the system made the change
+ShipmentSchema.post('save', async function(doc) {
+    const { action, changes } = doc.$locals.auditEntry || { changes: [] };
+    const context = doc.$locals.audit;
+    doc.$locals.auditEntry = null;
+    doc.$locals.audit = null;
+    if (changes.length === 0) return;
+
+    // A new shipment is always a 'create', whatever the caller labelled it
+    await recordAudit(doc, { action: action === 'create' ? action : context?.action || action, changes }, context);
+});
+
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+ShipmentSchema.plugin(tenantScope);
+
+
+// --- Static: expose the tracking ID generator (e.g. to retry after a collision) ---
+ShipmentSchema.statics.generateTrackingId = generateTrackingId;
+
+
 // --- Export the Mongoose Model ---
 // Ensure this line is AFTER all schema, method, and middleware definitions
 module.exports = mongoose.model('Shipment', ShipmentSchema);
\ No newline at end of file
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Shipment Audit Schema ---
+// Who changed what on a shipment, and when: one entry per create, save or delete,
+// with a field-level before/after diff. Entries are append-only and are kept
+// when the shipment itself is deleted (customs disputes can come up much later).
+const ShipmentAuditSchema = new mongoose.Schema({
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment',
+        required: true
+    },
+    trackingId: { // Denormalised, so the trail is still findable after deletion
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'location', 'delivery', 'cancel', 'delete'],
+        required: true
+    },
+    actor: { // From req.auth, or the background job that made the change
+        type: { type: String, enum: ['user', 'apiKey', 'system'], required: true },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String },
+        role: { type: String }
+    },
+    source: { // Where the change came from
+        channel: { type: String }, // 'api', or the background job's name
+        method: { type: String },
+        path: { type: String },
+        ip: { type: String },
+        userAgent: { type: String }
+    },
+    correlationId: { // X-Correlation-Id of the request; ties together everything one request changed
+        type: String
+    },
+    changes: [{
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed }
+    }],
+    timestamp: {
+        type: Date,
+        required: true,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+ShipmentAuditSchema.index({ shipment: 1, timestamp: -1 });
+ShipmentAuditSchema.index({ trackingId: 1, timestamp: -1 });
+ShipmentAuditSchema.index({ correlationId: 1 });
+
+// --- Guard: the trail is append-only ---
+const rejectMutation = function(next) {
+    next(new Error('Audit entries are append-only and cannot be modified'));
+};
+ShipmentAuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectMutation);
+ShipmentAuditSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+ShipmentAuditSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ShipmentAudit', ShipmentAuditSchema);
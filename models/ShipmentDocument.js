@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_TYPES, CONTENT_TYPES } = require('../utils/documentFiles');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Shipment Document Schema ---
+// A file attached to a shipment: bill of lading, invoice, customs declaration,
+// or the signature and photos of its proof of delivery. The file itself is in
+// file storage (see utils/fileStorage.js); this is its metadata.
+const ShipmentDocumentSchema = new mongoose.Schema({
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment',
+        required: true
+    },
+    trackingId: { // Denormalised for lookups without a join
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: DOCUMENT_TYPES,
+        required: true
+    },
+    filename: { // As uploaded, without any directory; used for downloads
+        type: String,
+        required: true,
+        trim: true
+    },
+    contentType: {
+        type: String,
+        enum: Object.keys(CONTENT_TYPES),
+        required: true
+    },
+    size: { // Bytes
+        type: Number,
+        required: true
+    },
+    sha256: { // Hex digest of the content, to check copies against
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    storage: { // Where the file is (see utils/fileStorage.js); not sent to clients
+        backend: { type: String, required: true },
+        key: { type: String, required: true }
+    },
+    uploadedBy: { // Snapshot of the user or API key that uploaded it
+        type: { type: String, enum: ['user', 'apiKey'] },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String }
+    }
+}, {
+    timestamps: true
+});
+
+ShipmentDocumentSchema.index({ shipment: 1, createdAt: -1 });
+
+ShipmentDocumentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storage;
+        return ret;
+    }
+});
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+ShipmentDocumentSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ShipmentDocument', ShipmentDocumentSchema);
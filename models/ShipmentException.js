@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { EXCEPTION_TYPES } = require('../utils/exceptionRules');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Shipment Exception Schema ---
+// A problem detected by the exception scheduler (utils/exceptionScheduler.js)
+// or by sensor readings out of range (utils/sensorTelemetry.js).
+// At most one unresolved exception exists per shipment and type. The scheduler's
+// are resolved automatically once a later scan no longer detects the condition;
+// sensor breaches stay unresolved until the shipment is delivered or cancelled,
+// so short excursions aren't missed.
+const ShipmentExceptionSchema = new mongoose.Schema({
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment',
+        required: true
+    },
+    trackingId: { // Denormalised for lookups without a join
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: EXCEPTION_TYPES,
+        required: true
+    },
+    reason: { // Human-readable, refreshed on every scan that still detects the condition
+        type: String,
+        required: true
+    },
+    details: { // Measurements behind the reason (see utils/exceptionRules.js, utils/sensorTelemetry.js)
+        type: mongoose.Schema.Types.Mixed
+    },
+    status: {
+        type: String,
+        enum: ['open', 'acknowledged', 'resolved'],
+        default: 'open'
+    },
+    detectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastDetectedAt: {
+        type: Date,
+        default: Date.now
+    },
+    acknowledgedAt: {
+        type: Date
+    },
+    acknowledgedBy: { // Snapshot of the user or API key that acknowledged it
+        type: { type: String, enum: ['user', 'apiKey'] },
+        id: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String }
+    },
+    acknowledgementNote: {
+        type: String,
+        trim: true
+    },
+    resolvedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+ShipmentExceptionSchema.index({ status: 1, detectedAt: -1 });
+ShipmentExceptionSchema.index({ shipment: 1, status: 1 });
+ShipmentExceptionSchema.index({ trackingId: 1, detectedAt: -1 });
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+ShipmentExceptionSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('ShipmentException', ShipmentExceptionSchema);
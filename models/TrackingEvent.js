@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const LocationSchema = require('./LocationSchema');
+const { STATUSES } = require('../utils/shipmentStatus');
+const tenantScope = require('../utils/tenantScope');
+
+// --- Tracking Event Schema ---
+// Append-only history of positions reported for a shipment.
+// Events are never updated once written (they are only removed together with
+// their shipment); the shipment's currentLocation is simply the latest of them.
+const TrackingEventSchema = new mongoose.Schema({
+    shipment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shipment',
+        required: true
+    },
+    trackingId: { // Denormalised for lookups without a join
+        type: String,
+        required: true
+    },
+    type: { // 'location' for reported positions, 'arrival'/'departure' for geofence crossings
+        type: String,
+        enum: ['location', 'arrival', 'departure'],
+        default: 'location'
+    },
+    geofence: { // Set for arrival/departure events
+        name: { type: String },
+        kind: { type: String, enum: ['origin', 'waypoint', 'destination'] }
+    },
+    location: {
+        type: LocationSchema,
+        required: [true, 'Event location is required']
+    },
+    timestamp: { // When the shipment was at this location
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    source: { // Who or what reported the position (e.g. 'manual', 'gps', 'system')
+        type: String,
+        trim: true,
+        default: 'manual'
+    },
+    status: { // Shipment status at the time of the event
+        type: String,
+        enum: STATUSES
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false } // Events are immutable
+});
+
+// Time-range queries per shipment are the main access pattern
+TrackingEventSchema.index({ shipment: 1, timestamp: -1 });
+
+// --- Guard: the history is append-only ---
+const rejectMutation = function(next) {
+    next(new Error('Tracking events are append-only and cannot be modified'));
+};
+TrackingEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], rejectMutation);
+TrackingEventSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+TrackingEventSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('TrackingEvent', TrackingEventSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ROLES } = require('../utils/roles');
+const tenantScope = require('../utils/tenantScope');
+
+const SALT_ROUNDS = 10;
+
+// --- User Schema ---
+// Accounts that log in with email/password and receive a JWT (see middleware/auth.js)
+const UserSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email is invalid']
+    },
+    password: { // bcrypt hash, set from the plain password by the pre-save hook
+        type: String,
+        required: [true, 'Password is required'],
+        minlength: [8, 'Password must be at least 8 characters'],
+        select: false // Never returned unless explicitly requested
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        required: true,
+        default: 'customer'
+    },
+    organization: { // None for platform admins, who manage the organizations (see routes/organizationRoutes.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        immutable: true,
+        required: [function() { return this.role !== 'admin'; }, 'Organization is required for all but admin accounts']
+    },
+    // Shipments a driver may update or a customer may view
+    assignedTrackingIds: [{
+        type: String,
+        trim: true
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    },
+    lastLoginAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+// --- Middleware: hash the password whenever it changes ---
+UserSchema.pre('save', async function() {
+    if (this.isModified('password')) {
+        this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    }
+});
+
+// --- Instance Method: compare a plain password with the stored hash ---
+UserSchema.methods.checkPassword = function(plainPassword) {
+    return bcrypt.compare(plainPassword, this.password);
+};
+
+// Never serialise the password hash
+UserSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+    }
+});
+
+// --- Tenant scope: the organization the account belongs to, none for platform admins (see utils/tenantScope.js) ---
+UserSchema.plugin(tenantScope, { accounts: true });
+
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const tenantScope = require('../utils/tenantScope');
+
+dotenv.config(); // Load .env variables
+
+// Delivery records (pending or not) are removed this many days after creation
+const RETENTION_DAYS = Number(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30;
+
+// --- Webhook Delivery Schema ---
+// One event for one subscription. Doubles as the outbox (pending deliveries
+// are picked up by utils/webhookDispatcher.js) and as the delivery log.
+const WebhookDeliverySchema = new mongoose.Schema({
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    eventId: { // Shared by all deliveries of the same event; lets receivers deduplicate
+        type: String,
+        required: true
+    },
+    eventType: {
+        type: String,
+        required: true
+    },
+    trackingId: {
+        type: String
+    },
+    payload: { // The exact JSON body that is sent
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attemptCount: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: { // When a pending delivery is due
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: { // A 'sending' delivery whose lock expired is retried (e.g. after a crash)
+        type: Date
+    },
+    attempts: [{
+        _id: false,
+        at: { type: Date },
+        durationMs: { type: Number },
+        responseStatus: { type: Number }, // Missing if no response was received
+        responseBody: { type: String }, // Truncated
+        error: { type: String }
+    }],
+    deliveredAt: {
+        type: Date
+    },
+    redeliveryOf: { // Set on manual redeliveries
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    }
+}, {
+    timestamps: true
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 }); // Outbox polling
+WebhookDeliverySchema.index({ subscription: 1, createdAt: -1 }); // Delivery log
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+WebhookDeliverySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { EVENT_TYPES } = require('../utils/shipmentEvents');
+const tenantScope = require('../utils/tenantScope');
+const { assertPublicUrl } = require('../utils/webhookTarget');
+
+// --- Webhook Subscription Schema ---
+// A partner endpoint that receives shipment lifecycle events as signed POST requests.
+// The signing secret is kept in plain text (it is needed to compute signatures)
+// but never returned by the API after creation.
+const WebhookSubscriptionSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'URL is required'],
+        trim: true,
+        // Must be http(s) and resolve only to public addresses (see utils/webhookTarget.js);
+        // a rejection's message becomes the validation message
+        validate: {
+            validator: async (value) => {
+                await assertPublicUrl(value);
+                return true;
+            }
+        }
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Event types to send; empty means all of them
+    events: [{
+        type: String,
+        enum: EVENT_TYPES
+    }],
+    // Only send events for these shipments; empty means all shipments
+    trackingIds: [{
+        type: String,
+        trim: true
+    }],
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+WebhookSubscriptionSchema.index({ active: 1 });
+
+/**
+ * Generates a new signing secret ("whsec_" + 48 hex characters).
+ * @returns {string}
+ */
+WebhookSubscriptionSchema.statics.generateSecret = function() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+};
+
+// --- Instance Method: whether an event should be sent to this subscription ---
+WebhookSubscriptionSchema.methods.matches = function(event) {
+    return (this.events.length === 0 || this.events.includes(event.type)) &&
+        (this.trackingIds.length === 0 || this.trackingIds.includes(event.trackingId));
+};
+
+WebhookSubscriptionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+// --- Tenant scope: belongs to an organization (see utils/tenantScope.js) ---
+WebhookSubscriptionSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('WebhookSubscription', WebhookSubscriptionSchema);
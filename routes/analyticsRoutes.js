@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getStatusCounts,
+  getOnTimeRate,
+  getLaneTransitTimes,
+  getDelayedLanes,
+  getThroughput
+} = require('../controllers/analyticsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/schemas/analyticsSchemas');
+
+// Operations KPIs are for admins and dispatchers
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET shipment counts per status
+router.get('/status-counts', validate(schemas.statusCounts), getStatusCounts);
+
+// GET on-time delivery rate
+router.get('/on-time', validate(schemas.onTimeRate), getOnTimeRate);
+
+// GET average transit time per lane
+router.get('/lanes/transit-times', validate(schemas.laneTransitTimes), getLaneTransitTimes);
+
+// GET lanes with the most delays
+router.get('/lanes/delayed', validate(schemas.delayedLanes), getDelayedLanes);
+
+// GET shipments created and delivered per day
+router.get('/throughput', validate(schemas.throughput), getThroughput);
+
+module.exports = router;
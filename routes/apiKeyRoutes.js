@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All API key management requires an admin or dispatcher
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET all API keys
+router.get('/', getApiKeys);
+
+// POST create an API key
+router.post('/', createApiKey);
+
+// PATCH update an API key
+router.patch('/:id', updateApiKey);
+
+// DELETE (revoke) an API key
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const { login, getMe } = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+
+// POST log in, returns a JWT
+router.post('/login', login);
+
+// GET the authenticated user or API key
+router.get('/me', authenticate(), getMe);
+
+module.exports = router;
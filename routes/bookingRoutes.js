@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getBookings,
+  createBooking,
+  getBookingById,
+  updateBooking,
+  updateBookingLeg,
+  getBookingShipments,
+  cancelBooking
+} = require('../controllers/bookingController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Bookings are managed by admins and dispatchers
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET all bookings (filter by status, containerId, reference)
+router.get('/', getBookings);
+
+// POST create a booking and its shipments
+router.post('/', createBooking);
+
+// GET a booking by ID or booking number
+router.get('/:id', getBookingById);
+
+// PATCH update a booking's reference or notes
+router.patch('/:id', updateBooking);
+
+// PATCH update a leg's carrier or times
+router.patch('/:id/legs/:sequence', updateBookingLeg);
+
+// GET the shipments of a booking
+router.get('/:id/shipments', getBookingShipments);
+
+// POST cancel a booking
+router.post('/:id/cancel', cancelBooking);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getContainers,
+  validateContainerNumber,
+  createContainer,
+  getContainer,
+  updateContainer,
+  getContainerShipments,
+  getContainerEvents
+} = require('../controllers/containerController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// The container registry is managed by admins and dispatchers
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET all registered containers
+router.get('/', getContainers);
+
+// POST register a container
+router.post('/', createContainer);
+
+// GET check a container number (ISO 6346) without registering it
+router.get('/validate/:containerNumber', validateContainerNumber);
+
+// GET a container and its current shipment
+router.get('/:containerNumber', getContainer);
+
+// PATCH update a container
+router.patch('/:containerNumber', updateContainer);
+
+// GET current and past shipments of a container
+router.get('/:containerNumber/shipments', getContainerShipments);
+
+// GET tracking history of a container across its shipments
+router.get('/:containerNumber/events', getContainerEvents);
+
+module.exports = router;
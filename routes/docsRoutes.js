@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const swaggerUi = require('swagger-ui-express');
+const shipmentRoutes = require('./shipmentRoutes');
+const streamRoutes = require('./streamRoutes');
+const trackingRoutes = require('./trackingRoutes');
+const bookingRoutes = require('./bookingRoutes');
+const containerRoutes = require('./containerRoutes');
+const exceptionRoutes = require('./exceptionRoutes');
+const shipmentOperations = require('../utils/openapi/shipmentOperations');
+const streamOperations = require('../utils/openapi/streamOperations');
+const trackingOperations = require('../utils/openapi/trackingOperations');
+const bookingOperations = require('../utils/openapi/bookingOperations');
+const containerOperations = require('../utils/openapi/containerOperations');
+const exceptionOperations = require('../utils/openapi/exceptionOperations');
+const { buildSpec } = require('../utils/openapi');
+
+// Built once, when the server starts: a route without an operation entry (or an
+// entry without a route) throws here and stops the server
+const spec = buildSpec([
+  { basePath: '/api/shipments', router: shipmentRoutes, operations: shipmentOperations, tag: 'Shipments' },
+  { basePath: '/api/stream', router: streamRoutes, operations: streamOperations, tag: 'Real-time updates' },
+  { basePath: '/api/track', router: trackingRoutes, operations: trackingOperations, tag: 'Public tracking' },
+  { basePath: '/api/bookings', router: bookingRoutes, operations: bookingOperations, tag: 'Bookings' },
+  { basePath: '/api/containers', router: containerRoutes, operations: containerOperations, tag: 'Containers' },
+  { basePath: '/api/exceptions', router: exceptionRoutes, operations: exceptionOperations, tag: 'Exceptions' }
+]);
+
+// GET the OpenAPI 3.1 document (public, e.g. for client SDK generators)
+router.get('/openapi.json', (req, res) => res.json(spec));
+
+// GET interactive API docs (Swagger UI) reading /api/openapi.json
+router.use('/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  customSiteTitle: 'Cargo Tracker API',
+  swaggerOptions: { url: '/api/openapi.json', persistAuthorization: true }
+}));
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExceptions,
+  getExceptionById,
+  acknowledgeException,
+  runExceptionScan
+} = require('../controllers/exceptionController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Exceptions are handled by operations staff
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET exceptions (unresolved by default)
+router.get('/', getExceptions);
+
+// POST run a scan now
+router.post('/scan', authorize('admin'), runExceptionScan);
+
+// GET a single exception
+router.get('/:id', getExceptionById);
+
+// POST acknowledge an exception
+router.post('/:id/acknowledge', acknowledgeException);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getOrganizations,
+  createOrganization,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization
+} = require('../controllers/organizationController');
+const { authenticate, authorizePlatform } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/schemas/organizationSchemas');
+
+// Tenants are managed by platform admins only (admins that belong to no organization)
+router.use(authenticate(), authorizePlatform);
+
+// GET all organizations
+router.get('/', validate(schemas.listOrganizations), getOrganizations);
+
+// POST create an organization
+router.post('/', validate(schemas.createOrganization), createOrganization);
+
+// GET an organization by ID or slug
+router.get('/:id', validate(schemas.organizationById), getOrganization);
+
+// PATCH update an organization (name, slug, tracking ID prefix, settings, active)
+router.patch('/:id', validate(schemas.updateOrganization), updateOrganization);
+
+// DELETE an organization without data
+router.delete('/:id', validate(schemas.organizationById), deleteOrganization);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlaces,
+  lookupPlaces,
+  getPlace,
+  createPlace,
+  updatePlace,
+  deletePlace
+} = require('../controllers/placeController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../utils/schemas/placeSchemas');
+
+// The gazetteer is read by everyone who creates shipments or reports locations,
+// and maintained by admins and dispatchers
+router.use(authenticate());
+
+const readers = authorize('admin', 'dispatcher', 'driver');
+const managers = authorize('admin', 'dispatcher');
+
+// GET all places
+router.get('/', readers, validate(schemas.listPlaces), getPlaces);
+
+// GET places matching a name, alias or UN/LOCODE, typos allowed
+router.get('/lookup', readers, validate(schemas.lookupPlaces), lookupPlaces);
+
+// POST add a place
+router.post('/', managers, validate(schemas.createPlace), createPlace);
+
+// GET a place by ID or UN/LOCODE
+router.get('/:id', readers, validate(schemas.placeById), getPlace);
+
+// PATCH update a place
+router.patch('/:id', managers, validate(schemas.updatePlace), updatePlace);
+
+// DELETE a place
+router.delete('/:id', authorize('admin'), validate(schemas.placeById), deletePlace);
+
+module.exports = router;
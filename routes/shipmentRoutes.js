@@ -5,22 +5,132 @@ const {
   getShipmentById,
   createShipment,
   updateShipmentLocation,
-  getShipmentETA
+  ingestLocations,
+  getShipmentETA,
+  getShipmentEvents,
+  getShipmentAudit,
+  updateShipment,
+  cancelShipment,
+  deleteShipment
 } = require('../controllers/shipmentController');
+const {
+  importShipments,
+  getImportJob,
+  exportShipments
+} = require('../controllers/shipmentTransferController');
+const {
+  getShipmentsNear,
+  getShipmentsWithin,
+  getShipmentsIntersecting
+} = require('../controllers/shipmentGeoController');
+const {
+  recordShipmentReadings,
+  getShipmentReadings,
+  getReadingsSummary,
+  getShipmentBreaches
+} = require('../controllers/shipmentSensorController');
+const {
+  uploadShipmentDocument,
+  getShipmentDocuments,
+  getShipmentDocument,
+  downloadShipmentDocument,
+  deleteShipmentDocument,
+  captureProofOfDelivery
+} = require('../controllers/shipmentDocumentController');
+const { authenticate, authorize, authorizeShipment } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { idempotency } = require('../middleware/idempotency');
+const schemas = require('../utils/schemas/shipmentSchemas');
+const { CONTENT_TYPES, DOCUMENT_MAX_BYTES } = require('../utils/documentFiles');
+
+// CSV imports of several hundred rows exceed the default body size
+const IMPORT_BODY_LIMIT = process.env.IMPORT_BODY_LIMIT || '5mb';
+
+// Document uploads are the raw file, with its type as Content-Type; other types are left unparsed (415)
+const documentUpload = express.raw({ type: Object.keys(CONTENT_TYPES), limit: DOCUMENT_MAX_BYTES });
+
+// Every shipment route requires a logged-in user or an API key
+router.use(authenticate());
+
+// Roles that manage shipments; drivers and customers only reach assigned ones
+const managers = authorize('admin', 'dispatcher');
+const readers = [authorize('admin', 'dispatcher', 'driver', 'customer'), authorizeShipment];
+const updaters = [authorize('admin', 'dispatcher', 'driver'), authorizeShipment];
+
+// Writes take an optional Idempotency-Key, so retries don't apply them twice;
+// writes to one shipment also take If-Match with its ETag (see utils/preconditions.js)
 
 // GET all shipments
-router.get('/', getAllShipments);
+router.get('/', managers, validate(schemas.listShipments), getAllShipments);
 
 // POST create a new shipment
-router.post('/', createShipment);
+router.post('/', managers, validate(schemas.createShipment), idempotency, createShipment);
+
+// POST bulk import from CSV (text/csv) or JSON; ?dryRun=true validates only
+router.post('/import', managers, express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }), validate(schemas.importShipments), idempotency, importShipments);
+
+// GET progress of the background route geometry batch started by an import
+router.get('/import/jobs/:jobId', managers, validate(schemas.getImportJob), getImportJob);
+
+// GET export of filtered shipments as CSV, JSON or GeoJSON
+router.get('/export', managers, validate(schemas.exportShipments), exportShipments);
+
+// POST batch of timestamped GPS fixes keyed by trackingId or deviceId
+router.post('/locations/batch', authorize('admin', 'dispatcher', 'driver'), validate(schemas.ingestLocations), idempotency, ingestLocations);
+
+// GET shipments currently within a radius of a point, nearest first
+router.get('/geo/near', managers, validate(schemas.shipmentsNear), getShipmentsNear);
+
+// GET/POST shipments currently inside a bounding box (?bbox=) or a GeoJSON polygon (POST body)
+router.get('/geo/within', managers, validate(schemas.shipmentsInBbox), getShipmentsWithin);
+router.post('/geo/within', managers, validate(schemas.shipmentsInArea), getShipmentsWithin);
+
+// GET/POST shipments whose detailed route crosses a bounding box or a GeoJSON polygon
+router.get('/geo/intersects', managers, validate(schemas.shipmentsInBbox), getShipmentsIntersecting);
+router.post('/geo/intersects', managers, validate(schemas.shipmentsInArea), getShipmentsIntersecting);
 
 // GET a single shipment by ID or Tracking ID
-router.get('/:id', getShipmentById);
+router.get('/:id', readers, validate(schemas.shipmentById), getShipmentById);
+
+// PATCH update editable shipment fields
+router.patch('/:id', managers, validate(schemas.updateShipment), idempotency, updateShipment);
+
+// DELETE a shipment with its tracking history, sensor readings and documents
+router.delete('/:id', authorize('admin'), validate(schemas.shipmentById), deleteShipment);
+
+// POST cancel a shipment
+router.post('/:id/cancel', managers, validate(schemas.cancelShipment), idempotency, cancelShipment);
 
 // POST update shipment location
-router.post('/:id/update-location', updateShipmentLocation);
+router.post('/:id/update-location', updaters, validate(schemas.updateLocation), idempotency, updateShipmentLocation);
 
 // GET shipment ETA
-router.get('/:id/eta', getShipmentETA);
+router.get('/:id/eta', readers, validate(schemas.shipmentById), getShipmentETA);
+
+// GET shipment tracking event history
+router.get('/:id/events', readers, validate(schemas.shipmentEvents), getShipmentEvents);
+
+// POST sensor readings (temperature, humidity, shock)
+router.post('/:id/readings', updaters, validate(schemas.recordReadings), idempotency, recordShipmentReadings);
+
+// GET sensor readings, and their min/max/mean per metric
+router.get('/:id/readings', readers, validate(schemas.shipmentReadings), getShipmentReadings);
+router.get('/:id/readings/summary', readers, validate(schemas.readingsSummary), getReadingsSummary);
+
+// GET periods in which a sensor metric was out of its allowed range
+router.get('/:id/breaches', readers, validate(schemas.shipmentBreaches), getShipmentBreaches);
+
+// POST/GET documents attached to a shipment (bill of lading, invoices, customs papers, ...)
+router.post('/:id/documents', updaters, validate(schemas.uploadDocument), documentUpload, idempotency, uploadShipmentDocument);
+router.get('/:id/documents', readers, validate(schemas.shipmentDocuments), getShipmentDocuments);
+router.get('/:id/documents/:documentId', readers, validate(schemas.documentById), getShipmentDocument);
+router.get('/:id/documents/:documentId/content', readers, validate(schemas.documentById), downloadShipmentDocument);
+router.delete('/:id/documents/:documentId', managers, validate(schemas.documentById), deleteShipmentDocument);
+
+// POST proof of delivery (recipient, signature, photos); delivers the shipment
+router.post('/:id/proof-of-delivery', updaters, validate(schemas.captureProofOfDelivery), idempotency, captureProofOfDelivery);
+
+// GET audit trail of changes to a shipment
+router.get('/:id/audit', managers, validate(schemas.shipmentAudit), getShipmentAudit);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
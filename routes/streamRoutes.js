@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+  streamShipments,
+  streamShipment
+} = require('../controllers/streamController');
+const { authenticate, authorize, authorizeShipment, authorizeTrackingIds } = require('../middleware/auth');
+
+// EventSource can't send headers, so a JWT may also be passed as ?access_token=
+router.use(authenticate({ allowQueryToken: true }), authorize('admin', 'dispatcher', 'driver', 'customer'));
+
+// GET live events for all shipments or ?trackingIds=A,B (Server-Sent Events)
+router.get('/shipments', authorizeTrackingIds, streamShipments);
+
+// GET live events for one shipment (Server-Sent Events)
+router.get('/shipments/:id', authorizeShipment, streamShipment);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { trackShipment } = require('../controllers/trackingController');
+const { publicTrackingLimiter } = require('../middleware/rateLimit');
+
+// GET public, customer-safe tracking view (no authentication, rate-limited)
+router.get('/:trackingId', publicTrackingLimiter, trackShipment);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getUsers,
+  createUser,
+  updateUser,
+  deleteUser
+} = require('../controllers/userController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// All user management requires an admin or dispatcher
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET all users
+router.get('/', getUsers);
+
+// POST create a user
+router.post('/', createUser);
+
+// PATCH update a user
+router.patch('/:id', updateUser);
+
+// DELETE a user
+router.delete('/:id', authorize('admin'), deleteUser);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  getWebhookDelivery,
+  redeliverWebhookDelivery
+} = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+// Webhooks receive events for all shipments, so only admins and dispatchers manage them
+router.use(authenticate(), authorize('admin', 'dispatcher'));
+
+// GET all webhook subscriptions
+router.get('/', getWebhooks);
+
+// POST register a webhook
+router.post('/', createWebhook);
+
+// GET a single webhook
+router.get('/:id', getWebhookById);
+
+// PATCH update a webhook
+router.patch('/:id', updateWebhook);
+
+// DELETE a webhook and its delivery log
+router.delete('/:id', deleteWebhook);
+
+// GET the delivery log of a webhook
+router.get('/:id/deliveries', getWebhookDeliveries);
+
+// GET a single delivery with its payload and attempts
+router.get('/:id/deliveries/:deliveryId', getWebhookDelivery);
+
+// POST send a delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliverWebhookDelivery);
+
+module.exports = router;
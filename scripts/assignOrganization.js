@@ -0,0 +1,96 @@
+// scripts/assignOrganization.js
+// Moves the data from before organizations existed into one: creates the
+// organization if needed, and gives it every shipment (with its events, audit
+// trail, exceptions, sensor data and documents), booking, container, webhook,
+// user and API key that has no organization yet. Admin accounts stay without
+// one: they become the platform admins that manage organizations. Finally the
+// container registry's old index, which kept container numbers unique across all
+// organizations, is replaced by the per-organization one.
+//
+//   npm run assign-organization -- <slug> [name] [--dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Organization = require('../models/Organization');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const ShipmentAudit = require('../models/ShipmentAudit');
+const ShipmentException = require('../models/ShipmentException');
+const SensorReading = require('../models/SensorReading');
+const SensorBreach = require('../models/SensorBreach');
+const ShipmentDocument = require('../models/ShipmentDocument');
+const Booking = require('../models/Booking');
+const Container = require('../models/Container');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+
+// Model, where it keeps the organization, and which of its documents move
+const TARGETS = [
+    [Shipment], [TrackingEvent], [ShipmentAudit], [ShipmentException],
+    [SensorReading, 'meta.organization'], [SensorBreach], [ShipmentDocument],
+    [Booking], [Container], [WebhookSubscription], [WebhookDelivery],
+    [User, 'organization', { role: { $ne: 'admin' } }],
+    [ApiKey, 'organization', { role: { $ne: 'admin' } }]
+];
+
+// Unique index on containerNumber alone, from before organizations
+const LEGACY_CONTAINER_INDEX = 'containerNumber_1';
+
+// Names of a collection's indexes; none if the collection doesn't exist yet
+const indexNames = async (collection) => {
+    try {
+        return (await collection.indexes()).map(index => index.name);
+    } catch (err) {
+        if (err.codeName === 'NamespaceNotFound') return [];
+        throw err;
+    }
+};
+
+const run = async () => {
+    const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+    const dryRun = process.argv.includes('--dry-run');
+    const [slug, name = slug] = args;
+    if (!slug) {
+        console.error('Usage: npm run assign-organization -- <slug> [name] [--dry-run]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    let organization = await Organization.findOne({ slug: slug.toLowerCase() });
+    if (!organization) {
+        organization = new Organization({ name, slug });
+        if (!dryRun) {
+            await organization.save();
+        }
+        console.log(`${dryRun ? '[dry run] ' : ''}Organization created: ${organization.name} (${organization.slug})`);
+    }
+
+    for (const [Model, path = 'organization', filter = {}] of TARGETS) {
+        const unassigned = { ...filter, [path]: { $exists: false } };
+        // The native driver: the organization is immutable in the models, and audit entries and readings are append-only
+        const count = dryRun
+            ? await Model.collection.countDocuments(unassigned)
+            : (await Model.collection.updateMany(unassigned, { $set: { [path]: organization._id } })).modifiedCount;
+        console.log(`${dryRun ? '[dry run] ' : ''}${Model.modelName}: ${count}`);
+    }
+
+    // Mongoose creates new indexes but never drops old ones
+    if ((await indexNames(Container.collection)).includes(LEGACY_CONTAINER_INDEX)) {
+        if (!dryRun) {
+            await Container.collection.dropIndex(LEGACY_CONTAINER_INDEX);
+            await Container.createIndexes();
+        }
+        console.log(`${dryRun ? '[dry run] ' : ''}Container index ${LEGACY_CONTAINER_INDEX} dropped: container numbers are now unique per organization`);
+    }
+
+    const platformAdmins = await User.collection.countDocuments({ role: 'admin', organization: { $exists: false } });
+    console.log(`Platform admins (admin accounts without an organization): ${platformAdmins}`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Could not assign organization:', err.message);
+    process.exit(1);
+});
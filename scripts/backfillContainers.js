@@ -0,0 +1,65 @@
+// scripts/backfillContainers.js
+// Normalises the container numbers of existing shipments and bookings, and
+// registers every valid one in the container registry. Invalid numbers are
+// listed and left as they are.
+//
+//   npm run backfill-containers [-- --dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Shipment = require('../models/Shipment');
+const Booking = require('../models/Booking');
+const Container = require('../models/Container');
+const { normalizeContainerNumber, parseContainerNumber } = require('../utils/iso6346');
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    await connectDB();
+
+    const valid = new Set();
+    const invalid = new Set();
+    let shipmentsUpdated = 0;
+    let bookingsUpdated = 0;
+
+    for await (const shipment of Shipment.find({}, 'containerId').cursor()) {
+        const parsed = parseContainerNumber(shipment.containerId);
+        if (!parsed.valid) {
+            invalid.add(shipment.containerId);
+            continue;
+        }
+        valid.add(parsed.containerNumber);
+        if (parsed.containerNumber !== shipment.containerId) {
+            shipmentsUpdated++;
+            if (!dryRun) {
+                // updateOne skips the save hooks: this is not a user-visible change
+                await Shipment.updateOne({ _id: shipment._id }, { containerId: parsed.containerNumber });
+            }
+        }
+    }
+
+    for await (const booking of Booking.find({}, 'containers').cursor()) {
+        const containers = booking.containers.map(c => (parseContainerNumber(c).valid ? normalizeContainerNumber(c) : c));
+        if (containers.some((c, i) => c !== booking.containers[i])) {
+            bookingsUpdated++;
+            if (!dryRun) {
+                await Booking.updateOne({ _id: booking._id }, { containers });
+            }
+        }
+    }
+
+    const existing = new Set(await Container.find({ containerNumber: { $in: [...valid] } }).distinct('containerNumber'));
+    const toRegister = [...valid].filter(n => !existing.has(n));
+    if (!dryRun && toRegister.length > 0) {
+        await Container.insertMany(toRegister.map(containerNumber => ({ containerNumber })), { ordered: false });
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Shipments normalised: ${shipmentsUpdated}, bookings normalised: ${bookingsUpdated}, containers registered: ${toRegister.length}`);
+    if (invalid.size > 0) {
+        console.log(`Invalid container numbers left unchanged (${invalid.size}): ${[...invalid].join(', ')}`);
+    }
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Could not backfill containers:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,75 @@
+// scripts/backfillGeo.js
+// Prepares existing shipments for the geo searches: adds the GeoJSON `point`
+// to their locations, cleans up detailed route geometries the 2dsphere index
+// would reject (empty lines, repeated vertices), then builds the geo indexes.
+//
+//   npm run backfill-geo [-- --dry-run]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Shipment = require('../models/Shipment');
+const { toPoint, cleanLineString } = require('../utils/geo');
+
+// Whether a stored point matches the coordinates of its location
+const samePoint = (stored, point) => (
+    (!stored && !point) ||
+    (stored && point && stored.coordinates?.[0] === point.coordinates[0] && stored.coordinates?.[1] === point.coordinates[1])
+);
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    await connectDB();
+
+    let locationsUpdated = 0;
+    let geometriesCleaned = 0;
+    let geometriesRemoved = 0;
+
+    const fields = 'origin destination route currentLocation detailedRouteGeometry';
+    for await (const shipment of Shipment.find({}, fields).lean().cursor()) {
+        const $set = {};
+        const $unset = {};
+
+        const setPoint = (path, location) => {
+            if (!location) return;
+            const point = toPoint(location);
+            if (samePoint(location.point, point)) return;
+            locationsUpdated++;
+            if (point) $set[`${path}.point`] = point;
+            else $unset[`${path}.point`] = '';
+        };
+        ['origin', 'destination', 'currentLocation'].forEach(path => setPoint(path, shipment[path]));
+        (shipment.route || []).forEach((location, i) => setPoint(`route.${i}`, location));
+
+        const geometry = shipment.detailedRouteGeometry;
+        if (geometry && Object.keys(geometry).length > 0) {
+            const cleaned = cleanLineString(geometry);
+            if (!cleaned) {
+                geometriesRemoved++;
+                $unset.detailedRouteGeometry = '';
+            } else if (cleaned.coordinates.length !== geometry.coordinates.length) {
+                geometriesCleaned++;
+                $set.detailedRouteGeometry = cleaned;
+            }
+        }
+
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+        if (!dryRun && Object.keys(update).length > 0) {
+            // updateOne skips the save hooks: this is not a user-visible change
+            await Shipment.updateOne({ _id: shipment._id }, update, { timestamps: false });
+        }
+    }
+
+    if (!dryRun) {
+        await Shipment.createIndexes();
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Location points set: ${locationsUpdated}, route geometries cleaned: ${geometriesCleaned}, ` +
+        `invalid route geometries removed: ${geometriesRemoved}${dryRun ? '' : ', geo indexes built'}`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Could not backfill geo data:', err.message);
+    process.exit(1);
+});
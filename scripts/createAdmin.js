@@ -0,0 +1,37 @@
+// scripts/createAdmin.js
+// Creates (or promotes) an admin account, for bootstrapping a fresh database.
+// A new account belongs to no organization, which makes it a platform admin that
+// manages the organizations; a promoted account stays in its organization.
+//
+//   npm run create-admin -- <email> <password> [name]
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const User = require('../models/User');
+
+const run = async () => {
+    const [email, password, name = 'Administrator'] = process.argv.slice(2);
+    if (!email || !password) {
+        console.error('Usage: npm run create-admin -- <email> <password> [name]');
+        process.exit(1);
+    }
+
+    await connectDB();
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+    if (user) {
+        user.role = 'admin';
+        user.password = password;
+        user.active = true;
+    } else {
+        user = new User({ name, email, password, role: 'admin' });
+    }
+    await user.save();
+
+    console.log(`Admin account ready: ${user.email}`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Could not create admin:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,54 @@
+// scripts/mockOsrmServer.js
+// Minimal stand-in for an OSRM server, for local development and tests.
+// Answers /route/v1/:profile/:coordinates with a straight-line GeoJSON route.
+//
+//   npm run mock-osrm            (listens on MOCK_OSRM_PORT, default 5005)
+//   OSRM_URL=http://localhost:5005 npm run server
+//
+// Special coordinates to exercise error handling:
+//   a first longitude of 999 -> 500 Internal Server Error (retried by the client)
+//   a first longitude of 998 -> 400 NoRoute
+const express = require('express');
+const { haversineKm } = require('../utils/geo');
+
+const createMockOsrmServer = () => {
+    const app = express();
+
+    app.get('/route/v1/:profile/:coordinates', (req, res) => {
+        const coords = req.params.coordinates.split(';').map(pair => pair.split(',').map(Number));
+
+        if (coords.length < 2 || coords.some(c => c.length !== 2 || c.some(isNaN))) {
+            return res.status(400).json({ code: 'InvalidQuery', message: 'Query string malformed' });
+        }
+        if (coords[0][0] === 999) {
+            return res.status(500).json({ code: 'InternalError', message: 'Simulated failure' });
+        }
+        if (coords[0][0] === 998) {
+            return res.status(400).json({ code: 'NoRoute', message: 'Impossible route between points' });
+        }
+
+        let distanceMeters = 0;
+        for (let i = 1; i < coords.length; i++) {
+            distanceMeters += haversineKm(coords[i - 1], coords[i]) * 1000;
+        }
+
+        res.json({
+            code: 'Ok',
+            routes: [{
+                geometry: { type: 'LineString', coordinates: coords },
+                distance: distanceMeters,
+                duration: distanceMeters / (60 / 3.6) // 60 km/h in m/s
+            }],
+            waypoints: coords.map(location => ({ location }))
+        });
+    });
+
+    return app;
+};
+
+if (require.main === module) {
+    const PORT = process.env.MOCK_OSRM_PORT || 5005;
+    createMockOsrmServer().listen(PORT, () => console.log(`Mock OSRM server started on port ${PORT}`));
+}
+
+module.exports = createMockOsrmServer;
@@ -0,0 +1,42 @@
+// scripts/seedPlaces.js
+// Adds the major container ports of scripts/data/ports.json to the gazetteer,
+// or places from another JSON file with the same fields (name, unlocode, type,
+// latitude, longitude, aliases, geofenceRadiusMeters). Places whose UN/LOCODE
+// is already in the gazetteer are left as they are.
+//
+//   npm run seed-places [-- path/to/places.json] [-- --dry-run]
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Place = require('../models/Place');
+
+// Ports cover a wide area; their coordinates are those of the port or its city
+const PORT_DEFAULTS = { type: 'port', geofenceRadiusMeters: 10000 };
+
+const run = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const file = process.argv.slice(2).find(arg => !arg.startsWith('--'));
+    const places = require(file ? path.resolve(file) : './data/ports.json');
+    await connectDB();
+
+    let added = 0;
+    let skipped = 0;
+    for (const input of places) {
+        const place = new Place(file ? input : { ...PORT_DEFAULTS, ...input });
+        await place.validate();
+        if (place.unlocode && await Place.exists({ unlocode: place.unlocode })) {
+            skipped++;
+            continue;
+        }
+        added++;
+        if (!dryRun) await place.save();
+    }
+
+    console.log(`${dryRun ? '[dry run] ' : ''}Places added: ${added}, already in the gazetteer: ${skipped}`);
+    await mongoose.disconnect();
+};
+
+run().catch(err => {
+    console.error('Could not seed places:', err.message);
+    process.exit(1);
+});
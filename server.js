@@ -3,7 +3,25 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const shipmentRoutes = require('./routes/shipmentRoutes');
+const streamRoutes = require('./routes/streamRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const exceptionRoutes = require('./routes/exceptionRoutes');
+const bookingRoutes = require('./routes/bookingRoutes');
+const containerRoutes = require('./routes/containerRoutes');
+const placeRoutes = require('./routes/placeRoutes');
+const analyticsRoutes = require('./routes/analyticsRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const { startWebhookDispatcher } = require('./utils/webhookDispatcher');
+const { startExceptionScheduler } = require('./utils/exceptionScheduler');
+const { startBookingRollup } = require('./utils/bookingRollup');
 const bodyParser = require('body-parser'); // Use body-parser explicitly
+const { correlationId } = require('./middleware/correlationId');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
 
 // Load env vars
 dotenv.config();
@@ -13,18 +31,50 @@ connectDB();
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see real client IPs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', isNaN(Number(process.env.TRUST_PROXY)) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
 // --- Middleware ---
 // Enable CORS - Configure origins specifically in production
 app.use(cors());
 
+// Correlation ID per request, echoed as X-Correlation-Id and kept in the audit trail
+// (before the body parsers, so their errors carry it too)
+app.use(correlationId);
+
 // Body Parser Middleware
 // app.use(express.json({ extended: false })); // Built-in Express parser
-app.use(bodyParser.json()); // Use body-parser
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' })); // Use body-parser (large limit for bulk imports)
 app.use(bodyParser.urlencoded({ extended: false }));
 
 // --- API Routes ---
 app.get('/', (req, res) => res.send('Cargo Tracker API Running')); // Simple health check
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/organizations', organizationRoutes); // Tenants, managed by platform admins
 app.use('/api/shipments', shipmentRoutes);
+app.use('/api/bookings', bookingRoutes); // Multi-container, multi-leg consignments
+app.use('/api/containers', containerRoutes); // Container registry and per-container history
+app.use('/api/places', placeRoutes); // Gazetteer of ports, depots and other known locations
+app.use('/api/track', trackingRoutes); // Public customer tracking
+app.use('/api/stream', streamRoutes); // Real-time updates (Server-Sent Events)
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/exceptions', exceptionRoutes); // Delays and other shipment exceptions
+app.use('/api/analytics', analyticsRoutes); // Operations KPIs
+app.use('/api', docsRoutes); // OpenAPI document (/api/openapi.json) and docs UI (/api/docs)
+
+// --- Error Handling ---
+// Every error is answered as { code, msg, details?, correlationId } (see middleware/errorHandler.js)
+app.use('/api', notFound); // Unknown API routes
+app.use(errorHandler);
+
+// --- Background Workers ---
+startWebhookDispatcher(); // Sends shipment events to webhook subscriptions
+startExceptionScheduler(); // Flags delayed, silent and off-route shipments
+startBookingRollup(); // Keeps booking status and ETA in step with their shipments
 
 // --- Server Startup ---
 const PORT = process.env.PORT || 5001; // Default to 5001 if PORT not in .env
@@ -0,0 +1,83 @@
+// test/locationIngest.test.js
+// Jump filtering of batch location ingestion (planFixes in utils/locationIngest.js).
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { planFixes } = require('../utils/locationIngest');
+
+const START = Date.parse('2026-01-05T08:00:00Z');
+const MAX_SPEEDS = { road: 160 };
+
+// A fix `minutes` after START; about 1.1 km per 0.01 degree of latitude
+const fix = (index, minutes, latitude, longitude = 8.5) => ({
+    index,
+    latitude,
+    longitude,
+    timestamp: new Date(START + minutes * 60000)
+});
+
+const shipmentAt = (latitude, longitude = 8.5, minutes = 0) => ({
+    transportMode: 'road',
+    currentLocation: { latitude, longitude, timestamp: new Date(START + minutes * 60000) }
+});
+
+const plan = (shipment, fixes, confirmFixes = 3) => planFixes(shipment, fixes, { maxSpeeds: MAX_SPEEDS, confirmFixes });
+const acceptedIndexes = (result) => result.accepted.map(f => f.index);
+const droppedReasons = (result) => Object.fromEntries(result.dropped.map(d => [d.index, d.reason]));
+
+describe('planFixes', () => {
+    it('checks the first fix against the current location', () => {
+        // 1000 km from the current position in 10 minutes
+        const result = plan(shipmentAt(47.0), [fix(0, 10, 56.0)]);
+        assert.deepEqual(acceptedIndexes(result), []);
+        assert.deepEqual(droppedReasons(result), { 0: 'implausible_jump' });
+    });
+
+    it('accepts plausible movement from the current location', () => {
+        const result = plan(shipmentAt(47.0), [fix(0, 30, 47.5), fix(1, 60, 48.0)]);
+        assert.deepEqual(acceptedIndexes(result), [0, 1]);
+    });
+
+    it('drops a single jump and continues from the last good position', () => {
+        const result = plan(shipmentAt(47.0), [fix(0, 10, 47.1), fix(1, 20, 10.0), fix(2, 30, 47.3)]);
+        assert.deepEqual(acceptedIndexes(result), [0, 2]);
+        assert.deepEqual(droppedReasons(result), { 1: 'implausible_jump' });
+    });
+
+    it('moves away from a bad current location once enough fixes agree', () => {
+        // The stored position is 1000 km off; the device then reports a consistent track
+        const result = plan(shipmentAt(56.0), [fix(0, 10, 47.0), fix(1, 20, 47.1), fix(2, 30, 47.2), fix(3, 40, 47.3)]);
+        assert.deepEqual(acceptedIndexes(result), [0, 1, 2, 3]);
+        assert.deepEqual(result.dropped, []);
+    });
+
+    it('does not move away on fewer agreeing fixes than required', () => {
+        const result = plan(shipmentAt(56.0), [fix(0, 10, 47.0), fix(1, 20, 47.1)]);
+        assert.deepEqual(acceptedIndexes(result), []);
+        assert.deepEqual(droppedReasons(result), { 0: 'implausible_jump', 1: 'implausible_jump' });
+    });
+
+    it('needs the held fixes to agree with each other', () => {
+        // Three jumps, but each to a different place
+        const result = plan(shipmentAt(47.0), [fix(0, 10, 10.0), fix(1, 20, -20.0), fix(2, 30, 30.0)]);
+        assert.deepEqual(acceptedIndexes(result), []);
+        assert.equal(result.dropped.length, 3);
+    });
+
+    it('filters the first fix of a shipment without a position only against later ones', () => {
+        const shipment = { transportMode: 'road' };
+        const result = plan(shipment, [fix(0, 0, 47.0), fix(1, 10, 56.0), fix(2, 20, 47.2)]);
+        assert.deepEqual(acceptedIndexes(result), [0, 2]);
+    });
+
+    it('drops stale and duplicate fixes before checking jumps', () => {
+        const result = plan(shipmentAt(47.0, 8.5, 30), [fix(0, 20, 47.0), fix(1, 40, 47.1), fix(2, 40, 47.1)]);
+        assert.deepEqual(acceptedIndexes(result), [1]);
+        assert.deepEqual(droppedReasons(result), { 0: 'stale', 2: 'duplicate' });
+    });
+
+    it('always accepts moves within the jitter tolerance', () => {
+        // 1.1 km in one second is far above any speed limit
+        const result = plan(shipmentAt(47.0), [{ ...fix(0, 0, 47.01), timestamp: new Date(START + 1000) }]);
+        assert.deepEqual(acceptedIndexes(result), [0]);
+    });
+});
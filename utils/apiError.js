@@ -0,0 +1,75 @@
+// utils/apiError.js
+// Errors meant for API clients. middleware/errorHandler.js renders every error
+// (these and anything else thrown by a handler) in one JSON format:
+//
+//   { "code": "NOT_FOUND", "msg": "Shipment not found", "details": [...], "correlationId": "..." }
+
+// Default code for each HTTP status
+const CODES_BY_STATUS = {
+    400: 'VALIDATION_FAILED',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    412: 'PRECONDITION_FAILED',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR'
+};
+
+const codeForStatus = (statusCode) => CODES_BY_STATUS[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+class ApiError extends Error {
+    /**
+     * @param {number} statusCode - HTTP status
+     * @param {string} message - Sent as `msg`
+     * @param {Object} [options]
+     * @param {string} [options.code] - Machine-readable code; defaults by status (see CODES_BY_STATUS)
+     * @param {Array<{ in?: string, path: string, code: string, msg: string }>} [options.details] - Field-level problems
+     * @param {...*} [options.extra] - Further fields of the response body (e.g. `allowed`)
+     */
+    constructor(statusCode, message, { code, details, ...extra } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.statusCode = statusCode;
+        this.code = code || codeForStatus(statusCode);
+        this.details = details;
+        this.extra = extra;
+    }
+
+    static badRequest(message, options) {
+        return new ApiError(400, message, options);
+    }
+
+    static forbidden(message, options) {
+        return new ApiError(403, message, options);
+    }
+
+    static notFound(message, options) {
+        return new ApiError(404, message, options);
+    }
+
+    static conflict(message, options) {
+        return new ApiError(409, message, options);
+    }
+
+    /**
+     * 400 for fields an update may not change, one detail per field.
+     * @param {Array<string>} fields - The rejected fields
+     * @param {Array<string>} allowed - Fields that can be updated (sent as `allowed`)
+     * @returns {ApiError}
+     */
+    static unknownFields(fields, allowed) {
+        return ApiError.badRequest(`Fields cannot be updated: ${fields.join(', ')}`, {
+            details: fields.map(path => ({ in: 'body', path, code: 'unknown_field', msg: 'cannot be updated' })),
+            allowed
+        });
+    }
+}
+
+module.exports = {
+    CODES_BY_STATUS,
+    codeForStatus,
+    ApiError
+};
@@ -0,0 +1,140 @@
+// utils/auditTrail.js
+// Field-level audit trail of shipment mutations (see models/ShipmentAudit.js).
+// Callers attach who is acting to the document before saving:
+//
+//   shipment.$locals.audit = auditContext(req, 'location');
+//   await shipment.save(); // The Shipment save hooks diff and record the change
+//
+// Saves without an attached context are recorded as made by the system.
+const crypto = require('crypto');
+const ShipmentAudit = require('../models/ShipmentAudit');
+
+// Fields whose changes are recorded
+const AUDITED_FIELDS = [
+    'containerId', 'origin', 'destination', 'route', 'transportMode', 'deviceId',
+    'committedDeliveryDate', 'status', 'notes', 'currentLocation', 'currentGeofence',
+    'estimatedETA', 'actualDeliveryDate', 'cancelledAt', 'cancellationReason',
+    'booking', 'bookingLeg', 'detailedRouteGeometry', 'sensorThresholds', 'proofOfDelivery'
+];
+
+/**
+ * Audit context for a change made through an API request.
+ * @param {Object} req - Express request (after authenticate())
+ * @param {string} [action] - 'update' by default ('create' for new documents)
+ * @returns {Object}
+ */
+const auditContext = (req, action) => ({
+    action,
+    actor: req.auth
+        ? { type: req.auth.type, id: req.auth.id, name: req.auth.name, role: req.auth.role }
+        : { type: 'system', name: 'anonymous' },
+    source: {
+        channel: 'api',
+        method: req.method,
+        path: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    },
+    correlationId: req.correlationId
+});
+
+/**
+ * Audit context for a change made by a background job.
+ * @param {string} name - Job name, e.g. 'exception-scheduler'
+ * @param {Object} [options]
+ * @param {string} [options.action]
+ * @param {string} [options.correlationId] - E.g. of the request that started the job
+ * @returns {Object}
+ */
+const systemContext = (name, { action, correlationId } = {}) => ({
+    action,
+    actor: { type: 'system', name },
+    source: { channel: name },
+    correlationId: correlationId || crypto.randomUUID()
+});
+
+// Route geometries are thousands of points: only their size is recorded
+const auditValue = (field, value) => {
+    if (value === undefined || value === null) return null;
+    if (field === 'detailedRouteGeometry') {
+        return value.coordinates?.length ? { type: value.type, points: value.coordinates.length } : null;
+    }
+    const plain = value.toObject ? value.toObject() : value;
+    // Normalise dates, ObjectIds and subdocuments into plain JSON values
+    return JSON.parse(JSON.stringify(plain));
+};
+
+/**
+ * Plain copy of the audited fields of a shipment.
+ * @param {Object} shipment - Shipment document
+ * @returns {Object}
+ */
+const snapshot = (shipment) => Object.fromEntries(
+    AUDITED_FIELDS.map(field => [field, auditValue(field, shipment.get(field))])
+);
+
+// Empty nested objects (e.g. a cleared currentGeofence) count as no value
+const isEmpty = (value) => value === null || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+/**
+ * Field-level differences between two snapshots.
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diffSnapshots = (before, after) => AUDITED_FIELDS
+    .map(field => ({
+        field,
+        before: isEmpty(before[field] ?? null) ? null : before[field],
+        after: isEmpty(after[field] ?? null) ? null : after[field]
+    }))
+    .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+
+/**
+ * Writes an audit entry. Failures are logged, never thrown: the change itself
+ * has already been saved.
+ * @param {Object} shipment - Shipment document
+ * @param {Object} entry - { action, changes }
+ * @param {Object} [context] - From auditContext or systemContext
+ * @returns {Promise<Object|null>}
+ */
+const recordAudit = async (shipment, { action, changes }, context) => {
+    const { actor, source, correlationId } = context || systemContext('system');
+    try {
+        return await ShipmentAudit.create({
+            shipment: shipment._id,
+            trackingId: shipment.trackingId,
+            action,
+            actor,
+            source,
+            correlationId,
+            changes
+        });
+    } catch (err) {
+        console.error(`Could not write audit entry for shipment ${shipment.trackingId}:`, err.message);
+        return null;
+    }
+};
+
+/**
+ * Records the deletion of shipments, with their last state as `before`.
+ * @param {Array<Object>} shipments - Shipment documents
+ * @param {Object} [context] - From auditContext or systemContext
+ * @returns {Promise<void>}
+ */
+const recordDeletion = async (shipments, context) => {
+    for (const shipment of shipments) {
+        const changes = diffSnapshots(snapshot(shipment), {});
+        await recordAudit(shipment, { action: 'delete', changes }, context);
+    }
+};
+
+module.exports = {
+    AUDITED_FIELDS,
+    auditContext,
+    systemContext,
+    snapshot,
+    diffSnapshots,
+    recordAudit,
+    recordDeletion
+};
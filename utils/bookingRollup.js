@@ -0,0 +1,200 @@
+// utils/bookingRollup.js
+// Rolls the status and ETA of a booking up from its legs, and of each leg up
+// from the shipments (one per container) that travel on it. Runs whenever a
+// linked shipment's status or ETA changes (via the shipment event bus).
+const Booking = require('../models/Booking');
+const Shipment = require('../models/Shipment');
+const { subscribe } = require('./shipmentEvents');
+const { runForOrganization } = require('./tenantContext');
+
+// Events after which a booking may need a new roll-up
+const ROLLUP_EVENTS = ['shipment.status', 'shipment.eta'];
+
+const maxDate = (dates) => {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+const minDate = (dates) => {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+/**
+ * Combines several statuses into one. Cancelled parts are ignored unless
+ * everything is cancelled; any delay makes the whole delayed; partial
+ * progress counts as In Transit.
+ * @param {Array<string>} statuses
+ * @returns {string}
+ */
+const rollUpStatus = (statuses) => {
+    if (statuses.length === 0) return 'Pending';
+    const live = statuses.filter(status => status !== 'Cancelled');
+    if (live.length === 0) return 'Cancelled';
+    if (live.every(status => status === 'Delivered')) return 'Delivered';
+    if (live.includes('Delayed')) return 'Delayed';
+    if (live.some(status => status === 'In Transit' || status === 'Delivered')) return 'In Transit';
+    return 'Pending';
+};
+
+// Travel time of a shipment that hasn't started yet, from the ETA engine's distance and speed
+const plannedTravelMs = (shipment) => {
+    const estimate = shipment.calculateETA();
+    if (!estimate.speedKmh || estimate.remainingDistanceKm === null) return null;
+    return (estimate.remainingDistanceKm / estimate.speedKmh) * 3600000;
+};
+
+// Estimated arrival of a leg that hasn't started, given when it can start at the earliest
+const estimatePendingLeg = (leg, legShipments, earliestStart) => {
+    const start = maxDate([earliestStart, leg.plannedDeparture]);
+    // A carrier schedule beats distance / average speed
+    if (leg.plannedDeparture && leg.plannedArrival) {
+        const scheduledMs = new Date(leg.plannedArrival) - new Date(leg.plannedDeparture);
+        return new Date(start.getTime() + scheduledMs);
+    }
+    const travel = legShipments.map(plannedTravelMs).filter(ms => ms !== null);
+    if (travel.length > 0) {
+        return new Date(start.getTime() + Math.max(...travel));
+    }
+    return leg.plannedArrival || null;
+};
+
+/**
+ * Computes leg and booking roll-ups without saving anything.
+ * @param {Object} booking - Booking document
+ * @param {Array<Object>} shipments - The booking's Shipment documents
+ * @param {Date} [now=new Date()]
+ * @returns {{ status: string, estimatedETA: Date|null,
+ *             legs: Array<{ sequence, status, actualDeparture, actualArrival, estimatedArrival }> }}
+ */
+const computeRollup = (booking, shipments, now = new Date()) => {
+    const legs = [...booking.legs].sort((a, b) => a.sequence - b.sequence);
+    let previousArrival = now;
+
+    const legResults = legs.map(leg => {
+        const legShipments = shipments.filter(shipment => shipment.bookingLeg === leg.sequence);
+        const status = rollUpStatus(legShipments.map(shipment => shipment.status));
+        const result = {
+            sequence: leg.sequence,
+            status,
+            actualDeparture: leg.actualDeparture || null,
+            actualArrival: leg.actualArrival || null,
+            estimatedArrival: null
+        };
+
+        if (!result.actualDeparture && status !== 'Pending' && status !== 'Cancelled') {
+            // The leg departed with its first container; roll-ups can run long after that
+            result.actualDeparture = minDate(legShipments.map(shipment => shipment.departedAt)) || now;
+        }
+
+        if (status === 'Delivered') {
+            result.actualArrival = result.actualArrival ||
+                maxDate(legShipments.map(shipment => shipment.actualDeliveryDate)) || now;
+            result.estimatedArrival = result.actualArrival;
+        } else if (status === 'In Transit' || status === 'Delayed') {
+            const open = legShipments.filter(shipment => !['Delivered', 'Cancelled'].includes(shipment.status));
+            result.estimatedArrival = maxDate(open.map(shipment => shipment.estimatedETA));
+        } else if (status === 'Pending') {
+            result.estimatedArrival = estimatePendingLeg(leg, legShipments, maxDate([previousArrival, now]));
+        }
+
+        // Cancelled legs don't hold up the next one
+        if (status !== 'Cancelled' && result.estimatedArrival) {
+            previousArrival = result.estimatedArrival;
+        }
+        return result;
+    });
+
+    const legStatuses = legResults.map(leg => leg.status);
+    let status = rollUpStatus(legStatuses);
+    // The goods never reach the final destination if a leg was cancelled
+    if (status === 'Delivered' && legStatuses.includes('Cancelled')) {
+        status = 'Cancelled';
+    }
+
+    const liveLegs = legResults.filter(leg => leg.status !== 'Cancelled');
+    return {
+        status,
+        estimatedETA: liveLegs.length > 0 ? liveLegs[liveLegs.length - 1].estimatedArrival : null,
+        legs: legResults
+    };
+};
+
+/**
+ * Recomputes and saves a booking's roll-up.
+ * @param {string|Object} bookingId
+ * @returns {Promise<Object|null>} - The booking, or null if it doesn't exist
+ */
+const rollUpBooking = async (bookingId) => {
+    const booking = await Booking.findById(bookingId);
+    if (!booking) return null;
+
+    const shipments = await Shipment.find({ booking: booking._id });
+    const rollup = computeRollup(booking, shipments);
+
+    rollup.legs.forEach(result => {
+        const leg = booking.legs.find(l => l.sequence === result.sequence);
+        leg.status = result.status;
+        leg.actualDeparture = result.actualDeparture;
+        leg.actualArrival = result.actualArrival;
+        leg.estimatedArrival = result.estimatedArrival;
+    });
+    if (booking.status !== rollup.status) {
+        console.log(`Booking ${booking.bookingNumber} status: ${booking.status} -> ${rollup.status}`);
+    }
+    booking.status = rollup.status;
+    booking.estimatedETA = rollup.estimatedETA;
+    if (rollup.status === 'Cancelled' && !booking.cancelledAt) {
+        booking.cancelledAt = new Date();
+    }
+
+    if (booking.isModified()) {
+        await booking.save();
+    }
+    return booking;
+};
+
+// --- Background roll-ups, coalesced per booking, each run as the booking's organization ---
+const pendingBookings = new Map(); // bookingId -> organizationId
+let rollingUp = false;
+
+const processPendingRollups = async () => {
+    if (rollingUp) return;
+    rollingUp = true;
+    try {
+        while (pendingBookings.size > 0) {
+            const [[bookingId, organizationId]] = pendingBookings;
+            pendingBookings.delete(bookingId);
+            try {
+                await runForOrganization(organizationId, () => rollUpBooking(bookingId));
+            } catch (err) {
+                console.error(`Roll-up failed for booking ${bookingId}:`, err.message);
+            }
+        }
+    } finally {
+        rollingUp = false;
+    }
+};
+
+/**
+ * Starts rolling bookings up when their shipments change.
+ * @returns {Function} - Stops listening
+ */
+const startBookingRollup = () => subscribe(event => {
+    if (!ROLLUP_EVENTS.includes(event.type)) return;
+    Shipment.findById(event.shipmentId, 'booking')
+        .then(shipment => {
+            if (shipment?.booking) {
+                pendingBookings.set(String(shipment.booking), event.organizationId);
+                setImmediate(processPendingRollups);
+            }
+        })
+        .catch(err => console.error(`Error looking up booking for shipment ${event.shipmentId}:`, err.message));
+});
+
+module.exports = {
+    rollUpStatus,
+    computeRollup,
+    rollUpBooking,
+    startBookingRollup
+};
@@ -0,0 +1,147 @@
+// utils/bookingService.js
+// Creating a booking: the booking document, route geometry per leg and one
+// shipment per container and leg, linked to each other.
+const Booking = require('../models/Booking');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const { TRANSPORT_MODES } = require('./etaEngine');
+const { buildRouteGeometry, createShipmentRecord, checkContainer } = require('./shipmentService');
+const { resolveLocations } = require('./gazetteer');
+const { recordDeletion } = require('./auditTrail');
+const { rollUpBooking } = require('./bookingRollup');
+const { ApiError } = require('./apiError');
+
+/**
+ * Error thrown when booking input fails the basic checks (400).
+ */
+class BookingInputError extends ApiError {
+    constructor(message) {
+        super(400, message);
+        this.name = 'BookingInputError';
+    }
+}
+
+// Checks the request shape; the schema validates the details
+const validateBookingInput = ({ containers, legs }) => {
+    if (!Array.isArray(containers) || containers.length === 0 || containers.some(c => typeof c !== 'string' || !c.trim())) {
+        throw new BookingInputError('containers must be a non-empty array of container IDs');
+    }
+    if (!Array.isArray(legs) || legs.length === 0) {
+        throw new BookingInputError('legs must be a non-empty array');
+    }
+    legs.forEach((leg, index) => {
+        if (!leg?.origin?.name || !leg?.destination?.name) {
+            throw new BookingInputError(`Leg ${index + 1} needs an origin and destination name`);
+        }
+        if (!TRANSPORT_MODES.includes(leg.mode)) {
+            throw new BookingInputError(`Leg ${index + 1} mode must be one of: ${TRANSPORT_MODES.join(', ')}`);
+        }
+        if (leg.waypoints !== undefined && !Array.isArray(leg.waypoints)) {
+            throw new BookingInputError(`Leg ${index + 1} waypoints must be an array`);
+        }
+    });
+};
+
+/**
+ * Creates a booking and a shipment for every container on every leg.
+ * If a shipment can't be created, everything created so far is removed again.
+ * @param {Object} input - { reference, containers, legs: [{ mode, carrier, origin, destination,
+ *                           waypoints, plannedDeparture, plannedArrival }], notes }
+ * @param {Object} [options]
+ * @param {Object} [options.audit] - Who is creating it, for the shipments' audit trail (see utils/auditTrail.js)
+ * @returns {Promise<Object>} - The rolled-up Booking document. Container and gazetteer warnings are in `booking.$locals.warnings`.
+ * @throws {BookingInputError|ShipmentInputError|Error} - BookingInputError for malformed input,
+ *          ShipmentInputError for a rejected container, Mongoose ValidationError for schema rules
+ */
+const createBookingRecord = async (input, { audit } = {}) => {
+    const { reference, containers, legs, notes } = input || {};
+    validateBookingInput({ containers, legs });
+
+    // Normalise and check the containers before anything is created
+    const checked = [];
+    for (const containerId of containers) {
+        checked.push(await checkContainer(containerId));
+    }
+
+    // Standard names, and coordinates for locations given by name only
+    const resolvedLegs = [];
+    for (const [index, leg] of legs.entries()) {
+        resolvedLegs.push(await resolveLocations({
+            origin: leg.origin,
+            destination: leg.destination,
+            waypoints: leg.waypoints || []
+        }, `legs[${index}].`));
+    }
+
+    const booking = new Booking({
+        reference,
+        containers: [...new Set(checked.map(c => c.containerId))],
+        notes,
+        legs: legs.map((leg, index) => ({
+            sequence: index + 1,
+            mode: leg.mode,
+            carrier: leg.carrier,
+            origin: resolvedLegs[index].origin,
+            destination: resolvedLegs[index].destination,
+            waypoints: resolvedLegs[index].waypoints,
+            plannedDeparture: leg.plannedDeparture,
+            plannedArrival: leg.plannedArrival
+        }))
+    });
+    await booking.validate();
+
+    // One routing request per leg, shared by all its containers
+    const geometries = new Map();
+    for (const leg of booking.legs) {
+        const waypoints = leg.waypoints.map(loc => loc.toObject());
+        const geometry = await buildRouteGeometry(
+            leg.origin.toObject(), waypoints, leg.destination.toObject(),
+            leg.mode, `${booking.bookingNumber} leg ${leg.sequence}`
+        );
+        geometries.set(leg.sequence, geometry);
+        leg.routeGeometry = geometry;
+    }
+    await booking.save();
+
+    try {
+        for (const leg of booking.legs) {
+            for (const containerId of booking.containers) {
+                const shipment = await createShipmentRecord({
+                    containerId,
+                    origin: leg.origin.toObject(),
+                    destination: leg.destination.toObject(),
+                    route: leg.waypoints.map(loc => loc.toObject()),
+                    transportMode: leg.mode,
+                    notes: `Booking ${booking.bookingNumber}, leg ${leg.sequence} of ${booking.legs.length}`
+                }, {
+                    routeGeometry: geometries.get(leg.sequence),
+                    computeGeometry: false,
+                    booking: booking._id,
+                    bookingLeg: leg.sequence,
+                    audit
+                });
+                leg.shipments.push(shipment._id);
+            }
+        }
+        await booking.save();
+    } catch (err) {
+        console.error(`Creating shipments for booking ${booking.bookingNumber} failed, rolling back:`, err.message);
+        const shipments = await Shipment.find({ booking: booking._id });
+        const shipmentIds = shipments.map(s => s._id);
+        await TrackingEvent.deleteMany({ shipment: { $in: shipmentIds } });
+        await Shipment.deleteMany({ _id: { $in: shipmentIds } });
+        await recordDeletion(shipments, audit && { ...audit, action: 'delete' });
+        await Booking.deleteOne({ _id: booking._id });
+        throw err;
+    }
+
+    console.log(`Booking created: ${booking.bookingNumber} (${booking.containers.length} containers, ${booking.legs.length} legs)`);
+    const rolledUp = await rollUpBooking(booking._id);
+    rolledUp.$locals.warnings = [...checked.flatMap(c => c.warnings), ...resolvedLegs.flatMap(l => l.warnings)];
+    return rolledUp;
+};
+
+module.exports = {
+    BookingInputError,
+    createBookingRecord
+};
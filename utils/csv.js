@@ -0,0 +1,113 @@
+// utils/csv.js
+// Minimal RFC 4180 CSV parsing and formatting (quoted fields, escaped quotes,
+// embedded commas/newlines, CRLF or LF line endings).
+
+/**
+ * Parses CSV text into an array of objects keyed by the header row.
+ * Blank lines are skipped. Values are returned as trimmed strings.
+ * @param {string} text
+ * @returns {{ headers: Array<string>, rows: Array<{ line: number, values: Object }> }}
+ *          `line` is the 1-based line number where the record starts
+ */
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        // Skip blank lines
+        if (record.length > 1 || record[0].trim() !== '') {
+            records.push({ line: recordLine, fields: record });
+        }
+        record = [];
+    };
+
+    const input = String(text).replace(/^\uFEFF/, ''); // Strip BOM (Excel exports)
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+
+    if (records.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = records[0].fields.map(h => h.trim());
+    const rows = records.slice(1).map(({ line: rowLine, fields }) => {
+        const values = {};
+        headers.forEach((header, index) => {
+            values[header] = (fields[index] ?? '').trim().replace(GUARDED_FORMULA, '');
+        });
+        return { line: rowLine, values };
+    });
+    return { headers, rows };
+};
+
+// Text starting like this runs as a formula when the file is opened in a spreadsheet
+const FORMULA_START = /^[=+\-@\t\r]/;
+// ...so it is exported behind an apostrophe, which the import takes off again
+const GUARDED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+// Quotes a value if it contains a delimiter, quote or newline; text that would
+// run as a formula is quoted behind an apostrophe (numbers such as -33.9 are left alone)
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        return `"'${text.replace(/"/g, '""')}"`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Formats one CSV line (with trailing CRLF) from an object.
+ * @param {Array<string>} headers - Column names, in order
+ * @param {Object} row - Object keyed by column name
+ * @returns {string}
+ */
+const formatCsvRow = (headers, row) => headers.map(header => formatField(row[header])).join(',') + '\r\n';
+
+/**
+ * Formats rows as CSV text with a header row.
+ * @param {Array<string>} headers - Column names, in order
+ * @param {Array<Object>} rows - Objects keyed by column name
+ * @returns {string}
+ */
+const formatCsv = (headers, rows) => {
+    const headerRow = Object.fromEntries(headers.map(header => [header, header]));
+    return [headerRow, ...rows].map(row => formatCsvRow(headers, row)).join('');
+};
+
+module.exports = { parseCsv, formatCsv, formatCsvRow };
@@ -0,0 +1,98 @@
+// utils/documentFiles.js
+// Files that may be attached to a shipment (see models/ShipmentDocument.js):
+// their kinds, accepted content types and size, and the checks on an upload.
+const dotenv = require('dotenv');
+const { ApiError } = require('./apiError');
+
+dotenv.config(); // Load .env variables
+
+// Kinds of shipment documents; the delivery_* ones make up the proof of delivery
+const DOCUMENT_TYPES = [
+    'bill_of_lading', 'commercial_invoice', 'customs_declaration', 'packing_list',
+    'certificate_of_origin', 'delivery_signature', 'delivery_photo', 'other'
+];
+
+// Accepted content types, with the bytes each file of the type starts with
+const CONTENT_TYPES = {
+    'application/pdf': { extension: '.pdf', magic: Buffer.from('%PDF-') },
+    'image/jpeg': { extension: '.jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+    'image/png': { extension: '.png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) }
+};
+
+// Signatures and delivery photos must be images
+const IMAGE_TYPES = ['image/jpeg', 'image/png'];
+const CONTENT_TYPES_BY_DOCUMENT = {
+    delivery_signature: IMAGE_TYPES,
+    delivery_photo: IMAGE_TYPES
+};
+
+const DOCUMENT_MAX_BYTES = (Number(process.env.DOCUMENT_MAX_MB) || 10) * 1024 * 1024;
+
+/**
+ * Content types accepted for a kind of document.
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @returns {Array<string>}
+ */
+const allowedContentTypes = (type) => CONTENT_TYPES_BY_DOCUMENT[type] || Object.keys(CONTENT_TYPES);
+
+/**
+ * Checks an uploaded file: a content type accepted for its kind, not empty,
+ * and content that really is of that type (a renamed .exe is no PDF).
+ * The size limit is enforced by the body parser (413).
+ * @param {Buffer} [data] - Unset when the parser didn't take the content type
+ * @param {string} contentType - Media type without parameters, lower case
+ * @param {string} type - One of DOCUMENT_TYPES
+ * @throws {ApiError} - 415 for another content type, 400 for empty or mismatching content
+ */
+const checkFile = (data, contentType, type) => {
+    const allowed = allowedContentTypes(type);
+    if (!allowed.includes(contentType) || !Buffer.isBuffer(data)) {
+        throw new ApiError(415, `Content-Type must be one of ${allowed.join(', ')} for ${type}`, { allowed });
+    }
+    if (data.length === 0) {
+        throw ApiError.badRequest('The file is empty', { code: 'EMPTY_FILE' });
+    }
+    const { magic } = CONTENT_TYPES[contentType];
+    if (data.length < magic.length || !data.subarray(0, magic.length).equals(magic)) {
+        throw ApiError.badRequest(`The file content is not ${contentType}`, { code: 'CONTENT_MISMATCH' });
+    }
+};
+
+/**
+ * File name to keep for an upload: without directories or control characters,
+ * with the extension of its content type if it has none.
+ * @param {string} [name] - As given by the client
+ * @param {string} contentType
+ * @param {string} type - Names the file when no name is given
+ * @returns {string}
+ */
+const safeFilename = (name, contentType, type) => {
+    const { extension } = CONTENT_TYPES[contentType];
+    const base = String(name ?? '')
+        .split(/[\\/]/).pop()
+        .replace(/[\p{C}"]/gu, '')
+        .trim()
+        .slice(0, 200);
+    if (!base || base === '.' || base === '..') return `${type}${extension}`;
+    return /\.[a-z0-9]{1,5}$/i.test(base) ? base : `${base}${extension}`;
+};
+
+/**
+ * Content-Disposition of a download, with a plain fallback for non-ASCII names (RFC 6266).
+ * @param {string} filename
+ * @returns {string}
+ */
+const contentDisposition = (filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_');
+    return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+module.exports = {
+    DOCUMENT_TYPES,
+    CONTENT_TYPES,
+    DOCUMENT_MAX_BYTES,
+    allowedContentTypes,
+    checkFile,
+    safeFilename,
+    contentDisposition
+};
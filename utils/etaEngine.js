@@ -0,0 +1,231 @@
+// utils/etaEngine.js
+// Distance- and speed-based ETA estimation for shipments.
+const dotenv = require('dotenv');
+const { toCoord, haversineKm, lineLengthKm, projectOntoLine } = require('./geo');
+
+dotenv.config(); // Load .env variables
+
+const TRANSPORT_MODES = ['road', 'rail', 'sea', 'air'];
+
+// Default average speeds per transport mode in km/h, overridable via .env
+const DEFAULT_SPEEDS_KMH = {
+    road: Number(process.env.ETA_SPEED_ROAD_KMH) || 60,
+    rail: Number(process.env.ETA_SPEED_RAIL_KMH) || 45,
+    sea: Number(process.env.ETA_SPEED_SEA_KMH) || 30, // ~16 knots
+    air: Number(process.env.ETA_SPEED_AIR_KMH) || 750
+};
+
+// Fallback when no coordinates are known at all: a fixed duration per route leg
+const FALLBACK_LEG_DURATION_MS = 2 * 24 * 60 * 60 * 1000;
+
+// Learned speed needs this much observed travel before it is trusted at all
+const MIN_LEARNED_HOURS = 0.5;
+const MIN_LEARNED_SAMPLES = 2;
+// Learned speed never fully replaces the configured one
+const MAX_LEARNED_WEIGHT = 0.7;
+// Samples faster than this multiple of the mode speed are treated as GPS jumps
+const MAX_PLAUSIBLE_SPEED_FACTOR = 3;
+
+const round = (value, decimals) => {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Adds the movement between two timestamped positions to a shipment's
+ * running speed statistics. Implausible jumps and non-positive time
+ * differences are ignored.
+ * @param {Object} stats - { distanceKm, durationHours, samples } (mutated)
+ * @param {Object} previous - Previous location { latitude, longitude, timestamp }
+ * @param {Object} next - New location { latitude, longitude, timestamp }
+ * @param {string} mode - Transport mode, used for the plausibility limit
+ * @param {Object} [speeds] - Speeds per transport mode in km/h
+ * @returns {boolean} - True if a sample was recorded
+ */
+const recordSpeedSample = (stats, previous, next, mode, speeds = DEFAULT_SPEEDS_KMH) => {
+    const from = toCoord(previous);
+    const to = toCoord(next);
+    if (!from || !to || !previous.timestamp || !next.timestamp) {
+        return false;
+    }
+
+    const hours = (new Date(next.timestamp) - new Date(previous.timestamp)) / 3600000;
+    if (!(hours > 0)) {
+        return false;
+    }
+
+    const distanceKm = haversineKm(from, to);
+    const modeSpeed = speeds[mode] || speeds.road;
+    if (distanceKm / hours > modeSpeed * MAX_PLAUSIBLE_SPEED_FACTOR) {
+        return false;
+    }
+
+    stats.distanceKm = (stats.distanceKm || 0) + distanceKm;
+    stats.durationHours = (stats.durationHours || 0) + hours;
+    stats.samples = (stats.samples || 0) + 1;
+    return true;
+};
+
+/**
+ * Blends the configured speed for the transport mode with the speed learned
+ * from recorded location updates. The learned share grows with the number of
+ * samples, up to MAX_LEARNED_WEIGHT.
+ * @returns {{ speedKmh: number, learnedSpeedKmh: number|null, learnedWeight: number }}
+ */
+const resolveSpeed = (shipment, speeds = DEFAULT_SPEEDS_KMH) => {
+    const modeSpeed = speeds[shipment.transportMode] || speeds.road;
+    const stats = shipment.speedStats || {};
+
+    if (!(stats.durationHours >= MIN_LEARNED_HOURS) || !(stats.samples >= MIN_LEARNED_SAMPLES) || !(stats.distanceKm > 0)) {
+        return { speedKmh: modeSpeed, learnedSpeedKmh: null, learnedWeight: 0 };
+    }
+
+    const learnedSpeedKmh = stats.distanceKm / stats.durationHours;
+    const learnedWeight = Math.min(1, stats.samples / 10) * MAX_LEARNED_WEIGHT;
+    const speedKmh = learnedWeight * learnedSpeedKmh + (1 - learnedWeight) * modeSpeed;
+    return { speedKmh, learnedSpeedKmh, learnedWeight };
+};
+
+// Path to measure along: detailed geometry if present, else straight legs between route points
+const resolvePath = (shipment) => {
+    const geometry = shipment.detailedRouteGeometry;
+    if (geometry?.type === 'LineString' && Array.isArray(geometry.coordinates) && geometry.coordinates.length >= 2) {
+        return { method: 'geometry', coords: geometry.coordinates.map(c => [c[0], c[1]]) };
+    }
+    const routeCoords = (shipment.route || []).map(toCoord).filter(Boolean);
+    if (routeCoords.length >= 2) {
+        return { method: 'route', coords: routeCoords };
+    }
+    return null;
+};
+
+// Latest known position as [lon, lat]: reported coordinates, else the matching route point
+const resolvePosition = (shipment) => {
+    const current = shipment.currentLocation;
+    const reported = toCoord(current);
+    if (reported) {
+        return { coord: reported, source: 'reported' };
+    }
+    const namedPoint = current?.name && (shipment.route || []).find(loc => loc?.name === current.name);
+    const namedCoord = toCoord(namedPoint);
+    if (namedCoord) {
+        return { coord: namedCoord, source: 'route-point' };
+    }
+    return { coord: toCoord(shipment.origin), source: 'origin' };
+};
+
+// Confidence lost as the last position report ages
+const stalenessFactor = (timestamp, now) => {
+    if (!timestamp) return 0.7;
+    const hours = (now - new Date(timestamp)) / 3600000;
+    if (hours > 72) return 0.6;
+    if (hours > 24) return 0.8;
+    return 1;
+};
+
+// Old behaviour, kept for shipments without any coordinates:
+// a fixed duration per remaining route leg, matched by location name.
+const estimateByLegs = (shipment, now) => {
+    const route = shipment.route || [];
+    if (route.length < 2) {
+        return {
+            eta: shipment.estimatedETA || null,
+            remainingDistanceKm: null,
+            totalDistanceKm: null,
+            progressPercent: null,
+            speedKmh: null,
+            confidence: 0,
+            method: 'none'
+        };
+    }
+
+    const totalLegs = route.length - 1;
+    const currentIndex = route.findIndex(loc => loc?.name && loc.name === shipment.currentLocation?.name);
+    const remainingLegs = currentIndex >= 0 ? totalLegs - currentIndex : totalLegs;
+
+    return {
+        eta: remainingLegs === 0 ? now : new Date(now.getTime() + remainingLegs * FALLBACK_LEG_DURATION_MS),
+        remainingDistanceKm: null,
+        totalDistanceKm: null,
+        progressPercent: round(((totalLegs - remainingLegs) / totalLegs) * 100, 1),
+        speedKmh: null,
+        confidence: 0.2,
+        method: 'legs'
+    };
+};
+
+/**
+ * Estimates the arrival time of a shipment.
+ *
+ * The remaining distance is measured along `detailedRouteGeometry` (or along
+ * great-circle legs between `route` points) from the projection of the latest
+ * position onto that path, and divided by the blended configured/learned speed.
+ *
+ * @param {Object} shipment - Shipment document or plain object
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @param {Object} [options.speeds] - Speeds per transport mode in km/h
+ * @returns {{ eta: Date|null, remainingDistanceKm: number|null, totalDistanceKm: number|null,
+ *             progressPercent: number|null, speedKmh: number|null, confidence: number, method: string }}
+ */
+const estimateETA = (shipment, options = {}) => {
+    const now = options.now || new Date();
+    const speeds = { ...DEFAULT_SPEEDS_KMH, ...(options.speeds || {}) };
+
+    if (shipment.status === 'Delivered') {
+        return { eta: null, remainingDistanceKm: 0, totalDistanceKm: null, progressPercent: 100, speedKmh: null, confidence: 1, method: 'delivered' };
+    }
+    if (shipment.status === 'Cancelled') {
+        return { eta: null, remainingDistanceKm: null, totalDistanceKm: null, progressPercent: null, speedKmh: null, confidence: 0, method: 'cancelled' };
+    }
+
+    const path = resolvePath(shipment);
+    const position = resolvePosition(shipment);
+    if (!path || !position.coord) {
+        return estimateByLegs(shipment, now);
+    }
+
+    const totalDistanceKm = lineLengthKm(path.coords);
+    const projection = projectOntoLine(position.coord, path.coords);
+
+    // Far off the path: the shipment first has to get back onto it
+    const offPathThresholdKm = Math.max(25, totalDistanceKm * 0.05);
+    const offPath = projection.distanceFromLineKm > offPathThresholdKm;
+    const remainingDistanceKm = Math.max(0, totalDistanceKm - projection.distanceAlongKm) +
+        (offPath ? projection.distanceFromLineKm : 0);
+
+    const { speedKmh, learnedWeight } = resolveSpeed(shipment, speeds);
+
+    // Count travel time from the last position report, but never predict the past
+    const positionTime = position.source === 'reported' && shipment.currentLocation?.timestamp
+        ? new Date(shipment.currentLocation.timestamp)
+        : now;
+    const travelMs = (remainingDistanceKm / speedKmh) * 3600000;
+    const eta = new Date(Math.max(now.getTime(), positionTime.getTime() + travelMs));
+
+    // --- Confidence (0..1) ---
+    let confidence = path.method === 'geometry' ? 0.9 : 0.6;
+    confidence *= position.source === 'reported' ? (offPath ? 0.6 : 1) : 0.7;
+    confidence *= 0.8 + 0.2 * (learnedWeight / MAX_LEARNED_WEIGHT);
+    confidence *= stalenessFactor(shipment.currentLocation?.timestamp, now);
+
+    return {
+        eta,
+        remainingDistanceKm: round(remainingDistanceKm, 1),
+        totalDistanceKm: round(totalDistanceKm, 1),
+        progressPercent: totalDistanceKm > 0
+            ? round(Math.min(100, (projection.distanceAlongKm / totalDistanceKm) * 100), 1)
+            : 100,
+        speedKmh: round(speedKmh, 1),
+        confidence: round(confidence, 2),
+        method: path.method
+    };
+};
+
+module.exports = {
+    TRANSPORT_MODES,
+    DEFAULT_SPEEDS_KMH,
+    recordSpeedSample,
+    resolveSpeed,
+    estimateETA
+};
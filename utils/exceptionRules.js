@@ -0,0 +1,91 @@
+// utils/exceptionRules.js
+// Conditions that flag an in-transit shipment as an exception: the ETA slipped
+// past the committed delivery date, the shipment stopped reporting, or its
+// position left the planned route corridor. Sensor breaches are exceptions too,
+// but are raised as the readings arrive (see utils/sensorTelemetry.js).
+const dotenv = require('dotenv');
+const { toCoord, projectOntoLine } = require('./geo');
+const { SENSOR_EXCEPTION_TYPES } = require('./sensorRules');
+
+dotenv.config(); // Load .env variables
+
+// Types evaluated by evaluateExceptions, and so raised and resolved by the scheduler
+const SCANNED_TYPES = ['eta_slip', 'silence', 'off_route'];
+const EXCEPTION_TYPES = [...SCANNED_TYPES, ...SENSOR_EXCEPTION_TYPES];
+
+const numberFromEnv = (name, fallback) =>
+    process.env[name] !== undefined && process.env[name] !== '' ? Number(process.env[name]) : fallback;
+
+const DEFAULT_THRESHOLDS = {
+    etaGraceMinutes: numberFromEnv('EXCEPTION_ETA_GRACE_MINUTES', 60), // Slip tolerated before flagging
+    silenceHours: numberFromEnv('EXCEPTION_SILENCE_HOURS', 12), // Max time without a location update
+    offRouteKm: numberFromEnv('EXCEPTION_OFF_ROUTE_KM', 25) // Corridor half-width around detailedRouteGeometry
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Evaluates the exception conditions for a shipment.
+ * @param {Object} shipment - Shipment document or plain object
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Object} [options.thresholds=DEFAULT_THRESHOLDS]
+ * @param {Date|null} [options.eta] - Current ETA, e.g. from shipment.calculateETA({ now }). Defaults to
+ *   the stored estimatedETA, which is only refreshed on save, so it is never taken to be earlier than `now`.
+ * @returns {Array<{ type: string, reason: string, details: Object }>} - One entry per condition that holds
+ */
+const evaluateExceptions = (shipment, { now = new Date(), thresholds = DEFAULT_THRESHOLDS, eta: currentETA } = {}) => {
+    const found = [];
+
+    // --- ETA slipped past the committed delivery date ---
+    // A shipment that stopped reporting keeps its old stored ETA, which can lie in the past
+    const storedETA = shipment.estimatedETA ? new Date(Math.max(now, new Date(shipment.estimatedETA))) : null;
+    const eta = currentETA !== undefined ? (currentETA && new Date(currentETA)) : storedETA;
+    const committed = shipment.committedDeliveryDate ? new Date(shipment.committedDeliveryDate) : null;
+    if (eta && committed) {
+        const slipMinutes = (eta - committed) / 60000;
+        if (slipMinutes > thresholds.etaGraceMinutes) {
+            found.push({
+                type: 'eta_slip',
+                reason: `ETA ${eta.toISOString()} is ${round1(slipMinutes / 60)} h past the committed delivery date ${committed.toISOString()}`,
+                details: { estimatedETA: eta, committedDeliveryDate: committed, slipHours: round1(slipMinutes / 60) }
+            });
+        }
+    }
+
+    // --- No location update within the silence window ---
+    const lastSeen = shipment.currentLocation?.timestamp || shipment.createdAt;
+    if (lastSeen) {
+        const silentHours = (now - new Date(lastSeen)) / 3600000;
+        if (silentHours > thresholds.silenceHours) {
+            found.push({
+                type: 'silence',
+                reason: `No location update for ${round1(silentHours)} h (window ${thresholds.silenceHours} h)`,
+                details: { lastLocationAt: new Date(lastSeen), silentHours: round1(silentHours), windowHours: thresholds.silenceHours }
+            });
+        }
+    }
+
+    // --- Position outside the planned route corridor ---
+    const point = toCoord(shipment.currentLocation);
+    const line = shipment.detailedRouteGeometry?.coordinates;
+    if (point && Array.isArray(line) && line.length >= 2) {
+        const { distanceFromLineKm } = projectOntoLine(point, line);
+        if (distanceFromLineKm > thresholds.offRouteKm) {
+            found.push({
+                type: 'off_route',
+                reason: `Position is ${round1(distanceFromLineKm)} km from the planned route (corridor ${thresholds.offRouteKm} km)`,
+                details: { distanceFromRouteKm: round1(distanceFromLineKm), corridorKm: thresholds.offRouteKm, position: point }
+            });
+        }
+    }
+
+    return found;
+};
+
+module.exports = {
+    SCANNED_TYPES,
+    EXCEPTION_TYPES,
+    DEFAULT_THRESHOLDS,
+    evaluateExceptions
+};
@@ -0,0 +1,181 @@
+// utils/exceptionScheduler.js
+// Periodically scans in-transit shipments for exceptions (utils/exceptionRules.js),
+// records them as ShipmentException documents and keeps the `Delayed` status in
+// step with ETA slips. Raised and resolved exceptions are published as
+// `shipment.exception` events, so they reach the real-time stream and webhooks.
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const ShipmentException = require('../models/ShipmentException');
+const { SCANNED_TYPES, evaluateExceptions } = require('./exceptionRules');
+const { publish } = require('./shipmentEvents');
+const { systemContext } = require('./auditTrail');
+const { runForOrganization } = require('./tenantContext');
+
+dotenv.config(); // Load .env variables
+
+const SCAN_INTERVAL_MS = Number(process.env.EXCEPTION_SCAN_INTERVAL_MS) || 5 * 60 * 1000;
+
+// Shipments that are scanned; exceptions of shipments in any other status are resolved
+const SCANNED_STATUSES = ['In Transit', 'Delayed'];
+
+const UNRESOLVED = { $in: ['open', 'acknowledged'] };
+
+const exceptionEventData = (exception) => ({
+    exceptionId: exception._id,
+    type: exception.type,
+    status: exception.status,
+    reason: exception.reason
+});
+
+const resolveException = async (shipment, exception, now) => {
+    exception.status = 'resolved';
+    exception.resolvedAt = now;
+    await exception.save();
+    if (shipment) {
+        publish('shipment.exception', shipment, exceptionEventData(exception));
+    }
+};
+
+// The ETA as of this scan. The stored estimatedETA is only recomputed when the
+// shipment is saved, so it doesn't move while a shipment is silent.
+const currentETA = (shipment, now) => {
+    try {
+        return shipment.calculateETA({ now }).eta;
+    } catch (err) {
+        console.error(`ETA calculation failed for shipment ${shipment.trackingId}:`, err.message);
+        return undefined; // evaluateExceptions falls back to the stored ETA
+    }
+};
+
+/**
+ * Evaluates one shipment and updates its exceptions and status.
+ * @param {Object} shipment - Shipment document
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ raised: Array<Object>, resolved: Array<Object> }>} - ShipmentException documents
+ */
+const scanShipment = async (shipment, now = new Date()) => {
+    const found = evaluateExceptions(shipment, { now, eta: currentETA(shipment, now) });
+    // Sensor breaches are left alone: they aren't detected by scans
+    const unresolved = await ShipmentException.find({ shipment: shipment._id, type: { $in: SCANNED_TYPES }, status: UNRESOLVED });
+    const raised = [];
+    const resolved = [];
+
+    for (const condition of found) {
+        const existing = unresolved.find(exception => exception.type === condition.type);
+        if (existing) {
+            // Still happening: refresh the measurements, keep the acknowledgement
+            existing.reason = condition.reason;
+            existing.details = condition.details;
+            existing.lastDetectedAt = now;
+            await existing.save();
+            continue;
+        }
+        const exception = await ShipmentException.create({
+            shipment: shipment._id,
+            trackingId: shipment.trackingId,
+            ...condition,
+            detectedAt: now,
+            lastDetectedAt: now
+        });
+        console.warn(`Exception raised for ${shipment.trackingId}: ${exception.reason}`);
+        publish('shipment.exception', shipment, exceptionEventData(exception));
+        raised.push(exception);
+    }
+
+    for (const exception of unresolved) {
+        if (!found.some(condition => condition.type === exception.type)) {
+            await resolveException(shipment, exception, now);
+            resolved.push(exception);
+        }
+    }
+
+    // --- Keep the Delayed status in step with ETA slips ---
+    const slipped = found.some(condition => condition.type === 'eta_slip');
+    if (slipped && shipment.status === 'In Transit') {
+        shipment.status = 'Delayed';
+        shipment.$locals.audit = systemContext('exception-scheduler');
+        await shipment.save();
+        console.log(`Shipment ${shipment.trackingId} marked Delayed.`);
+    } else if (!slipped && shipment.status === 'Delayed' && resolved.some(exception => exception.type === 'eta_slip')) {
+        // Only undo what the scheduler did: a Delayed status set by hand has no ETA slip to resolve
+        shipment.status = 'In Transit';
+        shipment.$locals.audit = systemContext('exception-scheduler');
+        await shipment.save();
+        console.log(`Shipment ${shipment.trackingId} back In Transit (ETA recovered).`);
+    }
+
+    return { raised, resolved };
+};
+
+let scanning = false;
+
+/**
+ * Scans every in-transit or delayed shipment, then resolves the exceptions of
+ * shipments that were delivered, cancelled or deleted since they were raised.
+ * Each shipment is handled as its organization; run from a request (POST
+ * /api/exceptions/scan), only the shipments of the caller's organization are scanned.
+ * @returns {Promise<{ scanned: number, raised: number, resolved: number }|null>} - null if a scan is already running
+ */
+const scanShipments = async () => {
+    if (scanning) return null;
+    scanning = true;
+    const now = new Date();
+    const summary = { scanned: 0, raised: 0, resolved: 0 };
+
+    try {
+        for await (const shipment of Shipment.find({ status: { $in: SCANNED_STATUSES } }).cursor()) {
+            try {
+                const { raised, resolved } = await runForOrganization(shipment.organization, () => scanShipment(shipment, now));
+                summary.scanned++;
+                summary.raised += raised.length;
+                summary.resolved += resolved.length;
+            } catch (err) {
+                console.error(`Exception scan failed for shipment ${shipment.trackingId}:`, err.message);
+            }
+        }
+
+        // Shipments no longer in transit
+        const shipmentIds = await ShipmentException.distinct('shipment', { status: UNRESOLVED });
+        const active = await Shipment.find({ _id: { $in: shipmentIds }, status: { $in: SCANNED_STATUSES } }, '_id');
+        const activeIds = new Set(active.map(shipment => String(shipment._id)));
+        const stale = await ShipmentException.find({
+            shipment: { $in: shipmentIds.filter(id => !activeIds.has(String(id))) },
+            status: UNRESOLVED
+        });
+        for (const exception of stale) {
+            await runForOrganization(exception.organization, async () => {
+                const shipment = await Shipment.findById(exception.shipment);
+                await resolveException(shipment, exception, now);
+            });
+            summary.resolved++;
+        }
+
+        if (summary.raised > 0 || summary.resolved > 0) {
+            console.log(`Exception scan: ${summary.scanned} shipments, ${summary.raised} raised, ${summary.resolved} resolved.`);
+        }
+        return summary;
+    } finally {
+        scanning = false;
+    }
+};
+
+/**
+ * Runs scanShipments every EXCEPTION_SCAN_INTERVAL_MS.
+ * @returns {Function} - Stops the scheduler
+ */
+const startExceptionScheduler = () => {
+    const timer = setInterval(() => {
+        scanShipments().catch(err => console.error("Exception scan failed:", err.message));
+    }, SCAN_INTERVAL_MS);
+    timer.unref();
+    console.log(`Exception scheduler started (every ${Math.round(SCAN_INTERVAL_MS / 1000)} s).`);
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    exceptionEventData,
+    scanShipment,
+    scanShipments,
+    startExceptionScheduler
+};
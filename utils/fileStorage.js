@@ -0,0 +1,68 @@
+// utils/fileStorage.js
+// Pluggable storage of uploaded files (shipment documents, proof of delivery).
+// FILE_STORAGE_BACKEND names the backend new files go to; 'local', the local
+// disk, is the default. Each stored file remembers its backend, so files
+// written before a switch stay readable as long as their backend is registered.
+const dotenv = require('dotenv');
+const localDiskStorage = require('./storage/localDiskStorage');
+
+dotenv.config(); // Load .env variables
+
+const FILE_STORAGE_BACKEND = process.env.FILE_STORAGE_BACKEND || 'local';
+
+// --- Backend registry ---
+// A backend is { name, save(key, data, { contentType }), open(key), remove(key) }:
+// save stores a Buffer under a key, open resolves a readable stream of it or null
+// if it is missing, and remove deletes it (resolving also if it is missing).
+const backends = new Map();
+
+const registerBackend = (backend) => {
+    if (!backend?.name || ['save', 'open', 'remove'].some(method => typeof backend[method] !== 'function')) {
+        throw new Error('Storage backend must have a name and save, open and remove functions');
+    }
+    backends.set(backend.name, backend);
+};
+
+registerBackend(localDiskStorage);
+
+const backendFor = (name) => {
+    const backend = backends.get(name);
+    if (!backend) {
+        throw new Error(`Unknown file storage backend "${name}"`);
+    }
+    return backend;
+};
+
+/**
+ * Stores a file with the configured backend.
+ * @param {string} key - Relative path, unique per file
+ * @param {Buffer} data
+ * @param {Object} [options]
+ * @param {string} [options.contentType]
+ * @returns {Promise<{ backend: string, key: string }>} - Where the file is, for openFile/removeFile
+ */
+const saveFile = async (key, data, { contentType } = {}) => {
+    const backend = backendFor(FILE_STORAGE_BACKEND);
+    await backend.save(key, data, { contentType });
+    return { backend: backend.name, key };
+};
+
+/**
+ * @param {{ backend: string, key: string }} location - From saveFile
+ * @returns {Promise<import('stream').Readable|null>} - null if the file is missing
+ */
+const openFile = ({ backend, key }) => backendFor(backend).open(key);
+
+/**
+ * @param {{ backend: string, key: string }} location - From saveFile
+ * @returns {Promise<void>}
+ */
+const removeFile = ({ backend, key }) => backendFor(backend).remove(key);
+
+module.exports = {
+    FILE_STORAGE_BACKEND,
+    registerBackend,
+    saveFile,
+    openFile,
+    removeFile
+};
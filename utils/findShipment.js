@@ -0,0 +1,24 @@
+// utils/findShipment.js
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+
+/**
+ * Finds a shipment by MongoDB _id or trackingId.
+ * Only queries by _id when the value is a valid ObjectId, so tracking IDs
+ * don't trigger a CastError on the first lookup.
+ * @param {string} id - MongoDB _id or trackingId
+ * @param {string} [projection] - Optional field selection
+ * @returns {Promise<Object|null>} - Shipment document or null
+ */
+const findShipment = async (id, projection) => {
+    let shipment = null;
+    if (mongoose.Types.ObjectId.isValid(id)) {
+        shipment = await Shipment.findById(id, projection);
+    }
+    if (!shipment) {
+        shipment = await Shipment.findOne({ trackingId: id }, projection);
+    }
+    return shipment;
+};
+
+module.exports = findShipment;
@@ -0,0 +1,157 @@
+// utils/gazetteer.js
+// Lookups in the gazetteer of known places (models/Place.js): fuzzy search by
+// name, alias or UN/LOCODE, and resolution of shipment locations, which get
+// the standard name of their place and, if they came without, its coordinates.
+const dotenv = require('dotenv');
+const Place = require('../models/Place');
+const { toCoord, haversineKm } = require('./geo');
+const { normalizePlaceName, normalizeUnlocode, nameTrigrams, nameSimilarity } = require('./placeNames');
+
+dotenv.config(); // Load .env variables
+
+// Lowest score (0..1) at which a shipment location is resolved to a place
+const GAZETTEER_MATCH_SCORE = Number(process.env.GAZETTEER_MATCH_SCORE) || 0.8;
+// A location with coordinates only takes the name of a place this close to them
+const GAZETTEER_MAX_DISTANCE_KM = Number(process.env.GAZETTEER_MAX_DISTANCE_KM) || 25;
+
+// Two places scoring within this margin of each other are too close to call
+const AMBIGUITY_MARGIN = 0.05;
+// Places sharing the most trigrams with the name, scored in full
+const CANDIDATE_LIMIT = 50;
+
+// "Rotterdam (NLRTM)"
+const describePlace = (place) => (place.unlocode ? `${place.name} (${place.unlocode})` : place.name);
+
+/**
+ * Finds the places best matching a name, alias or UN/LOCODE, best first.
+ * Inactive places are never returned.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.minScore=0.5] - Leave out weaker matches
+ * @param {string} [options.type] - Only places of this type
+ * @param {string} [options.country] - Only places in this country (ISO 3166 alpha-2)
+ * @returns {Promise<Array<{ place: Object, score: number, matchedName: string }>>} - score is 1 for an exact
+ *          name, alias or UN/LOCODE; matchedName is the name, alias or code that matched best
+ */
+const searchPlaces = async (query, { limit = 10, minScore = 0.5, type, country } = {}) => {
+    const normalized = normalizePlaceName(query);
+    if (!normalized) return [];
+
+    const filter = { active: true };
+    if (type) filter.type = type;
+    if (country) filter.country = String(country).trim().toUpperCase();
+
+    // Candidates: places sharing trigrams with the name; the database ranks them by how many
+    const grams = nameTrigrams(normalized);
+    const unlocode = normalizeUnlocode(query);
+    const [candidates, byCode] = await Promise.all([
+        Place.aggregate([
+            { $match: { ...filter, trigrams: { $in: grams } } },
+            { $addFields: { overlap: { $size: { $setIntersection: ['$trigrams', grams] } } } },
+            { $sort: { overlap: -1, _id: 1 } },
+            { $limit: CANDIDATE_LIMIT }
+        ]),
+        unlocode ? Place.findOne({ ...filter, unlocode }) : null
+    ]);
+
+    // "Paris" is shaped like a UN/LOCODE too: a code match replaces any name match of the same place
+    const scored = candidates
+        .map(doc => {
+            const place = Place.hydrate(doc);
+            return [place.name, ...place.aliases]
+                .map(name => ({ place, score: nameSimilarity(normalized, normalizePlaceName(name)), matchedName: name }))
+                .reduce((best, match) => (match.score > best.score ? match : best));
+        })
+        .filter(m => !byCode || !m.place._id.equals(byCode._id));
+    const matches = byCode ? [...scored, { place: byCode, score: 1, matchedName: byCode.unlocode }] : scored;
+
+    return matches
+        .filter(m => m.score >= minScore)
+        .sort((a, b) => b.score - a.score || a.place.name.localeCompare(b.place.name))
+        .slice(0, limit)
+        .map(m => ({ ...m, score: Math.round(m.score * 1000) / 1000 }));
+};
+
+/**
+ * Matches a shipment location against the gazetteer by its name.
+ * - Without coordinates: takes the name, coordinates and geofence radius of the
+ *   best place scoring at least GAZETTEER_MATCH_SCORE, unless another place scores about as well.
+ * - With coordinates: keeps them, and takes the name of the best matching place
+ *   within GAZETTEER_MAX_DISTANCE_KM of them.
+ * A resolved location refers to its place in `place`.
+ * @param {Object} location - { name, latitude?, longitude?, ... }
+ * @param {string} path - Where the location is in the request, for warnings (e.g. 'origin', 'route[0]')
+ * @returns {Promise<{ location: Object, warning?: string }>} - A copy of the location (or the location
+ *          itself if nothing matched); `warning` for a fuzzy match, or a location still without coordinates
+ */
+const resolveLocation = async (location, path) => {
+    if (!location?.name) return { location };
+    const coord = toCoord(location);
+    const matches = await searchPlaces(location.name, { limit: 5, minScore: GAZETTEER_MATCH_SCORE });
+
+    if (coord) {
+        const near = matches.find(m => haversineKm(coord, [m.place.longitude, m.place.latitude]) <= GAZETTEER_MAX_DISTANCE_KM);
+        return near
+            ? { location: { ...location, name: near.place.name, place: near.place._id } }
+            : { location };
+    }
+
+    const [best, runnerUp] = matches;
+    if (!best) {
+        return { location, warning: `${path}: "${location.name}" has no coordinates and no match in the gazetteer` };
+    }
+    if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+        const names = matches.filter(m => best.score - m.score < AMBIGUITY_MARGIN).map(m => describePlace(m.place));
+        return { location, warning: `${path}: "${location.name}" has no coordinates and matches several places in the gazetteer: ${names.join(', ')}` };
+    }
+
+    const { place, score } = best;
+    return {
+        location: {
+            ...location,
+            name: place.name,
+            latitude: place.latitude,
+            longitude: place.longitude,
+            geofenceRadiusMeters: location.geofenceRadiusMeters ?? place.geofenceRadiusMeters,
+            place: place._id
+        },
+        warning: score < 1 ? `${path}: "${location.name}" was matched to ${describePlace(place)} in the gazetteer (score ${score})` : undefined
+    };
+};
+
+/**
+ * Resolves the locations of a shipment or booking leg (see resolveLocation).
+ * @param {Object<string, Object|Array<Object>>} locations - By field, e.g. { origin, destination, route };
+ *        arrays are resolved item by item, missing fields are left out
+ * @param {string} [prefix=''] - Put before the field in warnings, e.g. 'legs[0].'
+ * @returns {Promise<Object>} - The same fields resolved, and `warnings` (Array<string>)
+ */
+const resolveLocations = async (locations, prefix = '') => {
+    const resolved = { warnings: [] };
+    const resolve = async (location, path) => {
+        const result = await resolveLocation(location, `${prefix}${path}`);
+        if (result.warning) resolved.warnings.push(result.warning);
+        return result.location;
+    };
+
+    for (const [field, value] of Object.entries(locations)) {
+        if (Array.isArray(value)) {
+            resolved[field] = [];
+            for (const [i, location] of value.entries()) {
+                resolved[field].push(await resolve(location, `${field}[${i}]`));
+            }
+        } else {
+            resolved[field] = value && await resolve(value, field);
+        }
+    }
+    return resolved;
+};
+
+module.exports = {
+    GAZETTEER_MATCH_SCORE,
+    GAZETTEER_MAX_DISTANCE_KM,
+    searchPlaces,
+    resolveLocation,
+    resolveLocations
+};
@@ -0,0 +1,162 @@
+// utils/geo.js
+// Small spherical geometry helpers. Coordinates are GeoJSON-style
+// [longitude, latitude] pairs in degrees; distances are in kilometres.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRad = (deg) => deg * Math.PI / 180;
+
+/**
+ * Converts a location object ({ latitude, longitude }) to [lon, lat].
+ * @param {Object} location
+ * @returns {Array<number>|null} - null if the location has no valid coordinates
+ */
+const toCoord = (location) => {
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+        return null;
+    }
+    return [location.longitude, location.latitude];
+};
+
+/**
+ * Converts a location object ({ latitude, longitude }) to a GeoJSON Point.
+ * @param {Object} location
+ * @returns {Object|null} - { type: 'Point', coordinates: [lon, lat] }, or null without valid coordinates
+ */
+const toPoint = (location) => {
+    const coord = toCoord(location);
+    return coord ? { type: 'Point', coordinates: coord } : null;
+};
+
+/**
+ * Prepares a LineString for a 2dsphere index, which rejects repeated
+ * consecutive vertices and lines of fewer than two distinct points.
+ * @param {Object} geometry - GeoJSON LineString
+ * @returns {Object|null} - The LineString without repeated vertices, or null if nothing is left of it
+ */
+const cleanLineString = (geometry) => {
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+        return null;
+    }
+    const coordinates = geometry.coordinates.filter((point, i, all) => (
+        i === 0 || point[0] !== all[i - 1][0] || point[1] !== all[i - 1][1]
+    ));
+    return coordinates.length >= 2 ? { type: 'LineString', coordinates } : null;
+};
+
+/**
+ * Great-circle distance between two [lon, lat] points (haversine formula).
+ * @returns {number} - Distance in km
+ */
+const haversineKm = (a, b) => {
+    const dLat = toRad(b[1] - a[1]);
+    const dLon = toRad(b[0] - a[0]);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a[1])) * Math.cos(toRad(b[1])) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Total length of a polyline.
+ * @param {Array<Array<number>>} coords - [[lon, lat], ...]
+ * @returns {number} - Length in km
+ */
+const lineLengthKm = (coords) => {
+    let total = 0;
+    for (let i = 1; i < coords.length; i++) {
+        total += haversineKm(coords[i - 1], coords[i]);
+    }
+    return total;
+};
+
+// Longitude difference normalised to [-180, 180] so segments may cross the antimeridian
+const lonDelta = (from, to) => ((to - from + 540) % 360) - 180;
+
+/**
+ * Projects a point onto a polyline, using a local equirectangular
+ * approximation per segment (accurate enough for ETA and corridor checks).
+ * @param {Array<number>} point - [lon, lat]
+ * @param {Array<Array<number>>} coords - Polyline [[lon, lat], ...], at least 2 points
+ * @returns {{ point: Array<number>, segmentIndex: number, distanceAlongKm: number, distanceFromLineKm: number }|null}
+ */
+const projectOntoLine = (point, coords) => {
+    if (!point || !Array.isArray(coords) || coords.length < 2) {
+        return null;
+    }
+
+    let best = null;
+    let cumulativeKm = 0;
+
+    for (let i = 0; i < coords.length - 1; i++) {
+        const a = coords[i];
+        const b = coords[i + 1];
+        const segmentKm = haversineKm(a, b);
+
+        // Planar coordinates relative to `a`, scaled by cos(latitude)
+        const cosLat = Math.cos(toRad(a[1]));
+        const bx = lonDelta(a[0], b[0]) * cosLat;
+        const by = b[1] - a[1];
+        const px = lonDelta(a[0], point[0]) * cosLat;
+        const py = point[1] - a[1];
+
+        const lengthSq = bx * bx + by * by;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq));
+
+        const projected = [a[0] + lonDelta(a[0], b[0]) * t, a[1] + by * t];
+        const distanceFromLineKm = haversineKm(point, projected);
+
+        if (!best || distanceFromLineKm < best.distanceFromLineKm) {
+            best = {
+                point: projected,
+                segmentIndex: i,
+                distanceAlongKm: cumulativeKm + segmentKm * t,
+                distanceFromLineKm
+            };
+        }
+        cumulativeKm += segmentKm;
+    }
+
+    return best;
+};
+
+/**
+ * Points along the great circle between two [lon, lat] points, including
+ * both ends, spaced at most `stepKm` apart (spherical interpolation).
+ * @returns {Array<Array<number>>}
+ */
+const greatCirclePoints = (a, b, stepKm = 100) => {
+    const distanceKm = haversineKm(a, b);
+    const steps = Math.max(1, Math.ceil(distanceKm / stepKm));
+    const angle = distanceKm / EARTH_RADIUS_KM;
+    if (angle === 0) {
+        return [a.slice(), b.slice()];
+    }
+
+    const [lon1, lat1, lon2, lat2] = [a[0], a[1], b[0], b[1]].map(toRad);
+    const points = [];
+    for (let i = 0; i <= steps; i++) {
+        const f = i / steps;
+        const A = Math.sin((1 - f) * angle) / Math.sin(angle);
+        const B = Math.sin(f * angle) / Math.sin(angle);
+        const x = A * Math.cos(lat1) * Math.cos(lon1) + B * Math.cos(lat2) * Math.cos(lon2);
+        const y = A * Math.cos(lat1) * Math.sin(lon1) + B * Math.cos(lat2) * Math.sin(lon2);
+        const z = A * Math.sin(lat1) + B * Math.sin(lat2);
+        points.push([
+            Math.atan2(y, x) * 180 / Math.PI,
+            Math.atan2(z, Math.sqrt(x * x + y * y)) * 180 / Math.PI
+        ]);
+    }
+    return points;
+};
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    toRad,
+    toCoord,
+    toPoint,
+    cleanLineString,
+    haversineKm,
+    lineLengthKm,
+    projectOntoLine,
+    greatCirclePoints
+};
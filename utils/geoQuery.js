@@ -0,0 +1,149 @@
+// utils/geoQuery.js
+// Turns geo search parameters (a point and radius, a bounding box, a GeoJSON
+// polygon) into MongoDB conditions on the Shipment 2dsphere indexes:
+// `currentLocation.point` for where shipments are, `detailedRouteGeometry`
+// for where they will go.
+const { EARTH_RADIUS_KM } = require('./geo');
+const { ApiError } = require('./apiError');
+const { InvalidQueryError } = require('./shipmentQuery');
+
+// Widest slice of a bounding box in degrees of longitude: polygon edges are
+// great circles, so each slice stays well below a hemisphere
+const MAX_SLICE_DEGREES = 90;
+// Longitude step of the points along a box's top and bottom edges, so they
+// follow the parallel instead of bulging towards the pole
+const EDGE_STEP_DEGREES = 5;
+
+// Largest radius of a near search
+const MAX_NEAR_RADIUS_KM = 2000;
+
+// Points along a pole are all the same point, which a polygon ring can't repeat
+const MAX_BOX_LATITUDE = 89.99;
+
+// Longitude in [-180, 180]
+const wrapLongitude = (lon) => (lon > 180 ? lon - 360 : lon);
+
+/**
+ * Parses ?bbox=minLon,minLat,maxLon,maxLat.
+ * @param {string} value
+ * @param {string} [param='bbox']
+ * @returns {Array<number>} - [minLon, minLat, maxLon, maxLat]
+ */
+const parseBbox = (value, param = 'bbox') => {
+    const parts = String(value).split(',').map(v => v.trim());
+    const bbox = parts.map(Number);
+    if (bbox.length !== 4 || parts.some(v => v === '') || bbox.some(v => !Number.isFinite(v))) {
+        throw new InvalidQueryError(`"${param}" must be minLon,minLat,maxLon,maxLat`, param);
+    }
+    return bbox;
+};
+
+/**
+ * Converts a bounding box to a GeoJSON MultiPolygon. A box with minLon > maxLon
+ * crosses the antimeridian. Wide boxes are cut into slices of at most 90 degrees;
+ * latitudes are capped at ±89.99.
+ * @param {Array<number>} bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {Function} fail - Called with a message when the box is unusable; must throw
+ * @returns {Object} - GeoJSON MultiPolygon
+ */
+const bboxToGeometry = ([minLon, minLat, maxLon, maxLat], fail) => {
+    if ([minLon, maxLon].some(lon => Math.abs(lon) > 180) || [minLat, maxLat].some(lat => Math.abs(lat) > 90)) {
+        fail('longitudes must be within -180..180 and latitudes within -90..90');
+    }
+    const width = maxLon >= minLon ? maxLon - minLon : maxLon + 360 - minLon;
+    if (width === 0 || minLat >= maxLat) {
+        fail('must have minLat < maxLat and an area');
+    }
+
+    const south = Math.max(minLat, -MAX_BOX_LATITUDE);
+    const north = Math.min(maxLat, MAX_BOX_LATITUDE);
+    const slices = Math.ceil(width / MAX_SLICE_DEGREES);
+    const polygons = [];
+    for (let i = 0; i < slices; i++) {
+        const west = minLon + (width * i) / slices;
+        const east = minLon + (width * (i + 1)) / slices;
+        const steps = Math.ceil((east - west) / EDGE_STEP_DEGREES);
+        const bottom = [];
+        for (let s = 0; s <= steps; s++) {
+            bottom.push(west + ((east - west) * s) / steps);
+        }
+        const ring = [
+            ...bottom.map(lon => [wrapLongitude(lon), south]),
+            ...bottom.reverse().map(lon => [wrapLongitude(lon), north])
+        ];
+        ring.push(ring[0]);
+        polygons.push([ring]);
+    }
+    return { type: 'MultiPolygon', coordinates: polygons };
+};
+
+// Rings must end where they start (GeoJSON, RFC 7946 3.1.6)
+const checkRings = (geometry) => {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    polygons.forEach((rings, p) => rings.forEach((ring, r) => {
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+            const path = geometry.type === 'Polygon' ? `geometry.coordinates[${r}]` : `geometry.coordinates[${p}][${r}]`;
+            throw ApiError.badRequest('Polygon rings must be closed', {
+                details: [{ in: 'body', path, code: 'invalid', msg: 'must end with its first position' }]
+            });
+        }
+    }));
+    return geometry;
+};
+
+/**
+ * The search area of a region search: ?bbox= on GET, { bbox } or
+ * { geometry: Polygon | MultiPolygon } in the body on POST.
+ * @param {Object} req - Express request (after validate())
+ * @returns {Object} - GeoJSON Polygon or MultiPolygon
+ */
+const regionFromRequest = (req) => {
+    if (req.method === 'GET') {
+        return bboxToGeometry(parseBbox(req.query.bbox), (msg) => {
+            throw new InvalidQueryError(`"bbox" ${msg}`, 'bbox');
+        });
+    }
+    if (req.body.bbox) {
+        return bboxToGeometry(req.body.bbox, (msg) => {
+            throw ApiError.badRequest(`bbox ${msg}`, { details: [{ in: 'body', path: 'bbox', code: 'invalid', msg }] });
+        });
+    }
+    return checkRings(req.body.geometry);
+};
+
+/**
+ * Shipments whose current location is inside the area.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - MongoDB condition
+ */
+const locatedWithin = (geometry) => ({ 'currentLocation.point': { $geoWithin: { $geometry: geometry } } });
+
+/**
+ * Shipments whose detailed route geometry crosses or touches the area.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - MongoDB condition
+ */
+const routeIntersects = (geometry) => ({ detailedRouteGeometry: { $geoIntersects: { $geometry: geometry } } });
+
+/**
+ * Shipments whose current location is within radiusKm of a point (unsorted;
+ * for counting, as $near can't be counted).
+ * @param {Array<number>} center - [lon, lat]
+ * @param {number} radiusKm
+ * @returns {Object} - MongoDB condition
+ */
+const locatedNear = (center, radiusKm) => ({
+    'currentLocation.point': { $geoWithin: { $centerSphere: [center, radiusKm / EARTH_RADIUS_KM] } }
+});
+
+module.exports = {
+    MAX_NEAR_RADIUS_KM,
+    parseBbox,
+    bboxToGeometry,
+    regionFromRequest,
+    locatedWithin,
+    routeIntersects,
+    locatedNear
+};
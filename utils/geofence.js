@@ -0,0 +1,108 @@
+// utils/geofence.js
+// Circular geofences around a shipment's origin, destination and route
+// waypoints, used to detect arrivals and departures from reported coordinates.
+const dotenv = require('dotenv');
+const { toCoord, haversineKm } = require('./geo');
+
+dotenv.config(); // Load .env variables
+
+// Default radius per geofence kind in metres, overridable via .env.
+// A location's own `geofenceRadiusMeters` takes precedence.
+const DEFAULT_RADII_METERS = {
+    origin: Number(process.env.GEOFENCE_ORIGIN_RADIUS_M) || 1000,
+    destination: Number(process.env.GEOFENCE_DESTINATION_RADIUS_M) || 1000,
+    waypoint: Number(process.env.GEOFENCE_WAYPOINT_RADIUS_M) || 2000
+};
+
+/**
+ * Builds the geofences for a shipment. Locations without coordinates get none.
+ * @param {Object} shipment - Shipment document or plain object
+ * @param {Object} [radii] - Radius per kind in metres
+ * @returns {Array<{ name: string, kind: string, center: Array<number>, radiusMeters: number }>}
+ */
+const buildGeofences = (shipment, radii = DEFAULT_RADII_METERS) => {
+    const fences = [];
+    const addFence = (location, kind) => {
+        const center = toCoord(location);
+        if (center) {
+            fences.push({
+                name: location.name,
+                kind,
+                center,
+                radiusMeters: location.geofenceRadiusMeters || radii[kind]
+            });
+        }
+    };
+
+    const originName = shipment.origin?.name;
+    const destinationName = shipment.destination?.name;
+
+    addFence(shipment.origin, 'origin');
+    (shipment.route || [])
+        .filter(loc => loc?.name && loc.name !== originName && loc.name !== destinationName)
+        .forEach(loc => addFence(loc, 'waypoint'));
+    addFence(shipment.destination, 'destination');
+
+    return fences;
+};
+
+/**
+ * Finds the geofence containing a point; the nearest centre wins on overlap.
+ * @param {Array<number>} point - [lon, lat]
+ * @param {Array<Object>} fences - From buildGeofences
+ * @returns {Object|null}
+ */
+const findGeofence = (point, fences) => {
+    let best = null;
+    let bestDistanceMeters = Infinity;
+    for (const fence of fences) {
+        const distanceMeters = haversineKm(point, fence.center) * 1000;
+        if (distanceMeters <= fence.radiusMeters && distanceMeters < bestDistanceMeters) {
+            best = fence;
+            bestDistanceMeters = distanceMeters;
+        }
+    }
+    return best;
+};
+
+/**
+ * Compares a new position against the shipment's geofences and the fence it
+ * was last inside (`shipment.currentGeofence`).
+ * @param {Object} shipment - Shipment document or plain object
+ * @param {Object} location - New location { latitude, longitude }
+ * @param {Object} [radii] - Radius per kind in metres
+ * @returns {{ geofence: Object|null, transitions: Array<{ type: 'arrival'|'departure', geofence: Object }> }}
+ *          `geofence` is the fence now containing the position (null if none)
+ */
+const evaluateGeofences = (shipment, location, radii = DEFAULT_RADII_METERS) => {
+    const point = toCoord(location);
+    const previous = shipment.currentGeofence?.name ? shipment.currentGeofence : null;
+    if (!point) {
+        // Without coordinates nothing can be concluded: keep the previous state
+        return { geofence: previous, transitions: [] };
+    }
+
+    const geofence = findGeofence(point, buildGeofences(shipment, radii));
+    const transitions = [];
+
+    // Without a previous fence (the first position, or one recorded before geofences existed),
+    // being inside a fence counts as arriving there
+    const sameFence = previous && geofence && previous.name === geofence.name && previous.kind === geofence.kind;
+    if (!sameFence) {
+        if (previous) {
+            transitions.push({ type: 'departure', geofence: { name: previous.name, kind: previous.kind } });
+        }
+        if (geofence) {
+            transitions.push({ type: 'arrival', geofence: { name: geofence.name, kind: geofence.kind } });
+        }
+    }
+
+    return { geofence, transitions };
+};
+
+module.exports = {
+    DEFAULT_RADII_METERS,
+    buildGeofences,
+    findGeofence,
+    evaluateGeofences
+};
@@ -0,0 +1,94 @@
+// utils/geometryBatch.js
+// Background computation of detailed route geometry for many shipments
+// (e.g. after a bulk import). Jobs run one shipment at a time in this process
+// and are tracked in memory; finished jobs are forgotten after JOB_RETENTION_MS.
+const crypto = require('crypto');
+const Shipment = require('../models/Shipment');
+const { buildRouteGeometry } = require('./shipmentService');
+const { systemContext } = require('./auditTrail');
+
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+
+const runJob = async (job) => {
+    job.status = 'running';
+    job.startedAt = new Date();
+
+    for (const shipmentId of job.shipmentIds) {
+        try {
+            const shipment = await Shipment.findById(shipmentId);
+            if (!shipment) {
+                job.skipped++;
+                continue;
+            }
+            const route = shipment.route.map(loc => loc.toObject());
+            const geometry = await buildRouteGeometry(
+                route[0], route.slice(1, -1), route[route.length - 1],
+                shipment.transportMode, shipment.trackingId
+            );
+            if (geometry) {
+                shipment.detailedRouteGeometry = geometry;
+                shipment.$locals.audit = systemContext('geometry-batch', { correlationId: job.correlationId });
+                await shipment.save(); // Pre-save hook refreshes the ETA from the new geometry
+                job.succeeded++;
+            } else {
+                job.skipped++;
+            }
+        } catch (err) {
+            console.error(`Geometry batch ${job.id}: failed for shipment ${shipmentId}:`, err.message);
+            job.failed++;
+        }
+        job.processed++;
+    }
+
+    job.status = 'completed';
+    job.finishedAt = new Date();
+    console.log(`Geometry batch ${job.id} completed: ${job.succeeded} routed, ${job.skipped} skipped, ${job.failed} failed.`);
+    setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+};
+
+/**
+ * Queues route geometry computation for the given shipments and starts it in the background.
+ * @param {Array<string>} shipmentIds
+ * @param {Object} [options]
+ * @param {string} [options.correlationId] - Of the request that queued the job, for the audit trail
+ * @returns {Object} - Job summary (see getJob)
+ */
+const enqueueGeometryBatch = (shipmentIds, { correlationId } = {}) => {
+    const job = {
+        id: crypto.randomUUID(),
+        correlationId,
+        status: 'queued',
+        shipmentIds: shipmentIds.map(String),
+        total: shipmentIds.length,
+        processed: 0,
+        succeeded: 0,
+        skipped: 0, // No route possible (too few coordinates) or shipment gone
+        failed: 0,
+        createdAt: new Date()
+    };
+    jobs.set(job.id, job);
+
+    // Runs as the organization of the request that queued it (see utils/tenantContext.js)
+    setImmediate(() => {
+        runJob(job).catch(err => {
+            job.status = 'failed';
+            console.error(`Geometry batch ${job.id} failed:`, err.message);
+        });
+    });
+    return getJob(job.id);
+};
+
+/**
+ * @param {string} jobId
+ * @returns {Object|null} - { id, status, total, processed, succeeded, skipped, failed, createdAt, startedAt?, finishedAt? }
+ */
+const getJob = (jobId) => {
+    const job = jobs.get(jobId);
+    if (!job) return null;
+    const { shipmentIds, ...summary } = job;
+    return summary;
+};
+
+module.exports = { enqueueGeometryBatch, getJob };
@@ -0,0 +1,131 @@
+// utils/iso6346.js
+// ISO 6346 container numbers (owner code, category, serial number, check digit)
+// and size/type codes.
+
+// Owner code (3 letters) + category identifier (U, J, Z or R) + 6-digit serial + check digit
+const CONTAINER_NUMBER_PATTERN = /^([A-Z]{3})([UJZR])(\d{6})(\d)$/;
+
+// Letter values for the check digit: A=10 upwards, skipping multiples of 11
+const LETTER_VALUES = (() => {
+    const values = {};
+    let value = 10;
+    for (const letter of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+        if (value % 11 === 0) value++;
+        values[letter] = value++;
+    }
+    return values;
+})();
+
+// ISO size/type codes with the names used in day-to-day operations
+const SIZE_TYPES = {
+    '22G1': { name: '20GP', description: "20' general purpose", lengthFt: 20, highCube: false, reefer: false },
+    '42G1': { name: '40GP', description: "40' general purpose", lengthFt: 40, highCube: false, reefer: false },
+    '45G1': { name: '40HC', description: "40' high cube", lengthFt: 40, highCube: true, reefer: false },
+    'L5G1': { name: '45HC', description: "45' high cube", lengthFt: 45, highCube: true, reefer: false },
+    '22R1': { name: '20RF', description: "20' reefer", lengthFt: 20, highCube: false, reefer: true },
+    '42R1': { name: '40RF', description: "40' reefer", lengthFt: 40, highCube: false, reefer: true },
+    '45R1': { name: '40RH', description: "40' high cube reefer", lengthFt: 40, highCube: true, reefer: true },
+    '22U1': { name: '20OT', description: "20' open top", lengthFt: 20, highCube: false, reefer: false },
+    '42U1': { name: '40OT', description: "40' open top", lengthFt: 40, highCube: false, reefer: false },
+    '22P1': { name: '20FR', description: "20' flat rack", lengthFt: 20, highCube: false, reefer: false },
+    '42P1': { name: '40FR', description: "40' flat rack", lengthFt: 40, highCube: false, reefer: false },
+    '22T1': { name: '20TK', description: "20' tank", lengthFt: 20, highCube: false, reefer: false }
+};
+
+// Common alternative spellings of the operational names
+const SIZE_TYPE_ALIASES = {
+    '20DC': '22G1', '20DV': '22G1', '20ST': '22G1',
+    '40DC': '42G1', '40DV': '42G1', '40ST': '42G1',
+    '40HQ': '45G1', '45HQ': 'L5G1',
+    '20RE': '22R1', '40RE': '42R1', '40HR': '45R1', '40RQ': '45R1'
+};
+
+/**
+ * Normalises user input: upper case, without spaces, dashes, dots or slashes.
+ * "mscu 123456-5" -> "MSCU1234565"
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizeContainerNumber = (value) => String(value ?? '').toUpperCase().replace(/[\s\-./]/g, '');
+
+/**
+ * Computes the check digit for the first 10 characters of a container number.
+ * @param {string} prefix - Owner code, category identifier and serial number
+ * @returns {number}
+ */
+const computeCheckDigit = (prefix) => {
+    let sum = 0;
+    for (let i = 0; i < 10; i++) {
+        const char = prefix[i];
+        const value = LETTER_VALUES[char] ?? Number(char);
+        sum += value * 2 ** i;
+    }
+    return (sum % 11) % 10;
+};
+
+/**
+ * Validates a container number.
+ * @param {string} value - Raw input
+ * @returns {{ valid: boolean, containerNumber: string, error?: string,
+ *             ownerCode?: string, categoryIdentifier?: string, serialNumber?: string, checkDigit?: number }}
+ *          `containerNumber` is the normalised input (also when invalid)
+ */
+const parseContainerNumber = (value) => {
+    const containerNumber = normalizeContainerNumber(value);
+    const match = CONTAINER_NUMBER_PATTERN.exec(containerNumber);
+    if (!match) {
+        return {
+            valid: false,
+            containerNumber,
+            error: 'Must be 3 letters (owner code), U/J/Z/R (category), 6 digits and a check digit, e.g. CSQU3054383'
+        };
+    }
+
+    const [, ownerCode, categoryIdentifier, serialNumber, checkDigitChar] = match;
+    const checkDigit = computeCheckDigit(containerNumber.slice(0, 10));
+    if (checkDigit !== Number(checkDigitChar)) {
+        return {
+            valid: false,
+            containerNumber,
+            error: `Check digit should be ${checkDigit}, not ${checkDigitChar}`,
+            ownerCode,
+            categoryIdentifier,
+            serialNumber,
+            checkDigit
+        };
+    }
+    return { valid: true, containerNumber, ownerCode, categoryIdentifier, serialNumber, checkDigit };
+};
+
+/**
+ * Resolves an ISO size/type code or an operational name ("40HC", "45G1", "40hq").
+ * @param {string} value
+ * @returns {string|null} - ISO size/type code, or null if unknown
+ */
+const resolveSizeTypeCode = (value) => {
+    const code = String(value ?? '').toUpperCase().replace(/[\s\-']/g, '');
+    if (SIZE_TYPES[code]) return code;
+    const byName = Object.keys(SIZE_TYPES).find(key => SIZE_TYPES[key].name === code);
+    return byName || SIZE_TYPE_ALIASES[code] || null;
+};
+
+/**
+ * Query condition matching a container number as typed or normalised, so
+ * "mscu 123456-6" finds MSCU1234566 while IDs stored before validation still match.
+ * @param {string} value
+ * @returns {string|{ $in: string[] }}
+ */
+const containerNumberCondition = (value) => {
+    const raw = String(value ?? '').trim();
+    const normalized = normalizeContainerNumber(raw);
+    return raw === normalized ? raw : { $in: [raw, normalized] };
+};
+
+module.exports = {
+    SIZE_TYPES,
+    normalizeContainerNumber,
+    containerNumberCondition,
+    computeCheckDigit,
+    parseContainerNumber,
+    resolveSizeTypeCode
+};
@@ -0,0 +1,347 @@
+// utils/locationIngest.js
+// Batch ingestion of timestamped GPS fixes from telematics gateways.
+// Fixes are keyed by trackingId or deviceId (a device may carry several
+// shipments), ordered and deduplicated per shipment, checked for GPS jumps,
+// written to the tracking history in one insert, and each shipment is saved
+// once with its latest valid fix as the current location.
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const TrackingEvent = require('../models/TrackingEvent');
+const { toCoord, haversineKm } = require('./geo');
+const { evaluateGeofences } = require('./geofence');
+const { tenantSettings } = require('./tenantContext');
+const { isTerminal } = require('./shipmentStatus');
+const { ASSIGNMENT_SCOPED_ROLES } = require('./roles');
+const { ApiError } = require('./apiError');
+
+dotenv.config(); // Load .env variables
+
+const LOCATION_BATCH_MAX_FIXES = Number(process.env.LOCATION_BATCH_MAX_FIXES) || 5000;
+// Device clocks drift; fixes further ahead of the server clock are rejected
+const LOCATION_MAX_FUTURE_SKEW_MS = (Number(process.env.LOCATION_MAX_FUTURE_SKEW_SECONDS) || 300) * 1000;
+// Movement between two fixes faster than this is a GPS jump, not travel
+const MAX_SPEEDS_KMH = {
+    road: Number(process.env.LOCATION_MAX_SPEED_ROAD_KMH) || 160,
+    rail: Number(process.env.LOCATION_MAX_SPEED_RAIL_KMH) || 300,
+    sea: Number(process.env.LOCATION_MAX_SPEED_SEA_KMH) || 80,
+    air: Number(process.env.LOCATION_MAX_SPEED_AIR_KMH) || 1200
+};
+// Shorter moves are GPS jitter and always accepted, whatever the time between fixes
+const JUMP_TOLERANCE_KM = Number(process.env.LOCATION_JUMP_TOLERANCE_KM) || 2;
+// Consecutive fixes that agree with each other but not with the previous position.
+// That many move the track to them: the previous position was the bad one.
+const JUMP_CONFIRM_FIXES = Number(process.env.LOCATION_JUMP_CONFIRM_FIXES) || 3;
+
+// --- Custom error for an unusable batch (400) ---
+class LocationBatchError extends ApiError {
+    constructor(message) {
+        super(400, message);
+        this.name = 'LocationBatchError';
+    }
+}
+
+/**
+ * Validates one fix of a batch.
+ * @param {Object} raw - { trackingId | deviceId, latitude, longitude, timestamp, locationName?, source? }
+ * @param {Date} now
+ * @returns {{ fix?: Object, error?: string }}
+ */
+const normalizeFix = (raw, now) => {
+    if (!raw || typeof raw !== 'object') {
+        return { error: 'Fix must be an object' };
+    }
+    const trackingId = typeof raw.trackingId === 'string' ? raw.trackingId.trim() : '';
+    const deviceId = typeof raw.deviceId === 'string' ? raw.deviceId.trim() : '';
+    if (!trackingId && !deviceId) {
+        return { error: 'trackingId or deviceId is required' };
+    }
+
+    const { latitude, longitude } = raw;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        return { error: 'latitude and longitude must be numbers within range' };
+    }
+
+    // ISO 8601 string or epoch milliseconds
+    const timestamp = raw.timestamp !== undefined && raw.timestamp !== null ? new Date(raw.timestamp) : null;
+    if (!timestamp || isNaN(timestamp.getTime())) {
+        return { error: 'timestamp is required (ISO 8601 or epoch milliseconds)' };
+    }
+    if (timestamp - now > LOCATION_MAX_FUTURE_SKEW_MS) {
+        return { error: 'timestamp is in the future' };
+    }
+
+    return {
+        fix: {
+            trackingId: trackingId || undefined,
+            deviceId: deviceId || undefined,
+            latitude,
+            longitude,
+            timestamp,
+            locationName: typeof raw.locationName === 'string' && raw.locationName.trim() ? raw.locationName.trim() : undefined,
+            source: typeof raw.source === 'string' && raw.source.trim() ? raw.source.trim() : undefined
+        }
+    };
+};
+
+/**
+ * Orders a shipment's fixes by timestamp and drops duplicates, fixes not newer
+ * than the current location, and implausible jumps. Pure; nothing is changed.
+ *
+ * Each fix is checked against the last accepted position, starting with the
+ * shipment's current location. Fixes that fail the check are held back; once
+ * JUMP_CONFIRM_FIXES of them in a row are plausible among themselves, the
+ * previous position is taken to be the bad one and they are all accepted.
+ * @param {Object} shipment - Shipment document or plain object
+ * @param {Array<Object>} fixes - Normalised fixes with their batch `index`
+ * @param {Object} [options]
+ * @param {Object} [options.maxSpeeds=MAX_SPEEDS_KMH] - Plausible speed limit per transport mode in km/h
+ * @param {number} [options.confirmFixes=JUMP_CONFIRM_FIXES] - Agreeing fixes needed to move away from the previous position
+ * @returns {{ accepted: Array<Object>, dropped: Array<{ index: number, reason: string }> }}
+ */
+const planFixes = (shipment, fixes, { maxSpeeds = MAX_SPEEDS_KMH, confirmFixes = JUMP_CONFIRM_FIXES } = {}) => {
+    const sorted = [...fixes].sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+    const maxSpeedKmh = maxSpeeds[shipment.transportMode] || maxSpeeds.road;
+    const currentTimestamp = shipment.currentLocation?.timestamp ? new Date(shipment.currentLocation.timestamp) : null;
+    const currentPoint = toCoord(shipment.currentLocation);
+
+    const plausible = (from, fix) => {
+        const distanceKm = haversineKm(from.point, toCoord(fix));
+        const hours = (fix.timestamp - from.timestamp) / 3600000;
+        return distanceKm <= JUMP_TOLERANCE_KM || distanceKm / hours <= maxSpeedKmh;
+    };
+    const position = (fix) => ({ point: toCoord(fix), timestamp: fix.timestamp });
+
+    let anchor = currentPoint && currentTimestamp ? { point: currentPoint, timestamp: currentTimestamp } : null;
+    let held = []; // Consecutive fixes that jumped away from the anchor but agree with each other
+    let lastTimestamp = null;
+    const accepted = [];
+    const dropped = [];
+    const dropHeld = () => {
+        held.forEach(fix => dropped.push({ index: fix.index, reason: 'implausible_jump' }));
+        held = [];
+    };
+
+    for (const fix of sorted) {
+        if (lastTimestamp !== null && fix.timestamp.getTime() === lastTimestamp) {
+            dropped.push({ index: fix.index, reason: 'duplicate' });
+            continue;
+        }
+        if (currentTimestamp && fix.timestamp <= currentTimestamp) {
+            dropped.push({ index: fix.index, reason: 'stale' });
+            continue;
+        }
+        lastTimestamp = fix.timestamp.getTime();
+
+        if (!anchor || plausible(anchor, fix)) {
+            dropHeld(); // The track continues from the anchor, so they were the jump
+            accepted.push(fix);
+            anchor = position(fix);
+            continue;
+        }
+
+        if (held.length > 0 && !plausible(position(held[held.length - 1]), fix)) {
+            dropHeld(); // Doesn't agree with them either
+        }
+        held.push(fix);
+        if (held.length >= confirmFixes) {
+            accepted.push(...held);
+            anchor = position(held[held.length - 1]);
+            held = [];
+        }
+    }
+    dropHeld(); // Not confirmed by the end of the batch
+
+    return { accepted, dropped };
+};
+
+/**
+ * Applies planned fixes to a shipment in time order: geofence crossings,
+ * Pending -> In Transit, delivery at the destination geofence, and finally
+ * the current location. Fixes after delivery are dropped.
+ * @param {Object} shipment - Shipment document (mutated, not saved)
+ * @param {Array<Object>} fixes - Accepted fixes from planFixes
+ * @param {string} defaultSource - Source for fixes that don't name one
+ * @returns {{ events: Array<Object>, applied: number, dropped: Array<{ index: number, reason: string }> }}
+ *          `events` are TrackingEvent documents to insert
+ */
+const applyFixes = (shipment, fixes, defaultSource) => {
+    const events = [];
+    const dropped = [];
+    let latest = null;
+
+    for (const fix of fixes) {
+        if (shipment.status === 'Delivered') {
+            dropped.push({ index: fix.index, reason: 'after_delivery' });
+            continue;
+        }
+
+        const { geofence, transitions } = evaluateGeofences(shipment, fix, tenantSettings().geofenceRadiusMeters);
+        const stillInside = geofence && shipment.currentGeofence?.name === geofence.name;
+        shipment.currentGeofence = geofence
+            ? { name: geofence.name, kind: geofence.kind, enteredAt: stillInside ? shipment.currentGeofence.enteredAt : fix.timestamp }
+            : undefined;
+
+        // Inside the destination geofence, whether it was just entered or not (see updateShipmentLocation)
+        if (geofence?.kind === 'destination') {
+            shipment.status = 'Delivered';
+            shipment.actualDeliveryDate = fix.timestamp;
+        } else if (shipment.status === 'Pending') {
+            shipment.status = 'In Transit';
+        }
+        if (!shipment.departedAt) {
+            shipment.departedAt = fix.timestamp; // Not the latest fix, which pre-save would use
+        }
+
+        latest = {
+            name: fix.locationName || geofence?.name || `${fix.latitude.toFixed(5)}, ${fix.longitude.toFixed(5)}`,
+            latitude: fix.latitude,
+            longitude: fix.longitude,
+            timestamp: fix.timestamp
+        };
+
+        // Same order as single updates: departures, the position, then arrivals
+        const event = (type, fence) => ({
+            shipment: shipment._id,
+            trackingId: shipment.trackingId,
+            type,
+            geofence: fence,
+            location: latest,
+            timestamp: fix.timestamp,
+            source: fix.source || defaultSource,
+            status: shipment.status
+        });
+        transitions.filter(t => t.type === 'departure').forEach(t => events.push(event(t.type, t.geofence)));
+        events.push(event('location'));
+        transitions.filter(t => t.type === 'arrival').forEach(t => events.push(event(t.type, t.geofence)));
+    }
+
+    if (latest) {
+        shipment.currentLocation = latest;
+    }
+    return { events, applied: fixes.length - dropped.length, dropped };
+};
+
+/**
+ * Ingests a batch of fixes.
+ * @param {Array<Object>} rawFixes - See normalizeFix
+ * @param {Object} [options]
+ * @param {Object} [options.auth] - req.auth; drivers only reach their assigned shipments
+ * @param {string} [options.source='gps'] - Source for fixes that don't name one
+ * @param {Object} [options.audit] - Who is sending the batch, for the audit trail (see utils/auditTrail.js)
+ * @returns {Promise<{ received: number, applied: number, dropped: number,
+ *          shipments: Array<Object>, rejected: Array<{ index: number, reason: string, error?: string }> }>}
+ *          `applied`/`dropped` count fix-shipment pairs; a device fix can apply to several shipments
+ * @throws {LocationBatchError} - For a batch that isn't an array or is too large
+ */
+const ingestLocationBatch = async (rawFixes, { auth, source = 'gps', audit } = {}) => {
+    if (!Array.isArray(rawFixes) || rawFixes.length === 0) {
+        throw new LocationBatchError('Body must be a non-empty array of fixes, or { "fixes": [...] }');
+    }
+    if (rawFixes.length > LOCATION_BATCH_MAX_FIXES) {
+        throw new LocationBatchError(`At most ${LOCATION_BATCH_MAX_FIXES} fixes per batch (got ${rawFixes.length})`);
+    }
+
+    const now = new Date();
+    const rejected = [];
+    const fixes = [];
+    rawFixes.forEach((raw, index) => {
+        const { fix, error } = normalizeFix(raw, now);
+        if (error) {
+            rejected.push({ index, reason: 'invalid', error });
+        } else {
+            fixes.push({ ...fix, index });
+        }
+    });
+
+    // --- Resolve the shipments: by tracking ID, or every open shipment of a device ---
+    const trackingIds = [...new Set(fixes.filter(f => f.trackingId).map(f => f.trackingId))];
+    const deviceIds = [...new Set(fixes.filter(f => !f.trackingId).map(f => f.deviceId))];
+    const [byTrackingId, byDevice] = await Promise.all([
+        trackingIds.length > 0 ? Shipment.find({ trackingId: { $in: trackingIds } }) : [],
+        deviceIds.length > 0 ? Shipment.find({ deviceId: { $in: deviceIds }, status: { $nin: ['Delivered', 'Cancelled'] } }) : []
+    ]);
+
+    const scoped = auth && ASSIGNMENT_SCOPED_ROLES.includes(auth.role);
+    const allowed = (shipment) => !scoped || auth.assignedTrackingIds.includes(shipment.trackingId);
+
+    const shipmentsById = new Map();
+    const fixesByShipment = new Map();
+    const assign = (shipment, fix) => {
+        const key = String(shipment._id);
+        shipmentsById.set(key, shipment);
+        if (!fixesByShipment.has(key)) fixesByShipment.set(key, []);
+        fixesByShipment.get(key).push(fix);
+    };
+
+    for (const fix of fixes) {
+        if (fix.trackingId) {
+            const shipment = byTrackingId.find(s => s.trackingId === fix.trackingId);
+            if (!shipment) rejected.push({ index: fix.index, reason: 'unknown_shipment' });
+            else if (!allowed(shipment)) rejected.push({ index: fix.index, reason: 'forbidden' });
+            else if (isTerminal(shipment.status)) rejected.push({ index: fix.index, reason: 'shipment_closed' });
+            else assign(shipment, fix);
+            continue;
+        }
+        const shipments = byDevice.filter(s => s.deviceId === fix.deviceId);
+        if (shipments.length === 0) {
+            rejected.push({ index: fix.index, reason: 'unknown_shipment' });
+        } else if (!shipments.some(allowed)) {
+            rejected.push({ index: fix.index, reason: 'forbidden' });
+        } else {
+            shipments.filter(allowed).forEach(shipment => assign(shipment, fix));
+        }
+    }
+
+    // --- Plan and apply per shipment; one save each, one insert for all events ---
+    const results = [];
+    const events = [];
+    let applied = 0;
+    let dropped = rejected.length;
+
+    for (const [key, shipment] of shipmentsById) {
+        const plan = planFixes(shipment, fixesByShipment.get(key));
+        const outcome = applyFixes(shipment, plan.accepted, source);
+        const droppedFixes = [...plan.dropped, ...outcome.dropped];
+
+        try {
+            if (outcome.applied > 0) {
+                shipment.$locals.audit = audit;
+                await shipment.save(); // Pre-save recalculates ETA and speed once per shipment
+                events.push(...outcome.events);
+            }
+            applied += outcome.applied;
+            dropped += droppedFixes.length;
+            results.push({
+                trackingId: shipment.trackingId,
+                applied: outcome.applied,
+                dropped: droppedFixes,
+                status: shipment.status,
+                currentLocation: shipment.currentLocation,
+                estimatedETA: shipment.estimatedETA
+            });
+        } catch (err) {
+            console.error(`Error applying location batch to shipment ${shipment.trackingId}:`, err.message);
+            dropped += fixesByShipment.get(key).length;
+            results.push({ trackingId: shipment.trackingId, applied: 0, error: err.message });
+        }
+    }
+
+    if (events.length > 0) {
+        await TrackingEvent.insertMany(events, { ordered: false });
+    }
+
+    console.log(`Location batch: ${rawFixes.length} fixes, ${applied} applied to ${results.filter(r => r.applied > 0).length} shipments, ${dropped} dropped.`);
+    return { received: rawFixes.length, applied, dropped, shipments: results, rejected };
+};
+
+module.exports = {
+    LOCATION_BATCH_MAX_FIXES,
+    LOCATION_MAX_FUTURE_SKEW_MS,
+    MAX_SPEEDS_KMH,
+    JUMP_CONFIRM_FIXES,
+    LocationBatchError,
+    normalizeFix,
+    planFixes,
+    applyFixes,
+    ingestLocationBatch
+};
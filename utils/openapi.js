@@ -0,0 +1,203 @@
+// utils/openapi.js
+// Builds the OpenAPI 3.1 document from the Express routers themselves:
+// paths, methods, parameters and request bodies come from each route's
+// validate() schemas, security and roles from its authenticate()/authorize()
+// middleware. Summaries and success responses come from the per-router
+// operation table (e.g. utils/openapi/shipmentOperations.js).
+const { version } = require('../package.json');
+const { authorizeShipment, authorizeTrackingIds } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { ERROR_RESPONSES, withRefs, components } = require('./openapi/components');
+
+// "/:id/events" -> "/{id}/events"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Lists the routes of a router in definition order.
+ * @param {Object} router - Express router
+ * @returns {Array<{ method: string, path: string, handlers: Array<Function>, secured: boolean, roles: Array<string>|undefined }>}
+ *          `roles` are those of a router-wide authorize()
+ */
+const listRoutes = (router) => {
+    const routes = [];
+    let secured = false; // Set once router.use(authenticate()) is passed
+    let roles; // Set by router.use(authorize(...))
+    for (const layer of router.stack) {
+        if (!layer.route) {
+            secured = secured || Boolean(layer.handle.authenticates);
+            roles = layer.handle.roles || roles;
+            continue;
+        }
+        const handlers = layer.route.stack.map(l => l.handle);
+        for (const method of Object.keys(layer.route.methods).filter(m => m !== '_all')) {
+            routes.push({
+                method,
+                path: layer.route.path,
+                handlers,
+                secured: secured || handlers.some(h => h.authenticates),
+                roles
+            });
+        }
+    }
+    return routes;
+};
+
+// One parameter per property of a params/query schema
+const parametersFrom = (schema, location) => Object.entries(schema?.properties || {}).map(([param, property]) => {
+    const { description, ...propertySchema } = property;
+    return {
+        name: param,
+        in: location,
+        required: location === 'path' || (schema.required || []).includes(param),
+        ...(description && { description }),
+        schema: withRefs(propertySchema)
+    };
+});
+
+// Path parameters that neither the params schema nor the operation table describe
+const undescribedPathParameters = (path, schema, described) => [...path.matchAll(/:(\w+)/g)]
+    .map(([, param]) => param)
+    .filter(param => !schema?.properties?.[param] && !described.some(p => p.in === 'path' && p.name === param))
+    .map(param => ({ name: param, in: 'path', required: true, schema: { type: 'string' } }));
+
+// Header of every secured route, for platform admins (see middleware/auth.js)
+const ORGANIZATION_ID = {
+    name: 'X-Organization-Id',
+    in: 'header',
+    required: false,
+    description: 'Platform admins: _id or slug of the organization to act for (required for shipment data). Other accounts always act for their own organization.',
+    schema: { type: 'string' }
+};
+
+// Headers of writes that can be retried (middleware/idempotency.js) or made conditional (utils/preconditions.js)
+const IDEMPOTENCY_KEY = {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    description: 'Unique per write (e.g. a UUID); a retry with the same key replays the first response instead of writing again',
+    schema: { type: 'string', minLength: 1, maxLength: 255 }
+};
+const IF_MATCH = {
+    name: 'If-Match',
+    in: 'header',
+    required: false,
+    description: 'ETag of the version the change is based on; another version answers 412',
+    schema: { type: 'string' }
+};
+
+// Body schemas that reject an empty body
+const requiresBody = (schema) => (schema.required || []).length > 0 || schema.minProperties > 0 || Boolean(schema.anyOf || schema.oneOf);
+
+/**
+ * Describes one route as an OpenAPI operation.
+ * @param {Object} route - From listRoutes()
+ * @param {Object} [doc] - The route's entry in the operation table
+ * @param {string} tag
+ * @returns {Object}
+ */
+const buildOperation = (route, doc = {}, tag) => {
+    const schemas = Object.assign({}, ...route.handlers.filter(h => h.schemas).map(h => h.schemas));
+    const roles = route.handlers.find(h => h.roles)?.roles || route.roles;
+    const assignedOnly = route.handlers.includes(authorizeShipment) || route.handlers.includes(authorizeTrackingIds);
+    const idempotent = route.handlers.includes(idempotency);
+
+    const description = [
+        doc.description,
+        roles && `Roles: ${roles.join(', ')}.`,
+        assignedOnly && 'Drivers and customers only reach the shipments assigned to them.'
+    ].filter(Boolean).join('\n\n');
+
+    const errorStatuses = new Set(doc.errors || []);
+    if (schemas.params || schemas.query || schemas.body) errorStatuses.add(400);
+    if (route.secured) errorStatuses.add(401);
+    if (roles || assignedOnly) errorStatuses.add(403);
+    if (schemas.params?.properties?.id) errorStatuses.add(404);
+    if (idempotent) [409, 422].forEach(status => errorStatuses.add(status));
+    if (doc.conditional) errorStatuses.add(412);
+    errorStatuses.add(500);
+
+    const responses = { ...doc.responses };
+    for (const status of [...errorStatuses].sort()) {
+        responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status][0]}` };
+    }
+
+    const operation = {
+        operationId: doc.operationId,
+        summary: doc.summary || `${route.method.toUpperCase()} ${route.path}`,
+        ...(description && { description }),
+        tags: [tag],
+        parameters: [
+            ...parametersFrom(schemas.params, 'path'),
+            ...undescribedPathParameters(route.path, schemas.params, doc.parameters || []),
+            ...parametersFrom(schemas.query, 'query'),
+            ...(doc.parameters || []),
+            ...(route.secured ? [ORGANIZATION_ID] : []),
+            ...(idempotent ? [IDEMPOTENCY_KEY] : []),
+            ...(doc.conditional ? [IF_MATCH] : [])
+        ],
+        responses
+    };
+    if (doc.requestBody || schemas.body) {
+        operation.requestBody = doc.requestBody || {
+            required: requiresBody(schemas.body),
+            content: { 'application/json': { schema: withRefs(schemas.body) } }
+        };
+    }
+    if (route.secured) {
+        operation.security = [{ bearerAuth: [] }, { apiKey: [] }];
+    }
+    if (roles) {
+        operation['x-roles'] = roles;
+    }
+    return operation;
+};
+
+/**
+ * Builds the OpenAPI document.
+ * Every route must have an entry in its operation table and every entry a
+ * route; the document is built at startup, so a mismatch stops the server
+ * instead of shipping an undocumented route.
+ * @param {Array<{ basePath: string, router: Object, operations: Object, tag: string }>} apis
+ * @returns {Object} - OpenAPI 3.1 document
+ * @throws {Error} - Listing the routes and operation entries that don't match
+ */
+const buildSpec = (apis) => {
+    const paths = {};
+    const mismatches = [];
+    for (const { basePath, router, operations, tag } of apis) {
+        const documented = new Set();
+        for (const route of listRoutes(router)) {
+            const key = `${route.method.toUpperCase()} ${route.path}`;
+            if (!operations[key]) {
+                mismatches.push(`no operation entry for ${key} in ${basePath}`);
+            }
+            documented.add(key);
+
+            const path = toOpenApiPath(`${basePath}${route.path === '/' ? '' : route.path}`);
+            paths[path] = { ...paths[path], [route.method]: buildOperation(route, operations[key], tag) };
+        }
+        Object.keys(operations).filter(key => !documented.has(key))
+            .forEach(key => mismatches.push(`operation entry ${key} matches no route in ${basePath}`));
+    }
+    if (mismatches.length > 0) {
+        throw new Error(`OpenAPI: ${mismatches.join('; ')}`);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Cargo Tracker API',
+            version,
+            description: 'Shipments, their tracking history and audit trail, bookings, containers and exceptions. Every error has the format of the Error schema.'
+        },
+        servers: [{ url: '/' }],
+        tags: apis.map(({ tag }) => ({ name: tag })),
+        paths,
+        components
+    };
+};
+
+module.exports = {
+    listRoutes,
+    buildSpec
+};
@@ -0,0 +1,171 @@
+// utils/openapi/bookingOperations.js
+// What the OpenAPI document says about each /api/bookings route, keyed by
+// "METHOD path" as the route is defined in routes/bookingRoutes.js (see
+// utils/openapi/shipmentOperations.js for the format). These routes check their
+// bodies in the controller, so the bodies and query parameters are described here.
+const { TRANSPORT_MODES } = require('../etaEngine');
+const { STATUSES } = require('../shipmentStatus');
+const { page, limit } = require('../schemas/common');
+const { ref, json, queryParameter } = require('./components');
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+const bookingId = { name: 'id', in: 'path', required: true, description: 'MongoDB _id or booking number', schema: { type: 'string' } };
+
+// Booking, with container number warnings when CONTAINER_VALIDATION=warn
+const bookingWithWarnings = {
+    allOf: [
+        ref('Booking'),
+        { type: 'object', properties: { warnings: { type: 'array', items: { type: 'string' } } } }
+    ]
+};
+
+const legInput = {
+    type: 'object',
+    required: ['mode', 'origin', 'destination'],
+    properties: {
+        mode: { enum: TRANSPORT_MODES },
+        carrier: { type: 'string' },
+        origin: ref('LocationInput'),
+        destination: ref('LocationInput'),
+        waypoints: { type: 'array', items: ref('LocationInput') },
+        plannedDeparture: dateTime,
+        plannedArrival: dateTime
+    }
+};
+
+// A JSON request body
+const body = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+module.exports = {
+    'GET /': {
+        operationId: 'listBookings',
+        summary: 'List bookings, newest first',
+        parameters: [
+            queryParameter('status', { enum: STATUSES }),
+            queryParameter('containerId', { type: 'string' }, 'Bookings containing this container'),
+            queryParameter('reference', { type: 'string' }),
+            queryParameter('page', page),
+            queryParameter('limit', limit)
+        ],
+        responses: {
+            200: json('A page of bookings', {
+                type: 'object',
+                required: ['total', 'page', 'limit', 'bookings'],
+                properties: {
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    bookings: { type: 'array', items: ref('Booking') }
+                }
+            })
+        },
+        errors: [400]
+    },
+    'POST /': {
+        operationId: 'createBooking',
+        summary: 'Create a booking with its legs',
+        description: 'Creates one shipment per container and leg; legs are used in the order given. ' +
+            'Container numbers are checked like those of shipments.',
+        requestBody: body({
+            type: 'object',
+            required: ['containers', 'legs'],
+            properties: {
+                reference: { type: 'string' },
+                containers: { type: 'array', minItems: 1, items: { type: 'string' } },
+                legs: { type: 'array', minItems: 1, items: legInput },
+                notes: { type: 'string' }
+            }
+        }),
+        responses: {
+            201: json('The booking, with the shipments of each leg', bookingWithWarnings)
+        },
+        errors: [400, 409] // A container on an active shipment of another booking
+    },
+    'GET /:id': {
+        operationId: 'getBooking',
+        summary: 'Get a booking with the shipments of each leg',
+        parameters: [bookingId],
+        responses: {
+            200: json('The booking', ref('Booking'))
+        },
+        errors: [404]
+    },
+    'PATCH /:id': {
+        operationId: 'updateBooking',
+        summary: 'Update a booking\'s reference or notes',
+        parameters: [bookingId],
+        requestBody: body({
+            type: 'object',
+            properties: {
+                reference: { type: 'string' },
+                notes: { type: 'string' }
+            },
+            additionalProperties: false
+        }),
+        responses: {
+            200: json('The updated booking', ref('Booking'))
+        },
+        errors: [400, 404]
+    },
+    'PATCH /:id/legs/:sequence': {
+        operationId: 'updateBookingLeg',
+        summary: 'Update a leg\'s carrier or planned and actual times',
+        description: 'Planned times feed the ETA of legs that haven\'t started.',
+        parameters: [
+            bookingId,
+            { name: 'sequence', in: 'path', required: true, description: '1-based position of the leg', schema: { type: 'integer', minimum: 1 } }
+        ],
+        requestBody: body({
+            type: 'object',
+            properties: {
+                carrier: { type: 'string' },
+                plannedDeparture: dateTime,
+                plannedArrival: dateTime,
+                actualDeparture: dateTime,
+                actualArrival: dateTime
+            },
+            additionalProperties: false
+        }),
+        responses: {
+            200: json('The booking, rolled up again', ref('Booking'))
+        },
+        errors: [400, 404]
+    },
+    'GET /:id/shipments': {
+        operationId: 'listBookingShipments',
+        summary: 'Shipments of a booking, ordered by leg',
+        parameters: [
+            bookingId,
+            queryParameter('containerId', { type: 'string' }, 'Only the shipments of this container')
+        ],
+        responses: {
+            200: json('The shipments', {
+                type: 'object',
+                required: ['bookingId', 'bookingNumber', 'count', 'shipments'],
+                properties: {
+                    bookingId: { type: 'string' },
+                    bookingNumber: { type: 'string' },
+                    count: { type: 'integer' },
+                    shipments: { type: 'array', items: ref('Shipment') }
+                }
+            })
+        },
+        errors: [404]
+    },
+    'POST /:id/cancel': {
+        operationId: 'cancelBooking',
+        summary: 'Cancel every shipment of a booking that isn\'t delivered or cancelled yet',
+        parameters: [bookingId],
+        requestBody: body({
+            type: 'object',
+            properties: {
+                reason: { type: 'string' }
+            }
+        }, false),
+        responses: {
+            200: json('The booking, rolled up again', ref('Booking'))
+        },
+        errors: [404, 409] // Already delivered or cancelled
+    }
+};
@@ -0,0 +1,137 @@
+// utils/openapi/components.js
+// Shared schemas of the OpenAPI document: the models as sent in responses,
+// the request shapes reused across routes, and the error format.
+const Shipment = require('../../models/Shipment');
+const TrackingEvent = require('../../models/TrackingEvent');
+const ShipmentAudit = require('../../models/ShipmentAudit');
+const SensorReading = require('../../models/SensorReading');
+const SensorBreach = require('../../models/SensorBreach');
+const ShipmentDocument = require('../../models/ShipmentDocument');
+const ShipmentException = require('../../models/ShipmentException');
+const Booking = require('../../models/Booking');
+const Container = require('../../models/Container');
+const LocationSchema = require('../../models/LocationSchema');
+const { modelSchema } = require('./modelSchema');
+const { location } = require('../schemas/common');
+const { shipmentInput } = require('../schemas/shipmentSchemas');
+const { CODES_BY_STATUS } = require('../apiError');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// A JSON success response, for the operation tables
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+
+// A query parameter of a route without a query schema, for the operation tables
+const queryParameter = (name, schema, description) => ({ name, in: 'query', required: false, ...(description && { description }), schema });
+
+// Request schemas (by identity) that are written as a $ref wherever they are used
+const INPUT_REFS = new Map([
+    [location, ref('LocationInput')],
+    [shipmentInput, ref('ShipmentInput')]
+]);
+
+/**
+ * Copies a request schema, replacing the shared parts by their $ref.
+ * @param {*} schema
+ * @param {boolean} [root=true] - false to keep the schema itself even if it is shared
+ * @returns {*}
+ */
+const withRefs = (schema, root = true) => {
+    if (root && INPUT_REFS.has(schema)) return INPUT_REFS.get(schema);
+    if (Array.isArray(schema)) return schema.map(item => withRefs(item));
+    if (!schema || typeof schema !== 'object') return schema;
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value)]));
+};
+
+const modelRefs = { refs: new Map([[LocationSchema, ref('Location')]]) };
+
+// One entry of an error response's `details` (see middleware/errorHandler.js)
+const errorDetail = {
+    type: 'object',
+    required: ['path', 'code', 'msg'],
+    properties: {
+        in: { enum: ['body', 'query', 'params', 'headers'] },
+        path: { type: 'string', description: 'Field path, e.g. origin.latitude or route[0].name' },
+        code: { type: 'string', description: 'e.g. required, type, range, enum, format, unknown_field' },
+        msg: { type: 'string' }
+    }
+};
+
+// Container, with its sizeType virtual (the details of sizeTypeCode)
+const containerModel = modelSchema(Container.schema);
+const container = {
+    ...containerModel,
+    properties: {
+        ...containerModel.properties,
+        sizeType: {
+            type: ['object', 'null'],
+            properties: {
+                name: { type: 'string', description: 'e.g. 40HC' },
+                description: { type: 'string' },
+                lengthFt: { type: 'number' },
+                highCube: { type: 'boolean' },
+                reefer: { type: 'boolean' }
+            }
+        }
+    }
+};
+
+const schemas = {
+    Location: modelSchema(LocationSchema),
+    Shipment: modelSchema(Shipment.schema, modelRefs),
+    TrackingEvent: modelSchema(TrackingEvent.schema, modelRefs),
+    ShipmentAudit: modelSchema(ShipmentAudit.schema, modelRefs),
+    SensorReading: modelSchema(SensorReading.schema.clone().remove('meta')), // Sent without its series key
+    SensorBreach: modelSchema(SensorBreach.schema),
+    ShipmentDocument: modelSchema(ShipmentDocument.schema.clone().remove('storage')), // Storage location stays internal
+    ShipmentException: modelSchema(ShipmentException.schema),
+    Booking: modelSchema(Booking.schema, modelRefs),
+    Container: container,
+    LocationInput: withRefs(location, false),
+    ShipmentInput: withRefs(shipmentInput, false),
+    Error: {
+        type: 'object',
+        required: ['code', 'msg', 'correlationId'],
+        properties: {
+            code: { type: 'string', description: `e.g. ${[...new Set(Object.values(CODES_BY_STATUS))].join(', ')}` },
+            msg: { type: 'string' },
+            details: { type: 'array', items: errorDetail },
+            correlationId: { type: 'string', description: 'Also sent as the X-Correlation-Id header' }
+        },
+        description: 'Some errors carry further fields, e.g. from, to and allowed for INVALID_STATUS_TRANSITION'
+    }
+};
+
+// Error responses by status, referenced by every operation that can answer them
+const ERROR_RESPONSES = {
+    400: ['BadRequest', 'Invalid request; `details` name each offending field'],
+    401: ['Unauthenticated', 'Missing, invalid or expired credentials'],
+    403: ['Forbidden', 'The caller\'s role or assignments do not allow this'],
+    404: ['NotFound', 'Not found'],
+    409: ['Conflict', 'Conflicts with the current state, e.g. a status transition that is not allowed'],
+    412: ['PreconditionFailed', 'If-Match does not name the current ETag'],
+    413: ['PayloadTooLarge', 'Request body too large'],
+    415: ['UnsupportedMediaType', 'Content-Type not accepted; `allowed` lists those that are'],
+    422: ['IdempotencyKeyReused', 'The Idempotency-Key was already used for a different request'],
+    429: ['RateLimited', 'Too many requests from this client; retry later'],
+    500: ['ServerError', 'Unexpected server error']
+};
+
+const responses = Object.fromEntries(Object.values(ERROR_RESPONSES).map(([name, description]) => [
+    name,
+    { description, content: { 'application/json': { schema: ref('Error') } } }
+]));
+
+const securitySchemes = {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token from POST /api/auth/login' },
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+};
+
+module.exports = {
+    ref,
+    json,
+    queryParameter,
+    ERROR_RESPONSES,
+    withRefs,
+    components: { schemas, responses, securitySchemes }
+};
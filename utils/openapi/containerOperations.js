@@ -0,0 +1,187 @@
+// utils/openapi/containerOperations.js
+// What the OpenAPI document says about each /api/containers route, keyed by
+// "METHOD path" as the route is defined in routes/containerRoutes.js (see
+// utils/openapi/shipmentOperations.js for the format). These routes check their
+// bodies in the controller, so the bodies and query parameters are described here.
+const { page, limit } = require('../schemas/common');
+const { ref, json, queryParameter } = require('./components');
+
+const containerNumber = {
+    name: 'containerNumber',
+    in: 'path',
+    required: true,
+    description: 'ISO 6346 number; spaces, dashes, dots, slashes and case are ignored',
+    schema: { type: 'string' }
+};
+
+const paging = [queryParameter('page', page), queryParameter('limit', limit)];
+
+const owner = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        email: { type: 'string' },
+        phone: { type: 'string' }
+    }
+};
+
+// Fields that can be set on registration and later
+const containerFields = {
+    sizeType: { type: ['string', 'null'], description: 'ISO size/type code or operational name, e.g. 45G1 or 40HC' },
+    owner,
+    tareWeightKg: { type: 'number', minimum: 0 },
+    maxGrossWeightKg: { type: 'number', minimum: 0 },
+    notes: { type: 'string' }
+};
+
+module.exports = {
+    'GET /': {
+        operationId: 'listContainers',
+        summary: 'List registered containers',
+        parameters: [
+            queryParameter('ownerCode', { type: 'string' }, 'First three letters of the number'),
+            queryParameter('sizeType', { type: 'string' }, 'ISO code or operational name'),
+            queryParameter('active', { enum: ['true', 'false'] }),
+            ...paging
+        ],
+        responses: {
+            200: json('A page of containers', {
+                type: 'object',
+                required: ['total', 'page', 'limit', 'containers'],
+                properties: {
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    containers: { type: 'array', items: ref('Container') }
+                }
+            })
+        },
+        errors: [400]
+    },
+    'POST /': {
+        operationId: 'registerContainer',
+        summary: 'Register a container',
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        required: ['containerNumber'],
+                        properties: { containerNumber: { type: 'string' }, ...containerFields }
+                    }
+                }
+            }
+        },
+        responses: {
+            201: json('The registered container', ref('Container'))
+        },
+        errors: [400, 409] // Already registered
+    },
+    'GET /validate/:containerNumber': {
+        operationId: 'validateContainerNumber',
+        summary: 'Check and normalise a container number without registering it',
+        parameters: [containerNumber],
+        responses: {
+            200: json('The check', {
+                type: 'object',
+                required: ['input', 'valid', 'containerNumber'],
+                properties: {
+                    input: { type: 'string' },
+                    valid: { type: 'boolean' },
+                    containerNumber: { type: 'string', description: 'Normalised' },
+                    error: { type: 'string', description: 'Why the number is invalid' },
+                    ownerCode: { type: 'string' },
+                    categoryIdentifier: { type: 'string' },
+                    serialNumber: { type: 'string' },
+                    checkDigit: { type: 'integer' }
+                }
+            })
+        }
+    },
+    'GET /:containerNumber': {
+        operationId: 'getContainer',
+        summary: 'Get a container with its current shipment',
+        parameters: [containerNumber],
+        responses: {
+            200: json('The container', {
+                allOf: [
+                    ref('Container'),
+                    {
+                        type: 'object',
+                        properties: {
+                            currentShipment: { anyOf: [ref('Shipment'), { type: 'null' }], description: 'The earliest shipment that is not delivered or cancelled' },
+                            shipmentCount: { type: 'integer' }
+                        }
+                    }
+                ]
+            })
+        },
+        errors: [404]
+    },
+    'PATCH /:containerNumber': {
+        operationId: 'updateContainer',
+        summary: 'Update a container',
+        description: 'Shipments of inactive containers are accepted with a warning.',
+        parameters: [containerNumber],
+        requestBody: {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: {
+                        type: 'object',
+                        properties: { ...containerFields, active: { type: 'boolean' } },
+                        additionalProperties: false
+                    }
+                }
+            }
+        },
+        responses: {
+            200: json('The updated container', ref('Container'))
+        },
+        errors: [400, 404]
+    },
+    'GET /:containerNumber/shipments': {
+        operationId: 'listContainerShipments',
+        summary: 'Shipments of a container, newest first, split into current and past',
+        parameters: [containerNumber, ...paging],
+        responses: {
+            200: json('A page of shipments', {
+                type: 'object',
+                required: ['containerNumber', 'total', 'page', 'limit', 'current', 'past'],
+                properties: {
+                    containerNumber: { type: 'string' },
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    current: { type: 'array', items: ref('Shipment') },
+                    past: { type: 'array', items: ref('Shipment'), description: 'Delivered and cancelled' }
+                }
+            })
+        }
+    },
+    'GET /:containerNumber/events': {
+        operationId: 'listContainerEvents',
+        summary: 'Tracking events of a container across all its shipments, newest first',
+        parameters: [
+            containerNumber,
+            queryParameter('from', { type: 'string', format: 'date-time' }),
+            queryParameter('to', { type: 'string', format: 'date-time' }),
+            ...paging
+        ],
+        responses: {
+            200: json('A page of events', {
+                type: 'object',
+                required: ['containerNumber', 'total', 'page', 'limit', 'events'],
+                properties: {
+                    containerNumber: { type: 'string' },
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    events: { type: 'array', items: ref('TrackingEvent') }
+                }
+            })
+        },
+        errors: [400]
+    }
+};
@@ -0,0 +1,79 @@
+// utils/openapi/exceptionOperations.js
+// What the OpenAPI document says about each /api/exceptions route, keyed by
+// "METHOD path" as the route is defined in routes/exceptionRoutes.js (see
+// utils/openapi/shipmentOperations.js for the format).
+const { EXCEPTION_TYPES } = require('../exceptionRules');
+const { page, limit } = require('../schemas/common');
+const { ref, json, queryParameter } = require('./components');
+
+const exceptionId = { name: 'id', in: 'path', required: true, description: 'MongoDB _id', schema: { type: 'string' } };
+
+module.exports = {
+    'GET /': {
+        operationId: 'listExceptions',
+        summary: 'List shipment exceptions, newest first',
+        parameters: [
+            queryParameter('status', { type: 'string', default: 'open,acknowledged' }, 'Comma-separated: open, acknowledged, resolved'),
+            queryParameter('type', { enum: EXCEPTION_TYPES }),
+            queryParameter('trackingId', { type: 'string' }),
+            queryParameter('page', page),
+            queryParameter('limit', limit)
+        ],
+        responses: {
+            200: json('A page of exceptions', {
+                type: 'object',
+                required: ['total', 'page', 'limit', 'exceptions'],
+                properties: {
+                    total: { type: 'integer' },
+                    page: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    exceptions: { type: 'array', items: ref('ShipmentException') }
+                }
+            })
+        },
+        errors: [400]
+    },
+    'POST /scan': {
+        operationId: 'scanForExceptions',
+        summary: 'Run an exception scan now instead of waiting for the scheduler',
+        description: 'Covers the shipments of the organization the request acts for.',
+        responses: {
+            200: json('Scan summary', {
+                type: 'object',
+                properties: {
+                    scanned: { type: 'integer' },
+                    raised: { type: 'integer' },
+                    resolved: { type: 'integer' }
+                }
+            })
+        },
+        errors: [409] // A scan is already running
+    },
+    'GET /:id': {
+        operationId: 'getException',
+        summary: 'Get a shipment exception',
+        parameters: [exceptionId],
+        responses: {
+            200: json('The exception', ref('ShipmentException'))
+        },
+        errors: [404]
+    },
+    'POST /:id/acknowledge': {
+        operationId: 'acknowledgeException',
+        summary: 'Acknowledge an exception: someone is handling it',
+        description: 'An acknowledged exception stays unresolved until its condition clears. Acknowledging again only updates the note.',
+        parameters: [exceptionId],
+        requestBody: {
+            required: false,
+            content: {
+                'application/json': {
+                    schema: { type: 'object', properties: { note: { type: 'string' } } }
+                }
+            }
+        },
+        responses: {
+            200: json('The exception', ref('ShipmentException'))
+        },
+        errors: [404, 409] // Already resolved
+    }
+};
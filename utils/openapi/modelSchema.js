@@ -0,0 +1,83 @@
+// utils/openapi/modelSchema.js
+// Describes Mongoose models as JSON Schema, so the OpenAPI document follows the
+// models instead of a hand-written copy of them.
+
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+/**
+ * JSON Schema of one Mongoose schema path, as the document is sent in JSON.
+ * @param {Object} schemaType - Mongoose SchemaType
+ * @param {Function} nested - Converts a nested Mongoose schema (subdocuments)
+ * @returns {Object}
+ */
+const pathSchema = (schemaType, nested) => {
+    const { options = {} } = schemaType;
+    switch (schemaType.instance) {
+        case 'String': {
+            const schema = { type: 'string' };
+            if (schemaType.enumValues?.length > 0) schema.enum = schemaType.enumValues;
+            return schema;
+        }
+        case 'Number': {
+            const schema = { type: 'number' };
+            const min = Array.isArray(options.min) ? options.min[0] : options.min;
+            const max = Array.isArray(options.max) ? options.max[0] : options.max;
+            if (typeof min === 'number') schema.minimum = min;
+            if (typeof max === 'number') schema.maximum = max;
+            return schema;
+        }
+        case 'Date':
+            return { type: 'string', format: 'date-time' };
+        case 'Boolean':
+            return { type: 'boolean' };
+        case 'ObjectId':
+            return { ...objectId };
+        case 'Embedded':
+            return nested(schemaType.schema);
+        case 'Array':
+            if (schemaType.$isMongooseDocumentArray) {
+                return { type: 'array', items: nested(schemaType.schema) };
+            }
+            return { type: 'array', items: schemaType.caster ? pathSchema(schemaType.caster, nested) : {} };
+        default: // Mixed, Map, ...
+            return {};
+    }
+};
+
+/**
+ * Converts a Mongoose schema to a JSON Schema object.
+ * Dotted paths (e.g. "speedStats.samples") become nested objects; paths that are
+ * required in the model are required here. The version key is left out.
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options]
+ * @param {Map<Object, Object>} [options.refs] - Mongoose schema -> JSON Schema to use instead (e.g. a $ref)
+ * @returns {Object}
+ */
+const modelSchema = (schema, { refs = new Map() } = {}) => {
+    const nested = (subschema) => refs.get(subschema) || modelSchema(subschema, { refs });
+    const root = { type: 'object', properties: {} };
+
+    schema.eachPath((path, schemaType) => {
+        if (path === schema.options.versionKey) return;
+
+        // Walk down to the object that holds the last segment
+        const segments = path.split('.');
+        const name = segments.pop();
+        let parent = root;
+        for (const segment of segments) {
+            parent.properties[segment] = parent.properties[segment] || { type: 'object', properties: {} };
+            parent = parent.properties[segment];
+        }
+
+        parent.properties[name] = pathSchema(schemaType, nested);
+        if (schemaType.isRequired || path === '_id') {
+            parent.required = [...(parent.required || []), name];
+        }
+    });
+    return root;
+};
+
+module.exports = {
+    objectId,
+    modelSchema
+};
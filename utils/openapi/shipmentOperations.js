@@ -0,0 +1,513 @@
+// utils/openapi/shipmentOperations.js
+// What the OpenAPI document says about each /api/shipments route, keyed by
+// "METHOD path" as the route is defined in routes/shipmentRoutes.js.
+// Parameters, request bodies, roles and error responses come from the routes
+// themselves (see utils/openapi.js); only summaries and success responses live here,
+// and `conditional` for the writes that honour If-Match.
+const { METRIC_NAMES } = require('../sensorRules');
+const { CONTENT_TYPES, DOCUMENT_MAX_BYTES } = require('../documentFiles');
+const { ref, json } = require('./components');
+
+// A success response carrying the shipment's version (see utils/preconditions.js)
+const versioned = (description, schema) => ({
+    ...json(description, schema),
+    headers: {
+        ETag: { description: 'Version of the shipment, for If-Match', schema: { type: 'string' } }
+    }
+});
+
+// Shipment, with container number warnings when CONTAINER_VALIDATION=warn and gazetteer warnings
+const shipmentWithWarnings = {
+    allOf: [
+        ref('Shipment'),
+        {
+            type: 'object',
+            properties: {
+                warnings: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    ]
+};
+
+// Header of the per-shipment lists (events, audit trail, sensor readings and breaches)
+const shipmentPage = (name, items) => ({
+    type: 'object',
+    required: ['shipmentId', 'trackingId', 'total', 'page', 'limit', name],
+    properties: {
+        shipmentId: { type: 'string' },
+        trackingId: { type: 'string' },
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        [name]: { type: 'array', items }
+    }
+});
+
+// Paged like the list
+const cursorPage = (description) => json(description, {
+    type: 'object',
+    required: ['total', 'count', 'limit', 'nextCursor', 'shipments'],
+    properties: {
+        total: { type: 'integer' },
+        count: { type: 'integer' },
+        limit: { type: 'integer' },
+        nextCursor: { type: ['string', 'null'], description: 'Pass as ?cursor= for the next page; null on the last page' },
+        shipments: { type: 'array', items: ref('Shipment'), description: 'Only the selected fields with ?fields=' }
+    }
+});
+
+// Region searches: GET with ?bbox=, POST with a bbox or a GeoJSON polygon in the body
+const regionSearch = (method, { operationId, summary, description }) => ({
+    operationId: `${operationId}${method === 'POST' ? 'ByGeometry' : ''}`,
+    summary,
+    description: method === 'POST'
+        ? `${description} The area is a bbox or a GeoJSON Polygon or MultiPolygon in the body; filters and paging stay in the query.`
+        : description,
+    responses: {
+        200: cursorPage('A page of shipments')
+    }
+});
+
+const within = {
+    operationId: 'listShipmentsWithin',
+    summary: 'Shipments currently inside an area',
+    description: 'Matches the current location. Shipments without one are never found.'
+};
+
+const intersects = {
+    operationId: 'listShipmentsIntersecting',
+    summary: 'Shipments whose route crosses an area',
+    description: 'Matches the detailed route geometry. Shipments without one are never found.'
+};
+
+// Count, min, max and mean of one sensor metric
+const metricStats = {
+    type: 'object',
+    properties: {
+        unit: { type: 'string' },
+        count: { type: 'integer' },
+        min: { type: ['number', 'null'] },
+        max: { type: ['number', 'null'] },
+        mean: { type: ['number', 'null'] }
+    }
+};
+// ... of each metric, with extra properties per metric
+const metricsStats = (extra = {}) => ({
+    type: 'object',
+    properties: Object.fromEntries(METRIC_NAMES.map(metric => [
+        metric,
+        { ...metricStats, properties: { ...metricStats.properties, ...extra } }
+    ]))
+});
+
+// A shipment document's file, as uploaded and downloaded
+const fileContent = Object.fromEntries(Object.keys(CONTENT_TYPES).map(type => [type, { schema: { type: 'string', format: 'binary' } }]));
+
+const geometryJob = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        correlationId: { type: 'string' },
+        status: { enum: ['queued', 'running', 'completed', 'failed'] },
+        total: { type: 'integer' },
+        processed: { type: 'integer' },
+        succeeded: { type: 'integer' },
+        skipped: { type: 'integer' },
+        failed: { type: 'integer' },
+        createdAt: { type: 'string', format: 'date-time' }
+    }
+};
+
+module.exports = {
+    'GET /': {
+        operationId: 'listShipments',
+        summary: 'List shipments',
+        description: 'Filtered, sorted and paginated with a cursor. `total` counts all matches, ignoring the cursor.',
+        responses: {
+            200: cursorPage('A page of shipments')
+        }
+    },
+    'POST /': {
+        operationId: 'createShipment',
+        summary: 'Create a shipment',
+        description: 'Builds the route from origin, waypoints and destination, computes the detailed route geometry and the first ETA. ' +
+            'The container number is normalised and checked against ISO 6346.',
+        responses: {
+            201: versioned('The created shipment', shipmentWithWarnings)
+        },
+        errors: [409] // Container on another open shipment
+    },
+    'POST /import': {
+        operationId: 'importShipments',
+        summary: 'Bulk import shipments from CSV or JSON',
+        description: 'Each row is validated and created on its own; the report lists the outcome per row. ' +
+            'Route geometry is computed afterwards by a background job.',
+        requestBody: {
+            required: true,
+            content: {
+                'text/csv': { schema: { type: 'string' } },
+                'application/json': {
+                    schema: {
+                        anyOf: [
+                            { type: 'array', items: ref('ShipmentInput') },
+                            { type: 'object', required: ['shipments'], properties: { shipments: { type: 'array', items: ref('ShipmentInput') } } }
+                        ]
+                    }
+                }
+            }
+        },
+        responses: {
+            200: json('Import report', {
+                type: 'object',
+                properties: {
+                    dryRun: { type: 'boolean' },
+                    total: { type: 'integer' },
+                    succeeded: { type: 'integer' },
+                    failed: { type: 'integer' },
+                    geometryJob: { anyOf: [geometryJob, { type: 'null' }] },
+                    results: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                row: { type: 'integer' },
+                                status: { enum: ['created', 'valid', 'error'] },
+                                containerId: { type: 'string' },
+                                shipmentId: { type: 'string' },
+                                trackingId: { type: 'string' },
+                                warnings: { type: 'array', items: { type: 'string' } },
+                                errors: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            })
+        },
+        errors: [413]
+    },
+    'GET /import/jobs/:jobId': {
+        operationId: 'getImportJob',
+        summary: 'Progress of the route geometry job started by an import',
+        description: 'Finished jobs are kept for one hour.',
+        responses: {
+            200: json('The job', geometryJob)
+        },
+        errors: [404]
+    },
+    'GET /export': {
+        operationId: 'exportShipments',
+        summary: 'Export shipments as CSV, JSON or GeoJSON',
+        description: 'Takes the list filters and sort. The file is streamed as an attachment.',
+        responses: {
+            200: {
+                description: 'The exported shipments',
+                content: {
+                    'text/csv': { schema: { type: 'string' } },
+                    'application/json': { schema: { type: 'array', items: ref('Shipment') } },
+                    'application/geo+json': { schema: { type: 'object', description: 'GeoJSON FeatureCollection' } }
+                }
+            }
+        }
+    },
+    'POST /locations/batch': {
+        operationId: 'ingestLocations',
+        summary: 'Ingest a batch of GPS fixes',
+        description: 'Fixes are keyed by trackingId or deviceId. Stale, duplicate and implausible fixes are dropped ' +
+            'without failing the rest of the batch. Drivers only reach assigned shipments.',
+        responses: {
+            200: json('Ingestion report', {
+                type: 'object',
+                properties: {
+                    received: { type: 'integer' },
+                    applied: { type: 'integer' },
+                    dropped: { type: 'integer' },
+                    shipments: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                trackingId: { type: 'string' },
+                                applied: { type: 'integer' },
+                                dropped: { type: 'array', items: { type: 'object', properties: { index: { type: 'integer' }, reason: { type: 'string' } } } },
+                                status: { type: 'string' },
+                                currentLocation: ref('Location'),
+                                estimatedETA: { type: 'string', format: 'date-time' },
+                                error: { type: 'string' }
+                            }
+                        }
+                    },
+                    rejected: { type: 'array', items: { type: 'object', properties: { index: { type: 'integer' }, reason: { type: 'string' } } } }
+                }
+            })
+        }
+    },
+    'GET /geo/near': {
+        operationId: 'listShipmentsNear',
+        summary: 'Shipments currently within a radius of a point, nearest first',
+        description: 'Takes the list filters except `q` and `sort`; returns the nearest `limit` shipments without a cursor.',
+        responses: {
+            200: json('The nearest shipments', {
+                type: 'object',
+                required: ['center', 'radiusKm', 'total', 'count', 'limit', 'shipments'],
+                properties: {
+                    center: { type: 'object', properties: { latitude: { type: 'number' }, longitude: { type: 'number' } } },
+                    radiusKm: { type: 'number' },
+                    total: { type: 'integer', description: 'All matches within the radius' },
+                    count: { type: 'integer' },
+                    limit: { type: 'integer' },
+                    shipments: {
+                        type: 'array',
+                        items: {
+                            allOf: [
+                                ref('Shipment'),
+                                { type: 'object', properties: { distanceKm: { type: 'number', description: 'From the center to the current location' } } }
+                            ]
+                        }
+                    }
+                }
+            })
+        }
+    },
+    'GET /geo/within': regionSearch('GET', within),
+    'POST /geo/within': regionSearch('POST', within),
+    'GET /geo/intersects': regionSearch('GET', intersects),
+    'POST /geo/intersects': regionSearch('POST', intersects),
+    'GET /:id': {
+        operationId: 'getShipment',
+        summary: 'Get a shipment',
+        description: 'Looked up by MongoDB _id first, then by tracking ID.',
+        responses: {
+            200: versioned('The shipment, including its detailed route geometry', ref('Shipment')),
+            304: { description: 'Not modified since the ETag given in If-None-Match' }
+        }
+    },
+    'PATCH /:id': {
+        operationId: 'updateShipment',
+        summary: 'Update editable fields of a shipment',
+        description: 'Status changes follow the status state machine. Delivered and Cancelled shipments only accept notes; ' +
+            'shipments of a booking keep the route of their booking leg.',
+        conditional: true,
+        responses: {
+            200: versioned('The updated shipment', shipmentWithWarnings)
+        },
+        errors: [409]
+    },
+    'DELETE /:id': {
+        operationId: 'deleteShipment',
+        summary: 'Delete a shipment with its tracking history, exceptions, sensor readings and documents',
+        conditional: true,
+        responses: {
+            200: json('Deleted', {
+                type: 'object',
+                properties: {
+                    msg: { type: 'string' },
+                    shipmentId: { type: 'string' },
+                    trackingId: { type: 'string' }
+                }
+            })
+        }
+    },
+    'POST /:id/cancel': {
+        operationId: 'cancelShipment',
+        summary: 'Cancel a shipment',
+        conditional: true,
+        responses: {
+            200: versioned('The cancelled shipment', ref('Shipment'))
+        },
+        errors: [409]
+    },
+    'POST /:id/update-location': {
+        operationId: 'updateShipmentLocation',
+        summary: 'Report the current location of a shipment',
+        description: 'Appends a tracking event and checks the geofences; a position inside the destination geofence delivers the shipment. ' +
+            'A position that is not newer than the current location is rejected with 409 STALE_LOCATION. ' +
+            '`sensors` are recorded as a reading taken at the same time. `warnings` tell when `locationName` only matched a place ' +
+            'of the gazetteer loosely, or matched none and the location is left without coordinates.',
+        conditional: true,
+        responses: {
+            200: versioned('The updated shipment', shipmentWithWarnings)
+        },
+        errors: [409]
+    },
+    'GET /:id/eta': {
+        operationId: 'getShipmentETA',
+        summary: 'Recalculate the ETA of a shipment',
+        responses: {
+            200: json('The estimate', {
+                type: 'object',
+                properties: {
+                    shipmentId: { type: 'string' },
+                    trackingId: { type: 'string' },
+                    estimatedETA: { type: ['string', 'null'], format: 'date-time' },
+                    remainingDistanceKm: { type: ['number', 'null'] },
+                    totalDistanceKm: { type: ['number', 'null'] },
+                    progressPercent: { type: ['number', 'null'] },
+                    speedKmh: { type: ['number', 'null'] },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    method: { enum: ['geometry', 'route', 'legs', 'none', 'delivered', 'cancelled'] }
+                }
+            })
+        }
+    },
+    'GET /:id/events': {
+        operationId: 'listShipmentEvents',
+        summary: 'Tracking event history of a shipment, newest first',
+        responses: {
+            200: json('A page of events', shipmentPage('events', ref('TrackingEvent')))
+        }
+    },
+    'POST /:id/readings': {
+        operationId: 'recordShipmentReadings',
+        summary: 'Record sensor readings of a shipment',
+        description: 'Readings not newer than the latest recorded one are dropped without failing the rest. ' +
+            'A reading outside the shipment\'s sensorThresholds starts or extends a breach, which raises a `<metric>_breach` exception; ' +
+            'the exception stays unresolved after the readings are back in range, until the shipment is delivered or cancelled.',
+        responses: {
+            200: json('Recording report', {
+                type: 'object',
+                properties: {
+                    shipmentId: { type: 'string' },
+                    trackingId: { type: 'string' },
+                    received: { type: 'integer' },
+                    recorded: { type: 'integer' },
+                    dropped: { type: 'array', items: { type: 'object', properties: { index: { type: 'integer' }, reason: { type: 'string' } } } },
+                    breaches: { type: 'array', items: ref('SensorBreach'), description: 'Breaches started, extended or ended by these readings' }
+                }
+            })
+        },
+        errors: [409] // Delivered or cancelled
+    },
+    'GET /:id/readings': {
+        operationId: 'listShipmentReadings',
+        summary: 'Sensor readings of a shipment, newest first',
+        responses: {
+            200: json('A page of readings', shipmentPage('readings', ref('SensorReading')))
+        }
+    },
+    'GET /:id/readings/summary': {
+        operationId: 'getShipmentReadingsSummary',
+        summary: 'Min, max and mean of each sensor metric of a shipment',
+        description: 'Over all readings or those between `from` and `to`; with `interval`, also per hour or day.',
+        responses: {
+            200: json('The summary', {
+                type: 'object',
+                properties: {
+                    shipmentId: { type: 'string' },
+                    trackingId: { type: 'string' },
+                    from: { type: ['string', 'null'], format: 'date-time' },
+                    to: { type: ['string', 'null'], format: 'date-time' },
+                    interval: { enum: ['hour', 'day', null] },
+                    readings: { type: 'integer' },
+                    firstAt: { type: ['string', 'null'], format: 'date-time' },
+                    lastAt: { type: ['string', 'null'], format: 'date-time' },
+                    metrics: metricsStats({
+                        range: { anyOf: [{ type: 'object', properties: { min: { type: 'number' }, max: { type: 'number' } } }, { type: 'null' }], description: 'Allowed range' },
+                        breaches: { type: 'integer', description: 'Breaches overlapping the window' }
+                    }),
+                    buckets: {
+                        type: 'array',
+                        description: 'Only with `interval`; buckets without readings are left out',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                start: { type: 'string', format: 'date-time' },
+                                readings: { type: 'integer' },
+                                metrics: metricsStats()
+                            }
+                        }
+                    }
+                }
+            })
+        }
+    },
+    'GET /:id/breaches': {
+        operationId: 'listShipmentBreaches',
+        summary: 'Periods in which a sensor metric of a shipment was out of range, newest first',
+        responses: {
+            200: json('A page of breaches', shipmentPage('breaches', ref('SensorBreach')))
+        }
+    },
+    'POST /:id/documents': {
+        operationId: 'uploadShipmentDocument',
+        summary: 'Attach a document to a shipment',
+        description: `The body is the file, with its type as Content-Type (PDF, JPEG or PNG; signatures and delivery photos only images), ` +
+            `at most ${DOCUMENT_MAX_BYTES / 1024 / 1024} MB. Content that doesn't match its Content-Type is rejected.`,
+        requestBody: { required: true, content: fileContent },
+        responses: {
+            201: json('The document', ref('ShipmentDocument'))
+        },
+        errors: [413, 415]
+    },
+    'GET /:id/documents': {
+        operationId: 'listShipmentDocuments',
+        summary: 'Documents attached to a shipment, newest first',
+        responses: {
+            200: json('The documents', {
+                type: 'object',
+                required: ['shipmentId', 'trackingId', 'total', 'documents'],
+                properties: {
+                    shipmentId: { type: 'string' },
+                    trackingId: { type: 'string' },
+                    total: { type: 'integer' },
+                    documents: { type: 'array', items: ref('ShipmentDocument') }
+                }
+            })
+        }
+    },
+    'GET /:id/documents/:documentId': {
+        operationId: 'getShipmentDocument',
+        summary: 'Get the details of a shipment document',
+        responses: {
+            200: json('The document', ref('ShipmentDocument'))
+        }
+    },
+    'GET /:id/documents/:documentId/content': {
+        operationId: 'downloadShipmentDocument',
+        summary: 'Download the file of a shipment document',
+        responses: {
+            200: {
+                description: 'The file, as an attachment',
+                content: fileContent
+            }
+        }
+    },
+    'DELETE /:id/documents/:documentId': {
+        operationId: 'deleteShipmentDocument',
+        summary: 'Remove a document from a shipment',
+        description: 'The signature and photos of the proof of delivery cannot be removed.',
+        responses: {
+            200: json('Deleted', {
+                type: 'object',
+                properties: {
+                    msg: { type: 'string' },
+                    documentId: { type: 'string' }
+                }
+            })
+        },
+        errors: [409]
+    },
+    'POST /:id/proof-of-delivery': {
+        operationId: 'captureProofOfDelivery',
+        summary: 'Capture the proof of delivery of a shipment',
+        description: 'Upload the signature and photos as `delivery_signature` and `delivery_photo` documents first, then refer to them here. ' +
+            'A shipment that isn\'t Delivered yet is delivered at `deliveredAt`. Captured once; cancelled shipments are rejected.',
+        conditional: true,
+        responses: {
+            201: versioned('The delivered shipment, with its proofOfDelivery', ref('Shipment'))
+        },
+        errors: [409]
+    },
+    'GET /:id/audit': {
+        operationId: 'listShipmentAudit',
+        summary: 'Audit trail of a shipment, newest first',
+        description: 'Still available after the shipment is deleted.',
+        responses: {
+            200: json('A page of audit entries', {
+                allOf: [
+                    shipmentPage('entries', ref('ShipmentAudit')),
+                    { type: 'object', properties: { deleted: { type: 'boolean' } } }
+                ]
+            })
+        }
+    }
+};
@@ -0,0 +1,49 @@
+// utils/openapi/streamOperations.js
+// What the OpenAPI document says about each /api/stream route, keyed by
+// "METHOD path" as the route is defined in routes/streamRoutes.js (see
+// utils/openapi/shipmentOperations.js for the format).
+const { queryParameter } = require('./components');
+
+// Both routes answer with an open stream (see controllers/streamController.js)
+const eventStream = {
+    description: 'An open Server-Sent Events stream. Each event\'s `data` is JSON: ' +
+        '`{ "id", "type", "shipmentId", "trackingId", "timestamp", "data" }`, with `type` one of shipment.created, ' +
+        'shipment.location, shipment.status, shipment.eta, shipment.delivered and shipment.exception. ' +
+        'A `stream.reset` event comes first when missed events could not all be replayed.',
+    content: {
+        'text/event-stream': { schema: { type: 'string' } }
+    }
+};
+
+// Shared by both streams: resuming and the token for EventSource, which can't send headers
+const streamParameters = [
+    queryParameter('lastEventId', { type: 'integer' }, 'Replay the events after this one (the Last-Event-ID header does the same)'),
+    queryParameter('access_token', { type: 'string' }, 'JWT, for clients that cannot send the Authorization header')
+];
+
+module.exports = {
+    'GET /shipments': {
+        operationId: 'streamShipments',
+        summary: 'Live events of all shipments, or of some tracking IDs',
+        description: 'Drivers and customers must name their tracking IDs.',
+        parameters: [
+            queryParameter('trackingIds', { type: 'string' }, 'Comma-separated tracking IDs; all shipments if left out'),
+            ...streamParameters
+        ],
+        responses: {
+            200: eventStream
+        }
+    },
+    'GET /shipments/:id': {
+        operationId: 'streamShipment',
+        summary: 'Live events of one shipment',
+        parameters: [
+            { name: 'id', in: 'path', required: true, description: 'MongoDB _id or tracking ID', schema: { type: 'string' } },
+            ...streamParameters
+        ],
+        responses: {
+            200: eventStream
+        },
+        errors: [404]
+    }
+};
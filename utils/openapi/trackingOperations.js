@@ -0,0 +1,52 @@
+// utils/openapi/trackingOperations.js
+// What the OpenAPI document says about each /api/track route, keyed by
+// "METHOD path" as the route is defined in routes/trackingRoutes.js (see
+// utils/openapi/shipmentOperations.js for the format).
+const { json } = require('./components');
+
+// Coarsened position; a name made of exact coordinates is replaced
+const publicLocation = {
+    type: ['object', 'null'],
+    properties: {
+        name: { type: 'string' },
+        latitude: { type: 'number' },
+        longitude: { type: 'number' },
+        timestamp: { type: 'string', format: 'date-time' }
+    }
+};
+
+module.exports = {
+    'GET /:trackingId': {
+        operationId: 'trackShipment',
+        summary: 'Public, customer-safe tracking view of a shipment',
+        description: 'No authentication; requests are rate-limited per client IP. Only the tracking ID is accepted, never the MongoDB _id. ' +
+            'Coordinates are rounded to PUBLIC_LOCATION_PRECISION decimals.',
+        responses: {
+            200: json('The tracking view', {
+                type: 'object',
+                required: ['trackingId', 'status', 'milestones'],
+                properties: {
+                    trackingId: { type: 'string' },
+                    status: { type: 'string' },
+                    origin: { type: 'string' },
+                    destination: { type: 'string' },
+                    currentLocation: publicLocation,
+                    estimatedETA: { type: ['string', 'null'], format: 'date-time' },
+                    deliveredAt: { type: ['string', 'null'], format: 'date-time' },
+                    milestones: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                type: { enum: ['created', 'departure', 'arrival', 'delivered', 'cancelled'] },
+                                location: { type: ['string', 'null'] },
+                                timestamp: { type: 'string', format: 'date-time' }
+                            }
+                        }
+                    }
+                }
+            })
+        },
+        errors: [404, 429]
+    }
+};
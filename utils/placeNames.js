@@ -0,0 +1,91 @@
+// utils/placeNames.js
+// Place name matching for the gazetteer (see utils/gazetteer.js): normalisation,
+// trigrams for finding candidates, and a similarity score that tolerates typos.
+
+// Kinds of places in the gazetteer
+const PLACE_TYPES = ['port', 'airport', 'rail_terminal', 'depot', 'warehouse', 'city', 'other'];
+
+// UN/LOCODE: ISO 3166 country code + 3 letters or digits 2-9, e.g. NLRTM
+const UNLOCODE_PATTERN = /^[A-Z]{2}[A-Z2-9]{3}$/;
+
+/**
+ * Normalises a place name for comparison: lower case, without accents or
+ * punctuation, single spaces. "Île-de-France " -> "ile de france"
+ * @param {string} value
+ * @returns {string}
+ */
+const normalizePlaceName = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '') // Combining accents left by NFD
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+/**
+ * Normalises a UN/LOCODE as typed ("nl rtm", "NL-RTM").
+ * @param {string} value
+ * @returns {string|null} - e.g. "NLRTM", or null if it isn't shaped like one
+ */
+const normalizeUnlocode = (value) => {
+    const code = String(value ?? '').toUpperCase().replace(/[\s\-.]/g, '');
+    return UNLOCODE_PATTERN.test(code) ? code : null;
+};
+
+/**
+ * Character trigrams of a normalised name, padded so that word starts and ends count.
+ * @param {string} normalized - From normalizePlaceName
+ * @returns {Array<string>} - Distinct trigrams
+ */
+const nameTrigrams = (normalized) => {
+    const padded = ` ${normalized} `;
+    const trigrams = new Set();
+    for (let i = 0; i + 3 <= padded.length; i++) {
+        trigrams.add(padded.slice(i, i + 3));
+    }
+    return [...trigrams];
+};
+
+// Edit distance counting a swap of two neighbouring letters as one edit
+// (optimal string alignment): "hambrug" is 1 away from "hamburg"
+const editDistance = (a, b) => {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+};
+
+/**
+ * Similarity of two normalised names between 0 and 1 (1 = equal): the better of
+ * the trigram overlap (Dice coefficient), which copes with extra or missing words,
+ * and the edit distance relative to the longer name, which copes with typos.
+ * @param {string} a - From normalizePlaceName
+ * @param {string} b - From normalizePlaceName
+ * @returns {number}
+ */
+const nameSimilarity = (a, b) => {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const gramsA = nameTrigrams(a);
+    const gramsB = new Set(nameTrigrams(b));
+    const shared = gramsA.filter(g => gramsB.has(g)).length;
+    const dice = (2 * shared) / (gramsA.length + gramsB.size);
+    const edits = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+    return Math.max(dice, edits);
+};
+
+module.exports = {
+    PLACE_TYPES,
+    UNLOCODE_PATTERN,
+    normalizePlaceName,
+    normalizeUnlocode,
+    nameTrigrams,
+    nameSimilarity
+};
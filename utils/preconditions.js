@@ -0,0 +1,49 @@
+// utils/preconditions.js
+// Optimistic concurrency over HTTP. A document's ETag is its version (__v),
+// which every save() of a model with `optimisticConcurrency` increments:
+//
+//   GET   /api/shipments/:id   -> ETag: "3"
+//   PATCH /api/shipments/:id   If-Match: "3"  -> 200 and ETag: "4", or 412 if it is no longer "3"
+//
+// The save itself also fails (VersionError, see middleware/errorHandler.js) when
+// another request saved the document between this request's read and write.
+const { ApiError } = require('./apiError');
+
+/**
+ * @param {Object} doc - Mongoose document
+ * @returns {string} - Strong ETag, e.g. "3"
+ */
+const etagFor = (doc) => `"${doc.__v ?? 0}"`;
+
+/**
+ * Sets the ETag response header for a document.
+ * @param {Object} res - Express response
+ * @param {Object} doc - Mongoose document
+ */
+const setETag = (res, doc) => {
+    res.set('ETag', etagFor(doc));
+};
+
+/**
+ * Throws 412 PRECONDITION_FAILED when the request's If-Match header names
+ * neither the document's current ETag nor "*". Without If-Match nothing is checked.
+ * Weak ETags (W/"...") never match, as If-Match compares strongly.
+ * @param {Object} req - Express request
+ * @param {Object} doc - Mongoose document, as just loaded
+ */
+const checkIfMatch = (req, doc) => {
+    const header = req.get('If-Match');
+    if (!header) return;
+
+    const current = etagFor(doc);
+    const tags = header.split(',').map(tag => tag.trim());
+    if (!tags.includes('*') && !tags.includes(current)) {
+        throw new ApiError(412, `If-Match does not match the current version (ETag ${current})`, { etag: current });
+    }
+};
+
+module.exports = {
+    etagFor,
+    setETag,
+    checkIfMatch
+};
@@ -0,0 +1,21 @@
+// utils/randomCode.js
+// Random identifiers for humans to read out and type: cryptographically random,
+// from an alphabet without look-alike characters (no 0/O, 1/I/L, U).
+const crypto = require('crypto');
+
+const UNAMBIGUOUS_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+/**
+ * @param {number} length
+ * @param {string} [alphabet=UNAMBIGUOUS_ALPHABET]
+ * @returns {string}
+ */
+const randomCode = (length, alphabet = UNAMBIGUOUS_ALPHABET) => {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return code;
+};
+
+module.exports = { UNAMBIGUOUS_ALPHABET, randomCode };
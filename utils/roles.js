@@ -0,0 +1,29 @@
+// utils/roles.js
+
+// Roles, from most to least privileged:
+// - admin: everything, including user and API key management
+// - dispatcher: creates and manages shipments, assigns drivers/customers
+// - driver: location updates for assigned shipments (users or device API keys)
+// - customer: read-only access to assigned shipments, by tracking ID
+const ROLES = ['admin', 'dispatcher', 'driver', 'customer'];
+
+// Roles whose access is limited to their assignedTrackingIds
+const ASSIGNMENT_SCOPED_ROLES = ['driver', 'customer'];
+
+// Roles whose accounts and API keys each role may manage (null = any)
+const MANAGEABLE_ROLES = {
+    admin: null,
+    dispatcher: ['driver', 'customer']
+};
+
+/**
+ * @param {string} actorRole - Role of the caller
+ * @param {string} targetRole - Role of the account or API key being managed
+ * @returns {boolean}
+ */
+const canManageRole = (actorRole, targetRole) => {
+    const allowed = MANAGEABLE_ROLES[actorRole];
+    return allowed === null || (Array.isArray(allowed) && allowed.includes(targetRole));
+};
+
+module.exports = { ROLES, ASSIGNMENT_SCOPED_ROLES, MANAGEABLE_ROLES, canManageRole };
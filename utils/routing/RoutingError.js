@@ -0,0 +1,18 @@
+// utils/routing/RoutingError.js
+
+/**
+ * Error thrown by routing providers when a request fails.
+ * `retryable` marks transient failures (timeouts, network errors, 5xx)
+ * that the routing service may retry.
+ */
+class RoutingError extends Error {
+    constructor(message, { provider, retryable = false, cause } = {}) {
+        super(message);
+        this.name = 'RoutingError';
+        this.provider = provider;
+        this.retryable = retryable;
+        this.cause = cause;
+    }
+}
+
+module.exports = RoutingError;
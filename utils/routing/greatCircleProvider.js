@@ -0,0 +1,32 @@
+// utils/routing/greatCircleProvider.js
+// Offline provider: great-circle arcs between consecutive waypoints.
+// Used for sea and air freight, and as the fallback when an online provider fails.
+// Note that sea routes drawn this way ignore coastlines.
+const { greatCirclePoints, lineLengthKm } = require('../geo');
+
+// Maximum spacing between interpolated points
+const STEP_KM = 100;
+
+/**
+ * @param {Array<Array<number>>} coords - Waypoints as [lon, lat] pairs (at least 2)
+ * @returns {Promise<{ geometry: Object, distanceKm: number }>}
+ */
+const getRoute = async (coords) => {
+    const line = [];
+    for (let i = 0; i < coords.length - 1; i++) {
+        const arc = greatCirclePoints(coords[i], coords[i + 1], STEP_KM);
+        // Drop each arc's first point after the first leg: it repeats the previous end
+        line.push(...(i === 0 ? arc : arc.slice(1)));
+    }
+    return {
+        geometry: { type: 'LineString', coordinates: line },
+        distanceKm: lineLengthKm(line)
+    };
+};
+
+module.exports = {
+    name: 'great-circle',
+    profiles: ['driving', 'sea', 'air'],
+    offline: true,
+    getRoute
+};
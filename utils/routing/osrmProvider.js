@@ -0,0 +1,67 @@
+// utils/routing/osrmProvider.js
+// Road routing through an OSRM server (OSRM_URL in .env).
+const axios = require('axios');
+const dotenv = require('dotenv');
+const RoutingError = require('./RoutingError');
+
+dotenv.config(); // Load .env variables
+
+/**
+ * @param {Array<Array<number>>} coords - Waypoints as [lon, lat] pairs (at least 2)
+ * @param {Object} options
+ * @param {string} options.profile - Routing profile (only 'driving' is supported)
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {Promise<{ geometry: Object, distanceKm: number, durationHours: number }|null>}
+ *          null when OSRM finds no route between the waypoints
+ */
+const getRoute = async (coords, { timeoutMs }) => {
+    const baseUrl = process.env.OSRM_URL;
+    if (!baseUrl) {
+        throw new RoutingError('OSRM_URL not defined in environment variables.', { provider: 'osrm' });
+    }
+
+    // Format coordinates for OSRM: {longitude},{latitude};{longitude},{latitude};...
+    const coordinatesString = coords.map(([lon, lat]) => `${lon},${lat}`).join(';');
+
+    // overview=full: requests detailed geometry
+    // geometries=geojson: specifies GeoJSON format for the geometry
+    const requestUrl = `${baseUrl}/route/v1/driving/${coordinatesString}?overview=full&geometries=geojson`;
+    console.log(`Requesting route from OSRM: ${requestUrl}`);
+
+    let response;
+    try {
+        response = await axios.get(requestUrl, { timeout: timeoutMs });
+    } catch (error) {
+        const status = error.response?.status;
+        // OSRM answers 400 for NoRoute / invalid input: retrying won't help
+        if (status === 400 && error.response?.data?.code === 'NoRoute') {
+            return null;
+        }
+        throw new RoutingError(`OSRM request failed: ${error.response?.data?.message || error.message}`, {
+            provider: 'osrm',
+            retryable: !status || status >= 500 || status === 429,
+            cause: error
+        });
+    }
+
+    const route = response.data?.routes?.[0];
+    const geometry = route?.geometry;
+    // Make sure it looks like a LineString before returning
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+        console.warn("OSRM response did not contain expected LineString geometry:", response.data);
+        return null;
+    }
+
+    return {
+        geometry,
+        distanceKm: typeof route.distance === 'number' ? route.distance / 1000 : undefined,
+        durationHours: typeof route.duration === 'number' ? route.duration / 3600 : undefined
+    };
+};
+
+module.exports = {
+    name: 'osrm',
+    profiles: ['driving'],
+    offline: false,
+    getRoute
+};
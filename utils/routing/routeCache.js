@@ -0,0 +1,53 @@
+// utils/routing/routeCache.js
+// Persistent cache of routing results in MongoDB.
+// Cache failures are logged and treated as misses: routing must not depend on the cache.
+const crypto = require('crypto');
+const RouteCache = require('../../models/RouteCache');
+
+// Coordinates are rounded so tiny GPS differences still hit the same entry (~1 m)
+const COORD_PRECISION = 5;
+
+/**
+ * Builds the cache key for a profile and ordered waypoint set.
+ * @param {string} profile
+ * @param {Array<Array<number>>} coords - [[lon, lat], ...]
+ * @returns {string}
+ */
+const buildKey = (profile, coords) => {
+    const normalised = coords
+        .map(([lon, lat]) => `${lon.toFixed(COORD_PRECISION)},${lat.toFixed(COORD_PRECISION)}`)
+        .join(';');
+    return crypto.createHash('sha256').update(`${profile}|${normalised}`).digest('hex');
+};
+
+const get = async (key) => {
+    try {
+        const entry = await RouteCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return entry || null;
+    } catch (err) {
+        console.warn("Route cache lookup failed:", err.message);
+        return null;
+    }
+};
+
+const set = async (key, profile, result, ttlMs) => {
+    try {
+        await RouteCache.findOneAndUpdate(
+            { key },
+            {
+                key,
+                profile,
+                provider: result.provider,
+                geometry: result.geometry,
+                distanceKm: result.distanceKm,
+                durationHours: result.durationHours,
+                expiresAt: new Date(Date.now() + ttlMs)
+            },
+            { upsert: true }
+        );
+    } catch (err) {
+        console.warn("Route cache write failed:", err.message);
+    }
+};
+
+module.exports = { buildKey, get, set };
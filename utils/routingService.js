@@ -1,65 +1,171 @@
 // utils/routingService.js
-const axios = require('axios');
+// Routing facade: picks a provider per profile, retries transient failures,
+// falls back to offline great-circle routing and caches results.
 const dotenv = require('dotenv');
+const { toCoord } = require('./geo');
+const routeCache = require('./routing/routeCache');
+const osrmProvider = require('./routing/osrmProvider');
+const greatCircleProvider = require('./routing/greatCircleProvider');
 
 dotenv.config(); // Load .env variables
 
-const OSRM_BASE_URL = process.env.OSRM_URL;
+const PROFILES = ['driving', 'sea', 'air'];
+
+// Routing profile per shipment transport mode.
+// Rail has no dedicated provider yet and follows the road network.
+const PROFILE_BY_MODE = {
+    road: 'driving',
+    rail: 'driving',
+    sea: 'sea',
+    air: 'air'
+};
+
+const config = {
+    timeoutMs: Number(process.env.ROUTING_TIMEOUT_MS) || 5000,
+    retries: process.env.ROUTING_RETRIES !== undefined ? Number(process.env.ROUTING_RETRIES) : 2,
+    retryDelayMs: 250, // Doubled on every retry
+    cacheTtlMs: (Number(process.env.ROUTING_CACHE_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000,
+    offlineFallback: process.env.ROUTING_OFFLINE_FALLBACK !== 'false',
+    // Provider name per profile
+    profileProviders: {
+        driving: process.env.ROUTING_PROVIDER_DRIVING || 'osrm',
+        sea: process.env.ROUTING_PROVIDER_SEA || 'great-circle',
+        air: process.env.ROUTING_PROVIDER_AIR || 'great-circle'
+    }
+};
+
+// --- Provider registry ---
+// A provider is { name, profiles, offline, getRoute(coords, { profile, timeoutMs }) }.
+// getRoute resolves { geometry, distanceKm?, durationHours? }, resolves null when
+// no route exists, or throws a RoutingError (see utils/routing/RoutingError.js).
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    if (!provider?.name || typeof provider.getRoute !== 'function') {
+        throw new Error('Routing provider must have a name and a getRoute function');
+    }
+    providers.set(provider.name, provider);
+};
+
+registerProvider(osrmProvider);
+registerProvider(greatCircleProvider);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Calls the provider, retrying retryable errors with exponential backoff
+const requestWithRetries = async (provider, coords, profile) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await provider.getRoute(coords, { profile, timeoutMs: config.timeoutMs });
+        } catch (err) {
+            if (!err.retryable || attempt >= config.retries) {
+                throw err;
+            }
+            const delay = config.retryDelayMs * 2 ** attempt;
+            console.warn(`Routing via ${provider.name} failed (${err.message}). Retrying in ${delay}ms...`);
+            await sleep(delay);
+        }
+    }
+};
 
 /**
- * Fetches route geometry from OSRM.
+ * Computes a route through the given waypoints.
  * @param {Array<Object>} waypoints - Array of location objects [{ latitude, longitude }, ...]
- * @returns {Promise<Object|null>} - GeoJSON LineString object or null if failed.
+ * @param {Object} [options]
+ * @param {string} [options.profile='driving'] - 'driving', 'sea' or 'air'
+ * @param {boolean} [options.useCache=true]
+ * @returns {Promise<{ geometry: Object, distanceKm?: number, durationHours?: number,
+ *                     provider: string, profile: string, fallback: boolean, cached: boolean }|null>}
+ *          null if no route could be computed
  */
-const getRouteGeometryFromOSRM = async (waypoints) => {
-    if (!OSRM_BASE_URL) {
-        console.error("OSRM_URL not defined in environment variables.");
-        return null;
+const getRoute = async (waypoints, { profile = 'driving', useCache = true } = {}) => {
+    if (!PROFILES.includes(profile)) {
+        throw new Error(`Unknown routing profile "${profile}"`);
     }
-    if (!waypoints || waypoints.length < 2) {
-        console.warn("Insufficient waypoints for routing.");
+
+    // Only waypoints with valid coordinates can be routed
+    const coords = (waypoints || []).map(toCoord).filter(Boolean);
+    if (coords.length < 2) {
+        console.warn("Not enough valid coordinate pairs for routing.");
         return null;
     }
 
-    // Format coordinates for OSRM: {longitude},{latitude};{longitude},{latitude};...
-    const coordinatesString = waypoints
-        .filter(wp => typeof wp.longitude === 'number' && typeof wp.latitude === 'number') // Ensure valid coords
-        .map(wp => `${wp.longitude},${wp.latitude}`)
-        .join(';');
-
-    if (coordinatesString.split(';').length < 2) {
-         console.warn("Not enough valid coordinate pairs for routing after filtering.");
-         return null;
+    const key = routeCache.buildKey(profile, coords);
+    if (useCache) {
+        const cached = await routeCache.get(key);
+        if (cached) {
+            console.log(`Route cache hit (${profile}, ${coords.length} waypoints).`);
+            return {
+                geometry: cached.geometry,
+                distanceKm: cached.distanceKm,
+                durationHours: cached.durationHours,
+                provider: cached.provider,
+                profile,
+                fallback: false,
+                cached: true
+            };
+        }
     }
 
-    // OSRM Route service URL structure
-    // overview=full: requests detailed geometry
-    // geometries=geojson: specifies GeoJSON format for the geometry
-    const requestUrl = `${OSRM_BASE_URL}/route/v1/driving/${coordinatesString}?overview=full&geometries=geojson`;
-
-    console.log(`Requesting route from OSRM: ${requestUrl}`);
-
-    try {
-        const response = await axios.get(requestUrl);
-
-        if (response.data && response.data.routes && response.data.routes.length > 0) {
-            const routeGeometry = response.data.routes[0].geometry;
-            console.log("Received route geometry from OSRM.");
-            // Make sure it looks like a LineString before returning
-            if (routeGeometry && routeGeometry.type === 'LineString' && Array.isArray(routeGeometry.coordinates)) {
-                 return routeGeometry; // Return the GeoJSON LineString object
-            } else {
-                console.warn("OSRM response did not contain expected LineString geometry:", routeGeometry);
-                return null;
-            }
-        } else {
-            console.warn("OSRM response did not contain any routes:", response.data);
-            return null;
+    const provider = providers.get(config.profileProviders[profile]);
+    let result = null;
+    let fallback = false;
+
+    if (provider) {
+        try {
+            result = await requestWithRetries(provider, coords, profile);
+        } catch (err) {
+            console.error(`Error fetching route from ${provider.name}:`, err.message);
         }
-    } catch (error) {
-        console.error("Error fetching route from OSRM:", error.response?.data || error.message);
-        return null; // Return null on error
+    } else {
+        console.error(`No routing provider registered for profile "${profile}" (${config.profileProviders[profile]}).`);
+    }
+
+    // Offline fallback, unless the configured provider already is offline
+    if (!result && config.offlineFallback && !provider?.offline) {
+        console.warn(`Falling back to great-circle routing for profile "${profile}".`);
+        result = await greatCircleProvider.getRoute(coords, { profile });
+        fallback = true;
+    }
+
+    if (!result) {
+        return null;
+    }
+
+    const route = {
+        ...result,
+        provider: fallback ? greatCircleProvider.name : provider.name,
+        profile,
+        fallback,
+        cached: false
+    };
+
+    // Fallback results are not cached so the real provider is tried again next time
+    if (useCache && !fallback) {
+        await routeCache.set(key, profile, route, config.cacheTtlMs);
     }
+    return route;
+};
+
+/**
+ * Convenience wrapper returning only the GeoJSON LineString.
+ * @returns {Promise<Object|null>} - GeoJSON LineString object or null if failed.
+ */
+const getRouteGeometry = async (waypoints, options) => {
+    const route = await getRoute(waypoints, options);
+    return route ? route.geometry : null;
 };
 
-module.exports = { getRouteGeometryFromOSRM };
\ No newline at end of file
+/**
+ * @param {string} transportMode - Shipment transport mode
+ * @returns {string} - Routing profile for that mode
+ */
+const profileForMode = (transportMode) => PROFILE_BY_MODE[transportMode] || 'driving';
+
+module.exports = {
+    PROFILES,
+    registerProvider,
+    getRoute,
+    getRouteGeometry,
+    profileForMode
+};
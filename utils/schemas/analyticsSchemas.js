@@ -0,0 +1,65 @@
+// utils/schemas/analyticsSchemas.js
+// Request schemas of the /api/analytics routes (see middleware/validate.js).
+// The controllers still parse the values themselves; the period length and
+// time zone names are checked by utils/shipmentAnalytics.js.
+const { dateTime } = require('./common');
+const { filterQuery } = require('./shipmentSchemas');
+
+// Shipment list filters; analytics results have their own order
+const filters = Object.fromEntries(Object.entries(filterQuery).filter(([name]) => name !== 'sort'));
+
+const period = {
+    from: { ...dateTime, description: 'Start of the period (default: 30 days before `to`)' },
+    to: { ...dateTime, description: 'End of the period (default: now)' }
+};
+
+const graceMinutes = { type: 'number', minimum: 0, description: 'Minutes a delivery may be late and still count as on time' };
+const rankLimit = { type: 'integer', minimum: 1, maximum: 100, default: 10 };
+
+// GET /api/analytics/status-counts
+const statusCounts = {
+    query: { type: 'object', properties: filters }
+};
+
+// GET /api/analytics/on-time
+const onTimeRate = {
+    query: { type: 'object', properties: { ...filters, ...period, graceMinutes } }
+};
+
+// GET /api/analytics/lanes/transit-times
+const laneTransitTimes = {
+    query: {
+        type: 'object',
+        properties: {
+            ...filters,
+            ...period,
+            limit: rankLimit,
+            minShipments: { type: 'integer', minimum: 1, default: 1, description: 'Leave out lanes with fewer deliveries' }
+        }
+    }
+};
+
+// GET /api/analytics/lanes/delayed
+const delayedLanes = {
+    query: { type: 'object', properties: { ...filters, ...period, limit: rankLimit, graceMinutes } }
+};
+
+// GET /api/analytics/throughput
+const throughput = {
+    query: {
+        type: 'object',
+        properties: {
+            ...filters,
+            ...period,
+            timezone: { type: 'string', minLength: 1, description: 'IANA time zone the days are counted in (default UTC)' }
+        }
+    }
+};
+
+module.exports = {
+    statusCounts,
+    onTimeRate,
+    laneTransitTimes,
+    delayedLanes,
+    throughput
+};
@@ -0,0 +1,82 @@
+// utils/schemas/common.js
+// JSON Schema building blocks shared by the request schemas (see middleware/validate.js).
+
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+
+// ISO 8601 date ("2025-03-01") or date-time ("2025-03-01T12:00:00Z")
+const dateTime = {
+    type: 'string',
+    anyOf: [{ format: 'date-time' }, { format: 'date' }],
+    'x-message': 'must be an ISO 8601 date or date-time'
+};
+
+// A named place; coordinates are optional but come in pairs (see models/LocationSchema.js)
+const location = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        latitude,
+        longitude,
+        timestamp: dateTime,
+        geofenceRadiusMeters: { type: 'number', exclusiveMinimum: 0 }
+    },
+    dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] }
+};
+
+// GeoJSON areas of the geo searches (RFC 7946); rings are checked for closure by utils/geoQuery.js
+const position = { type: 'array', prefixItems: [longitude, latitude], minItems: 2, maxItems: 2, description: '[longitude, latitude]' };
+const linearRing = { type: 'array', items: position, minItems: 4 };
+const polygon = {
+    type: 'object',
+    required: ['type', 'coordinates'],
+    properties: {
+        type: { const: 'Polygon' },
+        coordinates: { type: 'array', items: linearRing, minItems: 1 }
+    }
+};
+const multiPolygon = {
+    type: 'object',
+    required: ['type', 'coordinates'],
+    properties: {
+        type: { const: 'MultiPolygon' },
+        coordinates: { type: 'array', items: { type: 'array', items: linearRing, minItems: 1 }, minItems: 1 }
+    }
+};
+// minLon, minLat, maxLon, maxLat; minLon > maxLon crosses the antimeridian
+const bbox = { type: 'array', prefixItems: [longitude, latitude, longitude, latitude], minItems: 4, maxItems: 4 };
+
+// MongoDB _id
+const objectId = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+// Query values handed on to the controller's own parsing (dates, comma lists)
+const text = { type: 'string' };
+
+// ?page=&limit= of page-numbered lists
+const page = { type: 'integer', minimum: 1, default: 1 };
+const limit = { type: 'integer', minimum: 1, maximum: 200, default: 50 };
+
+// :id of shipment routes: MongoDB _id or tracking ID
+const shipmentIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1, maxLength: 100, description: 'MongoDB _id or tracking ID' }
+    }
+};
+
+module.exports = {
+    latitude,
+    longitude,
+    location,
+    dateTime,
+    polygon,
+    multiPolygon,
+    bbox,
+    objectId,
+    text,
+    page,
+    limit,
+    shipmentIdParams
+};
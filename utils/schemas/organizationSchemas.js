@@ -0,0 +1,96 @@
+// utils/schemas/organizationSchemas.js
+// Request schemas of the /api/organizations routes (see middleware/validate.js).
+const { TRANSPORT_MODES } = require('../etaEngine');
+const { page, limit } = require('./common');
+
+// A setting that can be removed again with null, falling back to the server-wide default
+const setting = (minimum, description) => ({
+    anyOf: [{ type: 'number', minimum, description }, { type: 'null' }],
+    'x-message': `must be a number >= ${minimum} or null`
+});
+
+const settings = {
+    type: 'object',
+    properties: {
+        speedsKmh: {
+            type: 'object',
+            description: 'Average speed per transport mode for ETAs; null restores the server default',
+            properties: Object.fromEntries(TRANSPORT_MODES.map(mode => [mode, setting(1, 'km/h')])),
+            additionalProperties: false
+        },
+        geofenceRadiusMeters: {
+            type: 'object',
+            description: 'Default geofence radius per kind; null restores the server default',
+            properties: {
+                origin: setting(1, 'metres'),
+                destination: setting(1, 'metres'),
+                waypoint: setting(1, 'metres')
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+
+// Fields of an organization a platform admin may set; shared by create and PATCH
+const organizationFields = {
+    name: { type: 'string', minLength: 1 },
+    slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', maxLength: 50, description: 'e.g. acme-logistics' },
+    trackingIdPrefix: { type: 'string', pattern: '^[A-Za-z0-9]{2,10}$', description: 'Start of new tracking IDs (default CARGO)' },
+    settings,
+    active: { type: 'boolean' }
+};
+
+// :id of organization routes: MongoDB _id or slug
+const organizationIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1, maxLength: 50, description: 'MongoDB _id or slug' }
+    }
+};
+
+// GET /api/organizations
+const listOrganizations = {
+    query: {
+        type: 'object',
+        properties: {
+            active: { enum: ['true', 'false'] },
+            page,
+            limit
+        }
+    }
+};
+
+// POST /api/organizations
+const createOrganization = {
+    body: {
+        type: 'object',
+        required: ['name', 'slug'],
+        properties: organizationFields,
+        additionalProperties: false
+    }
+};
+
+// GET and DELETE /api/organizations/:id
+const organizationById = {
+    params: organizationIdParams
+};
+
+// PATCH /api/organizations/:id
+const updateOrganization = {
+    params: organizationIdParams,
+    body: {
+        type: 'object',
+        minProperties: 1,
+        properties: organizationFields,
+        additionalProperties: false
+    }
+};
+
+module.exports = {
+    listOrganizations,
+    createOrganization,
+    organizationById,
+    updateOrganization
+};
@@ -0,0 +1,93 @@
+// utils/schemas/placeSchemas.js
+// Request schemas of the /api/places routes (see middleware/validate.js).
+const { PLACE_TYPES } = require('../placeNames');
+const { latitude, longitude, text, page, limit } = require('./common');
+
+// Fields of a place a client may set; shared by create and PATCH
+const placeFields = {
+    name: { type: 'string', minLength: 1 },
+    unlocode: { type: 'string', description: 'UN/LOCODE, e.g. NLRTM; spaces and dashes are ignored' },
+    type: { enum: PLACE_TYPES },
+    country: { type: 'string', pattern: '^[A-Za-z]{2}$', description: 'ISO 3166 alpha-2 code (default: from the UN/LOCODE)' },
+    latitude,
+    longitude,
+    aliases: { type: 'array', items: { type: 'string', minLength: 1 } },
+    geofenceRadiusMeters: { type: 'number', exclusiveMinimum: 0 },
+    active: { type: 'boolean' }
+};
+
+// :id of place routes: MongoDB _id or UN/LOCODE
+const placeIdParams = {
+    type: 'object',
+    required: ['id'],
+    properties: {
+        id: { type: 'string', minLength: 1, maxLength: 100, description: 'MongoDB _id or UN/LOCODE' }
+    }
+};
+
+// GET /api/places
+const listPlaces = {
+    query: {
+        type: 'object',
+        properties: {
+            type: { enum: PLACE_TYPES },
+            country: text,
+            active: { enum: ['true', 'false'] },
+            page,
+            limit
+        }
+    }
+};
+
+// GET /api/places/lookup
+const lookupPlaces = {
+    query: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+            q: { type: 'string', minLength: 1, description: 'Name, alias or UN/LOCODE, typos allowed' },
+            type: { enum: PLACE_TYPES },
+            country: text,
+            minScore: { type: 'number', minimum: 0, maximum: 1, default: 0.5 },
+            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10 }
+        }
+    }
+};
+
+// POST /api/places
+const createPlace = {
+    body: {
+        type: 'object',
+        required: ['name', 'latitude', 'longitude'],
+        properties: placeFields,
+        additionalProperties: false
+    }
+};
+
+// GET and DELETE /api/places/:id
+const placeById = {
+    params: placeIdParams
+};
+
+// PATCH /api/places/:id
+const updatePlace = {
+    params: placeIdParams,
+    body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+            ...placeFields,
+            unlocode: { anyOf: [placeFields.unlocode, { type: 'null' }], 'x-message': 'must be a string or null' },
+            country: { anyOf: [placeFields.country, { type: 'null' }], 'x-message': 'must be an ISO 3166 alpha-2 code or null' }
+        },
+        additionalProperties: false
+    }
+};
+
+module.exports = {
+    listPlaces,
+    lookupPlaces,
+    createPlace,
+    placeById,
+    updatePlace
+};
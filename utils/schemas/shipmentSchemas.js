@@ -0,0 +1,459 @@
+// utils/schemas/shipmentSchemas.js
+// Request schemas of the /api/shipments routes, one { params?, query?, body? }
+// per route (see middleware/validate.js). Rules that need the database (container
+// in use, status transitions, ...) stay with the controllers and the model.
+const ShipmentAudit = require('../../models/ShipmentAudit');
+const { STATUSES } = require('../shipmentStatus');
+const { TRANSPORT_MODES } = require('../etaEngine');
+const { LOCATION_BATCH_MAX_FIXES } = require('../locationIngest');
+const { SORTABLE_FIELDS, DEFAULT_LIMIT, MAX_LIMIT } = require('../shipmentQuery');
+const { MAX_NEAR_RADIUS_KM } = require('../geoQuery');
+const { METRIC_NAMES } = require('../sensorRules');
+const { SENSOR_READINGS_BATCH_MAX, SUMMARY_INTERVALS } = require('../sensorTelemetry');
+const { DOCUMENT_TYPES } = require('../documentFiles');
+const { latitude, longitude, location, dateTime, polygon, multiPolygon, bbox, objectId, text, page, limit, shipmentIdParams } = require('./common');
+
+// Allowed range of one sensor metric; either bound may be left open (see models/Shipment.js)
+const sensorRange = {
+    type: 'object',
+    properties: {
+        min: { type: 'number' },
+        max: { type: 'number' }
+    },
+    minProperties: 1,
+    additionalProperties: false
+};
+const sensorThresholds = {
+    type: 'object',
+    properties: Object.fromEntries(METRIC_NAMES.map(metric => [metric, sensorRange])),
+    additionalProperties: false,
+    description: 'Allowed ranges of sensor readings: temperature in °C, humidity in %, shock in g'
+};
+
+// Values of a sensor reading; at least one is needed
+const sensorValues = {
+    temperature: { type: 'number', description: '°C' },
+    humidity: { type: 'number', minimum: 0, maximum: 100, description: 'Relative humidity, %' },
+    shock: { type: 'number', minimum: 0, description: 'Peak acceleration since the previous reading, g' }
+};
+const anySensorValue = {
+    anyOf: METRIC_NAMES.map(metric => ({ required: [metric] })),
+    'x-message': `needs at least one of ${METRIC_NAMES.join(', ')}`
+};
+
+// Fields of a shipment a client may set; shared by create and PATCH
+const shipmentFields = {
+    containerId: { type: 'string', minLength: 1 },
+    origin: location,
+    destination: location,
+    route: { type: 'array', items: location }, // Intermediate waypoints
+    transportMode: { enum: TRANSPORT_MODES },
+    committedDeliveryDate: dateTime,
+    deviceId: { type: 'string' },
+    status: { enum: STATUSES },
+    notes: { type: 'string' },
+    sensorThresholds
+};
+
+// Filters shared by the list and the export (parsed by utils/shipmentQuery.js)
+// Descriptions end up in the OpenAPI document (utils/openapi.js)
+const filterQuery = {
+    status: { ...text, description: 'One or more statuses, comma-separated' },
+    containerId: { ...text, description: 'Container ID, as typed or normalised' },
+    booking: { ...text, description: '_id of a booking, to list its shipments' },
+    origin: { ...text, description: 'Case-insensitive match on the origin name' },
+    destination: { ...text, description: 'Case-insensitive match on the destination name' },
+    createdFrom: { ...text, description: 'ISO date; createdAt on or after' },
+    createdTo: { ...text, description: 'ISO date; createdAt on or before' },
+    etaFrom: { ...text, description: 'ISO date; estimatedETA on or after' },
+    etaTo: { ...text, description: 'ISO date; estimatedETA on or before' },
+    q: { ...text, description: 'Full-text search in notes' },
+    sort: { ...text, description: `Sort field, prefixed with - for descending (default -createdAt): ${SORTABLE_FIELDS.join(', ')}` }
+};
+
+// Body of POST /api/shipments, also applied to each row of a bulk import
+const shipmentInput = {
+    type: 'object',
+    required: ['containerId', 'origin', 'destination'],
+    properties: shipmentFields
+};
+
+// GET /api/shipments
+const listShipments = {
+    query: {
+        type: 'object',
+        properties: {
+            ...filterQuery,
+            fields: { ...text, description: 'Comma-separated fields to return, or to omit when prefixed with -' },
+            limit: { type: 'integer', minimum: 1, description: `Page size (default ${DEFAULT_LIMIT}); larger values are capped at ${MAX_LIMIT}` },
+            cursor: { ...text, description: 'nextCursor of the previous page' }
+        }
+    }
+};
+
+// Paging of the region searches, as in the list
+const pageQuery = {
+    fields: listShipments.query.properties.fields,
+    limit: listShipments.query.properties.limit,
+    cursor: listShipments.query.properties.cursor
+};
+
+// GET /api/shipments/geo/near
+// Nearest first, so no sort or cursor; $geoNear can't be combined with q
+const nearFilters = Object.fromEntries(Object.entries(filterQuery).filter(([name]) => !['sort', 'q'].includes(name)));
+const shipmentsNear = {
+    query: {
+        type: 'object',
+        required: ['latitude', 'longitude', 'radiusKm'],
+        properties: {
+            latitude,
+            longitude,
+            radiusKm: { type: 'number', exclusiveMinimum: 0, maximum: MAX_NEAR_RADIUS_KM, description: 'Search radius around the point' },
+            ...nearFilters,
+            fields: pageQuery.fields,
+            limit: { ...pageQuery.limit, description: `Number of nearest shipments (default ${DEFAULT_LIMIT}); larger values are capped at ${MAX_LIMIT}` }
+        }
+    }
+};
+
+// GET /api/shipments/geo/within and /geo/intersects
+const shipmentsInBbox = {
+    query: {
+        type: 'object',
+        required: ['bbox'],
+        properties: {
+            bbox: { ...text, description: 'minLon,minLat,maxLon,maxLat; minLon > maxLon crosses the antimeridian' },
+            ...filterQuery,
+            ...pageQuery
+        }
+    }
+};
+
+// POST /api/shipments/geo/within and /geo/intersects, for areas that don't fit a query string
+const shipmentsInArea = {
+    query: {
+        type: 'object',
+        properties: { ...filterQuery, ...pageQuery }
+    },
+    body: {
+        type: 'object',
+        properties: {
+            bbox,
+            geometry: { anyOf: [polygon, multiPolygon], 'x-message': 'must be a GeoJSON Polygon or MultiPolygon' }
+        },
+        oneOf: [{ required: ['bbox'] }, { required: ['geometry'] }],
+        'x-message': 'needs either bbox or geometry, not both'
+    }
+};
+
+// POST /api/shipments
+const createShipment = {
+    body: shipmentInput
+};
+
+// POST /api/shipments/import
+// CSV arrives as a string (express.text); its rows are checked one by one by the controller
+const importShipments = {
+    query: {
+        type: 'object',
+        properties: {
+            dryRun: { enum: ['true', 'false', '1', '0'], description: 'Validate every row without creating anything' }
+        }
+    },
+    body: {
+        anyOf: [
+            { type: 'string', minLength: 1 },
+            { type: 'array' },
+            { type: 'object', required: ['shipments'], properties: { shipments: { type: 'array' } } }
+        ],
+        'x-message': 'must be CSV (Content-Type: text/csv), a JSON array of shipments or { "shipments": [...] }'
+    }
+};
+
+// GET /api/shipments/import/jobs/:jobId
+const getImportJob = {
+    params: {
+        type: 'object',
+        required: ['jobId'],
+        properties: {
+            jobId: { type: 'string', format: 'uuid' }
+        }
+    }
+};
+
+// GET /api/shipments/export
+const exportShipments = {
+    query: {
+        type: 'object',
+        properties: {
+            ...filterQuery,
+            format: { enum: ['csv', 'json', 'geojson'], default: 'json' }
+        }
+    }
+};
+
+// POST /api/shipments/locations/batch
+// Each fix is checked by utils/locationIngest.js, so one bad fix doesn't sink the batch
+const fixes = { type: 'array', minItems: 1, maxItems: LOCATION_BATCH_MAX_FIXES, items: { type: 'object' } };
+const ingestLocations = {
+    body: {
+        anyOf: [
+            fixes,
+            {
+                type: 'object',
+                required: ['fixes'],
+                properties: {
+                    source: { type: 'string', minLength: 1 },
+                    fixes
+                }
+            }
+        ],
+        'x-message': `must be an array of 1 to ${LOCATION_BATCH_MAX_FIXES} fixes, or { "source": "...", "fixes": [...] }`
+    }
+};
+
+// GET /api/shipments/:id, /:id/eta and DELETE /api/shipments/:id
+const shipmentById = {
+    params: shipmentIdParams
+};
+
+// PATCH /api/shipments/:id
+const updateShipment = {
+    params: shipmentIdParams,
+    body: {
+        type: 'object',
+        minProperties: 1,
+        properties: {
+            ...shipmentFields,
+            committedDeliveryDate: { anyOf: [dateTime, { type: 'null' }], 'x-message': dateTime['x-message'] },
+            deviceId: { type: ['string', 'null'] }, // null or '' detaches the device
+            sensorThresholds: {
+                ...sensorThresholds,
+                type: ['object', 'null'],
+                properties: Object.fromEntries(METRIC_NAMES.map(metric => [metric, { ...sensorRange, type: ['object', 'null'] }])),
+                description: `${sensorThresholds.description}. Replaces the ranges of the metrics given; null removes a range, or all of them`
+            }
+        },
+        additionalProperties: false
+    }
+};
+
+// POST /api/shipments/:id/cancel
+const cancelShipment = {
+    params: shipmentIdParams,
+    body: {
+        type: 'object',
+        properties: {
+            reason: { type: 'string' }
+        }
+    }
+};
+
+// POST /api/shipments/:id/update-location
+const updateLocation = {
+    params: shipmentIdParams,
+    body: {
+        type: 'object',
+        properties: {
+            locationName: { type: 'string', minLength: 1 },
+            latitude,
+            longitude,
+            timestamp: { ...dateTime, description: 'When the position was taken (default: now); must be newer than the current location' },
+            source: { type: 'string' },
+            sensors: {
+                type: 'object',
+                properties: sensorValues,
+                ...anySensorValue,
+                description: 'Sensor values measured at the same time, recorded as a reading'
+            }
+        },
+        dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] },
+        anyOf: [{ required: ['locationName'] }, { required: ['latitude', 'longitude'] }],
+        'x-message': 'needs locationName or latitude and longitude'
+    }
+};
+
+// GET /api/shipments/:id/events
+const shipmentEvents = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            from: { ...dateTime, description: 'Events at or after' },
+            to: { ...dateTime, description: 'Events at or before' },
+            page,
+            limit
+        }
+    }
+};
+
+// POST /api/shipments/:id/readings
+const recordReadings = {
+    params: shipmentIdParams,
+    body: {
+        type: 'object',
+        required: ['readings'],
+        properties: {
+            source: { type: 'string', minLength: 1 },
+            readings: {
+                type: 'array',
+                minItems: 1,
+                maxItems: SENSOR_READINGS_BATCH_MAX,
+                items: {
+                    type: 'object',
+                    properties: {
+                        timestamp: { ...dateTime, description: 'When the values were measured (default: now)' },
+                        ...sensorValues
+                    },
+                    ...anySensorValue
+                }
+            }
+        }
+    }
+};
+
+// Time window of the reading and breach routes
+const sensorWindow = {
+    from: { ...dateTime, description: 'At or after' },
+    to: { ...dateTime, description: 'At or before' }
+};
+
+// GET /api/shipments/:id/readings
+const shipmentReadings = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: { ...sensorWindow, page, limit }
+    }
+};
+
+// GET /api/shipments/:id/readings/summary
+const readingsSummary = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            ...sensorWindow,
+            interval: { enum: SUMMARY_INTERVALS, description: 'Also summarise per hour or day' }
+        }
+    }
+};
+
+// GET /api/shipments/:id/breaches
+const shipmentBreaches = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            metric: { enum: METRIC_NAMES },
+            ongoing: { enum: ['true', 'false'], description: 'Only breaches still lasting, or only ended ones' },
+            page,
+            limit
+        }
+    }
+};
+
+// POST /api/shipments/:id/documents
+// The body is the file itself (see controllers/shipmentDocumentController.js)
+const uploadDocument = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: { enum: DOCUMENT_TYPES },
+            filename: { type: 'string', maxLength: 255, description: 'Name to download the file under' },
+            description: { type: 'string', maxLength: 500 }
+        }
+    }
+};
+
+// GET /api/shipments/:id/documents
+const shipmentDocuments = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            type: { enum: DOCUMENT_TYPES }
+        }
+    }
+};
+
+// GET and DELETE /api/shipments/:id/documents/:documentId, GET .../content
+const documentById = {
+    params: {
+        ...shipmentIdParams,
+        required: ['id', 'documentId'],
+        properties: {
+            ...shipmentIdParams.properties,
+            documentId: objectId
+        }
+    }
+};
+
+// POST /api/shipments/:id/proof-of-delivery
+const captureProofOfDelivery = {
+    params: shipmentIdParams,
+    body: {
+        type: 'object',
+        required: ['recipientName'],
+        properties: {
+            recipientName: { type: 'string', minLength: 1 },
+            deliveredAt: { ...dateTime, description: 'When the shipment was handed over (default: now)' },
+            latitude,
+            longitude,
+            signatureDocumentId: { ...objectId, description: '_id of a delivery_signature document uploaded to the shipment' },
+            photoDocumentIds: {
+                type: 'array',
+                items: objectId,
+                maxItems: 20,
+                uniqueItems: true,
+                description: '_ids of delivery_photo documents uploaded to the shipment'
+            },
+            notes: { type: 'string' }
+        },
+        dependentRequired: { latitude: ['longitude'], longitude: ['latitude'] },
+        additionalProperties: false
+    }
+};
+
+// GET /api/shipments/:id/audit
+const shipmentAudit = {
+    params: shipmentIdParams,
+    query: {
+        type: 'object',
+        properties: {
+            action: { enum: ShipmentAudit.schema.path('action').enumValues },
+            page,
+            limit
+        }
+    }
+};
+
+module.exports = {
+    filterQuery,
+    shipmentInput,
+    listShipments,
+    shipmentsNear,
+    shipmentsInBbox,
+    shipmentsInArea,
+    createShipment,
+    importShipments,
+    getImportJob,
+    exportShipments,
+    ingestLocations,
+    shipmentById,
+    updateShipment,
+    cancelShipment,
+    updateLocation,
+    shipmentEvents,
+    recordReadings,
+    shipmentReadings,
+    readingsSummary,
+    shipmentBreaches,
+    uploadDocument,
+    shipmentDocuments,
+    documentById,
+    captureProofOfDelivery,
+    shipmentAudit
+};
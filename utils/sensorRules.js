@@ -0,0 +1,54 @@
+// utils/sensorRules.js
+// Sensor metrics reported for reefer and sensitive cargo, and the check of a
+// reading against the allowed ranges of its shipment (Shipment.sensorThresholds).
+
+// Metrics a reading may carry
+const SENSOR_METRICS = {
+    temperature: { label: 'Temperature', unit: '°C' },
+    humidity: { label: 'Humidity', unit: '%' }, // Relative humidity
+    shock: { label: 'Shock', unit: 'g' } // Peak acceleration since the previous reading
+};
+const METRIC_NAMES = Object.keys(SENSOR_METRICS);
+
+// Exception type raised when a metric leaves its range, e.g. 'temperature_breach'
+const breachExceptionType = (metric) => `${metric}_breach`;
+const SENSOR_EXCEPTION_TYPES = METRIC_NAMES.map(breachExceptionType);
+
+// "8.5 °C"
+const formatValue = (metric, value) => `${value} ${SENSOR_METRICS[metric].unit}`;
+
+/**
+ * Checks one metric of a reading against its allowed range.
+ * @param {string} metric - One of METRIC_NAMES
+ * @param {number} [value] - Missing values are never out of range
+ * @param {Object} [range] - { min?, max? }; no range allows any value
+ * @returns {{ limit: 'min'|'max', threshold: number }|null} - The limit crossed, or null if within range
+ */
+const checkValue = (metric, value, range) => {
+    if (typeof value !== 'number' || !range) return null;
+    if (typeof range.min === 'number' && value < range.min) return { limit: 'min', threshold: range.min };
+    if (typeof range.max === 'number' && value > range.max) return { limit: 'max', threshold: range.max };
+    return null;
+};
+
+/**
+ * Checks that each range has its minimum below its maximum.
+ * @param {Object} [thresholds] - { temperature?: { min?, max? }, ... }
+ * @returns {Array<{ path: string, msg: string }>} - One entry per inverted range
+ */
+const invalidRanges = (thresholds) => METRIC_NAMES
+    .filter(metric => {
+        const range = thresholds?.[metric];
+        return typeof range?.min === 'number' && typeof range?.max === 'number' && range.min > range.max;
+    })
+    .map(metric => ({ path: `sensorThresholds.${metric}`, msg: 'min must not be greater than max' }));
+
+module.exports = {
+    SENSOR_METRICS,
+    METRIC_NAMES,
+    SENSOR_EXCEPTION_TYPES,
+    breachExceptionType,
+    formatValue,
+    checkValue,
+    invalidRanges
+};
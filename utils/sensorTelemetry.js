@@ -0,0 +1,296 @@
+// utils/sensorTelemetry.js
+// Sensor readings of a shipment (models/SensorReading.js): recording them,
+// tracking the periods in which a metric stays outside the shipment's allowed
+// range (models/SensorBreach.js), and summarising them per metric.
+// A breach raises a shipment exception of type '<metric>_breach', published as a
+// `shipment.exception` event like those of the exception scheduler.
+const dotenv = require('dotenv');
+const SensorReading = require('../models/SensorReading');
+const SensorBreach = require('../models/SensorBreach');
+const ShipmentException = require('../models/ShipmentException');
+const { SENSOR_METRICS, METRIC_NAMES, breachExceptionType, formatValue, checkValue } = require('./sensorRules');
+const { exceptionEventData } = require('./exceptionScheduler');
+const { publish } = require('./shipmentEvents');
+const { LOCATION_MAX_FUTURE_SKEW_MS } = require('./locationIngest');
+
+dotenv.config(); // Load .env variables
+
+const SENSOR_READINGS_BATCH_MAX = Number(process.env.SENSOR_READINGS_BATCH_MAX) || 1000;
+
+// Buckets of the summary, as $dateTrunc units
+const SUMMARY_INTERVALS = ['hour', 'day'];
+
+const UNRESOLVED = { $in: ['open', 'acknowledged'] };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Whether a value is further out of range than the peak so far
+const exceeds = (value, peak, limit) => (limit === 'max' ? value > peak : value < peak);
+
+// "Temperature 9.4 °C is above the maximum of 8 °C since ..." / "... was above ... from ... to ..."
+const describeBreach = (breach) => {
+    const { label } = SENSOR_METRICS[breach.metric];
+    const bound = `${breach.limit === 'max' ? 'above the maximum' : 'below the minimum'} of ${formatValue(breach.metric, breach.threshold)}`;
+    const peak = `peak ${formatValue(breach.metric, breach.peakValue)}`;
+    return breach.endedAt
+        ? `${label} was ${bound} from ${breach.startedAt.toISOString()} to ${breach.endedAt.toISOString()} (${peak})`
+        : `${label} ${formatValue(breach.metric, breach.lastValue)} is ${bound} since ${breach.startedAt.toISOString()} (${peak})`;
+};
+
+const breachDetails = (breach) => ({
+    breachId: breach._id,
+    metric: breach.metric,
+    limit: breach.limit,
+    threshold: breach.threshold,
+    peakValue: breach.peakValue,
+    lastValue: breach.lastValue,
+    readings: breach.readings,
+    startedAt: breach.startedAt,
+    endedAt: breach.endedAt
+});
+
+/**
+ * Raises or refreshes the shipment exception reporting a breach.
+ * @param {Object} shipment - Shipment document
+ * @param {Object} breach - SensorBreach document
+ * @param {boolean} outOfRange - Whether the breach got readings out of range; one that only ended raises nothing
+ * @returns {Promise<Object|null>} - The ShipmentException document
+ */
+const reportBreach = async (shipment, breach, outOfRange) => {
+    const type = breachExceptionType(breach.metric);
+    const existing = await ShipmentException.findOne({ shipment: shipment._id, type, status: UNRESOLVED });
+    if (existing) {
+        // Keep the acknowledgement: the same metric is still, or again, out of range
+        existing.reason = describeBreach(breach);
+        existing.details = breachDetails(breach);
+        if (outOfRange) existing.lastDetectedAt = breach.lastReadingAt;
+        await existing.save();
+        return existing;
+    }
+    if (!outOfRange) return null;
+
+    const exception = await ShipmentException.create({
+        shipment: shipment._id,
+        trackingId: shipment.trackingId,
+        type,
+        reason: describeBreach(breach),
+        details: breachDetails(breach),
+        detectedAt: breach.startedAt,
+        lastDetectedAt: breach.lastReadingAt
+    });
+    console.warn(`Exception raised for ${shipment.trackingId}: ${exception.reason}`);
+    publish('shipment.exception', shipment, exceptionEventData(exception));
+    return exception;
+};
+
+/**
+ * Follows the readings in time order: a breach starts at the first reading out of
+ * range and ends at the first reading back within it (or past the other bound,
+ * which starts a new breach).
+ * @param {Object} shipment - Shipment document
+ * @param {Array<Object>} readings - Sorted by timestamp
+ * @returns {Promise<Array<Object>>} - The SensorBreach documents started, extended or ended
+ */
+const trackBreaches = async (shipment, readings) => {
+    const thresholds = shipment.sensorThresholds || {};
+    const ongoing = await SensorBreach.find({ shipment: shipment._id, endedAt: null });
+    const open = new Map(ongoing.map(breach => [breach.metric, breach]));
+    const changed = new Set();
+    const outOfRange = new Set();
+    const latest = new Map(); // Latest changed breach of each metric
+
+    for (const reading of readings) {
+        for (const metric of METRIC_NAMES) {
+            const value = reading[metric];
+            if (typeof value !== 'number') continue;
+            const crossed = checkValue(metric, value, thresholds[metric]);
+
+            let breach = open.get(metric);
+            if (breach && crossed?.limit !== breach.limit) {
+                breach.endedAt = reading.timestamp;
+                open.delete(metric);
+                changed.add(breach);
+                latest.set(metric, breach);
+                breach = null;
+            }
+            if (!crossed) continue;
+
+            if (breach) {
+                breach.readings += 1;
+                breach.lastValue = value;
+                breach.lastReadingAt = reading.timestamp;
+                if (exceeds(value, breach.peakValue, breach.limit)) breach.peakValue = value;
+            } else {
+                breach = new SensorBreach({
+                    shipment: shipment._id,
+                    trackingId: shipment.trackingId,
+                    metric,
+                    ...crossed,
+                    peakValue: value,
+                    lastValue: value,
+                    startedAt: reading.timestamp,
+                    lastReadingAt: reading.timestamp
+                });
+                open.set(metric, breach);
+            }
+            changed.add(breach);
+            outOfRange.add(breach);
+            latest.set(metric, breach);
+        }
+    }
+
+    // One exception per metric reports its latest breach, and is linked from each one of these readings
+    for (const [metric, breach] of latest) {
+        const exception = await reportBreach(shipment, breach, outOfRange.has(breach));
+        if (!exception) continue;
+        [...outOfRange].filter(b => b.metric === metric).forEach(b => { b.exception = exception._id; });
+    }
+    for (const breach of changed) {
+        await breach.save();
+    }
+    return [...changed];
+};
+
+/**
+ * Records sensor readings of a shipment and tracks its breaches.
+ * Readings not newer than the latest recorded one (retries, overlapping uploads)
+ * and readings too far in the future are dropped without failing the rest.
+ * @param {Object} shipment - Shipment document
+ * @param {Array<Object>} readings - { timestamp?, temperature?, humidity?, shock? }; timestamp defaults to now
+ * @param {Object} [options]
+ * @param {string} [options.source='manual'] - Who or what reported them
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<{ received: number, recorded: number, dropped: Array<{ index: number, reason: string }>, breaches: Array<Object> }>}
+ */
+const recordReadings = async (shipment, readings, { source = 'manual', now = new Date() } = {}) => {
+    const dropped = [];
+    const latestReading = await SensorReading.findOne({ 'meta.shipment': shipment._id }, 'timestamp').sort({ timestamp: -1 });
+
+    const candidates = readings
+        .map((reading, index) => ({ ...reading, index, timestamp: reading.timestamp ? new Date(reading.timestamp) : now }))
+        .filter(reading => {
+            if (reading.timestamp - now > LOCATION_MAX_FUTURE_SKEW_MS) {
+                dropped.push({ index: reading.index, reason: 'timestamp is in the future' });
+                return false;
+            }
+            if (latestReading && reading.timestamp <= latestReading.timestamp) {
+                dropped.push({ index: reading.index, reason: 'not newer than the latest recorded reading' });
+                return false;
+            }
+            return true;
+        })
+        .sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+
+    // One reading per timestamp: the first one given
+    const accepted = candidates.filter((reading, i) => {
+        const duplicate = i > 0 && reading.timestamp.getTime() === candidates[i - 1].timestamp.getTime();
+        if (duplicate) dropped.push({ index: reading.index, reason: 'duplicate timestamp' });
+        return !duplicate;
+    });
+
+    if (accepted.length > 0) {
+        await SensorReading.insertMany(accepted.map(reading => ({
+            timestamp: reading.timestamp,
+            meta: { shipment: shipment._id, trackingId: shipment.trackingId },
+            ...Object.fromEntries(METRIC_NAMES.filter(metric => typeof reading[metric] === 'number').map(metric => [metric, reading[metric]])),
+            source
+        })));
+    }
+    const breaches = await trackBreaches(shipment, accepted);
+
+    return {
+        received: readings.length,
+        recorded: accepted.length,
+        dropped: dropped.sort((a, b) => a.index - b.index),
+        breaches
+    };
+};
+
+// $group stages of the summary: count, min, max and mean of each metric
+const metricAccumulators = () => Object.fromEntries(METRIC_NAMES.flatMap(metric => [
+    [`${metric}Count`, { $sum: { $cond: [{ $isNumber: `$${metric}` }, 1, 0] } }],
+    [`${metric}Min`, { $min: `$${metric}` }],
+    [`${metric}Max`, { $max: `$${metric}` }],
+    [`${metric}Mean`, { $avg: `$${metric}` }]
+]));
+
+const metricStats = (group) => Object.fromEntries(METRIC_NAMES.map(metric => {
+    const count = group?.[`${metric}Count`] || 0;
+    return [metric, {
+        unit: SENSOR_METRICS[metric].unit,
+        count,
+        min: count ? group[`${metric}Min`] : null,
+        max: count ? group[`${metric}Max`] : null,
+        mean: count ? round2(group[`${metric}Mean`]) : null
+    }];
+}));
+
+/**
+ * Min, max and mean of each metric over a time window, with the breaches in it.
+ * @param {Object} shipment - Shipment document
+ * @param {Object} [options]
+ * @param {Date} [options.from]
+ * @param {Date} [options.to]
+ * @param {string} [options.interval] - 'hour' or 'day' to add the same figures per bucket
+ * @returns {Promise<Object>} - { readings, firstAt, lastAt, metrics, buckets? }; each metric
+ *          carries its allowed range and the number of breaches overlapping the window
+ */
+const summarizeReadings = async (shipment, { from, to, interval } = {}) => {
+    const match = { 'meta.shipment': shipment._id };
+    if (from || to) {
+        match.timestamp = {};
+        if (from) match.timestamp.$gte = from;
+        if (to) match.timestamp.$lte = to;
+    }
+    const group = {
+        readings: { $sum: 1 },
+        firstAt: { $min: '$timestamp' },
+        lastAt: { $max: '$timestamp' },
+        ...metricAccumulators()
+    };
+
+    // Breaches overlapping the window, ongoing ones included
+    const breachMatch = { shipment: shipment._id };
+    if (to) breachMatch.startedAt = { $lte: to };
+    if (from) breachMatch.$or = [{ endedAt: null }, { endedAt: { $gte: from } }];
+
+    const [[overall], buckets, breachCounts] = await Promise.all([
+        SensorReading.aggregate([{ $match: match }, { $group: { _id: null, ...group } }]),
+        interval
+            ? SensorReading.aggregate([
+                { $match: match },
+                { $group: { _id: { $dateTrunc: { date: '$timestamp', unit: interval } }, ...group } },
+                { $sort: { _id: 1 } }
+            ])
+            : null,
+        SensorBreach.aggregate([{ $match: breachMatch }, { $group: { _id: '$metric', count: { $sum: 1 } } }])
+    ]);
+
+    const metrics = metricStats(overall);
+    for (const metric of METRIC_NAMES) {
+        metrics[metric].range = shipment.sensorThresholds?.[metric] || null;
+        metrics[metric].breaches = breachCounts.find(b => b._id === metric)?.count || 0;
+    }
+
+    const summary = {
+        readings: overall?.readings || 0,
+        firstAt: overall?.firstAt || null,
+        lastAt: overall?.lastAt || null,
+        metrics
+    };
+    if (buckets) {
+        summary.buckets = buckets.map(bucket => ({
+            start: bucket._id,
+            readings: bucket.readings,
+            metrics: metricStats(bucket)
+        }));
+    }
+    return summary;
+};
+
+module.exports = {
+    SENSOR_READINGS_BATCH_MAX,
+    SUMMARY_INTERVALS,
+    recordReadings,
+    summarizeReadings
+};
@@ -0,0 +1,318 @@
+// utils/shipmentAnalytics.js
+// Operations KPIs computed with aggregation pipelines over the Shipment collection.
+// Every function takes a base filter from buildFilter (utils/shipmentQuery.js),
+// so the analytics endpoints accept the same filters as GET /api/shipments.
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const { STATUSES } = require('./shipmentStatus');
+const { InvalidQueryError } = require('./shipmentQuery');
+
+dotenv.config(); // Load .env variables
+
+// Deliveries this late after the promised date still count as on time
+const ON_TIME_GRACE_MINUTES = Number(process.env.ANALYTICS_ON_TIME_GRACE_MINUTES) || 0;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// --- Expressions shared by the pipelines ---
+// The date a delivery is measured against: the first ETA, which later ETA updates don't move
+const PROMISED_DATE = '$initialETA';
+// Reported separately: the date committed to the customer, where one was set
+const COMMITTED_DATE = '$committedDeliveryDate';
+// Transit starts on departure; shipments from before departedAt existed fall back to creation
+const TRANSIT_HOURS = { $divide: [{ $subtract: ['$actualDeliveryDate', { $ifNull: ['$departedAt', '$createdAt'] }] }, HOUR_MS] };
+const LANE = { origin: '$origin.name', destination: '$destination.name' };
+
+const round = (value, decimals) => {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+};
+
+/**
+ * Parses ?from=&to= (ISO dates). Defaults to the last DEFAULT_PERIOD_DAYS days.
+ * @param {Object} query - Express req.query
+ * @returns {{ from: Date, to: Date }}
+ * @throws {InvalidQueryError}
+ */
+const parsePeriod = (query) => {
+    const parse = (value, param) => {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new InvalidQueryError(`Invalid date for "${param}"`, param);
+        }
+        return date;
+    };
+    const to = query.to ? parse(query.to, 'to') : new Date();
+    const from = query.from ? parse(query.from, 'from') : new Date(to.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+    if (from > to) {
+        throw new InvalidQueryError('"from" must be before "to"', 'from');
+    }
+    if (to - from > MAX_PERIOD_DAYS * DAY_MS) {
+        throw new InvalidQueryError(`The period can be at most ${MAX_PERIOD_DAYS} days`);
+    }
+    return { from, to };
+};
+
+/**
+ * Parses ?limit= for ranked lists (default 10, max 100).
+ * @returns {number}
+ */
+const parseRankLimit = (value) => Math.min(100, Math.max(1, parseInt(value, 10) || 10));
+
+// Delivery metrics pick the statuses themselves, so a status filter is dropped
+const withoutStatus = (filter) => {
+    const rest = { ...filter };
+    delete rest.status;
+    return rest;
+};
+
+// Shipments delivered within the period
+const deliveredInPeriod = (filter, { from, to }) => ({
+    ...withoutStatus(filter),
+    status: 'Delivered',
+    actualDeliveryDate: { $gte: from, $lte: to }
+});
+
+// Whether a delivered shipment has the date to be measured against
+const hasDate = (date) => ({ $ifNull: [date, false] });
+
+// Whether a delivered shipment arrived after the date plus the grace period; false without a date
+const isLate = (date, graceMinutes) => ({
+    $and: [hasDate(date), { $gt: ['$actualDeliveryDate', { $add: [date, graceMinutes * 60 * 1000] }] }]
+});
+
+const rate = (part, whole) => (whole > 0 ? round(part / whole, 4) : null);
+
+/**
+ * Number of shipments per status.
+ * @param {Object} filter - From buildFilter
+ * @returns {Promise<{ total: number, byStatus: Object<string, number> }>} - Every status is listed, also with 0
+ */
+const statusCounts = async (filter) => {
+    const groups = await Shipment.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    groups.forEach(g => { byStatus[g._id] = g.count; });
+    return { total: groups.reduce((sum, g) => sum + g.count, 0), byStatus };
+};
+
+/**
+ * Share of deliveries in the period that arrived by their promised date (the
+ * initial ETA), and separately by the committed delivery date. Deliveries
+ * without the date in question are not evaluated against it.
+ * @param {Object} filter - From buildFilter
+ * @param {{ from: Date, to: Date }} period - On actualDeliveryDate
+ * @param {Object} [options]
+ * @param {number} [options.graceMinutes]
+ * @returns {Promise<Object>} - { from, to, graceMinutes, delivered, evaluated, onTime, late, onTimeRate, averageDelayHours,
+ *          committed: { evaluated, onTime, late, onTimeRate } }
+ */
+const onTimeRate = async (filter, period, { graceMinutes = ON_TIME_GRACE_MINUTES } = {}) => {
+    const [result] = await Shipment.aggregate([
+        { $match: deliveredInPeriod(filter, period) },
+        {
+            $project: {
+                evaluated: { $cond: [hasDate(PROMISED_DATE), 1, 0] },
+                late: { $cond: [isLate(PROMISED_DATE, graceMinutes), 1, 0] },
+                delayHours: { $divide: [{ $subtract: ['$actualDeliveryDate', PROMISED_DATE] }, HOUR_MS] },
+                committedEvaluated: { $cond: [hasDate(COMMITTED_DATE), 1, 0] },
+                committedLate: { $cond: [isLate(COMMITTED_DATE, graceMinutes), 1, 0] }
+            }
+        },
+        {
+            $group: {
+                _id: null,
+                delivered: { $sum: 1 },
+                evaluated: { $sum: '$evaluated' },
+                late: { $sum: '$late' },
+                // $avg skips nulls, so only late deliveries count
+                averageDelayHours: { $avg: { $cond: [{ $eq: ['$late', 1] }, '$delayHours', null] } },
+                committedEvaluated: { $sum: '$committedEvaluated' },
+                committedLate: { $sum: '$committedLate' }
+            }
+        }
+    ]);
+
+    const {
+        delivered = 0, evaluated = 0, late: lateCount = 0, averageDelayHours = null,
+        committedEvaluated = 0, committedLate = 0
+    } = result || {};
+    return {
+        from: period.from,
+        to: period.to,
+        graceMinutes,
+        delivered,
+        evaluated,
+        onTime: evaluated - lateCount,
+        late: lateCount,
+        onTimeRate: rate(evaluated - lateCount, evaluated),
+        averageDelayHours: round(averageDelayHours, 1),
+        committed: {
+            evaluated: committedEvaluated,
+            onTime: committedEvaluated - committedLate,
+            late: committedLate,
+            onTimeRate: rate(committedEvaluated - committedLate, committedEvaluated)
+        }
+    };
+};
+
+/**
+ * Average, fastest and slowest transit time per origin-destination lane for
+ * deliveries in the period, busiest lanes first.
+ * @param {Object} filter - From buildFilter
+ * @param {{ from: Date, to: Date }} period - On actualDeliveryDate
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.minShipments=1] - Leave out lanes with fewer deliveries
+ * @returns {Promise<Array<Object>>} - [{ origin, destination, shipments, averageTransitHours, minTransitHours, maxTransitHours }]
+ */
+const laneTransitTimes = async (filter, period, { limit = 10, minShipments = 1 } = {}) => {
+    const lanes = await Shipment.aggregate([
+        { $match: deliveredInPeriod(filter, period) },
+        {
+            $group: {
+                _id: LANE,
+                shipments: { $sum: 1 },
+                averageTransitHours: { $avg: TRANSIT_HOURS },
+                minTransitHours: { $min: TRANSIT_HOURS },
+                maxTransitHours: { $max: TRANSIT_HOURS }
+            }
+        },
+        { $match: { shipments: { $gte: minShipments } } },
+        { $sort: { shipments: -1, '_id.origin': 1, '_id.destination': 1 } },
+        { $limit: limit }
+    ]);
+
+    return lanes.map(lane => ({
+        origin: lane._id.origin,
+        destination: lane._id.destination,
+        shipments: lane.shipments,
+        averageTransitHours: round(lane.averageTransitHours, 1),
+        minTransitHours: round(lane.minTransitHours, 1),
+        maxTransitHours: round(lane.maxTransitHours, 1)
+    }));
+};
+
+/**
+ * Lanes with the most delays: late deliveries in the period plus shipments
+ * that are Delayed right now, most delays first.
+ * @param {Object} filter - From buildFilter
+ * @param {{ from: Date, to: Date }} period - On actualDeliveryDate
+ * @param {Object} [options]
+ * @param {number} [options.limit=10]
+ * @param {number} [options.graceMinutes]
+ * @returns {Promise<Array<Object>>} - [{ origin, destination, shipments, delayed, lateDeliveries, currentlyDelayed, lateRate, averageDelayHours }]
+ */
+const topDelayedLanes = async (filter, period, { limit = 10, graceMinutes = ON_TIME_GRACE_MINUTES } = {}) => {
+    const lanes = await Shipment.aggregate([
+        { $match: { ...withoutStatus(filter), $or: [{ status: 'Delayed' }, { status: 'Delivered', actualDeliveryDate: { $gte: period.from, $lte: period.to } }] } },
+        {
+            $project: {
+                lane: LANE,
+                lateDelivery: { $cond: [{ $and: [{ $eq: ['$status', 'Delivered'] }, isLate(PROMISED_DATE, graceMinutes)] }, 1, 0] },
+                currentlyDelayed: { $cond: [{ $eq: ['$status', 'Delayed'] }, 1, 0] },
+                delayHours: { $divide: [{ $subtract: ['$actualDeliveryDate', PROMISED_DATE] }, HOUR_MS] }
+            }
+        },
+        {
+            $group: {
+                _id: '$lane',
+                shipments: { $sum: 1 },
+                lateDeliveries: { $sum: '$lateDelivery' },
+                currentlyDelayed: { $sum: '$currentlyDelayed' },
+                averageDelayHours: { $avg: { $cond: [{ $eq: ['$lateDelivery', 1] }, '$delayHours', null] } }
+            }
+        },
+        { $addFields: { delayed: { $add: ['$lateDeliveries', '$currentlyDelayed'] } } },
+        { $match: { delayed: { $gt: 0 } } },
+        { $sort: { delayed: -1, averageDelayHours: -1, '_id.origin': 1 } },
+        { $limit: limit }
+    ]);
+
+    return lanes.map(lane => ({
+        origin: lane._id.origin,
+        destination: lane._id.destination,
+        shipments: lane.shipments,
+        delayed: lane.delayed,
+        lateDeliveries: lane.lateDeliveries,
+        currentlyDelayed: lane.currentlyDelayed,
+        lateRate: rate(lane.delayed, lane.shipments),
+        averageDelayHours: round(lane.averageDelayHours, 1)
+    }));
+};
+
+// Calendar days (YYYY-MM-DD) between two instants in a time zone, in order
+const listDays = (from, to, timezone) => {
+    const format = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    const days = new Set();
+    // Hourly steps, so DST changes never skip a day
+    for (let t = from.getTime(); t <= to.getTime(); t += HOUR_MS) {
+        days.add(format.format(new Date(t)));
+    }
+    days.add(format.format(to));
+    return [...days];
+};
+
+/**
+ * Shipments created and delivered per calendar day of the period.
+ * @param {Object} filter - From buildFilter
+ * @param {{ from: Date, to: Date }} period
+ * @param {Object} [options]
+ * @param {string} [options.timezone='UTC'] - IANA time zone the days are counted in
+ * @returns {Promise<Object>} - { from, to, timezone, totals: { created, delivered }, days: [{ date, created, delivered }] }
+ * @throws {InvalidQueryError} - For an unknown time zone
+ */
+const dailyThroughput = async (filter, period, { timezone = 'UTC' } = {}) => {
+    try {
+        new Intl.DateTimeFormat('en-CA', { timeZone: timezone });
+    } catch (err) {
+        throw new InvalidQueryError(`Unknown time zone "${timezone}"`, 'timezone');
+    }
+
+    const range = { $gte: period.from, $lte: period.to };
+    const perDay = (dateField) => [
+        { $match: { [dateField]: range } },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone } }, count: { $sum: 1 } } }
+    ];
+
+    const [result] = await Shipment.aggregate([
+        { $match: { ...filter, $or: [{ createdAt: range }, { actualDeliveryDate: range }] } },
+        { $facet: { created: perDay('createdAt'), delivered: perDay('actualDeliveryDate') } }
+    ]);
+
+    const created = new Map(result.created.map(d => [d._id, d.count]));
+    const delivered = new Map(result.delivered.map(d => [d._id, d.count]));
+    const days = listDays(period.from, period.to, timezone).map(date => ({
+        date,
+        created: created.get(date) || 0,
+        delivered: delivered.get(date) || 0
+    }));
+
+    return {
+        from: period.from,
+        to: period.to,
+        timezone,
+        totals: {
+            created: days.reduce((sum, d) => sum + d.created, 0),
+            delivered: days.reduce((sum, d) => sum + d.delivered, 0)
+        },
+        days
+    };
+};
+
+module.exports = {
+    ON_TIME_GRACE_MINUTES,
+    parsePeriod,
+    parseRankLimit,
+    statusCounts,
+    onTimeRate,
+    laneTransitTimes,
+    topDelayedLanes,
+    dailyThroughput
+};
@@ -0,0 +1,77 @@
+// utils/shipmentDocuments.js
+// Files attached to shipments (models/ShipmentDocument.js): checked, written to
+// file storage (utils/fileStorage.js) and recorded, read back, and removed.
+const crypto = require('crypto');
+const ShipmentDocument = require('../models/ShipmentDocument');
+const { saveFile, openFile, removeFile } = require('./fileStorage');
+const { CONTENT_TYPES, checkFile, safeFilename } = require('./documentFiles');
+
+/**
+ * Checks and stores an uploaded file as a document of a shipment.
+ * @param {Object} shipment - Shipment document
+ * @param {Buffer} data - The file content
+ * @param {Object} options
+ * @param {string} options.type - One of DOCUMENT_TYPES (see utils/documentFiles.js)
+ * @param {string} options.contentType - Media type without parameters, lower case
+ * @param {string} [options.filename] - As given by the client
+ * @param {string} [options.description]
+ * @param {Object} [options.uploadedBy] - { type, id, name } of the caller
+ * @returns {Promise<Object>} - The saved ShipmentDocument
+ * @throws {ApiError} - 415 or 400 for a file that fails the checks (see checkFile)
+ */
+const storeDocument = async (shipment, data, { type, contentType, filename, description, uploadedBy }) => {
+    checkFile(data, contentType, type);
+
+    const document = new ShipmentDocument({
+        shipment: shipment._id,
+        trackingId: shipment.trackingId,
+        type,
+        filename: safeFilename(filename, contentType, type),
+        contentType,
+        size: data.length,
+        sha256: crypto.createHash('sha256').update(data).digest('hex'),
+        description,
+        uploadedBy
+    });
+    // The file goes first: a document is never recorded without its file
+    const key = `shipments/${shipment._id}/${document._id}${CONTENT_TYPES[contentType].extension}`;
+    document.storage = await saveFile(key, data, { contentType });
+    try {
+        await document.save();
+    } catch (err) {
+        await removeFile(document.storage).catch(() => {}); // Don't leave the file behind
+        throw err;
+    }
+    return document;
+};
+
+/**
+ * @param {Object} document - ShipmentDocument
+ * @returns {Promise<import('stream').Readable|null>} - null if the file is missing from storage
+ */
+const openDocument = (document) => openFile(document.storage);
+
+/**
+ * Removes documents with their files. A file that can't be removed is logged
+ * and left behind; its document is removed all the same.
+ * @param {Object} filter - ShipmentDocument filter, e.g. { shipment: id }
+ * @returns {Promise<number>} - Documents removed
+ */
+const removeDocuments = async (filter) => {
+    const documents = await ShipmentDocument.find(filter);
+    for (const document of documents) {
+        try {
+            await removeFile(document.storage);
+        } catch (err) {
+            console.error(`Could not remove file ${document.storage.key} of document ${document._id}:`, err.message);
+        }
+        await document.deleteOne();
+    }
+    return documents.length;
+};
+
+module.exports = {
+    storeDocument,
+    openDocument,
+    removeDocuments
+};
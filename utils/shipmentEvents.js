@@ -0,0 +1,75 @@
+// utils/shipmentEvents.js
+// In-process bus for shipment lifecycle events. The Shipment model publishes
+// here after every save; real-time streams (and other listeners) subscribe.
+// Recent events are kept in a ring buffer so clients can resume by event ID.
+const EventEmitter = require('events');
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+const EVENT_TYPES = ['shipment.created', 'shipment.location', 'shipment.status', 'shipment.eta', 'shipment.delivered', 'shipment.exception'];
+
+const BUFFER_SIZE = Number(process.env.EVENT_BUFFER_SIZE) || 1000;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected stream client
+
+const buffer = [];
+let lastId = 0;
+
+/**
+ * Publishes an event to all subscribers.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} shipment - Shipment document the event is about
+ * @param {Object} data - Event-specific payload
+ * @returns {Object} - The published event { id, type, organizationId, shipmentId, trackingId, timestamp, data }
+ */
+const publish = (type, shipment, data) => {
+    const event = {
+        id: ++lastId,
+        type,
+        organizationId: shipment.organization ? String(shipment.organization) : null,
+        shipmentId: String(shipment._id),
+        trackingId: shipment.trackingId,
+        timestamp: new Date().toISOString(),
+        data
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) {
+        buffer.shift();
+    }
+
+    emitter.emit('event', event);
+    return event;
+};
+
+/**
+ * Subscribes to all events.
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe function
+ */
+const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+};
+
+/**
+ * Buffered events published after the given ID, oldest first.
+ * @param {number} afterId
+ * @returns {{ events: Array<Object>, complete: boolean }}
+ *          `complete` is false if events after `afterId` were already dropped from the buffer,
+ *          or if the ID is unknown (e.g. issued before a server restart)
+ */
+const getEventsSince = (afterId) => {
+    const events = buffer.filter(event => event.id > afterId);
+    const oldestId = buffer.length > 0 ? buffer[0].id : lastId + 1;
+    return { events, complete: afterId <= lastId && afterId >= oldestId - 1 };
+};
+
+module.exports = {
+    EVENT_TYPES,
+    publish,
+    subscribe,
+    getEventsSince
+};
@@ -0,0 +1,274 @@
+// utils/shipmentQuery.js
+// Turns GET /api/shipments query parameters into a MongoDB filter, sort,
+// projection and cursor condition, and fetches a page of shipments with them.
+
+const mongoose = require('mongoose');
+const Shipment = require('../models/Shipment');
+const { STATUSES } = require('./shipmentStatus');
+const { containerNumberCondition } = require('./iso6346');
+const { ApiError } = require('./apiError');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Fields the list can be sorted by
+const SORTABLE_FIELDS = ['createdAt', 'updatedAt', 'estimatedETA', 'actualDeliveryDate', 'status', 'containerId', 'trackingId'];
+
+// Top-level fields that can be selected with ?fields=
+const PROJECTABLE_FIELDS = [
+    'trackingId', 'containerId', 'origin', 'destination', 'route', 'currentLocation',
+    'estimatedETA', 'initialETA', 'committedDeliveryDate', 'departedAt', 'transportMode', 'deviceId', 'status', 'detailedRouteGeometry', 'actualDeliveryDate', 'notes',
+    'cancelledAt', 'cancellationReason', 'booking', 'bookingLeg', 'createdAt', 'updatedAt'
+];
+
+// Fields whose cursor values must be revived as Dates
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'estimatedETA', 'actualDeliveryDate'];
+
+/**
+ * Error thrown for malformed query parameters (400 INVALID_QUERY).
+ * @param {string} message
+ * @param {string} [param] - The offending parameter, reported in `details`
+ * @param {Object} [extra] - Further response fields, e.g. { allowed: [...] }
+ */
+class InvalidQueryError extends ApiError {
+    constructor(message, param, extra) {
+        super(400, message, {
+            code: 'INVALID_QUERY',
+            details: param ? [{ in: 'query', path: param, code: 'invalid', msg: message }] : undefined,
+            ...extra
+        });
+        this.name = 'InvalidQueryError';
+    }
+}
+
+// Escape user input before embedding it in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const parseDate = (value, param) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new InvalidQueryError(`Invalid date for "${param}"`, param);
+    }
+    return date;
+};
+
+// Adds a { $gte, $lte } range on `field` if either bound is given
+const addDateRange = (filter, field, from, to, fromParam, toParam) => {
+    const range = {};
+    if (from) range.$gte = parseDate(from, fromParam);
+    if (to) range.$lte = parseDate(to, toParam);
+    if (Object.keys(range).length > 0) {
+        filter[field] = range;
+    }
+};
+
+/**
+ * Builds the MongoDB filter from query parameters.
+ * Supported: status (comma-separated), containerId, booking (Booking _id),
+ * origin, destination (case-insensitive name match), createdFrom/createdTo,
+ * etaFrom/etaTo and q (full-text search in notes).
+ * @param {Object} query - Express req.query
+ * @returns {Object} - MongoDB filter
+ */
+const buildFilter = (query) => {
+    const filter = {};
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(s => s.trim()).filter(Boolean);
+        const unknown = statuses.filter(s => !STATUSES.includes(s));
+        if (unknown.length > 0) {
+            throw new InvalidQueryError(`Unknown status: ${unknown.join(', ')}`, 'status');
+        }
+        filter.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+
+    if (query.containerId) {
+        filter.containerId = containerNumberCondition(query.containerId);
+    }
+
+    if (query.booking) {
+        if (!mongoose.Types.ObjectId.isValid(String(query.booking))) {
+            throw new InvalidQueryError('booking must be a booking _id', 'booking');
+        }
+        // An ObjectId, not a string: aggregation pipelines don't cast their filters
+        filter.booking = new mongoose.Types.ObjectId(String(query.booking));
+    }
+
+    if (query.origin) {
+        filter['origin.name'] = new RegExp(escapeRegex(String(query.origin).trim()), 'i');
+    }
+    if (query.destination) {
+        filter['destination.name'] = new RegExp(escapeRegex(String(query.destination).trim()), 'i');
+    }
+
+    addDateRange(filter, 'createdAt', query.createdFrom, query.createdTo, 'createdFrom', 'createdTo');
+    addDateRange(filter, 'estimatedETA', query.etaFrom, query.etaTo, 'etaFrom', 'etaTo');
+
+    if (query.q) {
+        filter.$text = { $search: String(query.q) };
+    }
+
+    return filter;
+};
+
+/**
+ * Parses ?sort=field or ?sort=-field (descending). Defaults to newest first.
+ * @returns {{ field: string, direction: number }}
+ */
+const parseSort = (sortParam) => {
+    if (!sortParam) {
+        return { field: 'createdAt', direction: -1 };
+    }
+    const value = String(sortParam).trim();
+    const direction = value.startsWith('-') ? -1 : 1;
+    const field = value.replace(/^[-+]/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+        throw new InvalidQueryError(`Cannot sort by "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`, 'sort');
+    }
+    return { field, direction };
+};
+
+/**
+ * Parses ?fields=a,b,c (include) or ?fields=-a,-b (exclude) into a projection.
+ * The sort field is always kept so the next cursor can be built.
+ * @returns {Object|null} - MongoDB projection, or null for full documents
+ */
+const parseProjection = (fieldsParam, sortField) => {
+    if (!fieldsParam) {
+        return null;
+    }
+    const fields = String(fieldsParam).split(',').map(f => f.trim()).filter(Boolean);
+    const excluding = fields.every(f => f.startsWith('-'));
+    if (!excluding && fields.some(f => f.startsWith('-'))) {
+        throw new InvalidQueryError('Cannot mix included and excluded fields', 'fields');
+    }
+
+    const names = fields.map(f => f.replace(/^-/, ''));
+    const unknown = names.filter(f => !PROJECTABLE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+        throw new InvalidQueryError(`Unknown field: ${unknown.join(', ')}`, 'fields');
+    }
+
+    const projection = {};
+    if (excluding) {
+        names.filter(f => f !== sortField).forEach(f => { projection[f] = 0; });
+    } else {
+        names.concat(sortField).forEach(f => { projection[f] = 1; });
+    }
+    return projection;
+};
+
+const parseLimit = (limitParam) => {
+    if (limitParam === undefined) return DEFAULT_LIMIT;
+    const limit = parseInt(limitParam, 10);
+    if (isNaN(limit) || limit < 1) {
+        throw new InvalidQueryError('"limit" must be a positive integer', 'limit');
+    }
+    return Math.min(limit, MAX_LIMIT);
+};
+
+// --- Cursor encoding ---
+// A cursor is the sort value and _id of the last returned document, base64url-encoded.
+
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    const payload = { v: value instanceof Date ? value.toISOString() : (value ?? null), id: String(doc._id) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor, sortField) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            throw new Error('missing or invalid id');
+        }
+        const value = payload.v !== null && DATE_FIELDS.includes(sortField) ? new Date(payload.v) : payload.v;
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch (err) {
+        throw new InvalidQueryError('Invalid cursor', 'cursor');
+    }
+};
+
+/**
+ * Builds the filter condition selecting documents after the cursor position
+ * for the given sort. Missing/null values sort first ascending and last
+ * descending, matching MongoDB's own ordering.
+ * @param {string} cursor - Cursor from a previous page's nextCursor
+ * @param {{ field: string, direction: number }} sort
+ * @returns {Object} - MongoDB condition to AND with the main filter
+ */
+const buildCursorCondition = (cursor, sort) => {
+    const { value, id: objectId } = decodeCursor(cursor, sort.field);
+    const { field, direction } = sort;
+    const idOp = direction === 1 ? '$gt' : '$lt';
+
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [field]: null, _id: { $gt: objectId } }, { [field]: { $ne: null } }] }
+            : { [field]: null, _id: { $lt: objectId } };
+    }
+
+    const conditions = [
+        { [field]: { [direction === 1 ? '$gt' : '$lt']: value } },
+        { [field]: value, _id: { [idOp]: objectId } }
+    ];
+    if (direction === -1) {
+        conditions.push({ [field]: null });
+    }
+    return { $or: conditions };
+};
+
+/**
+ * Fetches one page of shipments for the list query parameters (filters, sort,
+ * fields, limit, cursor), narrowed by an extra condition (e.g. a geo search).
+ * @param {Object} query - Express req.query
+ * @param {Object} [condition] - MongoDB condition ANDed with the filters
+ * @returns {Promise<{ total: number, count: number, limit: number, nextCursor: string|null, shipments: Array<Object> }>}
+ * @throws {InvalidQueryError} - For malformed parameters
+ */
+const findShipmentPage = async (query, condition) => {
+    const filter = condition ? { $and: [buildFilter(query), condition] } : buildFilter(query);
+    const sort = parseSort(query.sort);
+    const projection = parseProjection(query.fields, sort.field);
+    const limit = parseLimit(query.limit);
+
+    // The cursor narrows the page but not the total count
+    const pageFilter = query.cursor
+        ? { $and: [filter, buildCursorCondition(query.cursor, sort)] }
+        : filter;
+
+    // _id breaks ties so the order (and the cursor) is stable
+    const [total, shipments] = await Promise.all([
+        Shipment.countDocuments(filter),
+        Shipment.find(pageFilter, projection)
+            .sort({ [sort.field]: sort.direction, _id: sort.direction })
+            .limit(limit + 1) // Fetch one extra to know if there is a next page
+    ]);
+
+    const hasMore = shipments.length > limit;
+    const page = hasMore ? shipments.slice(0, limit) : shipments;
+
+    return {
+        total,
+        count: page.length,
+        limit,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort.field) : null,
+        shipments: page
+    };
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    SORTABLE_FIELDS,
+    PROJECTABLE_FIELDS,
+    InvalidQueryError,
+    escapeRegex,
+    buildFilter,
+    parseSort,
+    parseProjection,
+    parseLimit,
+    encodeCursor,
+    buildCursorCondition,
+    findShipmentPage
+};
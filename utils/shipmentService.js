@@ -0,0 +1,253 @@
+// utils/shipmentService.js
+// Shipment creation and tracking-history helpers shared by the shipment
+// controller and the bulk importer, so both apply the same rules.
+const dotenv = require('dotenv');
+const Shipment = require('../models/Shipment');
+const Container = require('../models/Container');
+const TrackingEvent = require('../models/TrackingEvent');
+const { getRouteGeometry, profileForMode } = require('./routingService');
+const { parseContainerNumber } = require('./iso6346');
+const { resolveLocations } = require('./gazetteer');
+const { ApiError } = require('./apiError');
+
+dotenv.config(); // Load .env variables
+
+// 'reject' (default) refuses invalid or busy containers; 'warn' accepts them with a warning
+const CONTAINER_VALIDATION = process.env.CONTAINER_VALIDATION === 'warn' ? 'warn' : 'reject';
+
+/**
+ * Error thrown when shipment input fails the basic checks: 400, or 409 for a
+ * container that is already in use.
+ */
+class ShipmentInputError extends ApiError {
+    constructor(message, statusCode = 400, options) {
+        super(statusCode, message, options);
+        this.name = 'ShipmentInputError';
+    }
+}
+
+const hasCoords = p => p && typeof p.latitude === 'number' && typeof p.longitude === 'number';
+
+/**
+ * Checks a container number before it goes on a shipment: ISO 6346 format and
+ * check digit, and whether the container is already on another active shipment
+ * (shipments of the same booking don't count).
+ * @param {string} containerId - Raw input
+ * @param {Object} [options]
+ * @param {string} [options.excludeShipmentId] - The shipment being edited
+ * @param {string} [options.booking] - Booking the shipment belongs to
+ * @returns {Promise<{ containerId: string, valid: boolean, warnings: Array<string> }>}
+ *          `containerId` is normalised (e.g. "mscu 123456-6" -> "MSCU1234566") when valid
+ * @throws {ShipmentInputError} - In 'reject' mode
+ */
+const checkContainer = async (containerId, { excludeShipmentId, booking } = {}) => {
+    const warnings = [];
+    const problem = (message, statusCode) => {
+        if (CONTAINER_VALIDATION === 'reject') {
+            throw new ShipmentInputError(message, statusCode, {
+                details: [{ in: 'body', path: 'containerId', code: statusCode === 409 ? 'in_use' : 'invalid', msg: message }]
+            });
+        }
+        warnings.push(message);
+    };
+
+    const parsed = parseContainerNumber(containerId);
+    if (!parsed.valid) {
+        problem(`Invalid container number "${containerId}": ${parsed.error}`, 400);
+    }
+    const normalized = parsed.valid ? parsed.containerNumber : String(containerId).trim();
+
+    const filter = { containerId: normalized, status: { $nin: ['Delivered', 'Cancelled'] } };
+    if (excludeShipmentId) filter._id = { $ne: excludeShipmentId };
+    if (booking) filter.booking = { $ne: booking };
+    const active = await Shipment.findOne(filter, 'trackingId status');
+    if (active) {
+        problem(`Container ${normalized} is already on shipment ${active.trackingId} (${active.status})`, 409);
+    }
+
+    if (parsed.valid) {
+        const container = await Container.findOne({ containerNumber: normalized }, 'active');
+        if (container && !container.active) {
+            warnings.push(`Container ${normalized} is marked inactive in the registry`);
+        }
+    }
+    return { containerId: normalized, valid: parsed.valid, warnings };
+};
+
+/**
+ * Adds a container to the registry if it isn't there yet.
+ * @param {string} containerNumber - Valid, normalised container number
+ */
+const registerContainer = (containerNumber) => Container.updateOne(
+    { containerNumber },
+    { $setOnInsert: { containerNumber, ownerCode: containerNumber.slice(0, 3) } },
+    { upsert: true }
+);
+
+/**
+ * Appends a tracking event for the shipment's current location.
+ * `type` defaults to 'location'; geofence crossings pass 'arrival'/'departure' and the geofence.
+ * @returns {Promise<Object>} - The created TrackingEvent
+ */
+const recordTrackingEvent = (shipment, source, { type = 'location', geofence } = {}) => {
+    const location = shipment.currentLocation?.toObject
+        ? shipment.currentLocation.toObject()
+        : shipment.currentLocation;
+    return TrackingEvent.create({
+        shipment: shipment._id,
+        trackingId: shipment.trackingId,
+        location,
+        timestamp: location?.timestamp || new Date(),
+        source,
+        status: shipment.status,
+        type,
+        geofence
+    });
+};
+
+/**
+ * Fetches detailed route geometry for origin -> waypoints -> destination.
+ * Returns null (and logs why) when there are too few coordinates or routing fails.
+ * @returns {Promise<Object|null>} - GeoJSON LineString or null
+ */
+const buildRouteGeometry = async (origin, intermediatePoints, destination, transportMode, label) => {
+    // Only include points that have valid coordinates
+    const waypointsForRouting = [origin, ...(intermediatePoints || []), destination].filter(hasCoords);
+
+    if (waypointsForRouting.length < 2) {
+        console.warn(`Not enough valid waypoints with coordinates (${waypointsForRouting.length}) to calculate route for shipment ${label}.`);
+        return null;
+    }
+
+    console.log(`Attempting to get detailed route for ${waypointsForRouting.length} waypoints.`);
+    const detailedGeometry = await getRouteGeometry(waypointsForRouting, { profile: profileForMode(transportMode) });
+    if (!detailedGeometry) {
+        console.warn(`Could not retrieve detailed route geometry for shipment ${label}. Proceeding without it.`);
+    } else {
+        console.log(`Successfully retrieved detailed route geometry for shipment ${label}.`);
+    }
+    return detailedGeometry;
+};
+
+/**
+ * Creates a shipment from request-style input
+ * ({ containerId, origin, destination, route, transportMode, committedDeliveryDate, deviceId, status, notes, sensorThresholds }).
+ * Locations are resolved against the gazetteer first (see utils/gazetteer.js).
+ * @param {Object} input
+ * @param {Object} [options]
+ * @param {boolean} [options.computeGeometry=true] - Fetch the detailed route now (false leaves it for later)
+ * @param {boolean} [options.dryRun=false] - Validate only; the returned document is not saved
+ * @param {Object} [options.routeGeometry] - Precomputed detailed route (skips routing)
+ * @param {string} [options.booking] - Booking the shipment belongs to (see models/Booking.js)
+ * @param {number} [options.bookingLeg] - Sequence number of the booking leg
+ * @param {Object} [options.audit] - Who is creating it, for the audit trail (see utils/auditTrail.js)
+ * @returns {Promise<Object>} - The saved (or, for dry runs, validated) Shipment document.
+ *          Container and gazetteer warnings are in `shipment.$locals.warnings`.
+ * @throws {ShipmentInputError|Error} - ShipmentInputError for missing fields or a rejected container,
+ *          Mongoose ValidationError for schema rules
+ */
+const createShipmentRecord = async (input, { computeGeometry = true, dryRun = false, routeGeometry = null, booking, bookingLeg, audit } = {}) => {
+    const {
+        containerId,
+        origin, // Expecting { name, latitude?, longitude? }
+        destination, // Expecting { name, latitude?, longitude? }
+        route: intermediateRoutePoints, // Optional array of intermediate waypoints
+        transportMode, // Optional: 'road' (default), 'rail', 'sea' or 'air'
+        committedDeliveryDate, // Optional: date promised to the customer
+        deviceId, // Optional: telematics device sending batched positions
+        status,
+        notes,
+        sensorThresholds // Optional: allowed ranges of sensor readings
+    } = input || {};
+
+    // --- Basic Validation ---
+    const missing = [['containerId', containerId], ['origin.name', origin?.name], ['destination.name', destination?.name]]
+        .filter(([, value]) => !value)
+        .map(([path]) => path);
+    if (missing.length > 0) {
+        throw new ShipmentInputError(`Missing required fields: ${missing.join(', ')}`, 400, {
+            details: missing.map(path => ({ in: 'body', path, code: 'required', msg: 'is required' }))
+        });
+    }
+    if (intermediateRoutePoints !== undefined && !Array.isArray(intermediateRoutePoints)) {
+        throw new ShipmentInputError('route must be an array of waypoints');
+    }
+    const container = await checkContainer(containerId, { booking });
+
+    // Standard names, and coordinates for locations given by name only
+    const resolved = await resolveLocations({ origin, destination, route: intermediateRoutePoints });
+
+    if (!hasCoords(resolved.origin) || !hasCoords(resolved.destination)) {
+        // Allow creation; the detailed route just can't be calculated
+        console.warn(`Shipment creation for ${containerId} is missing coordinates for origin or destination. Detailed route cannot be calculated.`);
+    }
+    // --- End Validation ---
+
+    // --- Call Routing Service ---
+    const detailedGeometry = routeGeometry || (computeGeometry && !dryRun
+        ? await buildRouteGeometry(resolved.origin, resolved.route, resolved.destination, transportMode, container.containerId)
+        : null);
+
+    // --- Create New Shipment Instance ---
+    const newShipment = new Shipment({
+        containerId: container.containerId,
+        origin: resolved.origin,
+        destination: resolved.destination,
+        // Pass intermediate points to pre-save hook for inclusion in basic 'route' array
+        route: resolved.route || [],
+        transportMode,
+        committedDeliveryDate,
+        deviceId,
+        status,
+        notes,
+        sensorThresholds,
+        // Add the fetched detailed geometry (null if routing failed or was deferred)
+        detailedRouteGeometry: detailedGeometry,
+        booking,
+        bookingLeg,
+        // trackingId, currentLocation, estimatedETA, and the basic 'route' array
+        // will be handled/refined by the pre-save hook in the model
+    });
+
+    newShipment.$locals.warnings = [...container.warnings, ...resolved.warnings];
+    newShipment.$locals.audit = audit;
+
+    if (dryRun) {
+        await newShipment.validate(); // Same schema rules as a real save
+        return newShipment;
+    }
+
+    // --- Save the Shipment (pre-save hook runs here) ---
+    // A tracking ID collision is astronomically unlikely, but retry with a fresh one if it happens
+    let shipment;
+    for (let attempt = 1; !shipment; attempt++) {
+        try {
+            shipment = await newShipment.save();
+        } catch (err) {
+            if (err.code !== 11000 || !err.keyPattern?.trackingId || attempt >= 3) throw err;
+            console.warn(`Tracking ID collision on ${newShipment.trackingId}, retrying.`);
+            newShipment.trackingId = Shipment.generateTrackingId();
+        }
+    }
+
+    console.log(`Shipment created successfully: ${shipment.trackingId}`);
+
+    if (container.valid) {
+        await registerContainer(shipment.containerId);
+    }
+
+    // Start the tracking history at the origin
+    if (shipment.currentLocation) {
+        await recordTrackingEvent(shipment, 'system');
+    }
+    return shipment;
+};
+
+module.exports = {
+    ShipmentInputError,
+    checkContainer,
+    registerContainer,
+    recordTrackingEvent,
+    buildRouteGeometry,
+    createShipmentRecord
+};
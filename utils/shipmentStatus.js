@@ -0,0 +1,69 @@
+// utils/shipmentStatus.js
+const { ApiError } = require('./apiError');
+
+// All statuses a shipment can be in (used for the schema enums)
+const STATUSES = ['Pending', 'In Transit', 'Delayed', 'Delivered', 'Cancelled'];
+
+// Allowed status transitions: current status -> statuses it may move to.
+// Delivered and Cancelled are terminal. Pending may go straight to Delivered
+// when the first reported location is already the destination.
+const TRANSITIONS = {
+    'Pending': ['In Transit', 'Delayed', 'Delivered', 'Cancelled'],
+    'In Transit': ['Delayed', 'Delivered', 'Cancelled'],
+    'Delayed': ['In Transit', 'Delivered', 'Cancelled'],
+    'Delivered': [],
+    'Cancelled': []
+};
+
+/**
+ * Error thrown when a status change is not allowed by the transition table.
+ * Answered with 409 INVALID_STATUS_TRANSITION, listing the allowed statuses.
+ */
+class StatusTransitionError extends ApiError {
+    constructor(from, to) {
+        const allowed = TRANSITIONS[from] || [];
+        super(409, `Illegal status transition: ${from} -> ${to}`, { code: 'INVALID_STATUS_TRANSITION', from, to, allowed });
+        this.name = 'StatusTransitionError';
+        this.from = from;
+        this.to = to;
+        this.allowed = allowed;
+    }
+}
+
+/**
+ * Checks whether a shipment may move from one status to another.
+ * Staying in the same status is always allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+    if (from === to) return true;
+    return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throws a StatusTransitionError if the transition is not allowed.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+    if (!canTransition(from, to)) {
+        throw new StatusTransitionError(from, to);
+    }
+};
+
+/**
+ * @param {string} status
+ * @returns {boolean} - True if no further transitions are possible
+ */
+const isTerminal = (status) => (TRANSITIONS[status] || []).length === 0;
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    StatusTransitionError,
+    canTransition,
+    assertTransition,
+    isTerminal
+};
@@ -0,0 +1,177 @@
+// utils/shipmentTransfer.js
+// Conversion between shipments and bulk import/export formats (CSV, JSON, GeoJSON).
+const { toCoord } = require('./geo');
+
+// CSV columns, shared by import and export so exported files can be re-imported.
+// Waypoints are "Name|lat|lon" entries separated by ";" (coordinates optional).
+const IMPORT_COLUMNS = [
+    'containerId',
+    'originName', 'originLatitude', 'originLongitude',
+    'destinationName', 'destinationLatitude', 'destinationLongitude',
+    'waypoints', 'transportMode', 'committedDeliveryDate', 'deviceId', 'status', 'notes'
+];
+const EXPORT_COLUMNS = [
+    'trackingId', ...IMPORT_COLUMNS,
+    'currentLocationName', 'currentLatitude', 'currentLongitude',
+    'estimatedETA', 'actualDeliveryDate', 'createdAt', 'updatedAt'
+];
+
+// Parses an optional numeric CSV cell; records an error if it isn't a number
+const parseNumber = (value, column, errors) => {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (isNaN(number)) {
+        errors.push(`${column} must be a number`);
+        return undefined;
+    }
+    return number;
+};
+
+// Parses an optional date CSV cell (ISO 8601); records an error if it isn't a date
+const parseDate = (value, column, errors) => {
+    if (!value) return undefined;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        errors.push(`${column} must be a date`);
+        return undefined;
+    }
+    return date;
+};
+
+// "Name|lat|lon;Name2" -> [{ name, latitude, longitude }, { name }]
+const parseWaypoints = (value, errors) => {
+    if (!value) return [];
+    return value.split(';').map(entry => entry.trim()).filter(Boolean).map((entry, index) => {
+        const [name, latitude, longitude] = entry.split('|').map(part => part.trim());
+        return {
+            name,
+            latitude: parseNumber(latitude, `waypoints[${index}].latitude`, errors),
+            longitude: parseNumber(longitude, `waypoints[${index}].longitude`, errors)
+        };
+    });
+};
+
+/**
+ * Converts a parsed CSV row into createShipment-style input.
+ * @param {Object} values - Row keyed by column name
+ * @returns {{ input: Object, errors: Array<string> }}
+ */
+const csvRowToShipmentInput = (values) => {
+    const errors = [];
+    const input = {
+        containerId: values.containerId || undefined,
+        origin: values.originName ? {
+            name: values.originName,
+            latitude: parseNumber(values.originLatitude, 'originLatitude', errors),
+            longitude: parseNumber(values.originLongitude, 'originLongitude', errors)
+        } : undefined,
+        destination: values.destinationName ? {
+            name: values.destinationName,
+            latitude: parseNumber(values.destinationLatitude, 'destinationLatitude', errors),
+            longitude: parseNumber(values.destinationLongitude, 'destinationLongitude', errors)
+        } : undefined,
+        route: parseWaypoints(values.waypoints, errors),
+        transportMode: values.transportMode || undefined,
+        committedDeliveryDate: parseDate(values.committedDeliveryDate, 'committedDeliveryDate', errors),
+        deviceId: values.deviceId || undefined,
+        status: values.status || undefined,
+        notes: values.notes || undefined
+    };
+    return { input, errors };
+};
+
+const formatWaypoints = (shipment) => {
+    const endpoints = [shipment.origin?.name, shipment.destination?.name];
+    return (shipment.route || [])
+        .filter(loc => loc?.name && !endpoints.includes(loc.name))
+        .map(loc => [loc.name, loc.latitude, loc.longitude].filter(v => v !== undefined && v !== null).join('|'))
+        .join(';');
+};
+
+/**
+ * Flattens a shipment into a CSV row keyed by EXPORT_COLUMNS.
+ * @param {Object} shipment
+ * @returns {Object}
+ */
+const shipmentToCsvRow = (shipment) => ({
+    trackingId: shipment.trackingId,
+    containerId: shipment.containerId,
+    originName: shipment.origin?.name,
+    originLatitude: shipment.origin?.latitude,
+    originLongitude: shipment.origin?.longitude,
+    destinationName: shipment.destination?.name,
+    destinationLatitude: shipment.destination?.latitude,
+    destinationLongitude: shipment.destination?.longitude,
+    waypoints: formatWaypoints(shipment),
+    transportMode: shipment.transportMode,
+    committedDeliveryDate: shipment.committedDeliveryDate,
+    deviceId: shipment.deviceId,
+    status: shipment.status,
+    notes: shipment.notes,
+    currentLocationName: shipment.currentLocation?.name,
+    currentLatitude: shipment.currentLocation?.latitude,
+    currentLongitude: shipment.currentLocation?.longitude,
+    estimatedETA: shipment.estimatedETA,
+    actualDeliveryDate: shipment.actualDeliveryDate,
+    createdAt: shipment.createdAt,
+    updatedAt: shipment.updatedAt
+});
+
+/**
+ * GeoJSON features for one shipment: a LineString for the route (the detailed
+ * geometry when present, else straight lines between route points) and a
+ * Point per route stop with coordinates.
+ * @param {Object} shipment
+ * @returns {Array<Object>} - GeoJSON Features
+ */
+const shipmentToGeoJSONFeatures = (shipment) => {
+    const properties = {
+        trackingId: shipment.trackingId,
+        containerId: shipment.containerId,
+        status: shipment.status,
+        transportMode: shipment.transportMode,
+        origin: shipment.origin?.name,
+        destination: shipment.destination?.name,
+        estimatedETA: shipment.estimatedETA || null
+    };
+    const features = [];
+
+    const route = shipment.route || [];
+    const geometry = shipment.detailedRouteGeometry;
+    const routeCoords = route.map(toCoord).filter(Boolean);
+
+    if (geometry?.type === 'LineString' && geometry.coordinates?.length >= 2) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: geometry.coordinates },
+            properties: { ...properties, featureType: 'route', geometrySource: 'detailedRouteGeometry' }
+        });
+    } else if (routeCoords.length >= 2) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: routeCoords },
+            properties: { ...properties, featureType: 'route', geometrySource: 'route' }
+        });
+    }
+
+    route.forEach((loc, index) => {
+        const coord = toCoord(loc);
+        if (!coord) return;
+        const stopType = index === 0 ? 'origin' : (index === route.length - 1 ? 'destination' : 'waypoint');
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: coord },
+            properties: { trackingId: shipment.trackingId, featureType: 'stop', stopType, sequence: index, name: loc.name }
+        });
+    });
+
+    return features;
+};
+
+module.exports = {
+    IMPORT_COLUMNS,
+    EXPORT_COLUMNS,
+    csvRowToShipmentInput,
+    shipmentToCsvRow,
+    shipmentToGeoJSONFeatures
+};
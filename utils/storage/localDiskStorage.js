@@ -0,0 +1,62 @@
+// utils/storage/localDiskStorage.js
+// Default storage backend: files under FILE_STORAGE_DIR (./uploads) on the local disk.
+// Fine for a single server; several servers need a shared volume or another backend.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+const ROOT = path.resolve(process.env.FILE_STORAGE_DIR || 'uploads');
+
+// Keys are relative paths made by the callers; none may point outside the root
+const fileFor = (key) => {
+    const file = path.resolve(ROOT, key);
+    if (!file.startsWith(ROOT + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+};
+
+/**
+ * @param {string} key - e.g. 'shipments/<id>/<documentId>.pdf'
+ * @param {Buffer} data
+ * @returns {Promise<void>}
+ */
+const save = async (key, data) => {
+    const file = fileFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    // Written under a temporary name first, so a half-written file is never served
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, data);
+    await fs.promises.rename(temp, file);
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<import('stream').Readable|null>} - null if there is no such file
+ */
+const open = async (key) => {
+    const file = fileFor(key);
+    try {
+        await fs.promises.access(file, fs.constants.R_OK);
+    } catch {
+        return null;
+    }
+    return fs.createReadStream(file);
+};
+
+/**
+ * @param {string} key
+ * @returns {Promise<void>} - Also when there is no such file
+ */
+const remove = async (key) => {
+    await fs.promises.rm(fileFor(key), { force: true });
+};
+
+module.exports = {
+    name: 'local',
+    save,
+    open,
+    remove
+};
@@ -0,0 +1,144 @@
+// utils/tenantContext.js
+// The organization (tenant) the current request or job acts for, carried through
+// its async calls with AsyncLocalStorage. authenticate() (middleware/auth.js) sets
+// it per request; background jobs set it per shipment with runForOrganization().
+// The tenant-scoped models read it to filter every query (see utils/tenantScope.js).
+//
+// Three states:
+// - no context: the system itself (background jobs, scripts, public tracking, login); nothing is filtered
+// - { organization }: an organization's account, or a platform admin acting for one; only its data
+// - { organization: null, platform: true }: a platform admin acting for none; accounts of
+//   all organizations, but no shipment data (ORGANIZATION_REQUIRED)
+const { AsyncLocalStorage } = require('async_hooks');
+const Organization = require('../models/Organization');
+const { DEFAULT_SPEEDS_KMH } = require('./etaEngine');
+const { DEFAULT_RADII_METERS } = require('./geofence');
+const { ApiError } = require('./apiError');
+
+// Organizations loaded by background jobs are reused for a minute
+const ORGANIZATION_CACHE_TTL_MS = 60 * 1000;
+
+const storage = new AsyncLocalStorage();
+const cache = new Map(); // id -> { organization, expiresAt }
+
+/**
+ * Runs a function, and everything it starts, as an organization.
+ * @param {Object|null} organization - Organization (lean); null for a platform admin acting for none
+ * @param {Function} fn
+ * @param {Object} [options]
+ * @param {boolean} [options.platform=false] - Whether the caller is a platform admin
+ * @returns {*} - What fn returns
+ */
+const runAsTenant = (organization, fn, { platform = false } = {}) => storage.run({ organization, platform }, fn);
+
+/**
+ * Runs a function as the system, across all organizations (e.g. for the organization admin routes).
+ * @param {Function} fn
+ * @returns {*} - What fn returns
+ */
+const withoutTenant = (fn) => storage.exit(fn);
+
+/**
+ * @returns {{ organization: Object|null, platform: boolean }|undefined} - undefined for the system
+ */
+const tenantContext = () => storage.getStore();
+
+/**
+ * @returns {Object|null} - The organization acted for (lean), or null
+ */
+const currentTenant = () => storage.getStore()?.organization || null;
+
+/**
+ * The organization acted for; for shipment data, which always belongs to one.
+ * @returns {Object|null} - null for the system
+ * @throws {ApiError} - 400 ORGANIZATION_REQUIRED for a platform admin acting for none
+ */
+const requireTenant = () => {
+    const context = storage.getStore();
+    if (context && !context.organization) {
+        throw ApiError.badRequest('Choose an organization with the X-Organization-Id header', { code: 'ORGANIZATION_REQUIRED' });
+    }
+    return context?.organization || null;
+};
+
+/**
+ * Checks an organization named in a request body, e.g. by a platform admin
+ * creating an account for one.
+ * @param {string} [id] - Nothing is checked when left out
+ * @returns {Promise<void>}
+ * @throws {ApiError} - 400 unless it is the _id of an active organization
+ */
+const requireActiveOrganization = async (id) => {
+    if (id === undefined || id === null) return;
+    const found = /^[0-9a-fA-F]{24}$/.test(String(id)) && await Organization.exists({ _id: id, active: true });
+    if (!found) {
+        throw ApiError.badRequest('Unknown or deactivated organization', {
+            details: [{ in: 'body', path: 'organization', code: 'invalid', msg: 'must be the _id of an active organization' }]
+        });
+    }
+};
+
+// Values set on an organization, without the unset ones
+const setValues = (values) => Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value != null));
+
+/**
+ * Settings of the organization acted for, with the server-wide defaults for anything it leaves unset.
+ * @returns {{ speedsKmh: Object, geofenceRadiusMeters: Object }}
+ */
+const tenantSettings = () => {
+    const settings = currentTenant()?.settings;
+    return {
+        speedsKmh: { ...DEFAULT_SPEEDS_KMH, ...setValues(settings?.speedsKmh) },
+        geofenceRadiusMeters: { ...DEFAULT_RADII_METERS, ...setValues(settings?.geofenceRadiusMeters) }
+    };
+};
+
+/**
+ * Loads an organization for a background job, from a short-lived cache.
+ * @param {Object|string} id
+ * @returns {Promise<Object|null>} - Organization (lean), or null if there is none
+ */
+const loadOrganization = async (id) => {
+    const key = String(id);
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.organization;
+    }
+    const organization = await Organization.findById(id).lean();
+    cache.set(key, { organization, expiresAt: Date.now() + ORGANIZATION_CACHE_TTL_MS });
+    return organization;
+};
+
+/**
+ * Drops an organization from the cache, after it changed.
+ * @param {Object|string} id
+ */
+const forgetOrganization = (id) => {
+    cache.delete(String(id));
+};
+
+/**
+ * Runs a background job's work on one shipment (or booking) as its organization,
+ * so it uses the organization's settings and what it creates belongs to it.
+ * Data from before organizations existed runs as the system.
+ * @param {Object|string} [organizationId]
+ * @param {Function} fn
+ * @returns {Promise<*>} - What fn returns
+ */
+const runForOrganization = async (organizationId, fn) => {
+    const organization = organizationId ? await loadOrganization(organizationId) : null;
+    return organization ? runAsTenant(organization, fn) : withoutTenant(fn);
+};
+
+module.exports = {
+    runAsTenant,
+    withoutTenant,
+    tenantContext,
+    currentTenant,
+    requireTenant,
+    requireActiveOrganization,
+    tenantSettings,
+    loadOrganization,
+    forgetOrganization,
+    runForOrganization
+};
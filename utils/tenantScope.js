@@ -0,0 +1,79 @@
+// utils/tenantScope.js
+// Mongoose plugin that keeps each organization's data to itself. Models using it
+// get an `organization` path, and while a request or job acts for an organization
+// (see utils/tenantContext.js):
+// - every query, update, delete and aggregation is limited to its documents,
+// - new documents are given it, and documents of another one can't be saved.
+// The system (no context) sees everything, so controllers never filter by hand.
+const mongoose = require('mongoose');
+const { tenantContext, requireTenant } = require('./tenantContext');
+
+const QUERY_OPS = [
+    'countDocuments', 'distinct', 'find', 'findOne',
+    'findOneAndDelete', 'findOneAndReplace', 'findOneAndUpdate',
+    'deleteOne', 'deleteMany', 'replaceOne', 'updateOne', 'updateMany'
+];
+
+/**
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {string} [options.path='organization'] - Where the organization is kept (e.g. 'meta.organization')
+ * @param {boolean} [options.accounts=false] - For user accounts and API keys: a document may belong to no
+ *        organization (a platform admin), and a platform admin acting for none sees all of them
+ */
+const tenantScope = (schema, { path = 'organization', accounts = false } = {}) => {
+    if (!schema.path(path)) {
+        schema.path(path, {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Organization',
+            immutable: true, // Data never moves between organizations
+            ...(!accounts && { required: [true, 'Organization is required'] })
+        });
+    }
+    schema.index({ [path]: 1 });
+
+    // Organization this context is limited to; null for none
+    const scope = () => {
+        const context = tenantContext();
+        if (!context || (accounts && context.platform && !context.organization)) {
+            return null;
+        }
+        return requireTenant()._id;
+    };
+
+    schema.pre(QUERY_OPS, { document: false, query: true }, function() {
+        const organization = scope();
+        if (organization) {
+            this.and([{ [path]: organization }]);
+        }
+    });
+
+    schema.pre('aggregate', function() {
+        const organization = scope();
+        if (!organization) return;
+        const pipeline = this.pipeline();
+        if (pipeline[0]?.$geoNear) {
+            // $geoNear has to stay the first stage
+            const geoNear = pipeline[0].$geoNear;
+            geoNear.query = { $and: [geoNear.query || {}, { [path]: organization }] };
+        } else if (pipeline[0]?.$match) {
+            // Merged, not prepended: a $text match has to be in the first stage
+            pipeline[0].$match = { $and: [pipeline[0].$match, { [path]: organization }] };
+        } else {
+            pipeline.unshift({ $match: { [path]: organization } });
+        }
+    });
+
+    schema.pre('validate', function() {
+        const organization = scope();
+        if (!organization || !this.isNew) return;
+        const own = this.get(path);
+        if (!own) {
+            this.set(path, organization);
+        } else if (!organization.equals(own)) {
+            this.invalidate(path, 'Organization must be the one the request acts for');
+        }
+    });
+};
+
+module.exports = tenantScope;
@@ -0,0 +1,216 @@
+// utils/webhookDispatcher.js
+// Delivers shipment lifecycle events (utils/shipmentEvents.js) to webhook
+// subscriptions. Every matching event is first written to the WebhookDelivery
+// outbox, then sent by a polling worker that retries failures with exponential
+// backoff. Deliveries survive restarts; a delivery interrupted mid-send is
+// picked up again once its lock expires.
+const crypto = require('crypto');
+const axios = require('axios');
+const dotenv = require('dotenv');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./shipmentEvents');
+const { assertPublicUrl, publicLookup } = require('./webhookTarget');
+
+dotenv.config(); // Load .env variables
+
+const config = {
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30000, // Doubled on every retry
+    retryMaxMs: Number(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000,
+    pollIntervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000
+};
+
+const RESPONSE_BODY_MAX_LENGTH = 1000; // Characters kept in the delivery log
+
+/**
+ * Signs a webhook body. Receivers recompute this over the raw body and the
+ * X-Webhook-Timestamp header and compare it with X-Webhook-Signature.
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} - "sha256=<hex HMAC of `${timestamp}.${body}`>"
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Delay before the next attempt after `attemptCount` failed attempts.
+ * @param {number} attemptCount
+ * @returns {number} - Milliseconds
+ */
+const retryDelayMs = (attemptCount) => Math.min(config.retryBaseMs * 2 ** (attemptCount - 1), config.retryMaxMs);
+
+// --- Outbox: one pending delivery per matching subscription of the shipment's organization ---
+const enqueueEvent = async (event) => {
+    const subscriptions = await WebhookSubscription.find({ active: true, organization: event.organizationId });
+    const matching = subscriptions.filter(subscription => subscription.matches(event));
+    if (matching.length === 0) {
+        return;
+    }
+
+    const eventId = crypto.randomUUID();
+    // Round-trip through JSON so Mongoose subdocuments become plain data
+    const payload = JSON.parse(JSON.stringify({
+        id: eventId,
+        type: event.type,
+        createdAt: event.timestamp,
+        data: { shipmentId: event.shipmentId, trackingId: event.trackingId, ...event.data }
+    }));
+
+    await WebhookDelivery.insertMany(matching.map(subscription => ({
+        subscription: subscription._id,
+        organization: subscription.organization,
+        eventId,
+        eventType: event.type,
+        trackingId: event.trackingId,
+        payload
+    })));
+    scheduleDispatch();
+};
+
+// --- Worker ---
+
+// Atomically claims the next due delivery so it is only sent once
+const claimNextDelivery = () => {
+    const now = new Date();
+    return WebhookDelivery.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'sending', lockedUntil: { $lte: now } }
+            ]
+        },
+        { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + config.timeoutMs * 3) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+const attemptDelivery = async (delivery) => {
+    const attempt = { at: new Date() };
+    let succeeded = false;
+
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    if (!subscription || !subscription.active) {
+        attempt.error = subscription ? 'Subscription is inactive' : 'Subscription was deleted';
+        delivery.attempts.push(attempt);
+        delivery.status = 'failed';
+        delivery.lockedUntil = undefined;
+        await delivery.save();
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        // Checked again on every attempt: the host may have moved to an internal address
+        // since the subscription was saved. publicLookup also covers the connection itself.
+        await assertPublicUrl(subscription.url);
+        const response = await axios.post(subscription.url, body, {
+            timeout: config.timeoutMs,
+            maxRedirects: 0,
+            lookup: publicLookup,
+            responseType: 'text',
+            transformResponse: [data => data], // Keep the raw body for the log
+            validateStatus: () => true, // Non-2xx is recorded, not thrown
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'CargoTracker-Webhooks/1.0',
+                'X-Webhook-Id': String(delivery._id),
+                'X-Webhook-Event': delivery.eventType,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(subscription.secret, timestamp, body)
+            }
+        });
+        attempt.responseStatus = response.status;
+        attempt.responseBody = String(response.data ?? '').slice(0, RESPONSE_BODY_MAX_LENGTH);
+        succeeded = response.status >= 200 && response.status < 300;
+    } catch (err) {
+        attempt.error = err.code ? `${err.code}: ${err.message}` : err.message;
+    }
+    attempt.durationMs = Date.now() - attempt.at.getTime();
+
+    delivery.attempts.push(attempt);
+    delivery.attemptCount++;
+    delivery.lockedUntil = undefined;
+    if (succeeded) {
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+    } else if (delivery.attemptCount >= config.maxAttempts) {
+        delivery.status = 'failed';
+        console.warn(`Webhook delivery ${delivery._id} to ${subscription.url} failed after ${delivery.attemptCount} attempts.`);
+    } else {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attemptCount));
+    }
+    await delivery.save();
+};
+
+let dispatching = false;
+
+// Sends due deliveries one at a time until none are left
+const processDueDeliveries = async () => {
+    if (dispatching) return;
+    dispatching = true;
+    try {
+        let delivery;
+        while ((delivery = await claimNextDelivery())) {
+            await attemptDelivery(delivery);
+        }
+    } catch (err) {
+        console.error("Error dispatching webhooks:", err.message);
+    } finally {
+        dispatching = false;
+    }
+};
+
+// Runs the worker soon, without waiting for the next poll
+const scheduleDispatch = () => {
+    setImmediate(processDueDeliveries);
+};
+
+/**
+ * Queues a manual redelivery of a logged delivery as a new delivery.
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Promise<Object>} - The new WebhookDelivery
+ */
+const redeliver = async (delivery) => {
+    const copy = await WebhookDelivery.create({
+        subscription: delivery.subscription,
+        eventId: delivery.eventId,
+        eventType: delivery.eventType,
+        trackingId: delivery.trackingId,
+        payload: delivery.payload,
+        redeliveryOf: delivery._id
+    });
+    scheduleDispatch();
+    return copy;
+};
+
+/**
+ * Starts listening for shipment events and polling the outbox.
+ * @returns {Function} - Stops the dispatcher
+ */
+const startWebhookDispatcher = () => {
+    const unsubscribe = subscribe(event => {
+        enqueueEvent(event).catch(err => {
+            console.error(`Error queueing webhooks for ${event.type} (${event.trackingId}):`, err.message);
+        });
+    });
+    const poll = setInterval(processDueDeliveries, config.pollIntervalMs);
+    poll.unref();
+    console.log('Webhook dispatcher started.');
+
+    return () => {
+        unsubscribe();
+        clearInterval(poll);
+    };
+};
+
+module.exports = {
+    signPayload,
+    retryDelayMs,
+    redeliver,
+    startWebhookDispatcher
+};
@@ -0,0 +1,135 @@
+// utils/webhookTarget.js
+// Keeps webhook deliveries away from internal services. Subscription URLs may
+// only point at public addresses: loopback, private, link-local (including the
+// cloud metadata endpoint) and other reserved ranges are refused when a
+// subscription is saved and again when each delivery connects.
+const dns = require('dns');
+const net = require('net');
+const dotenv = require('dotenv');
+
+dotenv.config(); // Load .env variables
+
+const config = {
+    // For local development against receivers on localhost or the LAN
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+};
+
+// Address ranges a webhook may never reach
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], // "This" network
+    ['10.0.0.0', 8], // Private
+    ['100.64.0.0', 10], // Carrier-grade NAT
+    ['127.0.0.0', 8], // Loopback
+    ['169.254.0.0', 16], // Link-local, includes the metadata endpoint 169.254.169.254
+    ['172.16.0.0', 12], // Private
+    ['192.0.0.0', 24], // IETF protocol assignments
+    ['192.168.0.0', 16], // Private
+    ['198.18.0.0', 15], // Benchmarking
+    ['224.0.0.0', 4], // Multicast
+    ['240.0.0.0', 4] // Reserved, includes broadcast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], // Unspecified
+    ['::1', 128], // Loopback
+    ['64:ff9b:1::', 48], // Local-use NAT64
+    ['fc00::', 7], // Unique local, includes the metadata endpoint fd00:ec2::254
+    ['fe80::', 10], // Link-local
+    ['ff00::', 8] // Multicast
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+class WebhookTargetError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WebhookTargetError';
+        this.code = 'WEBHOOK_TARGET_BLOCKED';
+    }
+}
+
+/**
+ * Whether a webhook may connect to an IP address.
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+    let family = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) reaches the IPv4 address
+    const mapped = family === 'ipv6' && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) {
+        address = mapped[1];
+        family = 'ipv4';
+    }
+    return !BLOCKED_RANGES.check(address, family);
+};
+
+/**
+ * Resolves a host name and checks that every address it resolves to is public.
+ * @param {string} hostname - Host name or IP literal
+ * @returns {Promise<Array<{ address: string, family: number }>>}
+ * @throws {WebhookTargetError} - When the host does not resolve or resolves to a blocked address
+ */
+const resolvePublicAddresses = async (hostname) => {
+    const host = hostname.replace(/^\[(.*)\]$/, '$1'); // URL keeps IPv6 literals in brackets
+    let addresses;
+    if (net.isIP(host)) {
+        addresses = [{ address: host, family: net.isIP(host) }];
+    } else {
+        try {
+            addresses = await dns.promises.lookup(host, { all: true });
+        } catch (err) {
+            throw new WebhookTargetError(`Host ${host} could not be resolved`);
+        }
+    }
+    if (!config.allowPrivateTargets) {
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) {
+            throw new WebhookTargetError(blocked.address === host
+                ? `${host} is not a public address`
+                : `Host ${host} resolves to ${blocked.address}, which is not a public address`);
+        }
+    }
+    return addresses;
+};
+
+/**
+ * Checks that a webhook URL is an absolute http(s) URL on a public host.
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {WebhookTargetError}
+ */
+const assertPublicUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        throw new WebhookTargetError('URL must be an absolute http(s) URL');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new WebhookTargetError('URL must be an absolute http(s) URL');
+    }
+    await resolvePublicAddresses(parsed.hostname);
+};
+
+/**
+ * A `lookup` for outgoing delivery requests: resolves like dns.lookup but
+ * fails on blocked addresses, so the address that was checked is the one
+ * connected to (a host cannot switch to an internal address after validation).
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback - (err, address, family) or (err, addresses) with `options.all`
+ */
+const publicLookup = (hostname, options, callback) => {
+    resolvePublicAddresses(hostname).then(
+        addresses => (options.all
+            ? callback(null, addresses)
+            : callback(null, addresses[0].address, addresses[0].family)),
+        callback
+    );
+};
+
+module.exports = {
+    WebhookTargetError,
+    isPublicAddress,
+    assertPublicUrl,
+    publicLookup
+};